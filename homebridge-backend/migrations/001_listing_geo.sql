@@ -0,0 +1,15 @@
+-- Numeric coordinates for Listing (latitude/longitude stay as the agent-entered strings)
+ALTER TABLE "Listing"
+  ADD COLUMN IF NOT EXISTS "geoLat" DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS "geoLng" DOUBLE PRECISION;
+
+-- Backfill from the string columns; anything unparseable or out of range stays NULL
+UPDATE "Listing" SET
+  "geoLat" = CASE WHEN trim(latitude)  ~ '^-?\d{1,3}(\.\d+)?$' THEN trim(latitude)::double precision END,
+  "geoLng" = CASE WHEN trim(longitude) ~ '^-?\d{1,3}(\.\d+)?$' THEN trim(longitude)::double precision END;
+
+UPDATE "Listing" SET "geoLat" = NULL, "geoLng" = NULL
+WHERE "geoLat" IS NULL OR "geoLng" IS NULL
+   OR abs("geoLat") > 90 OR abs("geoLng") > 180;
+
+CREATE INDEX IF NOT EXISTS "Listing_geoLat_geoLng_idx" ON "Listing"("geoLat", "geoLng");
@@ -0,0 +1,38 @@
+-- University directory + per-listing distances to nearby campuses
+CREATE TABLE IF NOT EXISTS "University" (
+  id          TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  slug        TEXT NOT NULL UNIQUE,
+  name        TEXT NOT NULL,
+  aliases     TEXT[] NOT NULL DEFAULT '{}',
+  city        TEXT,
+  country     TEXT,
+  website     TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS "UniversityCampus" (
+  id             TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "universityId" TEXT NOT NULL REFERENCES "University"(id) ON DELETE CASCADE,
+  name           TEXT NOT NULL,
+  "geoLat"       DOUBLE PRECISION NOT NULL,
+  "geoLng"       DOUBLE PRECISION NOT NULL,
+  UNIQUE ("universityId", name)
+);
+
+CREATE TABLE IF NOT EXISTS "ListingCampusDistance" (
+  "listingId"    TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "campusId"     TEXT NOT NULL REFERENCES "UniversityCampus"(id) ON DELETE CASCADE,
+  "universityId" TEXT NOT NULL REFERENCES "University"(id) ON DELETE CASCADE,
+  "distanceKm"   DOUBLE PRECISION NOT NULL,
+  PRIMARY KEY ("listingId", "campusId")
+);
+CREATE INDEX IF NOT EXISTS "ListingCampusDistance_universityId_distanceKm_idx"
+  ON "ListingCampusDistance"("universityId", "distanceKm");
+
+ALTER TABLE "Listing"
+  ADD COLUMN IF NOT EXISTS "universityId" TEXT REFERENCES "University"(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS "Listing_universityId_idx" ON "Listing"("universityId");
+
+ALTER TABLE "StudentProfile"
+  ADD COLUMN IF NOT EXISTS "universityId" TEXT REFERENCES "University"(id) ON DELETE SET NULL;
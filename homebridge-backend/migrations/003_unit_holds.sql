@@ -0,0 +1,30 @@
+-- Bookings point at a specific unit; offers reserve beds on that unit via holds
+ALTER TABLE "Booking"
+  ADD COLUMN IF NOT EXISTS "unitId" TEXT REFERENCES "ListingUnit"(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS "Booking_unitId_idx" ON "Booking"("unitId");
+
+-- ACTIVE (until expiresAt) -> CONFIRMED (offer accepted) | RELEASED
+CREATE TABLE IF NOT EXISTS "UnitHold" (
+  id              TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "unitId"        TEXT NOT NULL REFERENCES "ListingUnit"(id) ON DELETE CASCADE,
+  "bookingId"     TEXT NOT NULL REFERENCES "Booking"(id) ON DELETE CASCADE,
+  "offerId"       TEXT REFERENCES "Offer"(id) ON DELETE SET NULL,
+  quantity        INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  status          TEXT NOT NULL DEFAULT 'ACTIVE',
+  "expiresAt"     TIMESTAMP(3),
+  "releasedAt"    TIMESTAMP(3),
+  "releaseReason" TEXT,
+  "createdAt"     TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt"     TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "UnitHold_unitId_status_idx" ON "UnitHold"("unitId", status);
+CREATE INDEX IF NOT EXISTS "UnitHold_bookingId_idx" ON "UnitHold"("bookingId");
+CREATE INDEX IF NOT EXISTS "UnitHold_active_expiresAt_idx" ON "UnitHold"("expiresAt") WHERE status = 'ACTIVE';
+
+-- legacy bookings on single-unit listings can be attributed unambiguously
+UPDATE "Booking" b
+   SET "unitId" = u.id
+  FROM "ListingUnit" u
+ WHERE b."unitId" IS NULL
+   AND u."listingId" = b."listingId"
+   AND (SELECT COUNT(*) FROM "ListingUnit" x WHERE x."listingId" = b."listingId") = 1;
@@ -0,0 +1,17 @@
+-- Listing lifecycle: DRAFT -> SUBMITTED -> APPROVED | REJECTED -> PUBLISHED -> ARCHIVED
+-- "published" stays as the public visibility flag and mirrors status = 'PUBLISHED'.
+ALTER TABLE "Listing"
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'DRAFT',
+  ADD COLUMN IF NOT EXISTS "rejectionReason" TEXT,
+  ADD COLUMN IF NOT EXISTS "submittedAt" TIMESTAMP(3),
+  ADD COLUMN IF NOT EXISTS "reviewedAt" TIMESTAMP(3),
+  ADD COLUMN IF NOT EXISTS "reviewedById" TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "publishedAt" TIMESTAMP(3),
+  ADD COLUMN IF NOT EXISTS "archivedAt" TIMESTAMP(3);
+
+-- existing live listings were never reviewed; treat them as already published
+UPDATE "Listing"
+   SET status = 'PUBLISHED', "publishedAt" = COALESCE("publishedAt", "createdAt")
+ WHERE published = TRUE AND status = 'DRAFT';
+
+CREATE INDEX IF NOT EXISTS "Listing_status_submittedAt_idx" ON "Listing"(status, "submittedAt");
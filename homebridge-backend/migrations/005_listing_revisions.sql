@@ -0,0 +1,43 @@
+-- Full snapshot of a listing (fields, units, image set) after every change, numbered per listing
+CREATE TABLE IF NOT EXISTS "ListingRevision" (
+  id              TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "listingId"     TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  version         INT NOT NULL,
+  source          TEXT NOT NULL,
+  "actorId"       TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  "actorRole"     TEXT,
+  note            TEXT,
+  "changedFields" TEXT[] NOT NULL DEFAULT '{}',
+  snapshot        JSONB NOT NULL,
+  "createdAt"     TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  UNIQUE ("listingId", version)
+);
+CREATE INDEX IF NOT EXISTS "ListingRevision_listingId_createdAt_idx" ON "ListingRevision"("listingId", "createdAt");
+
+-- baseline revision for listings that predate history (same shape as lib/listingRevisions.js)
+INSERT INTO "ListingRevision" ("listingId", version, source, snapshot, "createdAt")
+SELECT l.id, 1, 'baseline',
+       jsonb_build_object(
+         'listing', jsonb_build_object(
+           'title', l.title, 'type', l.type, 'city', l.city, 'university', l.university,
+           'universityId', l."universityId", 'price', l.price, 'description', l.description,
+           'highlights', l.highlights, 'amenities', l.amenities, 'policies', l.policies,
+           'notes', l.notes, 'address', l.address, 'latitude', l.latitude, 'longitude', l.longitude,
+           'transitMins', l."transitMins", 'furnished', l.furnished, 'coverImageId', l."coverImageId",
+           'status', l.status, 'published', l.published, 'featured', l.featured,
+           'needsReview', l."needsReview", 'verified', l.verified, 'rejectionReason', l."rejectionReason"
+         ),
+         'units', COALESCE((
+           SELECT jsonb_agg(jsonb_build_object(
+                    'id', u.id, 'label', u.label, 'type', u.type, 'price', u.price,
+                    'availableFrom', u."availableFrom", 'leaseMonths', u."leaseMonths",
+                    'size', u.size, 'availableCount', u."availableCount") ORDER BY u.id)
+           FROM "ListingUnit" u WHERE u."listingId" = l.id), '[]'::jsonb),
+         'images', COALESCE((
+           SELECT jsonb_agg(jsonb_build_object('id', i.id, 'url', i.url, 'order', i."order")
+                            ORDER BY i."order", i.id)
+           FROM "ListingImage" i WHERE i."listingId" = l.id), '[]'::jsonb)
+       ),
+       COALESCE(l."updatedAt", l."createdAt", NOW())
+FROM "Listing" l
+WHERE NOT EXISTS (SELECT 1 FROM "ListingRevision" r WHERE r."listingId" = l.id);
@@ -0,0 +1,21 @@
+-- Abuse reports: who reported, what kind of problem, and how an admin triaged it.
+-- OPEN -> RESOLVED (acted on) | DISMISSED (no problem found). Listing."reportsCount" = OPEN reports.
+ALTER TABLE "ListingReport"
+  ADD COLUMN IF NOT EXISTS "reporterId" TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS category TEXT,
+  ADD COLUMN IF NOT EXISTS details TEXT,
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'OPEN',
+  ADD COLUMN IF NOT EXISTS resolution TEXT,
+  ADD COLUMN IF NOT EXISTS "resolvedAt" TIMESTAMP(3),
+  ADD COLUMN IF NOT EXISTS "resolvedById" TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW();
+
+-- one open report per user per listing
+CREATE UNIQUE INDEX IF NOT EXISTS "ListingReport_open_listingId_reporterId_key"
+  ON "ListingReport"("listingId", "reporterId")
+  WHERE status = 'OPEN' AND "reporterId" IS NOT NULL;
+CREATE INDEX IF NOT EXISTS "ListingReport_status_createdAt_idx" ON "ListingReport"(status, "createdAt");
+
+UPDATE "Listing" l
+   SET "reportsCount" = (SELECT COUNT(*)::int FROM "ListingReport" r
+                          WHERE r."listingId" = l.id AND r.status = 'OPEN');
@@ -0,0 +1,6 @@
+-- Resized WebP/AVIF copies of each listing photo and an inline low-quality placeholder.
+-- variants = { thumb|card|full: { width, height, webp, avif } }; NULL until processed
+-- (npm run images:variants backfills photos uploaded before this).
+ALTER TABLE "ListingImage"
+  ADD COLUMN IF NOT EXISTS variants JSONB,
+  ADD COLUMN IF NOT EXISTS placeholder TEXT;
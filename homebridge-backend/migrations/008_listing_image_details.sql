@@ -0,0 +1,6 @@
+-- Gallery details: caption, alt text for screen readers, and which room the photo shows
+ALTER TABLE "ListingImage"
+  ADD COLUMN IF NOT EXISTS caption TEXT,
+  ADD COLUMN IF NOT EXISTS "altText" TEXT,
+  ADD COLUMN IF NOT EXISTS "roomTag" TEXT;
+CREATE INDEX IF NOT EXISTS "ListingImage_listingId_order_idx" ON "ListingImage"("listingId", "order");
@@ -0,0 +1,5 @@
+-- Archive replaces hard delete: remember where a listing was archived from so restore can
+-- put it back (a live listing comes back APPROVED, one step short of public again).
+ALTER TABLE "Listing"
+  ADD COLUMN IF NOT EXISTS "archivedFromStatus" TEXT,
+  ADD COLUMN IF NOT EXISTS "archivedById" TEXT REFERENCES "User"(id) ON DELETE SET NULL;
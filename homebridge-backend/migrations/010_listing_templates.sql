@@ -0,0 +1,16 @@
+-- Reusable listing boilerplate an agent can apply when creating listings
+CREATE TABLE IF NOT EXISTS "ListingTemplate" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "agentId" TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  highlights TEXT[] NOT NULL DEFAULT '{}',
+  amenities TEXT[] NOT NULL DEFAULT '{}',
+  policies TEXT[] NOT NULL DEFAULT '{}',
+  notes TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+-- template names are unique per agent (case-insensitive)
+CREATE UNIQUE INDEX IF NOT EXISTS "ListingTemplate_agentId_name_key"
+  ON "ListingTemplate"("agentId", lower(name));
@@ -0,0 +1,29 @@
+-- Student favorites (one heart per listing) and named shortlists. A shortlist with a
+-- shareToken can be viewed read-only by anyone holding the link (e.g. a parent).
+CREATE TABLE IF NOT EXISTS "Favorite" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "userId" TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  "listingId" TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "Favorite_userId_listingId_key" ON "Favorite"("userId", "listingId");
+CREATE INDEX IF NOT EXISTS "Favorite_listingId_idx" ON "Favorite"("listingId");
+
+CREATE TABLE IF NOT EXISTS "Shortlist" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "userId" TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  "shareToken" TEXT UNIQUE,
+  "sharedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "Shortlist_userId_name_key" ON "Shortlist"("userId", lower(name));
+
+CREATE TABLE IF NOT EXISTS "ShortlistItem" (
+  "shortlistId" TEXT NOT NULL REFERENCES "Shortlist"(id) ON DELETE CASCADE,
+  "listingId" TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  note TEXT,
+  "addedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  PRIMARY KEY ("shortlistId", "listingId")
+);
@@ -0,0 +1,30 @@
+-- Saved searches: a student's public-listing filter set plus how often to email new matches.
+-- SavedSearchAlert is the outbox: one row per (search, newly published listing), sent in
+-- batches by frequency. The unique key stops a re-published listing alerting twice.
+CREATE TABLE IF NOT EXISTS "SavedSearch" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "userId" TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  frequency TEXT NOT NULL DEFAULT 'DAILY', -- INSTANT | DAILY | WEEKLY
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  "unsubscribeToken" TEXT NOT NULL UNIQUE,
+  "lastAlertedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "SavedSearch_userId_idx" ON "SavedSearch"("userId");
+CREATE INDEX IF NOT EXISTS "SavedSearch_active_frequency_idx" ON "SavedSearch"(active, frequency);
+
+CREATE TABLE IF NOT EXISTS "SavedSearchAlert" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "savedSearchId" TEXT NOT NULL REFERENCES "SavedSearch"(id) ON DELETE CASCADE,
+  "listingId" TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'PENDING', -- PENDING | SENT | SKIPPED
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "sentAt" TIMESTAMP(3)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "SavedSearchAlert_savedSearchId_listingId_key"
+  ON "SavedSearchAlert"("savedSearchId", "listingId");
+CREATE INDEX IF NOT EXISTS "SavedSearchAlert_pending_idx"
+  ON "SavedSearchAlert"("savedSearchId") WHERE status = 'PENDING';
@@ -0,0 +1,37 @@
+-- Verified reviews: one per booking, written by the student who paid for it once the stay
+-- has started. Four 1-5 sub-scores; "rating" is their mean. Admins can hide a review
+-- (PUBLISHED -> HIDDEN and back); the listing's agent can post one public response.
+CREATE TABLE IF NOT EXISTS "ListingReview" (
+  id                 TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "listingId"        TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "agentId"          TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  "bookingId"        TEXT NOT NULL UNIQUE REFERENCES "Booking"(id) ON DELETE CASCADE,
+  "authorId"         TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  accuracy           SMALLINT NOT NULL CHECK (accuracy BETWEEN 1 AND 5),
+  cleanliness        SMALLINT NOT NULL CHECK (cleanliness BETWEEN 1 AND 5),
+  communication      SMALLINT NOT NULL CHECK (communication BETWEEN 1 AND 5),
+  value              SMALLINT NOT NULL CHECK (value BETWEEN 1 AND 5),
+  rating             DOUBLE PRECISION NOT NULL,
+  body               TEXT,
+  status             TEXT NOT NULL DEFAULT 'PUBLISHED',
+  "moderationNote"   TEXT,
+  "moderatedAt"      TIMESTAMP(3),
+  "moderatedById"    TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  response           TEXT,
+  "respondedAt"      TIMESTAMP(3),
+  "createdAt"        TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt"        TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "ListingReview_listingId_status_createdAt_idx"
+  ON "ListingReview"("listingId", status, "createdAt");
+CREATE INDEX IF NOT EXISTS "ListingReview_agentId_status_idx" ON "ListingReview"("agentId", status);
+CREATE INDEX IF NOT EXISTS "ListingReview_status_createdAt_idx" ON "ListingReview"(status, "createdAt");
+
+-- aggregates over PUBLISHED reviews (kept by syncReviewAggregates)
+ALTER TABLE "Listing"
+  ADD COLUMN IF NOT EXISTS rating DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS "reviewsCount" INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS "ratingScores" JSONB;
+
+ALTER TABLE "AgentProfile"
+  ADD COLUMN IF NOT EXISTS "reviewsCount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,16 @@
+-- Interest signals for listing analytics: detail views, favorites and inquiries.
+-- One row per visitor per listing per type per day ("visitorKey" is the user id, or a hash
+-- of IP + user agent for anonymous views). Applications, fees and offers are not copied
+-- here; they're read from Booking/Offer timestamps.
+CREATE TABLE IF NOT EXISTS "ListingEvent" (
+  id            TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "listingId"   TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  type          TEXT NOT NULL,
+  "visitorKey"  TEXT NOT NULL,
+  "userId"      TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  day           DATE NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')::date,
+  "createdAt"   TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "ListingEvent_listingId_type_visitorKey_day_key"
+  ON "ListingEvent"("listingId", type, "visitorKey", day);
+CREATE INDEX IF NOT EXISTS "ListingEvent_listingId_day_idx" ON "ListingEvent"("listingId", day);
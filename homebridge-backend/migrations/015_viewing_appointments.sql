@@ -0,0 +1,44 @@
+-- Viewings / virtual tours. Agents publish time slots per listing; a student books one.
+-- Times are stored in UTC (agents enter them in their own timezone; students' emails use the
+-- timezone their browser sent when booking). A slot holds at most one BOOKED appointment
+-- (partial unique index), which is what stops double-booking.
+-- Rescheduling moves the appointment to another slot and bumps "sequence" so calendar
+-- clients update the same event.
+CREATE TABLE IF NOT EXISTS "ViewingSlot" (
+  id              TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "listingId"     TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "agentId"       TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  "startsAt"      TIMESTAMP(3) NOT NULL,
+  "endsAt"        TIMESTAMP(3) NOT NULL,
+  kind            TEXT NOT NULL DEFAULT 'VIDEO',
+  "meetingUrl"    TEXT,
+  note            TEXT,
+  "cancelledAt"   TIMESTAMP(3),
+  "createdAt"     TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt"     TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  CHECK ("endsAt" > "startsAt")
+);
+CREATE INDEX IF NOT EXISTS "ViewingSlot_listingId_startsAt_idx" ON "ViewingSlot"("listingId", "startsAt");
+CREATE INDEX IF NOT EXISTS "ViewingSlot_agentId_startsAt_idx" ON "ViewingSlot"("agentId", "startsAt");
+
+CREATE TABLE IF NOT EXISTS "ViewingAppointment" (
+  id                TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "slotId"          TEXT NOT NULL REFERENCES "ViewingSlot"(id) ON DELETE CASCADE,
+  "listingId"       TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "studentId"       TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  "bookingId"       TEXT REFERENCES "Booking"(id) ON DELETE SET NULL,
+  status            TEXT NOT NULL DEFAULT 'BOOKED',
+  note              TEXT,
+  "studentTimezone" TEXT,
+  sequence          INTEGER NOT NULL DEFAULT 0,
+  "reminderSentAt"  TIMESTAMP(3),
+  "cancelledAt"     TIMESTAMP(3),
+  "cancelledById"   TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  "cancelReason"    TEXT,
+  "createdAt"       TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt"       TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "ViewingAppointment_booked_slotId_key"
+  ON "ViewingAppointment"("slotId") WHERE status = 'BOOKED';
+CREATE INDEX IF NOT EXISTS "ViewingAppointment_studentId_idx" ON "ViewingAppointment"("studentId", status);
+CREATE INDEX IF NOT EXISTS "ViewingAppointment_bookingId_idx" ON "ViewingAppointment"("bookingId");
@@ -0,0 +1,48 @@
+-- Calendar sync. CalendarFeed is a private ICS export behind an unguessable token: an agent's
+-- held/booked periods for a listing (optionally one unit) or a student's own key dates.
+-- CalendarImport pulls an external ICS (URL or local file) on a schedule into ListingBlackout,
+-- which student bookings may not overlap.
+CREATE TABLE IF NOT EXISTS "CalendarFeed" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "userId" TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL, -- LISTING | STUDENT
+  "listingId" TEXT REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "unitId" TEXT REFERENCES "ListingUnit"(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  "lastFetchedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "CalendarFeed_userId_idx" ON "CalendarFeed"("userId");
+
+CREATE TABLE IF NOT EXISTS "CalendarImport" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "agentId" TEXT NOT NULL REFERENCES "User"(id) ON DELETE CASCADE,
+  "listingId" TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "unitId" TEXT REFERENCES "ListingUnit"(id) ON DELETE CASCADE, -- NULL = whole listing
+  name TEXT,
+  source TEXT NOT NULL, -- http(s)/webcal URL, or a file under CALENDAR_IMPORT_DIR
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  "lastSyncedAt" TIMESTAMP(3),
+  "lastError" TEXT,
+  "eventsCount" INT NOT NULL DEFAULT 0,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "CalendarImport_agentId_idx" ON "CalendarImport"("agentId");
+CREATE INDEX IF NOT EXISTS "CalendarImport_listingId_idx" ON "CalendarImport"("listingId");
+
+-- whole days, endsOn exclusive (the same convention as ICS all-day events and checkOut)
+CREATE TABLE IF NOT EXISTS "ListingBlackout" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "listingId" TEXT NOT NULL REFERENCES "Listing"(id) ON DELETE CASCADE,
+  "unitId" TEXT REFERENCES "ListingUnit"(id) ON DELETE CASCADE, -- NULL = whole listing
+  "importId" TEXT REFERENCES "CalendarImport"(id) ON DELETE CASCADE,
+  uid TEXT,
+  summary TEXT,
+  "startsOn" DATE NOT NULL,
+  "endsOn" DATE NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  CHECK ("endsOn" > "startsOn")
+);
+CREATE INDEX IF NOT EXISTS "ListingBlackout_listingId_endsOn_idx" ON "ListingBlackout"("listingId", "endsOn");
+CREATE INDEX IF NOT EXISTS "ListingBlackout_importId_idx" ON "ListingBlackout"("importId");
@@ -0,0 +1,14 @@
+-- Every booking status change, written by src/lib/bookingLifecycle.js. fromStatus is NULL for
+-- the row recorded when a booking is created. actorId is NULL for system changes (jobs).
+CREATE TABLE IF NOT EXISTS "BookingStatusHistory" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "bookingId" TEXT NOT NULL REFERENCES "Booking"(id) ON DELETE CASCADE,
+  "fromStatus" TEXT,
+  "toStatus" TEXT NOT NULL,
+  "actorId" TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  "actorRole" TEXT NOT NULL, -- STUDENT | AGENT | ADMIN | SUPERADMIN | SYSTEM
+  reason TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "BookingStatusHistory_bookingId_createdAt_idx"
+  ON "BookingStatusHistory"("bookingId", "createdAt");
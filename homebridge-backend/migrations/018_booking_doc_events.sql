@@ -0,0 +1,14 @@
+-- Documents attached to / detached from a booking (for the booking timeline). filename is
+-- copied at the time so the entry still reads well after the document is deleted.
+CREATE TABLE IF NOT EXISTS "BookingDocEvent" (
+  id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+  "bookingId" TEXT NOT NULL REFERENCES "Booking"(id) ON DELETE CASCADE,
+  "docId" TEXT NOT NULL,
+  filename TEXT,
+  action TEXT NOT NULL, -- ATTACHED | DETACHED
+  "actorId" TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  "actorRole" TEXT NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS "BookingDocEvent_bookingId_createdAt_idx"
+  ON "BookingDocEvent"("bookingId", "createdAt");
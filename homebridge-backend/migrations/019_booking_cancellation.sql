@@ -0,0 +1,7 @@
+-- Student cancellations. Listing.cancellationPolicy overrides the global `cancellation`
+-- settings field by field (NULL = use the global policy); see src/lib/cancellation.js.
+ALTER TABLE "Listing" ADD COLUMN IF NOT EXISTS "cancellationPolicy" JSONB;
+
+ALTER TABLE "Booking"
+  ADD COLUMN IF NOT EXISTS "cancelledAt" TIMESTAMP(3),
+  ADD COLUMN IF NOT EXISTS "cancellationReason" TEXT;
@@ -0,0 +1,8 @@
+-- Offer expiry: the offer-expiry job moves SENT offers past "expiresAt" to EXPIRED and releases
+-- their unit holds. "remindersSent" lists the reminder thresholds (hours before expiry, from
+-- settings bookings.offerReminderHours) already emailed for the offer.
+ALTER TABLE "Offer"
+  ADD COLUMN IF NOT EXISTS "expiredAt" TIMESTAMP(3),
+  ADD COLUMN IF NOT EXISTS "remindersSent" INT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS "Offer_status_expiresAt_idx" ON "Offer"(status, "expiresAt");
@@ -0,0 +1,9 @@
+-- Who opened a refund request: the student (their own request or a cancellation) or an admin
+-- (admin refunds, Stripe dashboard refunds). Admin requests carry internal notes in `reason`,
+-- which the booking timeline only shows to admins.
+ALTER TABLE "RefundRequest"
+  ADD COLUMN IF NOT EXISTS "requestedById" TEXT REFERENCES "User"(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS "requestedByRole" TEXT NOT NULL DEFAULT 'STUDENT';
+
+UPDATE "RefundRequest" SET "requestedByRole" = 'ADMIN'
+ WHERE reason = 'Refunded in Stripe dashboard' AND "requestedByRole" = 'STUDENT';
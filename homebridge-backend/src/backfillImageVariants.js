@@ -0,0 +1,46 @@
+// src/backfillImageVariants.js
+// Strips metadata from and builds variants for listing photos uploaded before variants
+// existed (ListingImage.variants IS NULL). Safe to re-run; pass --all to redo every photo.
+import "dotenv/config";
+import fs from "fs/promises";
+import { query } from "./db.js";
+import { processListingImage } from "./lib/imageVariants.js";
+
+async function main() {
+  const all = process.argv.includes("--all");
+  const { rows } = await query(
+    `SELECT id, url, path FROM "ListingImage" ${all ? "" : "WHERE variants IS NULL"} ORDER BY "createdAt" ASC`
+  );
+
+  let done = 0;
+  let missing = 0;
+  let failed = 0;
+  for (const img of rows) {
+    if (!img.path || !(await fs.stat(img.path).catch(() => null))) {
+      missing++;
+      continue;
+    }
+    try {
+      // variants live next to the original, so their URLs only differ in the filename
+      const out = await processListingImage(img.path, (filename) => img.url.replace(/[^/]+$/, filename));
+      await query(
+        `UPDATE "ListingImage" SET size = $2, width = $3, height = $4, variants = $5, placeholder = $6
+         WHERE id = $1`,
+        [img.id, out.size, out.width, out.height, out.variants, out.placeholder]
+      );
+      done++;
+    } catch (e) {
+      console.error(`image ${img.id}: ${e.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`processed ${done} of ${rows.length} images; ${missing} missing on disk, ${failed} failed`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error("backfill failed:", e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,20 @@
+// src/jobs/calendarImports.js
+// Periodically re-reads agents' imported calendars into listing blackouts.
+import { syncAllCalendarImports } from "../lib/calendars.js";
+
+const EVERY_MS = Number(process.env.CALENDAR_IMPORT_INTERVAL_MS || 30 * 60 * 1000);
+
+export function startCalendarImportsJob() {
+  const run = async () => {
+    try {
+      const n = await syncAllCalendarImports();
+      if (n) console.log(`[calendars] synced ${n} imported calendar(s)`);
+    } catch (e) {
+      console.error("[calendars] sync failed:", e.message);
+    }
+  };
+  const timer = setInterval(run, EVERY_MS);
+  timer.unref();
+  run();
+  return timer;
+}
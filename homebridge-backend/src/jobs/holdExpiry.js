@@ -0,0 +1,20 @@
+// src/jobs/holdExpiry.js
+// Periodically closes out unit holds whose time ran out.
+import { releaseExpiredHolds } from "../lib/inventory.js";
+
+const EVERY_MS = Number(process.env.HOLD_SWEEP_INTERVAL_MS || 5 * 60 * 1000);
+
+export function startHoldExpiryJob() {
+  const run = async () => {
+    try {
+      const n = await releaseExpiredHolds();
+      if (n) console.log(`[holds] released ${n} expired hold(s)`);
+    } catch (e) {
+      console.error("[holds] sweep failed:", e.message);
+    }
+  };
+  const timer = setInterval(run, EVERY_MS);
+  timer.unref();
+  run();
+  return timer;
+}
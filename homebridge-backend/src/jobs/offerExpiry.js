@@ -0,0 +1,26 @@
+// src/jobs/offerExpiry.js
+// Periodically expires lapsed offers (releasing their holds) and sends offer expiry reminders.
+import { expireOffers, sendOfferReminders } from "../lib/offerExpiry.js";
+
+const EVERY_MS = Number(process.env.OFFER_EXPIRY_INTERVAL_MS || 5 * 60 * 1000);
+
+export function startOfferExpiryJob() {
+  const run = async () => {
+    try {
+      const n = await expireOffers();
+      if (n) console.log(`[offers] expired ${n} offer(s)`);
+    } catch (e) {
+      console.error("[offers] expiry sweep failed:", e.message);
+    }
+    try {
+      const n = await sendOfferReminders();
+      if (n) console.log(`[offers] sent ${n} reminder(s)`);
+    } catch (e) {
+      console.error("[offers] reminder sweep failed:", e.message);
+    }
+  };
+  const timer = setInterval(run, EVERY_MS);
+  timer.unref();
+  run();
+  return timer;
+}
@@ -0,0 +1,20 @@
+// src/jobs/savedSearchAlerts.js
+// Periodically emails DAILY/WEEKLY saved-search digests (and retries failed INSTANT ones).
+import { sendSavedSearchAlerts } from "../lib/savedSearches.js";
+
+const EVERY_MS = Number(process.env.SAVED_SEARCH_SWEEP_INTERVAL_MS || 15 * 60 * 1000);
+
+export function startSavedSearchAlertsJob() {
+  const run = async () => {
+    try {
+      const n = await sendSavedSearchAlerts();
+      if (n) console.log(`[saved-searches] sent ${n} alert email(s)`);
+    } catch (e) {
+      console.error("[saved-searches] sweep failed:", e.message);
+    }
+  };
+  const timer = setInterval(run, EVERY_MS);
+  timer.unref();
+  run();
+  return timer;
+}
@@ -0,0 +1,20 @@
+// src/jobs/viewingReminders.js
+// Periodically emails both sides ahead of upcoming viewing appointments.
+import { sendViewingReminders } from "../lib/viewings.js";
+
+const EVERY_MS = Number(process.env.VIEWING_REMINDER_INTERVAL_MS || 5 * 60 * 1000);
+
+export function startViewingRemindersJob() {
+  const run = async () => {
+    try {
+      const n = await sendViewingReminders();
+      if (n) console.log(`[viewings] sent ${n} reminder(s)`);
+    } catch (e) {
+      console.error("[viewings] reminder sweep failed:", e.message);
+    }
+  };
+  const timer = setInterval(run, EVERY_MS);
+  timer.unref();
+  run();
+  return timer;
+}
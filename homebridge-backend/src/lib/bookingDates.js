@@ -0,0 +1,112 @@
+// src/lib/bookingDates.js
+// Check-in / check-out rules for student bookings, applied on create and on date changes.
+// Dates are whole days in the org timezone (settings.org.timezone); checkOut is exclusive,
+// like blackouts. A timestamp input ("2027-09-01T00:00:00Z") is read as its local day there.
+import { query } from "../db.js";
+import { getAppSettings } from "./settings.js";
+import { isValidTimeZone } from "./viewings.js";
+import { CLOSED_STATUSES } from "./bookingLifecycle.js";
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_STAY_YEARS = 5;
+
+export async function orgTimeZone() {
+  const tz = (await getAppSettings()).org?.timezone;
+  return isValidTimeZone(tz) ? tz : "UTC";
+}
+
+/** "YYYY-MM-DD" of an instant in `timeZone` */
+const dayIn = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+/** A real calendar day as "YYYY-MM-DD", or null */
+export function parseBookingDate(input, timeZone = "UTC") {
+  const s = String(input ?? "").trim();
+  const m = DATE_RE.exec(s);
+  if (m) {
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? s : null; // no Feb 30
+  }
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(s)) return null;
+  const t = new Date(s);
+  return Number.isNaN(t.getTime()) ? null : dayIn(t, timeZone);
+}
+
+/** day + n months, clamped to the end of shorter months (Jan 31 + 1 = Feb 28/29) */
+export function addMonths(day, n) {
+  const [y, mo, d] = day.split("-").map(Number);
+  const last = new Date(Date.UTC(y, mo - 1 + n + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, mo - 1 + n, Math.min(d, last))).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a stay for a student on a listing (unitId optional):
+ *   - both dates real days, checkIn not in the past, checkOut after checkIn (max 5 years)
+ *   - checkIn on/after the unit's availableFrom, stay at least the unit's leaseMonths
+ *   - no other open booking of the student's on the same listing overlapping it
+ * Returns { ok, checkIn, checkOut } (normalised days) or { ok: false, status, error, ... }:
+ * 400 with error = { formErrors, fieldErrors } (the zod flatten() shape), or 409 with the
+ * overlapping booking as `conflict`.
+ */
+export async function validateBookingDates(
+  { studentId, listingId, unitId = null, checkIn, checkOut, excludeBookingId = null },
+  db = { query }
+) {
+  const tz = await orgTimeZone();
+  const fieldErrors = {};
+  const fail = (field, msg) => (fieldErrors[field] ||= []).push(msg);
+
+  const inDay = parseBookingDate(checkIn, tz);
+  const outDay = parseBookingDate(checkOut, tz);
+  if (!inDay) fail("checkIn", "Use a valid date (YYYY-MM-DD)");
+  if (!outDay) fail("checkOut", "Use a valid date (YYYY-MM-DD)");
+
+  const today = dayIn(new Date(), tz);
+  if (inDay && inDay < today) fail("checkIn", `Check-in can't be in the past (today is ${today}, ${tz})`);
+
+  if (inDay && outDay) {
+    if (outDay <= inDay) fail("checkOut", "Check-out must be after check-in");
+    else if (outDay > addMonths(inDay, 12 * MAX_STAY_YEARS)) {
+      fail("checkOut", `Stays are limited to ${MAX_STAY_YEARS} years`);
+    }
+
+    if (unitId) {
+      const { rows } = await db.query(
+        `SELECT "availableFrom", "leaseMonths" FROM "ListingUnit" WHERE id = $1`,
+        [unitId]
+      );
+      const u = rows[0];
+      const from = u ? parseBookingDate(u.availableFrom, tz) : null; // free text on older units
+      if (from && inDay < from) fail("checkIn", `This unit is available from ${from}`);
+      if (u?.leaseMonths > 0 && outDay > inDay) {
+        const minOut = addMonths(inDay, u.leaseMonths);
+        if (outDay < minOut) {
+          fail("checkOut", `This unit has a ${u.leaseMonths}-month lease: check out on ${minOut} or later`);
+        }
+      }
+    }
+  }
+  if (Object.keys(fieldErrors).length) {
+    return { ok: false, status: 400, error: { formErrors: [], fieldErrors } };
+  }
+
+  const { rows } = await db.query(
+    `SELECT id, status, "checkIn"::date::text AS "checkIn", "checkOut"::date::text AS "checkOut"
+     FROM "Booking"
+     WHERE "studentId" = $1 AND "listingId" = $2 AND status <> ALL($3::text[])
+       AND ($4::text IS NULL OR id <> $4)
+       AND "checkIn"::date < $6::date AND $5::date < COALESCE("checkOut"::date, 'infinity')
+     ORDER BY "checkIn" LIMIT 1`,
+    [studentId, listingId, CLOSED_STATUSES, excludeBookingId, inDay, outDay]
+  );
+  if (rows[0]) {
+    const { checkIn: from, checkOut: to } = rows[0];
+    return {
+      ok: false,
+      status: 409,
+      error: `You already have a booking here for ${from} ${to ? `→ ${to}` : "onwards"}`,
+      conflict: rows[0],
+    };
+  }
+  return { ok: true, checkIn: inDay, checkOut: outDay };
+}
@@ -0,0 +1,116 @@
+// src/lib/bookingLifecycle.js
+// The one place Booking.status changes. Statuses and the moves allowed between them live here;
+// every change goes through transitionBooking(), which refuses illegal moves and writes a
+// BookingStatusHistory row (from, to, actor, reason).
+//
+//   PENDING_PAYMENT -> PAYMENT_COMPLETE <-> READY_TO_SUBMIT -> UNDER_REVIEW -> APPROVED
+//   (fee paid)         (docs attached / removed)              (submitted)     (admin or offer sent)
+//   REJECTED and CANCELLED can be reached from any open status and are final.
+import { query } from "../db.js";
+
+export const BOOKING_STATUSES = [
+  "PENDING_PAYMENT",
+  "PAYMENT_COMPLETE",
+  "READY_TO_SUBMIT",
+  "UNDER_REVIEW",
+  "SUBMITTED", // legacy, treated like UNDER_REVIEW
+  "SENT_TO_PARTNER", // legacy, treated like UNDER_REVIEW
+  "APPROVED",
+  "REJECTED",
+  "CANCELLED",
+];
+
+/** Before submission: status follows the fee and the attached documents */
+export const PREP_STATUSES = ["PENDING_PAYMENT", "PAYMENT_COMPLETE", "READY_TO_SUBMIT"];
+export const CLOSED_STATUSES = ["REJECTED", "CANCELLED"];
+
+const END = ["REJECTED", "CANCELLED"];
+export const BOOKING_TRANSITIONS = {
+  PENDING_PAYMENT: ["PAYMENT_COMPLETE", "READY_TO_SUBMIT", ...END],
+  PAYMENT_COMPLETE: ["READY_TO_SUBMIT", "UNDER_REVIEW", "APPROVED", ...END],
+  READY_TO_SUBMIT: ["PAYMENT_COMPLETE", "UNDER_REVIEW", "APPROVED", ...END],
+  UNDER_REVIEW: ["APPROVED", ...END],
+  SUBMITTED: ["UNDER_REVIEW", "APPROVED", ...END],
+  SENT_TO_PARTNER: ["UNDER_REVIEW", "APPROVED", ...END],
+  APPROVED: [...END],
+  REJECTED: [],
+  CANCELLED: [],
+};
+
+const LABELS = {
+  PENDING_PAYMENT: "awaiting the application fee",
+  PAYMENT_COMPLETE: "paid (documents missing)",
+  READY_TO_SUBMIT: "ready to submit",
+  UNDER_REVIEW: "under review",
+  SUBMITTED: "submitted",
+  SENT_TO_PARTNER: "with the partner",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+};
+const label = (s) => LABELS[s] || String(s || "unknown").toLowerCase();
+
+/** { ok } | { ok: false, status: 409, error } — staying in the same status is always fine */
+export function checkTransition(from, to) {
+  if (!BOOKING_STATUSES.includes(to)) return { ok: false, status: 400, error: `Unknown booking status ${to}` };
+  if (from === to) return { ok: true };
+  if ((BOOKING_TRANSITIONS[from] || []).includes(to)) return { ok: true };
+  return { ok: false, status: 409, error: `This booking is ${label(from)} and can't be moved to ${label(to)}` };
+}
+
+/**
+ * The pre-submission status for a booking's fee/documents; submitted or closed bookings keep
+ * their status (fee or document changes never move them back).
+ */
+export function prepStatusFor({ status, feePaidAt, docsCount }) {
+  const current = status || "PENDING_PAYMENT";
+  if (!PREP_STATUSES.includes(current)) return current;
+  if (!feePaidAt) return "PENDING_PAYMENT";
+  return docsCount > 0 ? "READY_TO_SUBMIT" : "PAYMENT_COMPLETE";
+}
+
+/** { id, role } of the signed-in user, for history rows */
+export const actorFrom = (req) => ({ id: req.user?.id || null, role: String(req.user?.role || "").toUpperCase() });
+export const SYSTEM_ACTOR = { id: null, role: "SYSTEM" };
+
+/** Append a history row as is (booking creation; transitionBooking uses it for changes) */
+export async function logBookingStatus(db, { bookingId, from = null, to, actor = SYSTEM_ACTOR, reason = null }) {
+  await db.query(
+    `INSERT INTO "BookingStatusHistory" ("bookingId", "fromStatus", "toStatus", "actorId", "actorRole", reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [bookingId, from, to, actor.id || null, actor.role || "SYSTEM", reason]
+  );
+}
+
+/**
+ * Move a booking to `to`. Call inside tx() so the row lock holds until commit.
+ * Returns { ok, changed, from, to } or { ok: false, status, error } (404 / 409), in which case
+ * nothing was written. Moving to the current status is a no-op (changed: false, no history).
+ */
+export async function transitionBooking(c, { bookingId, to, actor = SYSTEM_ACTOR, reason = null }) {
+  const { rows } = await c.query(`SELECT status FROM "Booking" WHERE id = $1 FOR UPDATE`, [bookingId]);
+  if (!rows[0]) return { ok: false, status: 404, error: "Booking not found" };
+  const from = rows[0].status;
+
+  const check = checkTransition(from, to);
+  if (!check.ok) return { ...check, from, to };
+  if (from === to) return { ok: true, changed: false, from, to };
+
+  await c.query(`UPDATE "Booking" SET status = $2, "updatedAt" = NOW() WHERE id = $1`, [bookingId, to]);
+  await logBookingStatus(c, { bookingId, from, to, actor, reason });
+  return { ok: true, changed: true, from, to };
+}
+
+/** A booking's status changes, oldest first */
+export async function bookingStatusHistory(bookingId, db = { query }) {
+  const { rows } = await db.query(
+    `SELECT h.id, h."fromStatus", h."toStatus", h."actorId", h."actorRole", u.name AS "actorName", h.reason,
+            to_char(h."createdAt", 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS "createdAt"
+     FROM "BookingStatusHistory" h
+     LEFT JOIN "User" u ON u.id = h."actorId"
+     WHERE h."bookingId" = $1
+     ORDER BY h."createdAt" ASC`,
+    [bookingId]
+  );
+  return rows;
+}
@@ -0,0 +1,255 @@
+// src/lib/bookingTimeline.js
+// One chronological feed per booking, built from the tables that already record what happened:
+// status history, document attach/detach events, payments, offers, refund requests and the
+// booking's message thread. Each entry is { id, type, at, title, actor, ...details }.
+//
+// What each audience sees:
+//   ADMIN   everything, including refund processing notes
+//   STUDENT their booking; admins appear as role ADMIN without a name
+//   AGENT   as the student, minus admin reasons/notes, refund reasons, message bodies and fee
+//           payment details
+import { query } from "../db.js";
+import { bookingStatusHistory } from "./bookingLifecycle.js";
+
+export const TIMELINE_AUDIENCES = ["STUDENT", "AGENT", "ADMIN"];
+
+const iso = (col) => `to_char(${col}, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`;
+const ADMIN_ROLES = ["ADMIN", "SUPERADMIN"];
+
+/** Record which documents were attached/detached when a booking's docIds went from `before` to `after` */
+export async function logDocChanges(db, { bookingId, before = [], after = [], actor }) {
+  const prev = new Set(before || []);
+  const next = new Set(after || []);
+  const attached = [...next].filter((id) => !prev.has(id));
+  const detached = [...prev].filter((id) => !next.has(id));
+  if (!attached.length && !detached.length) return;
+
+  await db.query(
+    `INSERT INTO "BookingDocEvent" ("bookingId", "docId", filename, action, "actorId", "actorRole")
+     SELECT $1, x.id, d.filename, x.action, $4, $5
+     FROM (SELECT unnest($2::text[]) AS id, 'ATTACHED' AS action
+           UNION ALL SELECT unnest($3::text[]), 'DETACHED') x
+     LEFT JOIN "StudentDoc" d ON d.id = x.id`,
+    [bookingId, attached, detached, actor?.id || null, actor?.role || "SYSTEM"]
+  );
+}
+
+const STATUS_TITLES = {
+  PAYMENT_COMPLETE: "Application fee paid",
+  READY_TO_SUBMIT: "Ready to submit",
+  UNDER_REVIEW: "Submitted for review",
+  APPROVED: "Approved",
+  REJECTED: "Rejected",
+  CANCELLED: "Cancelled",
+};
+const statusTitle = (from, to) =>
+  to === "PAYMENT_COMPLETE" && from === "READY_TO_SUBMIT"
+    ? "Documents needed"
+    : STATUS_TITLES[to] || `Status changed to ${to}`;
+
+const money = (cents, currency) => ({ amountCents: cents || 0, currency: (currency || "USD").toUpperCase() });
+
+/**
+ * The booking's timeline for one audience (STUDENT | AGENT | ADMIN), oldest first.
+ * Returns null if the booking doesn't exist; access checks are the caller's job.
+ */
+export async function bookingTimeline(bookingId, audience = "ADMIN") {
+  const { rows: brows } = await query(
+    `SELECT b.id, b."studentId", b.status, b."paymentMethod", s.name AS "studentName",
+            ${iso(`b."createdAt"`)} AS "createdAt", ${iso(`b."feePaidAt"`)} AS "feePaidAt",
+            ${iso(`b."submittedAt"`)} AS "submittedAt"
+     FROM "Booking" b
+     LEFT JOIN "User" s ON s.id = b."studentId"
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const b = brows[0];
+  if (!b) return null;
+
+  const [history, docs, payments, offers, refunds, messages] = await Promise.all([
+    bookingStatusHistory(bookingId),
+    query(
+      `SELECT e.id, e."docId", e.filename, e.action, e."actorId", e."actorRole", u.name AS "actorName",
+              ${iso(`e."createdAt"`)} AS "createdAt"
+       FROM "BookingDocEvent" e
+       LEFT JOIN "User" u ON u.id = e."actorId"
+       WHERE e."bookingId" = $1`,
+      [bookingId]
+    ),
+    query(
+      `SELECT id, "offerId", type, status, "amountCents", currency, "cardBrand", "cardLast4", "receiptUrl",
+              ${iso(`"createdAt"`)} AS "createdAt"
+       FROM "StudentPayment"
+       WHERE "bookingId" = $1`,
+      [bookingId]
+    ),
+    query(
+      `SELECT o.id, o.status, o."agentId", u.name AS "agentName", o.currency, o.lines, o.note, o."payMethod",
+              ${iso(`o."createdAt"`)} AS "sentAt", ${iso(`o."expiresAt"`)} AS "expiresAt",
+              ${iso(`o."acceptedAt"`)} AS "acceptedAt", ${iso(`o."declinedAt"`)} AS "declinedAt",
+              ${iso(`o."paidNowAt"`)} AS "paidNowAt", ${iso(`o."expiredAt"`)} AS "expiredAt"
+       FROM "Offer" o
+       LEFT JOIN "User" u ON u.id = o."agentId"
+       WHERE o."bookingId" = $1`,
+      [bookingId]
+    ),
+    query(
+      `SELECT r.id, r."paymentId", r.status, r.reason, r."amountCents", r.currency, r."processedAmountCents",
+              r."processedNote", r."processedBy", u.name AS "processedByName",
+              r."requestedById", r."requestedByRole", q.name AS "requestedByName",
+              ${iso(`r."createdAt"`)} AS "createdAt", ${iso(`r."processedAt"`)} AS "processedAt"
+       FROM "RefundRequest" r
+       LEFT JOIN "User" u ON u.id = r."processedBy"
+       LEFT JOIN "User" q ON q.id = r."requestedById"
+       WHERE r."bookingId" = $1`,
+      [bookingId]
+    ),
+    query(
+      `SELECT m.id, m."threadId", m."senderRole", m."senderId", u.name AS "senderName", m.body,
+              ${iso(`m."createdAt"`)} AS "createdAt"
+       FROM "Message" m
+       JOIN "MessageThread" t ON t.id = m."threadId"
+       LEFT JOIN "User" u ON u.id = m."senderId"
+       WHERE t."bookingId" = $1`,
+      [bookingId]
+    ),
+  ]);
+
+  const isAdmin = audience === "ADMIN";
+  const isAgent = audience === "AGENT";
+
+  // admins stay anonymous to students and agents
+  const actor = (id, role, name) => {
+    const r = String(role || "SYSTEM").toUpperCase();
+    if (!isAdmin && ADMIN_ROLES.includes(r)) return { id: null, name: null, role: "ADMIN" };
+    return { id: id || null, name: name || null, role: r };
+  };
+  const student = actor(b.studentId, "STUDENT", b.studentName);
+
+  const items = [];
+  const add = (entry) => entry.at && items.push(entry);
+
+  // bookings created before status history existed only have their timestamps
+  if (!history.some((h) => h.fromStatus === null)) {
+    add({ id: `created:${b.id}`, type: "CREATED", at: b.createdAt, title: "Application created", actor: student });
+  }
+  if (!history.length && b.submittedAt) {
+    add({ id: `submitted:${b.id}`, type: "STATUS_CHANGED", at: b.submittedAt, title: "Submitted for review",
+      actor: student, fromStatus: null, toStatus: "UNDER_REVIEW", reason: null });
+  }
+  for (const h of history) {
+    const byAdmin = ADMIN_ROLES.includes(String(h.actorRole || "").toUpperCase());
+    add({
+      id: `status:${h.id}`,
+      type: h.fromStatus === null ? "CREATED" : "STATUS_CHANGED",
+      at: h.createdAt,
+      title: h.fromStatus === null ? "Application created" : statusTitle(h.fromStatus, h.toStatus),
+      actor: actor(h.actorId, h.actorRole, h.actorName),
+      fromStatus: h.fromStatus,
+      toStatus: h.toStatus,
+      reason: isAgent && byAdmin ? null : h.reason || null,
+    });
+  }
+
+  for (const d of docs.rows) {
+    const attached = d.action === "ATTACHED";
+    add({
+      id: `doc:${d.id}`,
+      type: attached ? "DOC_ATTACHED" : "DOC_DETACHED",
+      at: d.createdAt,
+      title: `${attached ? "Document attached" : "Document removed"}${d.filename ? `: ${d.filename}` : ""}`,
+      actor: actor(d.actorId, d.actorRole, d.actorName),
+      docId: d.docId,
+      filename: d.filename || null,
+    });
+  }
+
+  // card/M-Pesa payments made outside Stripe only leave feePaidAt / paidNowAt behind
+  const paid = (type, offerId = null) =>
+    payments.rows.some((p) => p.type === type && p.status === "succeeded" && (!offerId || p.offerId === offerId));
+
+  for (const p of payments.rows) {
+    const fee = p.type !== "OFFER_NOW";
+    if (isAgent && fee && p.status !== "succeeded") continue;
+    const entry = {
+      id: `payment:${p.id}`,
+      type: "PAYMENT",
+      at: p.createdAt,
+      title: `${fee ? "Application fee" : "Offer payment"} ${p.status === "succeeded" ? "received" : p.status}`,
+      actor: student,
+      paymentId: p.id,
+      paymentType: p.type,
+      status: p.status,
+      offerId: p.offerId || null,
+    };
+    if (!(isAgent && fee)) Object.assign(entry, money(p.amountCents, p.currency));
+    if (!isAgent) {
+      entry.cardBrand = p.cardBrand || null;
+      entry.cardLast4 = p.cardLast4 || null;
+      entry.receiptUrl = p.receiptUrl || null;
+    }
+    add(entry);
+  }
+  if (b.feePaidAt && !paid("APP_FEE")) {
+    add({ id: `fee:${b.id}`, type: "PAYMENT", at: b.feePaidAt, title: "Application fee received", actor: student,
+      paymentId: null, paymentType: "APP_FEE", status: "succeeded", method: b.paymentMethod || null });
+  }
+
+  for (const o of offers.rows) {
+    const agent = actor(o.agentId, "AGENT", o.agentName);
+    const total = (Array.isArray(o.lines) ? o.lines : []).reduce((s, l) => s + (Number(l.amountCents) || 0), 0);
+    add({ id: `offer:${o.id}:sent`, type: "OFFER_SENT", at: o.sentAt, title: "Offer sent", actor: agent,
+      offerId: o.id, expiresAt: o.expiresAt, note: o.note || null, ...money(total, o.currency) });
+    add({ id: `offer:${o.id}:accepted`, type: "OFFER_ACCEPTED", at: o.acceptedAt, title: "Offer accepted",
+      actor: student, offerId: o.id });
+    add({ id: `offer:${o.id}:declined`, type: "OFFER_DECLINED", at: o.declinedAt, title: "Offer declined",
+      actor: student, offerId: o.id });
+    add({ id: `offer:${o.id}:expired`, type: "OFFER_EXPIRED", at: o.expiredAt, title: "Offer expired",
+      actor: actor(null, "SYSTEM"), offerId: o.id });
+    if (o.paidNowAt && !paid("OFFER_NOW", o.id)) {
+      add({ id: `offer:${o.id}:paid`, type: "PAYMENT", at: o.paidNowAt, title: "Offer payment received", actor: student,
+        paymentId: null, paymentType: "OFFER_NOW", status: "succeeded", offerId: o.id, method: o.payMethod || null });
+    }
+  }
+
+  for (const r of refunds.rows) {
+    // admin-opened requests carry internal notes as their reason; the student only sees their own
+    const byStudent = String(r.requestedByRole || "STUDENT").toUpperCase() === "STUDENT";
+    add({ id: `refund:${r.id}:requested`, type: "REFUND_REQUESTED", at: r.createdAt, title: "Refund requested",
+      actor: byStudent ? student : actor(r.requestedById, r.requestedByRole, r.requestedByName),
+      refundId: r.id, paymentId: r.paymentId,
+      reason: isAdmin || (audience === "STUDENT" && byStudent) ? r.reason || null : null,
+      ...money(r.amountCents, r.currency) });
+    if (r.processedAt && r.status !== "PENDING") {
+      add({
+        id: `refund:${r.id}:processed`,
+        type: "REFUND_PROCESSED",
+        at: r.processedAt,
+        title: r.status === "REFUNDED" ? "Refund issued" : "Refund declined",
+        actor: actor(r.processedBy, "ADMIN", r.processedByName),
+        refundId: r.id,
+        status: r.status,
+        ...money(r.processedAmountCents ?? r.amountCents, r.currency),
+        ...(isAdmin ? { note: r.processedNote || null } : {}),
+      });
+    }
+  }
+
+  // the thread is between the student and our team; agents only see that a message was sent
+  for (const m of messages.rows) {
+    const who = actor(m.senderId, m.senderRole, m.senderName);
+    add({
+      id: `message:${m.id}`,
+      type: "MESSAGE",
+      at: m.createdAt,
+      title: who.role === "STUDENT" ? "Message from the student" : "Message from support",
+      actor: who,
+      threadId: isAgent ? null : m.threadId,
+      body: isAgent ? null : m.body,
+    });
+  }
+
+  const order = new Map(items.map((e, i) => [e, i]));
+  items.sort((x, y) => (x.at < y.at ? -1 : x.at > y.at ? 1 : order.get(x) - order.get(y)));
+  return { bookingId: b.id, status: b.status, items };
+}
@@ -0,0 +1,333 @@
+// src/lib/calendars.js
+// ICS calendar sync. Exports: a private feed of a listing's held/booked periods (derived from
+// bookings' checkIn/checkOut) and a student's own move-in / offer-expiry dates. Imports: an
+// agent's external calendar (URL or local file) fetched on a schedule into ListingBlackout,
+// whole days the booking flow won't let students book.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { query, tx } from "../db.js";
+import { holdCountsSql } from "./inventory.js";
+import { parseBookingDate } from "./bookingDates.js";
+import { buildCalendar, parseCalendar } from "./ics.js";
+import { fetchPublicUrl } from "./publicFetch.js";
+
+const APP_NAME = process.env.APP_NAME || "GlobalCribs";
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || "http://localhost:4000").replace(/\/$/, "");
+const ICS_DOMAIN = new URL(FRONTEND_URL).hostname || "localhost";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CALENDAR_IMPORT_DIR = path.resolve(
+  process.env.CALENDAR_IMPORT_DIR || path.join(__dirname, "..", "..", "data", "calendars")
+);
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const HISTORY_DAYS = 90; // how far back feeds still show past periods
+const HORIZON_DAYS = 730; // imported events further out than this are ignored
+
+export const newFeedToken = () => crypto.randomBytes(24).toString("base64url");
+export const feedUrlFor = (token) => `${API_PUBLIC_URL}/api/public/calendars/${encodeURIComponent(token)}.ics`;
+
+const addDays = (ymd, n) => new Date(Date.parse(`${ymd}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+
+/* ---------- exports ---------- */
+
+// A booking's occupied days on listing $1 (unit $2 if given): BOOKED once an offer is accepted
+// or paid (or its hold confirmed), HELD while an offer's hold is live; anything else is free.
+const OCCUPANCY_SQL = `
+  SELECT * FROM (
+    SELECT b.id, b."unitId", u.label AS "unitLabel",
+           b."checkIn"::date::text AS "startsOn",
+           (CASE WHEN b."checkOut"::date > b."checkIn"::date THEN b."checkOut"::date
+                 WHEN u."leaseMonths" > 0 THEN (b."checkIn" + make_interval(months => u."leaseMonths"))::date
+                 ELSE b."checkIn"::date + 1 END)::text AS "endsOn",
+           CASE WHEN EXISTS (SELECT 1 FROM "UnitHold" h WHERE h."bookingId" = b.id AND h.status = 'CONFIRMED')
+                  OR EXISTS (SELECT 1 FROM "Offer" o WHERE o."bookingId" = b.id
+                               AND (o."acceptedAt" IS NOT NULL OR o."paidNowAt" IS NOT NULL)) THEN 'BOOKED'
+                WHEN EXISTS (SELECT 1 FROM "UnitHold" h WHERE h."bookingId" = b.id AND ${holdCountsSql("h")}) THEN 'HELD'
+           END AS state
+    FROM "Booking" b
+    LEFT JOIN "ListingUnit" u ON u.id = b."unitId"
+    WHERE b."listingId" = $1 AND ($2::text IS NULL OR b."unitId" = $2)
+      AND b."checkIn" IS NOT NULL AND b.status NOT IN ('REJECTED', 'CANCELLED')
+  ) x
+  WHERE x.state IS NOT NULL AND x."endsOn"::date >= CURRENT_DATE - ${HISTORY_DAYS}
+  ORDER BY x."startsOn"`;
+
+const bookingRef = (id = "") => `BK-${String(id).replace(/-/g, "").slice(0, 8).toUpperCase()}`;
+
+/** ICS text for an agent's LISTING feed (null if the listing/unit is gone or changed hands) */
+async function listingFeedCalendar(feed) {
+  const { rows } = await query(
+    `SELECT l.id, l.title, u.label AS "unitLabel"
+     FROM "Listing" l
+     LEFT JOIN "ListingUnit" u ON u.id = $3 AND u."listingId" = l.id
+     WHERE l.id = $1 AND l."agentId" = $2`,
+    [feed.listingId, feed.userId, feed.unitId]
+  );
+  const l = rows[0];
+  if (!l || (feed.unitId && !l.unitLabel)) return null;
+
+  const { rows: periods } = await query(OCCUPANCY_SQL, [feed.listingId, feed.unitId]);
+  const where = feed.unitId ? `${l.title} — ${l.unitLabel}` : l.title;
+  return buildCalendar({
+    name: `${where} (${APP_NAME})`,
+    events: periods.map((p) => ({
+      uid: `booking-${p.id}@${ICS_DOMAIN}`,
+      allDay: true,
+      start: p.startsOn,
+      end: p.endsOn,
+      summary: `${p.state === "BOOKED" ? "Booked" : "Held (offer pending)"}${p.unitLabel ? ` — ${p.unitLabel}` : ""}`,
+      description: `${bookingRef(p.id)} · ${l.title}`,
+      url: `${FRONTEND_URL}/dashboard/agent/applications/${encodeURIComponent(p.id)}`,
+      status: p.state === "BOOKED" ? "CONFIRMED" : "TENTATIVE",
+    })),
+  });
+}
+
+/** ICS text for a student's own feed: move-in days and when pending offers expire */
+async function studentFeedCalendar(feed) {
+  const [moves, offers] = await Promise.all([
+    query(
+      `SELECT b.id, b."checkIn"::date::text AS day, l.title,
+              EXISTS (SELECT 1 FROM "Offer" o WHERE o."bookingId" = b.id AND o."acceptedAt" IS NOT NULL) AS confirmed
+       FROM "Booking" b
+       JOIN "Listing" l ON l.id = b."listingId"
+       WHERE b."studentId" = $1 AND b."checkIn" IS NOT NULL AND b.status NOT IN ('REJECTED', 'CANCELLED')
+         AND b."checkIn"::date >= CURRENT_DATE - ${HISTORY_DAYS}`,
+      [feed.userId]
+    ),
+    query(
+      `SELECT o.id, o."bookingId", to_char(o."expiresAt", 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') AS "expiresAt", l.title
+       FROM "Offer" o
+       JOIN "Booking" b ON b.id = o."bookingId"
+       JOIN "Listing" l ON l.id = b."listingId"
+       WHERE b."studentId" = $1 AND o.status = 'SENT' AND o."expiresAt" IS NOT NULL
+         AND o."acceptedAt" IS NULL AND o."declinedAt" IS NULL
+         AND b.status NOT IN ('REJECTED', 'CANCELLED')
+         AND o."expiresAt" >= NOW() - make_interval(days => ${HISTORY_DAYS})`,
+      [feed.userId]
+    ),
+  ]);
+  const bookingUrl = (id) => `${FRONTEND_URL}/dashboard/student/bookings/${encodeURIComponent(id)}`;
+
+  return buildCalendar({
+    name: `My ${APP_NAME} dates`,
+    events: [
+      ...moves.rows.map((m) => ({
+        uid: `movein-${m.id}@${ICS_DOMAIN}`,
+        allDay: true,
+        start: m.day,
+        end: addDays(m.day, 1),
+        summary: `Move-in: ${m.title}`,
+        description: `${bookingRef(m.id)}${m.confirmed ? "" : " (not confirmed yet)"}`,
+        url: bookingUrl(m.id),
+        status: m.confirmed ? "CONFIRMED" : "TENTATIVE",
+      })),
+      ...offers.rows.map((o) => ({
+        uid: `offer-expiry-${o.id}@${ICS_DOMAIN}`,
+        start: o.expiresAt,
+        end: o.expiresAt,
+        summary: `Offer expires: ${o.title}`,
+        description: `Accept and pay before this time to keep your place (${bookingRef(o.bookingId)}).`,
+        url: bookingUrl(o.bookingId),
+        status: "CONFIRMED",
+      })),
+    ],
+  });
+}
+
+/** The ICS text behind a feed token, or null for unknown/obsolete tokens */
+export async function calendarForToken(token) {
+  const { rows } = await query(`SELECT * FROM "CalendarFeed" WHERE token = $1`, [token]);
+  const feed = rows[0];
+  if (!feed) return null;
+  query(`UPDATE "CalendarFeed" SET "lastFetchedAt" = NOW() WHERE id = $1`, [feed.id]).catch(() => {});
+  return feed.kind === "STUDENT" ? studentFeedCalendar(feed) : listingFeedCalendar(feed);
+}
+
+/* ---------- blackouts ---------- */
+
+/**
+ * Whole days an imported event blocks: { startsOn, endsOn } (endsOn exclusive) or null.
+ * Timed events block every day they touch; a DTEND at midnight doesn't block that day.
+ */
+export function blackoutRange(e) {
+  const s = e.start;
+  if (!s || !parseBookingDate(s.date)) return null; // real calendar days only (no Feb 30)
+  const startsOn = s.date;
+  let endsOn;
+  if (e.end && parseBookingDate(e.end.date)) {
+    endsOn = e.end.allDay || e.end.time === "000000" ? e.end.date : addDays(e.end.date, 1);
+  } else if (e.duration) {
+    const m = /^P(?:(\d+)W)?(?:(\d+)D)?/.exec(e.duration);
+    endsOn = addDays(startsOn, Math.max(Number(m?.[1] || 0) * 7 + Number(m?.[2] || 0), 1));
+  } else {
+    endsOn = addDays(startsOn, 1);
+  }
+  return { startsOn, endsOn: endsOn > startsOn ? endsOn : addDays(startsOn, 1) };
+}
+
+/**
+ * First blackout overlapping a stay on a listing (whole-listing ones, plus the unit's own).
+ * checkIn/checkOut as sent by the client; a missing checkOut means just the check-in day.
+ */
+export async function findBlackoutConflict({ listingId, unitId = null, checkIn, checkOut = null }, db = { query }) {
+  if (!checkIn) return null;
+  const { rows } = await db.query(
+    `SELECT id, "unitId", "startsOn"::text AS "startsOn", "endsOn"::text AS "endsOn"
+     FROM "ListingBlackout"
+     WHERE "listingId" = $1 AND ("unitId" IS NULL OR "unitId" = $2)
+       AND "endsOn" > $3::timestamp::date
+       AND "startsOn" < GREATEST($4::timestamp::date, $3::timestamp::date + 1)
+     ORDER BY "startsOn" LIMIT 1`,
+    [listingId, unitId, checkIn, checkOut]
+  );
+  return rows[0] || null;
+}
+
+/** Upcoming blackouts of a listing, for date pickers (no event titles) */
+export async function listingBlackouts(listingId) {
+  const { rows } = await query(
+    `SELECT "unitId", "startsOn"::text AS "startsOn", "endsOn"::text AS "endsOn"
+     FROM "ListingBlackout"
+     WHERE "listingId" = $1 AND "endsOn" > CURRENT_DATE
+     ORDER BY "startsOn"`,
+    [listingId]
+  );
+  return rows;
+}
+
+/* ---------- imports ---------- */
+
+/**
+ * Validate an import source: http(s) or webcal URL, or a file path inside
+ * CALENDAR_IMPORT_DIR (stored relative to it). { ok, source } | { ok: false, error }
+ */
+export function normalizeImportSource(raw) {
+  const s = String(raw || "").trim();
+  if (/^webcals?:\/\//i.test(s)) return { ok: true, source: s.replace(/^webcals?:/i, "https:") };
+  if (/^https?:\/\//i.test(s)) {
+    try {
+      return { ok: true, source: new URL(s).toString() };
+    } catch {
+      return { ok: false, error: "Invalid calendar URL" };
+    }
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(s)) return { ok: false, error: "Use an http(s) or webcal URL" };
+  const file = path.resolve(CALENDAR_IMPORT_DIR, s);
+  if (!s || !file.startsWith(CALENDAR_IMPORT_DIR + path.sep)) {
+    return { ok: false, error: "Calendar files must be inside the calendar import folder" };
+  }
+  return { ok: true, source: path.relative(CALENDAR_IMPORT_DIR, file) };
+}
+
+async function readImportSource(source) {
+  if (!/^https?:\/\//i.test(source)) {
+    const file = path.resolve(CALENDAR_IMPORT_DIR, source);
+    const stat = await fs.stat(file);
+    if (stat.size > MAX_IMPORT_BYTES) throw new Error("Calendar file is too large");
+    return fs.readFile(file, "utf8");
+  }
+  const res = await fetchPublicUrl(source, {
+    label: "Calendar URL",
+    headers: { Accept: "text/calendar, text/plain;q=0.9, */*;q=0.5" },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Calendar URL answered ${res.status}`);
+  if (Number(res.headers.get("content-length") || 0) > MAX_IMPORT_BYTES) throw new Error("Calendar file is too large");
+
+  // stream it: stop reading (and drop the connection) as soon as it's over the cap
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > MAX_IMPORT_BYTES) throw new Error("Calendar file is too large"); // cancels the body
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Re-read one import and replace its blackouts. Cancelled and "free" (TRANSP:TRANSPARENT)
+ * events are skipped; recurring events only block their first occurrence. On failure the
+ * previous blackouts stay in place and the error is kept on the import.
+ * { ok, count } | { ok: false, error }
+ */
+export async function syncCalendarImport(importId) {
+  const { rows } = await query(`SELECT * FROM "CalendarImport" WHERE id = $1`, [importId]);
+  const imp = rows[0];
+  if (!imp) return { ok: false, error: "Import not found" };
+
+  let ranges;
+  try {
+    const text = await readImportSource(imp.source);
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error("Not an iCalendar (.ics) file");
+    const today = new Date().toISOString().slice(0, 10);
+    const horizon = addDays(today, HORIZON_DAYS);
+    ranges = parseCalendar(text)
+      .filter((e) => e.status !== "CANCELLED" && e.transp !== "TRANSPARENT")
+      .map((e) => ({ ...blackoutRange(e), uid: e.uid || null, summary: e.summary || null }))
+      .filter((r) => r.startsOn && r.endsOn > today && r.startsOn < horizon);
+  } catch (e) {
+    const error =
+      e.name === "TimeoutError"
+        ? "Calendar URL timed out"
+        : e.code === "ENOENT"
+          ? "Calendar file not found"
+          : e.message === "fetch failed"
+            ? "Could not reach the calendar URL"
+            : e.message;
+    await query(`UPDATE "CalendarImport" SET "lastError" = $2, "updatedAt" = NOW() WHERE id = $1`, [
+      imp.id,
+      String(error).slice(0, 500),
+    ]);
+    return { ok: false, error };
+  }
+
+  await tx(async (c) => {
+    await c.query(`DELETE FROM "ListingBlackout" WHERE "importId" = $1`, [imp.id]);
+    if (ranges.length) {
+      await c.query(
+        `INSERT INTO "ListingBlackout" ("listingId", "unitId", "importId", uid, summary, "startsOn", "endsOn")
+         SELECT $1, $2, $3, x.uid, x.summary, x.s, x.e
+         FROM unnest($4::text[], $5::text[], $6::date[], $7::date[]) AS x(uid, summary, s, e)`,
+        [
+          imp.listingId,
+          imp.unitId,
+          imp.id,
+          ranges.map((r) => r.uid),
+          ranges.map((r) => (r.summary ? r.summary.slice(0, 200) : null)),
+          ranges.map((r) => r.startsOn),
+          ranges.map((r) => r.endsOn),
+        ]
+      );
+    }
+    await c.query(
+      `UPDATE "CalendarImport"
+          SET "lastSyncedAt" = NOW(), "lastError" = NULL, "eventsCount" = $2, "updatedAt" = NOW()
+        WHERE id = $1`,
+      [imp.id, ranges.length]
+    );
+  });
+  return { ok: true, count: ranges.length };
+}
+
+/** Sync every active import, one at a time. Returns how many succeeded. */
+export async function syncAllCalendarImports() {
+  const { rows } = await query(`SELECT id FROM "CalendarImport" WHERE active = TRUE ORDER BY "lastSyncedAt" NULLS FIRST`);
+  let ok = 0;
+  for (const r of rows) {
+    // one broken import mustn't hold up everyone else's
+    try {
+      const out = await syncCalendarImport(r.id);
+      if (out.ok) ok += 1;
+      else console.error(`[calendars] import ${r.id} failed:`, out.error);
+    } catch (e) {
+      console.error(`[calendars] import ${r.id} failed:`, e.message);
+    }
+  }
+  return ok;
+}
@@ -0,0 +1,109 @@
+// src/lib/cancellation.js
+// Student cancellation policy and refund quotes. The global `cancellation` settings apply unless
+// the listing sets its own cancellationPolicy (any subset of the same fields).
+//
+// Offer payments: 100% back when cancelling >= fullRefundDays before check-in (in the org's
+// timezone), partialRefundPercent until check-in, nothing after. The application fee only comes
+// back if appFeeRefundable. Amounts already refunded (or pending) count against what is due.
+// Card/M-Pesa payments recorded without a StudentPayment row aren't covered: admins refund those.
+import { z } from "zod";
+import { query } from "../db.js";
+import { getAppSettings } from "./settings.js";
+import { isValidTimeZone } from "./viewings.js";
+
+export const CancellationPolicySchema = z.object({
+  fullRefundDays: z.number().int().min(0).max(365),
+  partialRefundPercent: z.number().int().min(0).max(100),
+  appFeeRefundable: z.boolean(),
+});
+/** A listing's override; null clears it */
+export const ListingCancellationPolicySchema = CancellationPolicySchema.partial().nullable();
+
+/** The listing's policy over the global one */
+export function effectivePolicy(listingPolicy, settings) {
+  const base = settings?.cancellation || {};
+  const own = listingPolicy && typeof listingPolicy === "object" ? listingPolicy : {};
+  const pick = (k) => (own[k] != null ? own[k] : base[k]);
+  return {
+    fullRefundDays: pick("fullRefundDays"),
+    partialRefundPercent: pick("partialRefundPercent"),
+    appFeeRefundable: pick("appFeeRefundable"),
+    source: Object.keys(own).some((k) => own[k] != null) ? "LISTING" : "GLOBAL",
+  };
+}
+
+/** FULL | PARTIAL | NONE and the share of offer payments it refunds */
+function offerTier(policy, daysBeforeCheckIn) {
+  if (daysBeforeCheckIn == null || daysBeforeCheckIn >= policy.fullRefundDays) return { tier: "FULL", percent: 100 };
+  if (daysBeforeCheckIn > 0) return { tier: "PARTIAL", percent: policy.partialRefundPercent };
+  return { tier: "NONE", percent: 0 };
+}
+
+/**
+ * What cancelling the booking now would refund, per successful payment:
+ * { policy, daysBeforeCheckIn, tier, items: [{ paymentId, type, paidCents, alreadyRefundedCents,
+ *   refundPercent, refundableCents, currency }], totals: [{ currency, refundableCents }],
+ *   totalRefundableCents, currency } or null. Payments can be in different currencies, so
+ * `totals` has one entry per currency; totalRefundableCents/currency are null when mixed.
+ * Pass the tx client when quoting inside the cancellation itself.
+ */
+export async function quoteCancellation(bookingId, db = { query }) {
+  const settings = await getAppSettings();
+  const tz = isValidTimeZone(settings.org?.timezone) ? settings.org.timezone : "UTC";
+
+  const { rows } = await db.query(
+    `SELECT b.id, l."cancellationPolicy",
+            (b."checkIn"::date - (NOW() AT TIME ZONE $2)::date) AS "daysBeforeCheckIn"
+     FROM "Booking" b
+     JOIN "Listing" l ON l.id = b."listingId"
+     WHERE b.id = $1`,
+    [bookingId, tz]
+  );
+  const b = rows[0];
+  if (!b) return null;
+
+  const { rows: payments } = await db.query(
+    `SELECT p.id, p.type, p."amountCents", p.currency,
+            COALESCE(SUM(CASE WHEN r.status = 'REFUNDED' THEN COALESCE(r."processedAmountCents", r."amountCents")
+                              WHEN r.status = 'PENDING' THEN r."amountCents" ELSE 0 END), 0)::int AS "refundedCents"
+     FROM "StudentPayment" p
+     LEFT JOIN "RefundRequest" r ON r."paymentId" = p.id
+     WHERE p."bookingId" = $1 AND p.status = 'succeeded'
+     GROUP BY p.id
+     ORDER BY p."createdAt"`,
+    [bookingId]
+  );
+
+  const policy = effectivePolicy(b.cancellationPolicy, settings);
+  const days = b.daysBeforeCheckIn == null ? null : Number(b.daysBeforeCheckIn);
+  const { tier, percent } = offerTier(policy, days);
+
+  const items = payments.map((p) => {
+    const fee = p.type === "APP_FEE";
+    const refundPercent = fee ? (policy.appFeeRefundable ? 100 : 0) : percent;
+    return {
+      paymentId: p.id,
+      type: p.type,
+      paidCents: p.amountCents || 0,
+      alreadyRefundedCents: p.refundedCents,
+      refundPercent,
+      refundableCents: Math.max(0, Math.floor(((p.amountCents || 0) * refundPercent) / 100) - p.refundedCents),
+      currency: (p.currency || settings.fees?.currency || "USD").toUpperCase(),
+    };
+  });
+
+  const byCurrency = new Map();
+  for (const i of items) byCurrency.set(i.currency, (byCurrency.get(i.currency) || 0) + i.refundableCents);
+  const totals = [...byCurrency].map(([currency, refundableCents]) => ({ currency, refundableCents }));
+  const single = totals.length <= 1;
+
+  return {
+    policy,
+    daysBeforeCheckIn: days,
+    tier,
+    items,
+    totals,
+    totalRefundableCents: single ? totals[0]?.refundableCents || 0 : null,
+    currency: single ? totals[0]?.currency || (settings.fees?.currency || "USD").toUpperCase() : null,
+  };
+}
@@ -0,0 +1,62 @@
+// src/lib/csv.js
+// Minimal RFC 4180 CSV: quoted fields, "" escapes, CRLF/LF line endings, embedded newlines.
+
+/** Parse CSV text into an array of records (arrays of strings). Blank lines are skipped. */
+export function parseCsv(text) {
+  const src = String(text).replace(/^﻿/, ""); // Excel's UTF-8 BOM
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || record.length) endRecord();
+  return records;
+}
+
+/** Records (arrays of values) to CSV text; null/undefined become empty cells */
+// Spreadsheets run cells starting with these as formulas; exports prefix them with ' to keep
+// them text, and imports drop that prefix again so files round-trip.
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+/** Undo toCsv's formula guard on an imported cell */
+export const unguardCell = (s) => (s.startsWith("'") && FORMULA_RE.test(s.slice(1)) ? s.slice(1) : s);
+
+export function toCsv(records) {
+  const cell = (v) => {
+    let s = v == null ? "" : String(v);
+    if (FORMULA_RE.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return records.map((r) => r.map(cell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,83 @@
+// src/lib/geo.js
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG_LAT = 111.32;
+
+/** "12.34" | 12.34 -> 12.34 when within ±max; "", null, junk -> null */
+export function parseCoordinate(v, max) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  if (!/^-?\d{1,3}(\.\d+)?$/.test(s)) return null;
+  const n = Number(s);
+  return Math.abs(n) <= max ? n : null;
+}
+
+export const parseLat = (v) => parseCoordinate(v, 90);
+export const parseLng = (v) => parseCoordinate(v, 180);
+
+/** "lat,lng" -> { lat, lng } | null */
+export function parseLatLng(v) {
+  const [a, b, ...rest] = String(v ?? "").split(",");
+  if (rest.length) return null;
+  const lat = parseLat(a);
+  const lng = parseLng(b);
+  return lat == null || lng == null ? null : { lat, lng };
+}
+
+/** "minLng,minLat,maxLng,maxLat" (west,south,east,north) -> box | null */
+export function parseBBox(v) {
+  const parts = String(v ?? "").split(",");
+  if (parts.length !== 4) return null;
+  const [minLng, minLat, maxLng, maxLat] = [
+    parseLng(parts[0]),
+    parseLat(parts[1]),
+    parseLng(parts[2]),
+    parseLat(parts[3]),
+  ];
+  if ([minLng, minLat, maxLng, maxLat].some((n) => n == null)) return null;
+  if (minLat > maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/** Box that fully contains a circle (used to pre-filter before the exact distance check) */
+export function boxAround({ lat, lng }, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEG_LAT;
+  const cos = Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  const dLng = radiusKm / (KM_PER_DEG_LAT * cos);
+  if (dLng >= 180) {
+    // a box wider than the globe can't narrow longitudes
+    return { minLat: Math.max(lat - dLat, -90), maxLat: Math.min(lat + dLat, 90), minLng: null, maxLng: null };
+  }
+  const wrap = (x) => (x < -180 ? x + 360 : x > 180 ? x - 360 : x);
+  return {
+    minLat: Math.max(lat - dLat, -90),
+    maxLat: Math.min(lat + dLat, 90),
+    minLng: wrap(lng - dLng),
+    maxLng: wrap(lng + dLng),
+  };
+}
+
+/** Great-circle distance in km (JS side) */
+export function distanceKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const h =
+    Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lng - a.lng) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** Haversine distance in km between a row's columns and two SQL placeholders */
+export function distanceKmSql(latCol, lngCol, latParam, lngParam) {
+  return `(${2 * EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(${latCol} - ${latParam}::float8) / 2), 2) +
+    COS(RADIANS(${latParam}::float8)) * COS(RADIANS(${latCol})) *
+    POWER(SIN(RADIANS(${lngCol} - ${lngParam}::float8) / 2), 2)
+  ))))`;
+}
+
+/** Longitude range check that also handles boxes crossing the antimeridian */
+export function lngRangeSql(lngCol, minParam, maxParam, crosses) {
+  return crosses
+    ? `(${lngCol} >= ${minParam} OR ${lngCol} <= ${maxParam})`
+    : `${lngCol} BETWEEN ${minParam} AND ${maxParam}`;
+}
@@ -0,0 +1,156 @@
+// src/lib/ics.js
+// Minimal iCalendar (RFC 5545) support: email invites (METHOD:REQUEST / CANCEL), feeds, and
+// reading the VEVENTs of imported calendars.
+const APP = process.env.APP_NAME || "GlobalCribs";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** Date -> 20261102T140000Z (UTC) */
+export const icsDateTime = (d) => {
+  const x = new Date(d);
+  return (
+    `${x.getUTCFullYear()}${pad(x.getUTCMonth() + 1)}${pad(x.getUTCDate())}` +
+    `T${pad(x.getUTCHours())}${pad(x.getUTCMinutes())}${pad(x.getUTCSeconds())}Z`
+  );
+};
+
+/** Date or "YYYY-MM-DD" -> 20261102 (all-day values) */
+export const icsDate = (d) =>
+  typeof d === "string" && /^\d{4}-\d{2}-\d{2}/.test(d)
+    ? d.slice(0, 10).replace(/-/g, "")
+    : icsDateTime(d).slice(0, 8);
+
+export const icsEscape = (s) =>
+  String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+
+// lines longer than 75 octets continue on the next line after a single space
+function fold(line) {
+  const buf = Buffer.from(line, "utf8");
+  if (buf.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+  while (start < buf.length) {
+    let end = Math.min(start + limit, buf.length);
+    while (end < buf.length && (buf[end] & 0xc0) === 0x80) end--; // don't split a UTF-8 char
+    parts.push(buf.subarray(start, end).toString("utf8"));
+    start = end;
+    limit = 74;
+  }
+  return parts.join("\r\n ");
+}
+
+const person = (prop, p, extra = "") =>
+  `${prop}${p.name ? `;CN=${icsEscape(p.name).replace(/"/g, "")}` : ""}${extra}:mailto:${p.email}`;
+
+/**
+ * Build a VCALENDAR.
+ * events: [{ uid, start, end, allDay?, summary, description?, location?, url?, sequence?,
+ *            status? ("CONFIRMED" | "TENTATIVE" | "CANCELLED"), organizer?: { name, email },
+ *            attendees?: [{ name, email }] }]
+ * All-day `end` is exclusive (the day after the last day), as the spec wants.
+ */
+export function buildCalendar({ events = [], method = null, name = null } = {}) {
+  const stamp = icsDateTime(new Date());
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:-//${icsEscape(APP)}//EN`, "CALSCALE:GREGORIAN"];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${icsEscape(name)}`);
+
+  for (const e of events) {
+    lines.push("BEGIN:VEVENT", `UID:${e.uid}`, `DTSTAMP:${stamp}`, `SEQUENCE:${e.sequence || 0}`);
+    if (e.allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(e.start)}`, `DTEND;VALUE=DATE:${icsDate(e.end)}`);
+    } else {
+      lines.push(`DTSTART:${icsDateTime(e.start)}`, `DTEND:${icsDateTime(e.end)}`);
+    }
+    lines.push(`SUMMARY:${icsEscape(e.summary)}`);
+    if (e.description) lines.push(`DESCRIPTION:${icsEscape(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${icsEscape(e.location)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    if (e.status) lines.push(`STATUS:${e.status}`);
+    if (e.organizer?.email) lines.push(person("ORGANIZER", e.organizer));
+    for (const a of e.attendees || []) {
+      if (a.email) lines.push(person("ATTENDEE", a, ";ROLE=REQ-PARTICIPANT;RSVP=FALSE"));
+    }
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+const unescapeText = (s) => s.replace(/\\([\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// 20261102 | 20261102T140000 | 20261102T140000Z -> { date: "2026-11-02", time: "140000"|null, utc }
+function parseIcsTime(value, params) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const allDay = params.VALUE === "DATE" || !m[4];
+  return { date: `${m[1]}-${m[2]}-${m[3]}`, time: allDay ? null : m[4], utc: !!m[5], allDay };
+}
+
+/**
+ * Parse the VEVENTs of an ICS document (lenient: unknown properties are ignored).
+ * Returns [{ uid, summary, status, transp, rrule, start, end, duration }], where start/end
+ * are { date: "YYYY-MM-DD", time: "HHMMSS" | null, utc, allDay } as written in the file
+ * (TZID wall times are kept as-is) and duration is the raw DURATION value.
+ */
+export function parseCalendar(text) {
+  const lines = String(text || "")
+    .replace(/\r\n[ \t]/g, "")
+    .replace(/\n[ \t]/g, "")
+    .split(/\r?\n/);
+  const events = [];
+  let cur = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      cur = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (cur?.start) events.push(cur);
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const [name, ...rawParams] = line.slice(0, colon).split(";");
+    const value = line.slice(colon + 1);
+    const params = Object.fromEntries(
+      rawParams.map((p) => {
+        const [k, v = ""] = p.split("=");
+        return [k.toUpperCase(), v.replace(/"/g, "")];
+      })
+    );
+    switch (name.toUpperCase()) {
+      case "UID":
+        cur.uid = value.trim();
+        break;
+      case "SUMMARY":
+        cur.summary = unescapeText(value);
+        break;
+      case "STATUS":
+        cur.status = value.trim().toUpperCase();
+        break;
+      case "TRANSP":
+        cur.transp = value.trim().toUpperCase();
+        break;
+      case "RRULE":
+        cur.rrule = value.trim();
+        break;
+      case "DTSTART":
+        cur.start = parseIcsTime(value, params);
+        break;
+      case "DTEND":
+        cur.end = parseIcsTime(value, params);
+        break;
+      case "DURATION":
+        cur.duration = value.trim();
+        break;
+    }
+  }
+  return events;
+}
@@ -0,0 +1,110 @@
+// src/lib/imageVariants.js
+// Responsive variants for listing photos. Every upload is re-encoded without metadata (EXIF
+// GPS in agents' phone photos would otherwise reveal where they live), then resized into
+// thumb/card/full in WebP and AVIF next to the original, plus a tiny inline LQIP placeholder.
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+
+export const IMAGE_VARIANTS = { thumb: 320, card: 768, full: 1600 };
+export const IMAGE_FORMATS = {
+  webp: { quality: 78 },
+  avif: { quality: 50, effort: 2 },
+};
+const PLACEHOLDER_WIDTH = 16;
+
+/**
+ * Strip metadata from the upload at `filePath` (in place, orientation baked in) and write its
+ * variants beside it. `urlFor(filename)` maps a written file to its public URL.
+ * Returns { width, height, size, variants, placeholder }; throws if the file isn't an image.
+ * variants = { thumb: { width, height, webp, avif }, card: {...}, full: {...} }
+ */
+export async function processListingImage(filePath, urlFor) {
+  // sharp drops EXIF/XMP/ICC on output unless asked to keep it; rotate() applies the EXIF
+  // orientation first so portrait photos don't end up sideways
+  const clean = await sharp(filePath).rotate().toBuffer({ resolveWithObject: true });
+  await fs.writeFile(filePath, clean.data);
+  const { width, height } = clean.info;
+
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  const variants = {};
+  for (const [name, maxWidth] of Object.entries(IMAGE_VARIANTS)) {
+    const entry = {};
+    for (const [format, opts] of Object.entries(IMAGE_FORMATS)) {
+      const filename = `${base}_${name}.${format}`;
+      const info = await sharp(clean.data)
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        [format](opts)
+        .toFile(path.join(dir, filename));
+      entry.width = info.width;
+      entry.height = info.height;
+      entry[format] = urlFor(filename);
+    }
+    variants[name] = entry;
+  }
+
+  const lqip = await sharp(clean.data).resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 40 }).toBuffer();
+
+  return {
+    width,
+    height,
+    size: clean.data.length,
+    variants,
+    placeholder: `data:image/webp;base64,${lqip.toString("base64")}`,
+  };
+}
+
+/** Files processListingImage wrote for the original at `filePath` (for cleanup on delete) */
+export function variantPaths(filePath) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  return Object.keys(IMAGE_VARIANTS).flatMap((name) =>
+    Object.keys(IMAGE_FORMATS).map((format) => path.join(dir, `${base}_${name}.${format}`))
+  );
+}
+
+/**
+ * Copy an image's original and variant files to a new base name in the same folder (for
+ * cloning a listing, so deleting either copy leaves the other intact). Returns
+ * { path, filename, variants } with the variant URLs re-pointed through `urlFor`.
+ */
+export async function copyListingImage(filePath, variants, urlFor) {
+  const dir = path.dirname(filePath);
+  const ext = path.extname(filePath);
+  const base = path.basename(filePath, ext);
+  const nextBase = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+  await fs.copyFile(filePath, path.join(dir, `${nextBase}${ext}`));
+  let copied = null;
+  if (variants) {
+    copied = {};
+    for (const [name, v] of Object.entries(variants)) {
+      const entry = { width: v.width, height: v.height };
+      for (const format of Object.keys(IMAGE_FORMATS)) {
+        if (!v[format]) continue;
+        const filename = `${nextBase}_${name}.${format}`;
+        await fs.copyFile(path.join(dir, `${base}_${name}.${format}`), path.join(dir, filename));
+        entry[format] = urlFor(filename);
+      }
+      copied[name] = entry;
+    }
+  }
+  return { path: path.join(dir, `${nextBase}${ext}`), filename: `${nextBase}${ext}`, variants: copied };
+}
+
+/**
+ * srcset-style map for the client: { webp: { "320w": url, ... }, avif: { ... } }.
+ * Kept as one URL per value so the server's upload URL normalizer can rewrite each of them.
+ */
+export function srcsetFor(variants) {
+  if (!variants) return null;
+  const out = {};
+  for (const format of Object.keys(IMAGE_FORMATS)) {
+    for (const name of Object.keys(IMAGE_VARIANTS)) {
+      const v = variants[name];
+      if (v?.[format]) (out[format] ||= {})[`${v.width}w`] = v[format];
+    }
+  }
+  return out;
+}
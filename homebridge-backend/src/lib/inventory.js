@@ -0,0 +1,160 @@
+// src/lib/inventory.js
+// Unit inventory: ListingUnit.availableCount is the agent-set capacity; UnitHold rows reserve
+// beds against it. remaining = availableCount - (CONFIRMED holds + unexpired ACTIVE holds).
+import { query } from "../db.js";
+import { getAppSettings } from "./settings.js";
+import { CLOSED_STATUSES } from "./bookingLifecycle.js";
+
+/** Holds that currently take a bed away from their unit */
+export const holdCountsSql = (alias = "h") =>
+  `(${alias}.status = 'CONFIRMED'
+    OR (${alias}.status = 'ACTIVE' AND (${alias}."expiresAt" IS NULL OR ${alias}."expiresAt" > NOW())))`;
+
+/** Real-time remaining beds for a ListingUnit row aliased as `alias` */
+export const unitRemainingSql = (alias = "u") =>
+  `GREATEST(COALESCE(${alias}."availableCount", 0) - (
+     SELECT COALESCE(SUM(h.quantity), 0) FROM "UnitHold" h
+     WHERE h."unitId" = ${alias}.id AND ${holdCountsSql("h")}
+   ), 0)::int`;
+
+/**
+ * Pick the unit a booking is for: the requested one (must belong to the listing), else the
+ * only unit of a single-unit listing. Listings without units have nothing to track.
+ * Returns { ok, unitId } or { ok: false, status, error }.
+ */
+export async function resolveBookingUnit(listingId, unitId, db = { query }) {
+  const { rows } = await db.query(
+    `SELECT id FROM "ListingUnit" WHERE "listingId" = $1 ORDER BY id ASC`,
+    [listingId]
+  );
+  if (unitId) {
+    if (!rows.some((r) => r.id === unitId)) {
+      return { ok: false, status: 400, error: "Unit does not belong to this listing" };
+    }
+    return { ok: true, unitId };
+  }
+  if (rows.length === 0) return { ok: true, unitId: null };
+  if (rows.length === 1) return { ok: true, unitId: rows[0].id };
+  return { ok: false, status: 400, error: "Choose a unit (unitId) for this listing" };
+}
+
+/** Remaining beds on a unit right now (optionally ignoring one booking's own holds) */
+export async function unitRemaining(unitId, { excludeBookingId = null, lock = false } = {}, db = { query }) {
+  const { rows } = await db.query(
+    `SELECT COALESCE("availableCount", 0)::int AS capacity
+     FROM "ListingUnit" WHERE id = $1 ${lock ? "FOR UPDATE" : ""}`,
+    [unitId]
+  );
+  if (!rows[0]) return null;
+  const held = await db.query(
+    `SELECT COALESCE(SUM(h.quantity), 0)::int AS n
+     FROM "UnitHold" h
+     WHERE h."unitId" = $1 AND ${holdCountsSql("h")}
+       AND ($2::text IS NULL OR h."bookingId" <> $2)`,
+    [unitId, excludeBookingId]
+  );
+  return Math.max(rows[0].capacity - held.rows[0].n, 0);
+}
+
+async function defaultHoldExpiry() {
+  const cfg = await getAppSettings();
+  const hours = Number(cfg.bookings?.unitHoldHours) || 72;
+  return new Date(Date.now() + hours * 3600 * 1000);
+}
+
+/**
+ * Reserve one bed on `unitId` for a booking (offer sent). Any previous hold of the same
+ * booking is superseded. Call inside tx(); checks availability before writing anything.
+ */
+export async function placeHold(c, { bookingId, unitId, offerId = null, expiresAt = null }) {
+  const remaining = await unitRemaining(unitId, { excludeBookingId: bookingId, lock: true }, c);
+  if (remaining == null) return { ok: false, status: 400, error: "Unit not found" };
+  if (remaining < 1) return { ok: false, status: 409, error: "No availability left for this unit" };
+
+  await releaseHolds(bookingId, "SUPERSEDED", c);
+  const { rows } = await c.query(
+    `INSERT INTO "UnitHold" ("unitId","bookingId","offerId",quantity,status,"expiresAt","createdAt","updatedAt")
+     VALUES ($1,$2,$3,1,'ACTIVE',$4,NOW(),NOW())
+     RETURNING *`,
+    [unitId, bookingId, offerId, expiresAt || (await defaultHoldExpiry())]
+  );
+  return { ok: true, hold: rows[0] };
+}
+
+/**
+ * Turn a booking's hold into a permanent one (offer accepted / paid). If the hold already
+ * lapsed, re-acquire a bed if one is still free. Bookings without a unit are a no-op.
+ */
+export async function confirmHold(c, { bookingId, offerId = null }) {
+  const { rows: bk } = await c.query(`SELECT "unitId" FROM "Booking" WHERE id = $1`, [bookingId]);
+  const unitId = bk[0]?.unitId;
+  if (!unitId) return { ok: true, hold: null };
+
+  const live = await c.query(
+    `UPDATE "UnitHold" h
+        SET status = 'CONFIRMED', "expiresAt" = NULL, "offerId" = COALESCE($2, "offerId"), "updatedAt" = NOW()
+      WHERE h."bookingId" = $1 AND ${holdCountsSql("h")}
+      RETURNING *`,
+    [bookingId, offerId]
+  );
+  if (live.rows[0]) return { ok: true, hold: live.rows[0] };
+
+  const remaining = await unitRemaining(unitId, { excludeBookingId: bookingId, lock: true }, c);
+  if (!remaining) return { ok: false, status: 409, error: "This unit is no longer available" };
+
+  await releaseHolds(bookingId, "SUPERSEDED", c);
+  const { rows } = await c.query(
+    `INSERT INTO "UnitHold" ("unitId","bookingId","offerId",quantity,status,"createdAt","updatedAt")
+     VALUES ($1,$2,$3,1,'CONFIRMED',NOW(),NOW())
+     RETURNING *`,
+    [unitId, bookingId, offerId]
+  );
+  return { ok: true, hold: rows[0] };
+}
+
+/** Give back every bed a booking is holding. reason: DECLINED | REJECTED | REFUNDED | ... */
+export async function releaseHolds(bookingId, reason, db = { query }) {
+  const { rowCount } = await db.query(
+    `UPDATE "UnitHold"
+        SET status = 'RELEASED', "releasedAt" = NOW(), "releaseReason" = $2, "updatedAt" = NOW()
+      WHERE "bookingId" = $1 AND status IN ('ACTIVE','CONFIRMED')`,
+    [bookingId, reason]
+  );
+  return rowCount;
+}
+
+/**
+ * After a refund: give the bed back only when the booking is closed (REJECTED / CANCELLED) and
+ * every offer payment on it has been refunded in full. Fee, partial and goodwill refunds on a
+ * live booking keep its hold.
+ */
+export async function releaseHoldsAfterRefund(bookingId, db = { query }) {
+  const { rows } = await db.query(
+    `SELECT b.status,
+            COALESCE((
+              SELECT bool_and(COALESCE((
+                       SELECT SUM(COALESCE(r."processedAmountCents", r."amountCents"))
+                       FROM "RefundRequest" r
+                       WHERE r."paymentId" = p.id AND r.status = 'REFUNDED'
+                     ), 0) >= p."amountCents")
+              FROM "StudentPayment" p
+              WHERE p."bookingId" = b.id AND p.type = 'OFFER_NOW' AND p.status = 'succeeded'
+            ), FALSE) AS "offerRefunded"
+     FROM "Booking" b
+     WHERE b.id = $1`,
+    [bookingId]
+  );
+  const b = rows[0];
+  if (!b || !CLOSED_STATUSES.includes(b.status) || !b.offerRefunded) return 0;
+  return releaseHolds(bookingId, "REFUNDED", db);
+}
+
+/** Mark lapsed ACTIVE holds as released (they already stopped counting at expiresAt) */
+export async function releaseExpiredHolds() {
+  const { rowCount } = await query(
+    `UPDATE "UnitHold"
+        SET status = 'RELEASED', "releasedAt" = NOW(), "releaseReason" = 'EXPIRED', "updatedAt" = NOW()
+      WHERE status = 'ACTIVE' AND "expiresAt" IS NOT NULL AND "expiresAt" <= NOW()`
+  );
+  return rowCount;
+}
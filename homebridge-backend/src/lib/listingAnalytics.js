@@ -0,0 +1,155 @@
+// src/lib/listingAnalytics.js
+// Listing performance for agents. Views, favorites and inquiries are recorded in ListingEvent
+// (at most one per visitor per listing per day); applications, fees paid and accepted offers
+// come straight from Booking/Offer, so the funnel covers history from before events existed.
+import crypto from "crypto";
+import { query } from "../db.js";
+import { parseBookingDate } from "./bookingDates.js";
+
+export const LISTING_EVENT_TYPES = ["VIEW", "FAVORITE", "INQUIRY"];
+export const FUNNEL_METRICS = ["views", "favorites", "inquiries", "applications", "feesPaid", "offersAccepted"];
+export const ANALYTICS_BUCKETS = ["day", "week"];
+export const MAX_RANGE_DAYS = 366;
+
+const METRIC_BY_TYPE = {
+  VIEW: "views",
+  FAVORITE: "favorites",
+  INQUIRY: "inquiries",
+  APPLICATION: "applications",
+  FEE_PAID: "feesPaid",
+  OFFER_ACCEPTED: "offersAccepted",
+};
+const BOT_UA = /bot|crawl|spider|slurp|preview|headless/i;
+
+/** Who is looking: the signed-in user, else a hash of IP + user agent (never stored raw) */
+export function visitorKeyFor(req) {
+  if (req.user?.id) return `u:${req.user.id}`;
+  const raw = `${req.ip || ""}|${req.get?.("user-agent") || ""}`;
+  return `a:${crypto.createHash("sha256").update(raw).digest("hex").slice(0, 32)}`;
+}
+
+/** Fire-and-forget: record one interest signal (repeats the same day are ignored) */
+export function recordListingEvent(listingId, type, { visitorKey, userId = null }) {
+  query(
+    `INSERT INTO "ListingEvent" ("listingId", type, "visitorKey", "userId")
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT ("listingId", type, "visitorKey", day) DO NOTHING`,
+    [listingId, type, visitorKey, userId]
+  ).catch((e) => console.error(`[analytics] ${type} for ${listingId} failed:`, e.message));
+}
+
+/** A public detail view; the listing's own agent and obvious bots don't count */
+export function recordListingView(req, listing) {
+  if (req.user?.id && req.user.id === listing.agentId) return;
+  if (BOT_UA.test(req.get?.("user-agent") || "")) return;
+  recordListingEvent(listing.id, "VIEW", { visitorKey: visitorKeyFor(req), userId: req.user?.id || null });
+}
+
+/** Listing id from a pasted frontend link (".../listings/<id>"), or null */
+export function listingIdFromUrl(url) {
+  const m = /\/listings\/([^/?#]+)/.exec(String(url || ""));
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]);
+  } catch {
+    return null; // bad %-escape
+  }
+}
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD&bucket=day|week (UTC days, both ends inclusive).
+ * Defaults to the last 30 days. { ok, from, to, bucket } | { ok: false, error }
+ */
+export function parseAnalyticsRange(q = {}) {
+  const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && parseBookingDate(s) === s; // no Feb 30
+  const day = (d) => d.toISOString().slice(0, 10);
+
+  const to = q.to ? String(q.to) : day(new Date());
+  if (!isDate(to)) return { ok: false, error: "to must be YYYY-MM-DD" };
+  const from = q.from ? String(q.from) : day(new Date(Date.parse(`${to}T00:00:00Z`) - 29 * 86400000));
+  if (!isDate(from)) return { ok: false, error: "from must be YYYY-MM-DD" };
+
+  const span = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (span < 1) return { ok: false, error: "from must not be after to" };
+  if (span > MAX_RANGE_DAYS) return { ok: false, error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+
+  const bucket = String(q.bucket || "day").toLowerCase();
+  if (!ANALYTICS_BUCKETS.includes(bucket)) return { ok: false, error: "bucket must be day or week" };
+  return { ok: true, from, to, bucket };
+}
+
+// (listingId, type, day) for everything that happened to the listings $1 between $2 and $3
+const ACTIVITY_SQL = `
+  SELECT "listingId", type, day FROM "ListingEvent"
+   WHERE "listingId" = ANY($1::text[]) AND day BETWEEN $2::date AND $3::date
+  UNION ALL
+  SELECT b."listingId", 'APPLICATION', b."createdAt"::date FROM "Booking" b
+   WHERE b."listingId" = ANY($1::text[]) AND b."createdAt"::date BETWEEN $2::date AND $3::date
+  UNION ALL
+  SELECT b."listingId", 'FEE_PAID', b."feePaidAt"::date FROM "Booking" b
+   WHERE b."listingId" = ANY($1::text[]) AND b."feePaidAt"::date BETWEEN $2::date AND $3::date
+  UNION ALL
+  SELECT b."listingId", 'OFFER_ACCEPTED', MIN(o."acceptedAt")::date
+    FROM "Offer" o JOIN "Booking" b ON b.id = o."bookingId"
+   WHERE b."listingId" = ANY($1::text[]) AND o."acceptedAt" IS NOT NULL
+   GROUP BY b.id, b."listingId"
+  HAVING MIN(o."acceptedAt")::date BETWEEN $2::date AND $3::date`;
+
+const emptyFunnel = () => Object.fromEntries(FUNNEL_METRICS.map((m) => [m, 0]));
+
+/** Step-to-step conversion (0-1, null when the previous step is 0) */
+export function funnelRates(f) {
+  const rate = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : null);
+  return {
+    viewToFavorite: rate(f.favorites, f.views),
+    viewToInquiry: rate(f.inquiries, f.views),
+    viewToApplication: rate(f.applications, f.views),
+    applicationToFeePaid: rate(f.feesPaid, f.applications),
+    feePaidToOfferAccepted: rate(f.offersAccepted, f.feesPaid),
+  };
+}
+
+/** Funnel counts per listing: { [listingId]: { views, favorites, ... } } (zeros included) */
+export async function listingFunnels(listingIds, { from, to }) {
+  const out = Object.fromEntries(listingIds.map((id) => [id, emptyFunnel()]));
+  if (!listingIds.length) return out;
+  const { rows } = await query(
+    `SELECT "listingId", type, COUNT(*)::int AS c FROM (${ACTIVITY_SQL}) a GROUP BY 1, 2`,
+    [listingIds, from, to]
+  );
+  rows.forEach((r) => {
+    out[r.listingId][METRIC_BY_TYPE[r.type]] = r.c;
+  });
+  return out;
+}
+
+/**
+ * Time series over the listings (summed), one entry per day/week in the range with zeros
+ * filled in: [{ start: "YYYY-MM-DD", views, favorites, ... }]. Weeks start on Monday.
+ */
+export async function listingSeries(listingIds, { from, to, bucket }) {
+  const { rows } = await query(
+    `WITH buckets AS (
+       SELECT generate_series(date_trunc($4, $2::date), $3::date, ('1 ' || $4)::interval)::date AS start
+     )
+     SELECT b.start::text AS start, a.type, COUNT(a.type)::int AS c
+     FROM buckets b
+     LEFT JOIN (${ACTIVITY_SQL}) a ON date_trunc($4, a.day)::date = b.start
+     GROUP BY b.start, a.type
+     ORDER BY b.start`,
+    [listingIds, from, to, bucket]
+  );
+  const byStart = new Map();
+  rows.forEach((r) => {
+    if (!byStart.has(r.start)) byStart.set(r.start, { start: r.start, ...emptyFunnel() });
+    if (r.type) byStart.get(r.start)[METRIC_BY_TYPE[r.type]] = r.c;
+  });
+  return [...byStart.values()];
+}
+
+/** Sum funnels: { views, favorites, ... } */
+export const sumFunnels = (funnels) =>
+  Object.values(funnels).reduce((acc, f) => {
+    FUNNEL_METRICS.forEach((m) => (acc[m] += f[m]));
+    return acc;
+  }, emptyFunnel());
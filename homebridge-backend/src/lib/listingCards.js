@@ -0,0 +1,62 @@
+// src/lib/listingCards.js
+// Public "card" shape for listing rows: gallery images (with variants) plus the cheapest
+// unit. Shared by search results and anywhere else a student sees a list of listings.
+import { query } from "../db.js";
+import { unitRemainingSql } from "./inventory.js";
+import { srcsetFor } from "./imageVariants.js";
+
+// public image shape: original url + sized variants, srcset map and LQIP placeholder
+export const presentImage = (i) => ({
+  id: i.id,
+  url: i.url,
+  order: i.order,
+  caption: i.caption ?? null,
+  altText: i.altText ?? null,
+  roomTag: i.roomTag ?? null,
+  width: i.width ?? null,
+  height: i.height ?? null,
+  placeholder: i.placeholder ?? null,
+  variants: i.variants ?? null,
+  srcset: srcsetFor(i.variants),
+});
+
+/** Listing rows -> the same rows with `images` (presented) and `units` ([cheapest] or []) */
+export async function hydrateListingCards(rows) {
+  const ids = rows.map((r) => r.id);
+  const imagesByListing = {};
+  const unitPeekByListing = {};
+
+  if (ids.length) {
+    const [imgs, units] = await Promise.all([
+      query(
+        `SELECT id, "listingId", url, "order", width, height, variants, placeholder,
+                caption, "altText", "roomTag"
+         FROM "ListingImage"
+         WHERE "listingId" = ANY($1)
+         ORDER BY "order" ASC`,
+        [ids]
+      ),
+      // one cheapest unit per listing
+      query(
+        `SELECT DISTINCT ON (u."listingId") u.id, u."listingId", u.size, u.price, u."availableCount",
+                ${unitRemainingSql("u")} AS "remainingCount"
+         FROM "ListingUnit" u
+         WHERE u."listingId" = ANY($1)
+         ORDER BY u."listingId", u.price ASC NULLS LAST, u.id ASC`,
+        [ids]
+      ),
+    ]);
+    imgs.rows.forEach((i) => {
+      (imagesByListing[i.listingId] ||= []).push(i);
+    });
+    units.rows.forEach((u) => {
+      unitPeekByListing[u.listingId] = u;
+    });
+  }
+
+  return rows.map((r) => ({
+    ...r,
+    images: (imagesByListing[r.id] || []).map(presentImage),
+    units: unitPeekByListing[r.id] ? [unitPeekByListing[r.id]] : [],
+  }));
+}
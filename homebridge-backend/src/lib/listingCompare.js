@@ -0,0 +1,183 @@
+// src/lib/listingCompare.js
+// Side-by-side comparison of a few published listings: one normalized row per listing plus
+// amenity/policy matrices, so the client doesn't have to diff raw listing payloads itself.
+import { query } from "../db.js";
+import { unitRemainingSql } from "./inventory.js";
+import { unitAvailableDateSql } from "./listingSearch.js";
+import { presentImage } from "./listingCards.js";
+
+export const MAX_COMPARE_LISTINGS = 4;
+
+const kycDisplay = (kyc) => {
+  const s = String(kyc || "").toUpperCase();
+  if (s === "PASSED" || s === "VERIFIED") return "Passed";
+  if (s === "FAILED") return "Failed";
+  return "Pending";
+};
+
+/**
+ * Free-text lists (amenities, policies) -> { all, common, presence }.
+ * Entries are matched case-insensitively; the first spelling seen is the label.
+ * presence: { [label]: { [listingId]: boolean } }
+ */
+function matrix(items, key) {
+  const labels = new Map(); // normalized -> label
+  const has = new Map(); // listingId -> Set(normalized)
+  for (const it of items) {
+    const set = new Set();
+    for (const raw of it[key] || []) {
+      const label = String(raw || "").trim();
+      if (!label) continue;
+      const k = label.toLowerCase();
+      if (!labels.has(k)) labels.set(k, label);
+      set.add(k);
+    }
+    has.set(it.id, set);
+  }
+
+  const keys = [...labels.keys()].sort((a, b) => labels.get(a).localeCompare(labels.get(b)));
+  const presence = {};
+  for (const k of keys) {
+    presence[labels.get(k)] = Object.fromEntries(items.map((it) => [it.id, has.get(it.id).has(k)]));
+  }
+  return {
+    all: keys.map((k) => labels.get(k)),
+    common: items.length ? keys.filter((k) => items.every((it) => has.get(it.id).has(k))).map((k) => labels.get(k)) : [],
+    presence,
+  };
+}
+
+/**
+ * Compare published listings by id (order kept, duplicates dropped).
+ * Distance is to the nearest campus of `universityId` when given, otherwise of each
+ * listing's own university. Returns { items, amenities, policies, missing }.
+ */
+export async function compareListings(ids, { universityId = null } = {}) {
+  const { rows } = await query(
+    `SELECT l.id, l.title, l.type, l.city, l.address, l.university, l."universityId",
+            l.furnished, l.verified, l.price, l.amenities, l.policies, l."agentId",
+            l."coverImageId", l.rating, l."reviewsCount", l."ratingScores"
+     FROM "Listing" l
+     WHERE l.id = ANY($1::text[]) AND l.published = TRUE`,
+    [ids]
+  );
+  const byId = Object.fromEntries(rows.map((r) => [r.id, r]));
+  const found = ids.filter((id) => byId[id]);
+  const missing = ids.filter((id) => !byId[id]);
+  if (!found.length) {
+    return { items: [], amenities: matrix([], "amenities"), policies: matrix([], "policies"), missing };
+  }
+
+  const [unitRes, distRes, imgRes, agentRes] = await Promise.all([
+    query(
+      `SELECT u."listingId",
+              MIN(u.price)::int AS "minPrice", MAX(u.price)::int AS "maxPrice",
+              ARRAY_REMOVE(ARRAY_AGG(DISTINCT u."leaseMonths" ORDER BY u."leaseMonths"), NULL) AS "leaseMonths",
+              MIN(${unitAvailableDateSql("u")})::text AS "earliestAvailableFrom",
+              BOOL_OR(${unitAvailableDateSql("u")} IS NULL OR ${unitAvailableDateSql("u")} <= CURRENT_DATE)
+                AS "availableNow",
+              COUNT(*)::int AS "unitsCount",
+              COALESCE(SUM(GREATEST(${unitRemainingSql("u")}, 0)), 0)::int AS "remainingCount"
+       FROM "ListingUnit" u
+       WHERE u."listingId" = ANY($1::text[])
+       GROUP BY u."listingId"`,
+      [found]
+    ),
+    // nearest campus of the chosen (or the listing's own) university
+    query(
+      `SELECT DISTINCT ON (d."listingId") d."listingId", d."universityId", un.name AS "universityName",
+              d."campusId", c.name AS "campusName",
+              ROUND(d."distanceKm"::numeric, 2)::float8 AS "distanceKm"
+       FROM "ListingCampusDistance" d
+       JOIN "Listing" l ON l.id = d."listingId"
+       JOIN "UniversityCampus" c ON c.id = d."campusId"
+       JOIN "University" un ON un.id = d."universityId"
+       WHERE d."listingId" = ANY($1::text[]) AND d."universityId" = COALESCE($2, l."universityId")
+       ORDER BY d."listingId", d."distanceKm" ASC`,
+      [found, universityId]
+    ),
+    query(
+      `SELECT id, "listingId", url, "order", width, height, variants, placeholder,
+              caption, "altText", "roomTag"
+       FROM "ListingImage"
+       WHERE "listingId" = ANY($1::text[])
+       ORDER BY "listingId", "order" ASC`,
+      [found]
+    ),
+    query(
+      `SELECT u.id, u.name, u.status, ap."orgName", ap."kycStatus", ap.rating
+       FROM "User" u
+       LEFT JOIN "AgentProfile" ap ON ap."userId" = u.id
+       WHERE u.id = ANY($1::text[])`,
+      [[...new Set(found.map((id) => byId[id].agentId))]]
+    ),
+  ]);
+
+  const unitsBy = Object.fromEntries(unitRes.rows.map((u) => [u.listingId, u]));
+  const distBy = Object.fromEntries(distRes.rows.map((d) => [d.listingId, d]));
+  const agentsBy = Object.fromEntries(agentRes.rows.map((a) => [a.id, a]));
+  const coverBy = {};
+  imgRes.rows.forEach((i) => {
+    const l = byId[i.listingId];
+    if (!coverBy[i.listingId] || i.id === l.coverImageId) coverBy[i.listingId] = i;
+  });
+
+  const items = found.map((id) => {
+    const l = byId[id];
+    const u = unitsBy[id];
+    const d = distBy[id];
+    const a = agentsBy[l.agentId];
+    // units carry the real prices; the headline price only stands in when none are priced
+    const prices = [u?.minPrice, u?.maxPrice].filter((p) => p != null);
+    const priceRange = prices.length
+      ? { min: Math.min(...prices), max: Math.max(...prices) }
+      : l.price != null
+        ? { min: l.price, max: l.price }
+        : null;
+    const kycStatus = kycDisplay(a?.kycStatus);
+
+    return {
+      id,
+      title: l.title,
+      type: l.type,
+      city: l.city,
+      address: l.address,
+      university: l.university,
+      coverImage: coverBy[id] ? presentImage(coverBy[id]) : null,
+      priceRange,
+      leaseMonths: u?.leaseMonths || [],
+      earliestAvailableFrom: u?.earliestAvailableFrom || null,
+      availableNow: u ? u.availableNow : null,
+      unitsCount: u?.unitsCount || 0,
+      remainingCount: u?.remainingCount || 0,
+      furnished: l.furnished,
+      listingVerified: !!l.verified,
+      rating: l.rating,
+      reviewsCount: l.reviewsCount,
+      ratingScores: l.ratingScores,
+      amenities: l.amenities || [],
+      policies: l.policies || [],
+      campus: d
+        ? {
+            universityId: d.universityId,
+            universityName: d.universityName,
+            campusId: d.campusId,
+            campusName: d.campusName,
+            distanceKm: d.distanceKm,
+          }
+        : null,
+      agent: a
+        ? {
+            id: a.id,
+            name: a.name,
+            orgName: a.orgName || null,
+            kycStatus,
+            rating: a.rating ?? null,
+            verified: kycStatus === "Passed" && String(a.status || "").toUpperCase() !== "SUSPENDED",
+          }
+        : null,
+    };
+  });
+
+  return { items, amenities: matrix(items, "amenities"), policies: matrix(items, "policies"), missing };
+}
@@ -0,0 +1,11 @@
+// src/lib/listingGallery.js
+// Room tags for listing photos, so students can jump straight to e.g. the bathroom shots.
+export const ROOM_TAGS = ["BEDROOM", "KITCHEN", "BATHROOM", "EXTERIOR", "FLOOR_PLAN"];
+
+/** "bathroom,floor-plan" -> ["BATHROOM", "FLOOR_PLAN"]; unknown tags are dropped */
+export function parseRoomTags(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase().replace(/[\s-]+/g, "_"))
+    .filter((t) => ROOM_TAGS.includes(t));
+}
@@ -0,0 +1,361 @@
+// src/lib/listingImport.js
+// Bulk import/export of an agent's listings. CSV has one row per unit: rows sharing an `id`
+// (existing listing) or a `key` (new listing) are one listing, and listing cells may be left
+// blank after its first row. List columns (highlights, amenities, policies, images) are
+// "|"-separated. JSON is an array of listing bodies with `units` and `images` arrays.
+// Export writes the same shapes, so a file can be edited in a spreadsheet and imported back.
+import path from "path";
+import { query } from "../db.js";
+import { parseCsv, toCsv, unguardCell } from "./csv.js";
+import { fetchPublicUrl } from "./publicFetch.js";
+import { BaseListingSchema, MAX_IMAGES_PER_LISTING, universityFromBody } from "./listings.js";
+
+export const MAX_IMPORT_LISTINGS = 200;
+const MAX_REMOTE_IMAGE_BYTES = 5 * 1024 * 1024;
+const LIST_SEP = "|";
+
+const LISTING_COLUMNS = [
+  "title", "type", "city", "university", "universityId", "price",
+  "description", "highlights", "amenities", "policies", "notes",
+  "address", "latitude", "longitude", "transitMins", "furnished",
+];
+const ARRAY_COLUMNS = ["highlights", "amenities", "policies"];
+const INT_COLUMNS = ["price", "unitPrice", "unitLeaseMonths", "unitAvailableCount"];
+// CSV column -> ListingUnit field
+const UNIT_COLUMNS = {
+  unitId: "id",
+  unitLabel: "label",
+  unitType: "type",
+  unitPrice: "price",
+  unitAvailableFrom: "availableFrom",
+  unitLeaseMonths: "leaseMonths",
+  unitSize: "size",
+  unitAvailableCount: "availableCount",
+};
+export const CSV_COLUMNS = ["id", "key", ...LISTING_COLUMNS, "images", ...Object.keys(UNIT_COLUMNS)];
+
+// ---------- parsing ----------
+
+// Spreadsheet cell -> the type BaseListingSchema expects. Values that don't convert are
+// passed through as strings so validation reports them against the right field.
+function cellValue(col, raw) {
+  const s = String(raw ?? "").trim();
+  if (ARRAY_COLUMNS.includes(col)) return s ? s.split(LIST_SEP).map((x) => x.trim()).filter(Boolean) : [];
+  if (!s) return col === "furnished" ? false : null;
+  if (INT_COLUMNS.includes(col)) return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : s;
+  if (col === "furnished") {
+    if (/^(true|yes|y|1)$/i.test(s)) return true;
+    if (/^(false|no|n|0)$/i.test(s)) return false;
+    return s;
+  }
+  return s;
+}
+
+const refsOf = (images) =>
+  [...new Set((images || []).map((x) => String(typeof x === "object" && x ? x.url : x ?? "").trim()).filter(Boolean))];
+
+/**
+ * CSV text -> { drafts, errors }. A draft is one listing:
+ * { row, id, key, body, unitRows, images } where `body` goes through BaseListingSchema,
+ * `unitRows[i]` is the CSV row of body.units[i], and `images` is undefined when the file
+ * leaves the listing's images alone. Row numbers count the header as row 1.
+ */
+export function draftsFromCsv(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (e) {
+    return { drafts: [], errors: [{ row: null, field: null, message: e.message }] };
+  }
+  if (!records.length) return { drafts: [], errors: [{ row: null, field: null, message: "The file is empty" }] };
+
+  const header = records[0].map((h) => h.trim());
+  const errors = [];
+  const unknown = header.filter((h) => h && !CSV_COLUMNS.includes(h));
+  if (unknown.length) errors.push({ row: 1, field: null, message: `Unknown columns: ${unknown.join(", ")}` });
+  if (!header.includes("title")) errors.push({ row: 1, field: "title", message: "Missing title column" });
+  if (errors.length) return { drafts: [], errors };
+
+  const groups = new Map();
+  records.slice(1).forEach((rec, i) => {
+    const row = i + 2;
+    const cells = Object.fromEntries(header.map((h, j) => [h, unguardCell(String(rec[j] ?? "").trim())]));
+    const id = cells.id || null;
+    const key = cells.key || null;
+    const groupKey = id ? `id:${id}` : key ? `key:${key}` : `row:${row}`;
+
+    let g = groups.get(groupKey);
+    if (!g) {
+      g = { row, id, key, cells, unitRows: [], units: [], hasUnits: false };
+      groups.set(groupKey, g);
+    } else {
+      for (const col of [...LISTING_COLUMNS, "images"]) {
+        if (cells[col] && cells[col] !== (g.cells[col] || "")) {
+          errors.push({ row, key: key || id, field: col, message: `Conflicts with row ${g.row}` });
+        }
+      }
+    }
+
+    const unitCols = Object.keys(UNIT_COLUMNS).filter((c) => c in cells);
+    if (unitCols.some((c) => cells[c])) {
+      const unit = {};
+      for (const col of unitCols) {
+        const v = cellValue(col, cells[col]);
+        unit[UNIT_COLUMNS[col]] = col === "unitId" ? v || undefined : v;
+      }
+      g.units.push(unit);
+      g.unitRows.push(row);
+      g.hasUnits = true;
+    }
+  });
+
+  const drafts = [...groups.values()].map((g) => {
+    const body = {};
+    for (const col of LISTING_COLUMNS) {
+      if (col in g.cells) body[col] = cellValue(col, g.cells[col]);
+    }
+    if (g.hasUnits) body.units = g.units;
+    return {
+      row: g.row,
+      id: g.id,
+      key: g.key,
+      body,
+      unitRows: g.unitRows,
+      images: g.cells.images ? refsOf(g.cells.images.split(LIST_SEP)) : undefined,
+    };
+  });
+  return { drafts, errors };
+}
+
+/** JSON text (an array, or { listings: [...] }) -> { drafts, errors }; rows are 1-based item numbers */
+export function draftsFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^﻿/, ""));
+  } catch {
+    return { drafts: [], errors: [{ row: null, field: null, message: "Invalid JSON" }] };
+  }
+  const items = Array.isArray(data) ? data : data?.listings;
+  if (!Array.isArray(items)) {
+    return { drafts: [], errors: [{ row: null, field: null, message: "Expected an array of listings" }] };
+  }
+
+  const errors = [];
+  const drafts = [];
+  items.forEach((item, i) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      errors.push({ row: i + 1, field: null, message: "Expected a listing object" });
+      return;
+    }
+    const { id, key, images, verified, coverImageId, ref, ...body } = item;
+    drafts.push({
+      row: i + 1,
+      id: id ? String(id) : null,
+      key: key ? String(key) : null,
+      body,
+      unitRows: [],
+      images: images === undefined ? undefined : refsOf(Array.isArray(images) ? images : [images]),
+    });
+  });
+  return { drafts, errors };
+}
+
+// ---------- validation ----------
+
+// zod issue path -> CSV-ish field name and row
+function issueLocation(draft, issuePath) {
+  const [head, index, field] = issuePath;
+  if (head === "units" && typeof index === "number") {
+    const col = Object.keys(UNIT_COLUMNS).find((c) => UNIT_COLUMNS[c] === field);
+    return { row: draft.unitRows[index] ?? draft.row, field: col || `units.${index}` };
+  }
+  return { row: draft.row, field: head == null ? null : String(head) };
+}
+
+// "https://.../uploads/listings/abc.jpg" and "abc.jpg" both -> "abc.jpg"
+function fileNameOf(ref) {
+  try {
+    return path.posix.basename(new URL(ref).pathname);
+  } catch {
+    return path.posix.basename(ref);
+  }
+}
+
+/**
+ * Check drafts for `agentId` without writing anything. `zipFiles` (Map name -> Buffer) is
+ * the bundle the file came in, if any. Returns { plan, errors }; each plan entry is
+ * { row, id, key, action: "create" | "update", data, fields, uni, units?, images? } where
+ * fields are the body keys the file actually had (an update leaves the others alone) and
+ * images lists, in gallery order, { imageId } (kept), { zip: name } or { url } (new).
+ */
+export async function planImport(drafts, agentId, { zipFiles = null } = {}) {
+  const errors = [];
+  const at = (draft, field, message, row = draft.row) =>
+    errors.push({ row, key: draft.key || draft.id, field, message });
+
+  if (drafts.length > MAX_IMPORT_LISTINGS) {
+    return {
+      plan: [],
+      errors: [{ row: null, field: null, message: `At most ${MAX_IMPORT_LISTINGS} listings per import` }],
+    };
+  }
+
+  const ids = [...new Set(drafts.filter((d) => d.id).map((d) => d.id))];
+  const [listings, units, images] = ids.length
+    ? await Promise.all([
+        query(`SELECT id, "agentId", status FROM "Listing" WHERE id = ANY($1::text[])`, [ids]),
+        query(`SELECT id, "listingId" FROM "ListingUnit" WHERE "listingId" = ANY($1::text[])`, [ids]),
+        query(`SELECT id, "listingId", url FROM "ListingImage" WHERE "listingId" = ANY($1::text[])`, [ids]),
+      ])
+    : [{ rows: [] }, { rows: [] }, { rows: [] }];
+  const listingById = new Map(listings.rows.map((l) => [l.id, l]));
+
+  const zipByName = new Map();
+  if (zipFiles) {
+    for (const name of zipFiles.keys()) {
+      zipByName.set(name, name);
+      if (!zipByName.has(path.posix.basename(name))) zipByName.set(path.posix.basename(name), name);
+    }
+  }
+
+  const seen = new Map();
+  const plan = [];
+  for (const draft of drafts) {
+    const before = errors.length;
+    const ident = draft.id || (draft.key && `key:${draft.key}`);
+    if (ident && seen.has(ident)) at(draft, draft.id ? "id" : "key", `Duplicate of row ${seen.get(ident)}`);
+    if (ident) seen.set(ident, draft.row);
+
+    const parsed = BaseListingSchema.safeParse(draft.body);
+    if (!parsed.success) {
+      for (const issue of parsed.error.issues) {
+        const loc = issueLocation(draft, issue.path);
+        at(draft, loc.field, issue.message, loc.row);
+      }
+    }
+
+    if (draft.id) {
+      const l = listingById.get(draft.id);
+      if (!l || l.agentId !== agentId) at(draft, "id", "Listing not found");
+      else if (l.status === "ARCHIVED") at(draft, "id", "Archived listings must be restored before editing");
+    }
+
+    const unitIds = new Set(units.rows.filter((u) => u.listingId === draft.id).map((u) => u.id));
+    (draft.body.units || []).forEach((u, i) => {
+      if (!u?.id) return;
+      const row = draft.unitRows[i] ?? draft.row;
+      if (!draft.id) at(draft, "unitId", "New listings can't reference existing units", row);
+      else if (!unitIds.has(u.id)) at(draft, "unitId", "Unknown unit id for this listing", row);
+    });
+
+    let imagePlan;
+    if (draft.images) {
+      if (draft.images.length > MAX_IMAGES_PER_LISTING) {
+        at(draft, "images", `At most ${MAX_IMAGES_PER_LISTING} images per listing`);
+      }
+      const stored = images.rows.filter((img) => img.listingId === draft.id);
+      imagePlan = draft.images.map((ref) => {
+        const keep = stored.find((img) => fileNameOf(img.url) === fileNameOf(ref));
+        if (keep) return { imageId: keep.id };
+        const inZip = zipByName.get(ref) || zipByName.get(path.posix.basename(ref));
+        if (inZip) return { zip: inZip };
+        if (/^https?:\/\//i.test(ref)) return { url: ref };
+        at(draft, "images", zipFiles ? `"${ref}" is not in the zip` : `"${ref}" is not a URL`);
+        return null;
+      });
+    }
+
+    const uni = parsed.success ? await universityFromBody(parsed.data) : null;
+    if (uni?.error) at(draft, "universityId", uni.error);
+
+    if (errors.length > before) continue;
+    const d = parsed.data;
+    plan.push({
+      row: draft.row,
+      id: draft.id,
+      key: draft.key,
+      action: draft.id ? "update" : "create",
+      data: d,
+      fields: Object.keys(draft.body),
+      uni,
+      units: draft.body.units ? d.units : undefined,
+      images: imagePlan,
+    });
+  }
+  return { plan, errors };
+}
+
+// ---------- remote images ----------
+
+/**
+ * Download an image for import: http(s) only, public addresses only (checked again on each
+ * redirect), image/* content type, at most 5MB. Returns a Buffer; throws with a message
+ * that can be shown to the agent.
+ */
+export async function fetchImportImage(url) {
+  const res = await fetchPublicUrl(url, { label: "Image URL", signal: AbortSignal.timeout(15000) }).catch((e) => {
+    throw e.name === "TypeError" || e.name === "TimeoutError" ? new Error("Could not download image") : e;
+  });
+  if (!res.ok) throw new Error(`Image download failed (HTTP ${res.status})`);
+  if (!/^image\//i.test(res.headers.get("content-type") || "")) throw new Error("URL is not an image");
+  if (Number(res.headers.get("content-length") || 0) > MAX_REMOTE_IMAGE_BYTES) throw new Error("Image is larger than 5MB");
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > MAX_REMOTE_IMAGE_BYTES) throw new Error("Image is larger than 5MB");
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// ---------- export ----------
+
+/**
+ * An agent's listings in import shape (JSON flavour), oldest first. Archived listings are
+ * left out unless `archived` is true (they can't be imported back until restored).
+ */
+export async function exportListings(agentId, { archived = false } = {}) {
+  const { rows } = await query(
+    `SELECT l.id, l.title, l.type, l.city, l.university, l."universityId", l.price,
+            l.description, l.highlights, l.amenities, l.policies, l.notes,
+            l.address, l.latitude, l.longitude, l."transitMins", l.furnished,
+            COALESCE((SELECT jsonb_agg(i.url ORDER BY i."order", i."createdAt")
+                      FROM "ListingImage" i WHERE i."listingId" = l.id), '[]'::jsonb) AS images,
+            COALESCE((SELECT jsonb_agg(jsonb_build_object(
+                        'id', u.id, 'label', u.label, 'type', u.type, 'price', u.price,
+                        'availableFrom', u."availableFrom", 'leaseMonths', u."leaseMonths",
+                        'size', u.size, 'availableCount', u."availableCount") ORDER BY u.label, u.id)
+                      FROM "ListingUnit" u WHERE u."listingId" = l.id), '[]'::jsonb) AS units
+     FROM "Listing" l
+     WHERE l."agentId" = $1 ${archived ? "" : `AND l.status <> 'ARCHIVED'`}
+     ORDER BY l."createdAt" ASC`,
+    [agentId]
+  );
+  return rows;
+}
+
+/** exportListings() rows -> CSV text: one row per unit, listing cells only on the first */
+export function listingsToCsv(listings) {
+  const records = [CSV_COLUMNS];
+  for (const l of listings) {
+    const listingCells = {
+      ...Object.fromEntries(LISTING_COLUMNS.map((col) => [col, l[col]])),
+      highlights: (l.highlights || []).join(LIST_SEP),
+      amenities: (l.amenities || []).join(LIST_SEP),
+      policies: (l.policies || []).join(LIST_SEP),
+      images: (l.images || []).join(LIST_SEP),
+      furnished: l.furnished ? "true" : "false",
+    };
+    const units = l.units?.length ? l.units : [null];
+    units.forEach((u, i) => {
+      const cells = { id: l.id, ...(i === 0 ? listingCells : {}) };
+      if (u) {
+        for (const [col, field] of Object.entries(UNIT_COLUMNS)) cells[col] = u[field];
+      }
+      records.push(CSV_COLUMNS.map((col) => cells[col]));
+    });
+  }
+  return toCsv(records);
+}
@@ -0,0 +1,50 @@
+// src/lib/listingReports.js
+// Abuse reports on listings. Listing."reportsCount" always equals the number of OPEN reports;
+// reaching settings.moderation.reportThreshold flags the listing needsReview (admin queue).
+import { query } from "../db.js";
+import { getAppSettings } from "./settings.js";
+import { recordRevision } from "./listingRevisions.js";
+
+export const REPORT_CATEGORIES = ["SCAM", "WRONG_PRICE", "UNAVAILABLE", "OFFENSIVE_PHOTOS"];
+export const REPORT_STATUSES = ["OPEN", "RESOLVED", "DISMISSED"];
+
+export const REPORT_LABELS = {
+  SCAM: "Scam or fraud",
+  WRONG_PRICE: "Wrong price",
+  UNAVAILABLE: "No longer available",
+  OFFENSIVE_PHOTOS: "Offensive photos",
+};
+
+/**
+ * Recount a listing's open reports and flag it for review once the threshold is reached.
+ * Call inside the tx that opened/closed reports. Returns { reportsCount, flagged } where
+ * `flagged` is true only when this call turned needsReview on.
+ */
+export async function syncReportsCount(listingId, db = { query }) {
+  const cfg = await getAppSettings();
+  const threshold = Number(cfg.moderation?.reportThreshold) || 3;
+
+  const { rows } = await db.query(
+    `UPDATE "Listing" l
+        SET "reportsCount" = x.c,
+            "needsReview" = l."needsReview" OR x.c >= $2
+       FROM (SELECT COUNT(*)::int AS c FROM "ListingReport"
+              WHERE "listingId" = $1 AND status = 'OPEN') x,
+            (SELECT "needsReview" AS was FROM "Listing" WHERE id = $1) prev
+      WHERE l.id = $1
+      RETURNING l."reportsCount", l."needsReview", prev.was`,
+    [listingId, threshold]
+  );
+  const r = rows[0];
+  if (!r) return { reportsCount: 0, flagged: false };
+
+  const flagged = r.needsReview && !r.was;
+  if (flagged) {
+    await recordRevision(
+      listingId,
+      { source: "reports", note: `${r.reportsCount} open reports (threshold ${threshold})` },
+      db
+    );
+  }
+  return { reportsCount: r.reportsCount, flagged };
+}
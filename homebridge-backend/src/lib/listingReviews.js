@@ -0,0 +1,100 @@
+// src/lib/listingReviews.js
+// Verified reviews. Only the student on a paid booking can review, once the stay has begun,
+// one review per booking. Listing rating/reviewsCount/ratingScores and AgentProfile
+// rating/reviewsCount always reflect PUBLISHED reviews (see syncReviewAggregates).
+import { query } from "../db.js";
+
+export const REVIEW_SCORES = ["accuracy", "cleanliness", "communication", "value"];
+export const REVIEW_STATUSES = ["PUBLISHED", "HIDDEN"];
+
+/**
+ * WHERE conditions (alias b = "Booking") for a booking its student may review: the offer was
+ * paid and move-in (or, without a check-in date, the payment) is in the past.
+ */
+export const REVIEWABLE_BOOKING_SQL = `
+  b.status NOT IN ('REJECTED', 'CANCELLED')
+  AND EXISTS (
+    SELECT 1 FROM "Offer" o
+    WHERE o."bookingId" = b.id AND o."paidNowAt" IS NOT NULL
+      AND COALESCE(b."checkIn", o."paidNowAt") <= NOW()
+  )`;
+
+export const ratingOf = (scores) =>
+  Math.round((REVIEW_SCORES.reduce((s, k) => s + scores[k], 0) / REVIEW_SCORES.length) * 100) / 100;
+
+// `author` is first name + initial only; moderators also get who wrote it and the moderation trail
+const reviewSelect = (extra = "") => `
+  SELECT r.id, r."listingId", l.title AS "listingTitle", r."bookingId",
+         r.accuracy, r.cleanliness, r.communication, r.value, r.rating, r.body, r.status, r.response,
+         r."respondedAt"::timestamptz::text AS "respondedAt",
+         r."createdAt"::timestamptz::text AS "createdAt",
+         r."updatedAt"::timestamptz::text AS "updatedAt",
+         CASE WHEN au.id IS NULL THEN NULL
+              ELSE jsonb_build_object(
+                'name', trim(split_part(au.name, ' ', 1) || ' ' ||
+                             COALESCE(left(NULLIF(split_part(au.name, ' ', 2), ''), 1) || '.', ''))
+              ) END AS author${extra}
+  FROM "ListingReview" r
+  JOIN "Listing" l ON l.id = r."listingId"
+  LEFT JOIN "User" au ON au.id = r."authorId"`;
+
+export const REVIEW_SELECT = reviewSelect();
+export const ADMIN_REVIEW_SELECT = reviewSelect(`,
+         r."agentId", r."moderationNote", r."moderatedAt"::timestamptz::text AS "moderatedAt",
+         CASE WHEN au.id IS NULL THEN NULL
+              ELSE jsonb_build_object('id', au.id, 'name', au.name, 'email', au.email) END AS "authorUser"`);
+
+/**
+ * Recompute the aggregates for a listing and its agent. Call inside the tx that changed a
+ * review. Returns the listing's { rating, reviewsCount, ratingScores }.
+ */
+export async function syncReviewAggregates(listingId, db = { query }) {
+  const { rows } = await db.query(
+    `UPDATE "Listing" l
+        SET rating = x.rating, "reviewsCount" = x.c, "ratingScores" = x.scores
+       FROM (SELECT COUNT(*)::int AS c,
+                    ROUND(AVG(rating)::numeric, 2)::float8 AS rating,
+                    CASE WHEN COUNT(*) = 0 THEN NULL ELSE jsonb_build_object(
+                      'accuracy', ROUND(AVG(accuracy)::numeric, 2)::float8,
+                      'cleanliness', ROUND(AVG(cleanliness)::numeric, 2)::float8,
+                      'communication', ROUND(AVG(communication)::numeric, 2)::float8,
+                      'value', ROUND(AVG(value)::numeric, 2)::float8
+                    ) END AS scores
+               FROM "ListingReview"
+              WHERE "listingId" = $1 AND status = 'PUBLISHED') x
+      WHERE l.id = $1
+      RETURNING l."agentId", l.rating, l."reviewsCount", l."ratingScores"`,
+    [listingId]
+  );
+  const l = rows[0];
+  if (!l) return null;
+
+  await db.query(
+    `INSERT INTO "AgentProfile" (id, "userId", rating, "reviewsCount", "createdAt", "updatedAt")
+     SELECT gen_random_uuid()::text, $1, x.rating, x.c, NOW(), NOW()
+       FROM (SELECT COUNT(*)::int AS c, ROUND(AVG(rating)::numeric, 2)::float8 AS rating
+               FROM "ListingReview" WHERE "agentId" = $1 AND status = 'PUBLISHED') x
+     ON CONFLICT ("userId") DO UPDATE
+       SET rating = EXCLUDED.rating, "reviewsCount" = EXCLUDED."reviewsCount", "updatedAt" = NOW()`,
+    [l.agentId]
+  );
+  return { rating: l.rating, reviewsCount: l.reviewsCount, ratingScores: l.ratingScores };
+}
+
+/** Published reviews for a listing, newest first. Returns { items, total } */
+export async function listingReviews(listingId, { take = 10, skip = 0 } = {}) {
+  const [items, count] = await Promise.all([
+    query(
+      `${REVIEW_SELECT}
+       WHERE r."listingId" = $1 AND r.status = 'PUBLISHED'
+       ORDER BY r."createdAt" DESC
+       LIMIT $2 OFFSET $3`,
+      [listingId, take, skip]
+    ),
+    query(
+      `SELECT COUNT(*)::int AS c FROM "ListingReview" WHERE "listingId" = $1 AND status = 'PUBLISHED'`,
+      [listingId]
+    ),
+  ]);
+  return { items: items.rows, total: count.rows[0].c };
+}
@@ -0,0 +1,261 @@
+// src/lib/listingRevisions.js
+// Listing revision history: after every change the listing, its units and its image set are
+// stored as one JSONB snapshot in "ListingRevision", numbered 1, 2, 3... per listing.
+import { query } from "../db.js";
+import { parseLat, parseLng } from "./geo.js";
+import { refreshCampusDistances } from "./universities.js";
+import { UNIT_FIELDS, syncUnits } from "./listingUnits.js";
+import { MATERIAL_FIELDS } from "./listingStatus.js";
+
+// Content the agent edits; a revert restores exactly these
+export const REVISION_FIELDS = [
+  "title", "type", "city", "university", "universityId", "price", "description",
+  "highlights", "amenities", "policies", "notes", "address", "latitude", "longitude",
+  "transitMins", "furnished", "coverImageId",
+];
+// Moderation state is recorded so the history reads completely, but never reverted
+const STATE_FIELDS = ["status", "published", "featured", "needsReview", "verified", "rejectionReason"];
+const IMAGE_DETAIL_FIELDS = ["caption", "altText", "roomTag"];
+const IMAGE_FIELDS = ["id", "url", "order", ...IMAGE_DETAIL_FIELDS];
+
+const jsonObj = (alias, fields) =>
+  `jsonb_build_object(${fields.map((f) => `'${f}', ${alias}."${f}"`).join(", ")})`;
+
+// keep in step with the baseline insert in migrations/005_listing_revisions.sql
+const SNAPSHOT_SQL = `
+  SELECT jsonb_build_object(
+    'listing', ${jsonObj("l", [...REVISION_FIELDS, ...STATE_FIELDS])},
+    'units', COALESCE((
+      SELECT jsonb_agg(${jsonObj("u", ["id", ...UNIT_FIELDS])} ORDER BY u.id)
+      FROM "ListingUnit" u WHERE u."listingId" = l.id), '[]'::jsonb),
+    'images', COALESCE((
+      SELECT jsonb_agg(${jsonObj("i", IMAGE_FIELDS)} ORDER BY i."order", i.id)
+      FROM "ListingImage" i WHERE i."listingId" = l.id), '[]'::jsonb)
+  ) AS snapshot
+  FROM "Listing" l
+  WHERE l.id = $1`;
+
+const REVISION_COLUMNS = `r.id, r."listingId", r.version, r.source, r.note, r."changedFields",
+  r."actorId", r."actorRole", a.name AS "actorName",
+  r."createdAt"::timestamptz::text AS "createdAt"`;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// snapshots taken before a field existed simply lack it; compare them as null
+const imagesOf = (snap) =>
+  (snap?.images || []).map((i) => Object.fromEntries(IMAGE_FIELDS.map((f) => [f, i[f] ?? null])));
+
+/** Top-level names that differ between two snapshots: listing fields, "units", "images" */
+function changedFields(prev, next) {
+  const fields = [...REVISION_FIELDS, ...STATE_FIELDS].filter(
+    (f) => !same(prev?.listing?.[f], next?.listing?.[f])
+  );
+  if (!same(prev?.units, next?.units)) fields.push("units");
+  if (!same(imagesOf(prev), imagesOf(next))) fields.push("images");
+  return fields;
+}
+
+/**
+ * Snapshot the listing as it is now and store it as the next revision. Call inside the tx
+ * that made the change, after the change. Nothing is stored when nothing differs from the
+ * latest revision. source: create | update | images | status | moderation | revert
+ */
+export async function recordRevision(listingId, { actorId = null, actorRole = null, source, note = null }, db = { query }) {
+  // serializes version numbers per listing
+  const { rows: lock } = await db.query(`SELECT id FROM "Listing" WHERE id = $1 FOR UPDATE`, [listingId]);
+  if (!lock[0]) return null;
+
+  const { rows } = await db.query(SNAPSHOT_SQL, [listingId]);
+  const snapshot = rows[0].snapshot;
+  const { rows: last } = await db.query(
+    `SELECT version, snapshot FROM "ListingRevision"
+     WHERE "listingId" = $1 ORDER BY version DESC LIMIT 1`,
+    [listingId]
+  );
+  const prev = last[0];
+  const changed = prev ? changedFields(prev.snapshot, snapshot) : [];
+  if (prev && !changed.length) return null;
+
+  const ins = await db.query(
+    `INSERT INTO "ListingRevision"
+       ("listingId", version, source, "actorId", "actorRole", note, "changedFields", snapshot)
+     VALUES ($1, $2, $3, $4, $5, $6, $7::text[], $8)
+     RETURNING id, version`,
+    [
+      listingId, (prev?.version ?? 0) + 1, source, actorId,
+      actorRole ? String(actorRole).toUpperCase() : null, note, changed, snapshot,
+    ]
+  );
+  return ins.rows[0];
+}
+
+/**
+ * A listing's revisions (without snapshots), newest first.
+ * `field` narrows to revisions that touched it (e.g. "price"), for "when did this change" questions.
+ */
+export async function listRevisions(listingId, { take = 50, skip = 0, field = null } = {}) {
+  const [items, count] = await Promise.all([
+    query(
+      `SELECT ${REVISION_COLUMNS}
+       FROM "ListingRevision" r
+       LEFT JOIN "User" a ON a.id = r."actorId"
+       WHERE r."listingId" = $1 AND ($2::text IS NULL OR $2 = ANY(r."changedFields"))
+       ORDER BY r.version DESC
+       LIMIT $3 OFFSET $4`,
+      [listingId, field, take, skip]
+    ),
+    query(
+      `SELECT COUNT(*)::int AS c FROM "ListingRevision" r
+       WHERE r."listingId" = $1 AND ($2::text IS NULL OR $2 = ANY(r."changedFields"))`,
+      [listingId, field]
+    ),
+  ]);
+  return { items: items.rows, total: count.rows[0].c };
+}
+
+/** One revision with its snapshot, by id or by version number ("latest" = newest) */
+export async function findRevision(listingId, ref, db = { query }) {
+  const key = String(ref ?? "latest");
+  const by = key === "latest" ? `TRUE` : /^\d+$/.test(key) ? `r.version = $2::int` : `r.id = $2`;
+  const { rows } = await db.query(
+    `SELECT ${REVISION_COLUMNS}, r.snapshot
+     FROM "ListingRevision" r
+     LEFT JOIN "User" a ON a.id = r."actorId"
+     WHERE r."listingId" = $1 AND ${by}
+     ORDER BY r.version DESC
+     LIMIT 1`,
+    key === "latest" ? [listingId] : [listingId, key]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Field-level diff from snapshot `a` to snapshot `b`:
+ * { fields: [{ field, from, to }], units: { added, removed, changed: [{ id, label, fields }] },
+ *   images: { added, removed, reordered, changed: [{ id, fields }] } }
+ */
+export function diffSnapshots(a, b) {
+  const fields = [...REVISION_FIELDS, ...STATE_FIELDS]
+    .filter((f) => !same(a.listing?.[f], b.listing?.[f]))
+    .map((f) => ({ field: f, from: a.listing?.[f] ?? null, to: b.listing?.[f] ?? null }));
+
+  const unitsA = new Map((a.units || []).map((u) => [u.id, u]));
+  const unitsB = new Map((b.units || []).map((u) => [u.id, u]));
+  const changed = [];
+  for (const [id, ub] of unitsB) {
+    const ua = unitsA.get(id);
+    if (!ua) continue;
+    const diff = UNIT_FIELDS.filter((f) => !same(ua[f], ub[f])).map((f) => ({ field: f, from: ua[f] ?? null, to: ub[f] ?? null }));
+    if (diff.length) changed.push({ id, label: ub.label ?? ua.label ?? null, fields: diff });
+  }
+
+  const imagesA = new Map(imagesOf(a).map((i) => [i.id, i]));
+  const imagesB = new Map(imagesOf(b).map((i) => [i.id, i]));
+  const keptOrderA = imagesOf(a).filter((i) => imagesB.has(i.id)).map((i) => i.id);
+  const keptOrderB = imagesOf(b).filter((i) => imagesA.has(i.id)).map((i) => i.id);
+  const imagesChanged = [];
+  for (const [id, ib] of imagesB) {
+    const ia = imagesA.get(id);
+    if (!ia) continue;
+    const diff = IMAGE_DETAIL_FIELDS.filter((f) => !same(ia[f], ib[f])).map((f) => ({ field: f, from: ia[f], to: ib[f] }));
+    if (diff.length) imagesChanged.push({ id, fields: diff });
+  }
+
+  return {
+    fields,
+    units: {
+      added: [...unitsB.values()].filter((u) => !unitsA.has(u.id)),
+      removed: [...unitsA.values()].filter((u) => !unitsB.has(u.id)),
+      changed,
+    },
+    images: {
+      added: [...imagesB.values()].filter((i) => !imagesA.has(i.id)),
+      removed: [...imagesA.values()].filter((i) => !imagesB.has(i.id)),
+      reordered: !same(keptOrderA, keptOrderB),
+      changed: imagesChanged,
+    },
+  };
+}
+
+/** Revisions `from` and `to` (ids or version numbers; `to` defaults to the latest) and their diff */
+export async function diffRevisions(listingId, from, to = "latest") {
+  const [a, b] = await Promise.all([findRevision(listingId, from), findRevision(listingId, to)]);
+  if (!a || !b) return { ok: false, status: 404, error: "Revision not found" };
+  const strip = ({ snapshot, ...r }) => r;
+  return { ok: true, from: strip(a), to: strip(b), diff: diffSnapshots(a.snapshot, b.snapshot) };
+}
+
+/**
+ * Put a listing's content, units and gallery (order, captions, tags) back to a revision's
+ * snapshot. Call inside tx(). Moderation state is left alone. Image files are removed when an
+ * image is deleted, so images deleted since are reported as `missingImages`; images added since
+ * are kept, after the restored ones. Returns { ok, revision, materialEdit, unitChanges, missingImages } or an error.
+ */
+export async function revertListing(c, listingId, ref) {
+  const revision = await findRevision(listingId, ref, c);
+  if (!revision) return { ok: false, status: 404, error: "Revision not found" };
+  const snap = revision.snapshot;
+
+  const { rows } = await c.query(`SELECT * FROM "Listing" WHERE id = $1 FOR UPDATE`, [listingId]);
+  const cur = rows[0];
+  if (!cur) return { ok: false, status: 404, error: "Listing not found" };
+
+  // units first: it is the only step that can refuse (units with bookings can't be dropped)
+  const unitChanges = await syncUnits(c, listingId, snap.units || [], { restore: true });
+  if (!unitChanges.ok) return unitChanges;
+
+  // image order: snapshot order for images that still exist, newer uploads after them
+  const { rows: images } = await c.query(
+    `SELECT id FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC, id ASC`,
+    [listingId]
+  );
+  const present = new Set(images.map((i) => i.id));
+  const snapIds = (snap.images || []).map((i) => i.id);
+  const missingImages = (snap.images || []).filter((i) => !present.has(i.id));
+  const order = [
+    ...snapIds.filter((id) => present.has(id)),
+    ...images.map((i) => i.id).filter((id) => !snapIds.includes(id)),
+  ];
+  for (let i = 0; i < order.length; i++) {
+    await c.query(`UPDATE "ListingImage" SET "order" = $2 WHERE id = $1`, [order[i], i]);
+  }
+  for (const img of snap.images || []) {
+    if (!present.has(img.id) || !IMAGE_DETAIL_FIELDS.some((f) => f in img)) continue;
+    await c.query(
+      `UPDATE "ListingImage" SET caption = $2, "altText" = $3, "roomTag" = $4 WHERE id = $1`,
+      [img.id, img.caption ?? null, img.altText ?? null, img.roomTag ?? null]
+    );
+  }
+
+  const l = snap.listing;
+  const coverImageId = present.has(l.coverImageId)
+    ? l.coverImageId
+    : present.has(cur.coverImageId) ? cur.coverImageId : order[0] ?? null;
+  const lat = parseLat(l.latitude);
+  const lng = parseLng(l.longitude);
+  const noGeo = lat == null || lng == null;
+
+  await c.query(
+    `UPDATE "Listing" SET
+       title = $2, type = $3, city = $4, university = $5,
+       "universityId" = (SELECT id FROM "University" WHERE id = $6),
+       price = $7, description = $8, highlights = $9::text[], amenities = $10::text[],
+       policies = $11::text[], notes = $12, address = $13, latitude = $14, longitude = $15,
+       "transitMins" = $16, furnished = $17, "coverImageId" = $18,
+       "geoLat" = $19, "geoLng" = $20, "updatedAt" = NOW()
+     WHERE id = $1`,
+    [
+      listingId,
+      l.title, l.type, l.city, l.university ?? null, l.universityId ?? null,
+      l.price, l.description, l.highlights || [], l.amenities || [],
+      l.policies || [], l.notes ?? null, l.address ?? null, l.latitude ?? null, l.longitude ?? null,
+      l.transitMins ?? null, !!l.furnished, coverImageId,
+      noGeo ? null : lat, noGeo ? null : lng,
+    ]
+  );
+  await refreshCampusDistances(listingId, c);
+
+  const materialEdit =
+    unitChanges.priceChanged || MATERIAL_FIELDS.some((f) => String(l[f] ?? "") !== String(cur[f] ?? ""));
+  return { ok: true, revision, materialEdit, unitChanges: unitChanges.changes, missingImages };
+}
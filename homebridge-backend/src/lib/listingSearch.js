@@ -0,0 +1,288 @@
+// src/lib/listingSearch.js
+import { z } from "zod";
+import { query } from "../db.js";
+import { parseBookingDate } from "./bookingDates.js";
+import { parseLatLng, parseBBox, boxAround, distanceKmSql, lngRangeSql } from "./geo.js";
+
+/* ---------- query parsing ---------- */
+
+// "a,b , c" | ["a","b"] -> ["a","b","c"]; empty -> undefined
+const csvList = z.preprocess((v) => {
+  if (v == null || v === "") return undefined;
+  const parts = (Array.isArray(v) ? v : String(v).split(","))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  return parts.length ? parts : undefined;
+}, z.array(z.string().max(120)).max(20).optional());
+
+const boolFlag = z.preprocess((v) => {
+  if (v == null || v === "") return undefined;
+  if (typeof v === "boolean") return v;
+  const s = String(v).toLowerCase();
+  if (["1", "true", "yes"].includes(s)) return true;
+  if (["0", "false", "no"].includes(s)) return false;
+  return v;
+}, z.boolean().optional());
+
+const emptyToUndef = (v) => (v === "" || v == null ? undefined : v);
+const intParam = z.preprocess(emptyToUndef, z.coerce.number().int().nonnegative().optional());
+
+/**
+ * Filter set shared by GET /api/public/listings (and anything that stores a search).
+ * All fields are optional; unknown keys are ignored.
+ */
+export const ListingFiltersSchema = z.object({
+  q: z.preprocess(emptyToUndef, z.string().trim().max(200).optional()),
+  city: csvList,
+  university: csvList,
+  universityId: csvList, // linked to, or near a campus of, any of these
+  type: csvList,
+  minPrice: intParam,
+  maxPrice: intParam,
+  furnished: boolFlag,
+  amenities: csvList, // all-of
+  availableBy: z.preprocess(
+    emptyToUndef,
+    z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD")
+      .refine((v) => parseBookingDate(v) === v, "Not a real date")
+      .optional()
+  ),
+  minLeaseMonths: intParam,
+  maxLeaseMonths: intParam,
+  featured: boolFlag,
+
+  // geo: near=lat,lng (+ radiusKm) or bbox=minLng,minLat,maxLng,maxLat
+  near: z.preprocess(
+    emptyToUndef,
+    z
+      .string()
+      .refine((v) => parseLatLng(v) != null, "Use lat,lng")
+      .transform(parseLatLng)
+      .optional()
+  ),
+  radiusKm: z.preprocess(emptyToUndef, z.coerce.number().positive().max(500).optional()),
+  bbox: z.preprocess(
+    emptyToUndef,
+    z
+      .string()
+      .refine((v) => parseBBox(v) != null, "Use minLng,minLat,maxLng,maxLat")
+      .transform(parseBBox)
+      .optional()
+  ),
+});
+
+export const LISTING_SORTS = ["recommended", "newest", "price-low", "price-high", "distance"];
+
+/* ---------- SQL building ---------- */
+
+// Lowest advertised price: the listing's headline price or its cheapest unit, whichever is lower
+export const FROM_PRICE_SQL = `LEAST(
+  l.price,
+  (SELECT MIN(lu.price) FROM "ListingUnit" lu WHERE lu."listingId" = l.id)
+)`;
+
+// ListingUnit.availableFrom is agent-entered; only trust values that start with a real date
+// (month 01-12, day within that month), so "2026-13-01" or "2026-02-30" read as unknown
+// instead of failing the ::date cast for the whole query
+export const unitAvailableDateSql = (alias = "u") => {
+  const v = `${alias}."availableFrom"::text`;
+  return `(CASE WHEN ${v} ~ '^[1-9]\\d{3}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])'
+     THEN CASE WHEN substr(${v}, 9, 2)::int <= extract(day FROM
+            make_date(substr(${v}, 1, 4)::int, substr(${v}, 6, 2)::int, 1) + interval '1 month - 1 day')
+       THEN left(${v}, 10)::date END END)`;
+};
+
+const likeEscape = (s) => String(s).replace(/[\\%_]/g, (m) => `\\${m}`);
+const lowerAll = (arr) => arr.map((s) => s.toLowerCase());
+
+/**
+ * Build the WHERE clauses for a parsed filter set.
+ * `omit` drops whole facets (used for facet counts so a facet doesn't narrow itself).
+ * `params` lets callers append to an existing parameter list.
+ * With `withDistance` and `near`, `distanceSql` is the km distance from that point (for
+ * SELECT/ORDER BY); its placeholders are only added when something references them.
+ */
+export function buildListingWhere(
+  filters = {},
+  { omit = [], params = [], withDistance = false } = {}
+) {
+  const where = [`l.published = TRUE`];
+  const add = (v) => {
+    params.push(v);
+    return `$${params.length}`;
+  };
+  const use = (key) => filters[key] !== undefined && !omit.includes(key);
+
+  if (use("featured") && filters.featured) where.push(`l.featured = TRUE`);
+
+  if (use("q")) {
+    const p = add(`%${likeEscape(filters.q)}%`);
+    where.push(`(l.title ILIKE ${p} OR l.description ILIKE ${p} OR l.address ILIKE ${p})`);
+  }
+
+  if (use("city")) where.push(`lower(l.city) = ANY(${add(lowerAll(filters.city))}::text[])`);
+  if (use("university")) {
+    where.push(`lower(l.university) = ANY(${add(lowerAll(filters.university))}::text[])`);
+  }
+  if (use("universityId")) {
+    // with radiusKm (and no `near`), the radius is measured from the nearest campus instead
+    const ids = add(filters.universityId);
+    if (filters.radiusKm !== undefined && !filters.near && !omit.includes("geo")) {
+      where.push(`EXISTS (
+        SELECT 1 FROM "ListingCampusDistance" cd
+        WHERE cd."listingId" = l.id AND cd."universityId" = ANY(${ids}::text[])
+          AND cd."distanceKm" <= ${add(filters.radiusKm)}
+      )`);
+    } else {
+      where.push(`(l."universityId" = ANY(${ids}::text[]) OR EXISTS (
+        SELECT 1 FROM "ListingCampusDistance" cd
+        WHERE cd."listingId" = l.id AND cd."universityId" = ANY(${ids}::text[])
+      ))`);
+    }
+  }
+  if (use("type")) where.push(`lower(l.type) = ANY(${add(lowerAll(filters.type))}::text[])`);
+  if (use("furnished")) where.push(`l.furnished = ${add(filters.furnished)}`);
+
+  if (use("amenities")) where.push(`l.amenities @> ${add(filters.amenities)}::text[]`);
+
+  if (!omit.includes("price")) {
+    if (filters.minPrice !== undefined) where.push(`${FROM_PRICE_SQL} >= ${add(filters.minPrice)}`);
+    if (filters.maxPrice !== undefined) where.push(`${FROM_PRICE_SQL} <= ${add(filters.maxPrice)}`);
+  }
+
+  // unit-level constraints must hold for the same unit
+  const unitConds = [];
+  if (use("availableBy")) {
+    unitConds.push(
+      `(${unitAvailableDateSql("u")} IS NULL OR ${unitAvailableDateSql("u")} <= ${add(filters.availableBy)}::date)`
+    );
+  }
+  if (!omit.includes("lease")) {
+    if (filters.minLeaseMonths !== undefined) {
+      unitConds.push(`u."leaseMonths" >= ${add(filters.minLeaseMonths)}`);
+    }
+    if (filters.maxLeaseMonths !== undefined) {
+      unitConds.push(`u."leaseMonths" <= ${add(filters.maxLeaseMonths)}`);
+    }
+  }
+  if (unitConds.length) {
+    where.push(`EXISTS (
+      SELECT 1 FROM "ListingUnit" u
+      WHERE u."listingId" = l.id AND ${unitConds.join(" AND ")}
+    )`);
+  }
+
+  // geo
+  const inBox = (box) => {
+    where.push(`l."geoLat" BETWEEN ${add(box.minLat)} AND ${add(box.maxLat)}`);
+    if (box.minLng != null) {
+      const crosses = box.minLng > box.maxLng;
+      where.push(lngRangeSql(`l."geoLng"`, add(box.minLng), add(box.maxLng), crosses));
+    }
+  };
+
+  let distanceSql = null;
+  const radius = filters.near && filters.radiusKm !== undefined && !omit.includes("geo");
+  if (filters.near && (withDistance || radius)) {
+    distanceSql = distanceKmSql(`l."geoLat"`, `l."geoLng"`, add(filters.near.lat), add(filters.near.lng));
+    if (radius) {
+      inBox(boxAround(filters.near, filters.radiusKm)); // index-friendly pre-filter
+      where.push(`${distanceSql} <= ${add(filters.radiusKm)}`);
+    }
+  }
+  if (filters.bbox && !omit.includes("geo")) inBox(filters.bbox);
+
+  return { where, params, distanceSql };
+}
+
+export function listingOrderBy(sort, { distanceSql = null } = {}) {
+  if (sort === "distance" && distanceSql) return `${distanceSql} ASC NULLS LAST, l."createdAt" DESC`;
+  if (sort === "newest") return `l."createdAt" DESC`;
+  if (sort === "price-low") return `${FROM_PRICE_SQL} ASC NULLS LAST, l."createdAt" DESC`;
+  if (sort === "price-high") return `${FROM_PRICE_SQL} DESC NULLS LAST, l."createdAt" DESC`;
+  return `l.featured DESC, l."createdAt" DESC`;
+}
+
+/* ---------- facets ---------- */
+
+/**
+ * Facet counts for the current filter set. Single-choice facets (city, university, type,
+ * furnished, lease) are counted without their own filter so the UI can offer alternatives;
+ * amenities are all-of, so they are counted within the current result set.
+ */
+export async function listingFacets(filters) {
+  const grouped = async (expr, omitKey) => {
+    const { where, params } = buildListingWhere(filters, { omit: [omitKey] });
+    const { rows } = await query(
+      `SELECT ${expr} AS value, COUNT(*)::int AS count
+       FROM "Listing" l
+       WHERE ${where.join(" AND ")} AND ${expr} IS NOT NULL
+       GROUP BY 1
+       ORDER BY count DESC, value ASC
+       LIMIT 50`,
+      params
+    );
+    return rows;
+  };
+
+  const amenities = async () => {
+    const { where, params } = buildListingWhere(filters);
+    const { rows } = await query(
+      `SELECT a AS value, COUNT(DISTINCT l.id)::int AS count
+       FROM "Listing" l, unnest(l.amenities) a
+       WHERE ${where.join(" AND ")}
+       GROUP BY a
+       ORDER BY count DESC, value ASC
+       LIMIT 50`,
+      params
+    );
+    return rows;
+  };
+
+  const leaseMonths = async () => {
+    const { where, params } = buildListingWhere(filters, { omit: ["lease"] });
+    const { rows } = await query(
+      `SELECT lu."leaseMonths" AS value, COUNT(DISTINCT l.id)::int AS count
+       FROM "Listing" l
+       JOIN "ListingUnit" lu ON lu."listingId" = l.id
+       WHERE ${where.join(" AND ")} AND lu."leaseMonths" IS NOT NULL
+       GROUP BY 1
+       ORDER BY value ASC`,
+      params
+    );
+    return rows;
+  };
+
+  const price = async () => {
+    const { where, params } = buildListingWhere(filters, { omit: ["price"] });
+    const { rows } = await query(
+      `SELECT MIN(${FROM_PRICE_SQL})::int AS min, MAX(${FROM_PRICE_SQL})::int AS max
+       FROM "Listing" l
+       WHERE ${where.join(" AND ")}`,
+      params
+    );
+    return rows[0] || { min: null, max: null };
+  };
+
+  const [city, university, type, furnished, amenityRows, lease, priceRange] = await Promise.all([
+    grouped("l.city", "city"),
+    grouped("l.university", "university"),
+    grouped("l.type", "type"),
+    grouped("l.furnished", "furnished"),
+    amenities(),
+    leaseMonths(),
+    price(),
+  ]);
+
+  return {
+    city,
+    university,
+    type,
+    furnished,
+    amenities: amenityRows,
+    leaseMonths: lease,
+    price: priceRange,
+  };
+}
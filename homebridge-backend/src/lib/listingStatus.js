@@ -0,0 +1,152 @@
+// src/lib/listingStatus.js
+// Listing moderation lifecycle. Listing.status is the source of truth; Listing.published
+// (what public search filters on) is kept equal to status = 'PUBLISHED'.
+import { query } from "../db.js";
+import { sendMail } from "./mailer.js";
+
+const APP_NAME = process.env.APP_NAME || "GlobalCribs";
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+export const LISTING_STATUSES = ["DRAFT", "SUBMITTED", "APPROVED", "REJECTED", "PUBLISHED", "ARCHIVED"];
+
+const TRANSITIONS = {
+  DRAFT: ["SUBMITTED", "ARCHIVED"],
+  SUBMITTED: ["APPROVED", "REJECTED", "DRAFT", "ARCHIVED"],
+  APPROVED: ["PUBLISHED", "SUBMITTED", "ARCHIVED"],
+  REJECTED: ["SUBMITTED", "ARCHIVED"],
+  PUBLISHED: ["SUBMITTED", "APPROVED", "ARCHIVED"], // APPROVED = unpublished but still cleared
+  ARCHIVED: [], // only restoreListing() leads out of ARCHIVED
+};
+
+// where restore puts a listing back, by the status it was archived from
+const RESTORE_TO = {
+  DRAFT: "DRAFT",
+  SUBMITTED: "SUBMITTED",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+  PUBLISHED: "APPROVED", // going public again is an explicit publish
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Edits to these make an approved/live listing go back through review
+export const MATERIAL_FIELDS = ["price", "address", "latitude", "longitude"];
+export const needsReReview = (status) => status === "APPROVED" || status === "PUBLISHED";
+
+/**
+ * Move a listing to `to`, stamping the matching timestamps. `db` may be a tx client.
+ * Returns { ok, listing } or { ok: false, status, error } when the move isn't allowed.
+ */
+export async function setListingStatus(listingId, to, { actorId = null, reason = null, db = { query } } = {}) {
+  const { rows } = await db.query(`SELECT * FROM "Listing" WHERE id = $1 FOR UPDATE`, [listingId]);
+  const cur = rows[0];
+  if (!cur) return { ok: false, status: 404, error: "Listing not found" };
+  if (cur.status === to) return { ok: true, listing: cur, changed: false };
+  if (!canTransition(cur.status, to)) {
+    return { ok: false, status: 409, error: `Cannot move listing from ${cur.status} to ${to}` };
+  }
+
+  const sets = [`status = $2`, `published = $3`, `"updatedAt" = NOW()`];
+  if (to === "SUBMITTED") sets.push(`"submittedAt" = NOW()`, `"rejectionReason" = NULL`);
+  if (to === "APPROVED" || to === "REJECTED") {
+    sets.push(`"reviewedAt" = NOW()`, `"reviewedById" = $4`, `"rejectionReason" = $5`);
+  }
+  if (to === "PUBLISHED") sets.push(`"publishedAt" = NOW()`);
+  if (to === "ARCHIVED") sets.push(`"archivedAt" = NOW()`, `"archivedFromStatus" = $4`, `"archivedById" = $5`);
+
+  const vals = [listingId, to, to === "PUBLISHED"];
+  if (to === "APPROVED" || to === "REJECTED") vals.push(actorId, to === "REJECTED" ? reason : null);
+  if (to === "ARCHIVED") vals.push(cur.status, actorId);
+
+  const up = await db.query(`UPDATE "Listing" SET ${sets.join(", ")} WHERE id = $1 RETURNING *`, vals);
+  return { ok: true, listing: up.rows[0], changed: true, from: cur.status };
+}
+
+/**
+ * Bring an ARCHIVED listing back to the status it was archived from (a PUBLISHED one returns
+ * as APPROVED). Returns { ok, listing, changed, from } like setListingStatus.
+ */
+export async function restoreListing(listingId, { db = { query } } = {}) {
+  const { rows } = await db.query(`SELECT * FROM "Listing" WHERE id = $1 FOR UPDATE`, [listingId]);
+  const cur = rows[0];
+  if (!cur) return { ok: false, status: 404, error: "Listing not found" };
+  if (cur.status !== "ARCHIVED") return { ok: false, status: 409, error: "Listing is not archived" };
+
+  const to = RESTORE_TO[cur.archivedFromStatus] || "DRAFT";
+  const up = await db.query(
+    `UPDATE "Listing"
+        SET status = $2, published = FALSE, "archivedAt" = NULL, "archivedFromStatus" = NULL,
+            "archivedById" = NULL, "updatedAt" = NOW()
+      WHERE id = $1
+      RETURNING *`,
+    [listingId, to]
+  );
+  return { ok: true, listing: up.rows[0], changed: true, from: "ARCHIVED" };
+}
+
+/** Fire-and-forget: tell the agent how review went (APPROVED / REJECTED + reason) */
+export function notifyAgentOfReview(listingId, decision, reason = null) {
+  (async () => {
+    try {
+      const { rows } = await query(
+        `SELECT l.id, l.title, l.status, u.name, u.email, ap.email AS "profileEmail"
+         FROM "Listing" l
+         JOIN "User" u ON u.id = l."agentId"
+         LEFT JOIN "AgentProfile" ap ON ap."userId" = u.id
+         WHERE l.id = $1`,
+        [listingId]
+      );
+      const r = rows[0];
+      const to = r?.profileEmail || r?.email;
+      if (!to) return;
+
+      const url = `${FRONTEND_URL}/dashboard/agent/listings/${encodeURIComponent(r.id)}`;
+      const approved = decision === "APPROVED";
+      const live = r.status === "PUBLISHED";
+      const subject = approved
+        ? `${APP_NAME}: your listing "${r.title}" was approved`
+        : `${APP_NAME}: changes needed on "${r.title}"`;
+      const next = approved
+        ? live
+          ? "It is live again."
+          : "You can publish it from your dashboard whenever you're ready."
+        : "Please update the listing and submit it again.";
+
+      const text = [
+        `Hi ${r.name || "there"},`,
+        ``,
+        approved
+          ? `Your listing "${r.title}" passed review. ${next}`
+          : `Your listing "${r.title}" was not approved.`,
+        !approved && reason ? `Reason: ${reason}` : null,
+        !approved ? next : null,
+        ``,
+        url,
+        ``,
+        `— ${APP_NAME} Team`,
+      ]
+        .filter((x) => x !== null)
+        .join("\n");
+
+      const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+      const html = `
+        <p>Hi ${esc(r.name || "there")},</p>
+        ${
+          approved
+            ? `<p>Your listing <b>${esc(r.title)}</b> passed review. ${next}</p>`
+            : `<p>Your listing <b>${esc(r.title)}</b> was not approved.</p>
+               ${reason ? `<p><b>Reason:</b> ${esc(reason)}</p>` : ""}
+               <p>${next}</p>`
+        }
+        <p><a href="${url}">Open listing</a></p>
+        <p>— ${APP_NAME} Team</p>
+      `;
+
+      await sendMail({ to, subject, text, html });
+    } catch (e) {
+      console.error("email(agent listing review) failed:", e?.message || e);
+    }
+  })();
+}
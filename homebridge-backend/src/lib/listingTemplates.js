@@ -0,0 +1,29 @@
+// src/lib/listingTemplates.js
+// Agent-owned listing templates: the boilerplate (highlights, amenities, policies, notes)
+// that's the same across an agent's rooms. Applying one fills whatever the body left empty.
+import { query } from "../db.js";
+
+export const TEMPLATE_FIELDS = ["highlights", "amenities", "policies", "notes"];
+
+export const TEMPLATE_SELECT = `
+  SELECT id, name, highlights, amenities, policies, notes,
+         "createdAt"::timestamptz::text AS "createdAt",
+         "updatedAt"::timestamptz::text AS "updatedAt"
+  FROM "ListingTemplate"`;
+
+/** The agent's template, or null (also for someone else's template) */
+export async function findTemplate(agentId, templateId, db = { query }) {
+  const { rows } = await db.query(`${TEMPLATE_SELECT} WHERE id = $1 AND "agentId" = $2`, [templateId, agentId]);
+  return rows[0] || null;
+}
+
+/** Listing body `d` with the template's fields filling empty lists and a missing note */
+export function applyTemplate(d, template) {
+  if (!template) return d;
+  const out = { ...d };
+  for (const f of ["highlights", "amenities", "policies"]) {
+    if (!out[f]?.length) out[f] = [...(template[f] || [])];
+  }
+  if (!out.notes?.trim()) out.notes = template.notes ?? out.notes ?? null;
+  return out;
+}
@@ -0,0 +1,138 @@
+// src/lib/listingUnits.js
+// ListingUnit maintenance shared by listing edits and revision reverts.
+import { holdCountsSql } from "./inventory.js";
+
+export const UNIT_FIELDS = ["label", "type", "price", "availableFrom", "leaseMonths", "size", "availableCount"];
+
+/**
+ * Bring a listing's units in line with `submitted` without changing ids: rows with a known
+ * `id` are updated (fields left out keep their stored value), rows without one are inserted,
+ * and stored units missing from the list are deleted unless a booking or hold points at them.
+ * availableCount can't go below the beds the unit currently has held or confirmed.
+ * Validation happens before any write, so a failed result leaves the listing untouched.
+ * With `restore` (revision revert), ids of units deleted since are re-created under that id.
+ */
+export async function syncUnits(c, listingId, submitted, { restore = false } = {}) {
+  const { rows: existing } = await c.query(
+    `SELECT * FROM "ListingUnit" WHERE "listingId" = $1 FOR UPDATE`,
+    [listingId]
+  );
+  const byId = new Map(existing.map((u) => [u.id, u]));
+
+  let unknown = submitted.filter((u) => u.id && !byId.has(u.id)).map((u) => u.id);
+  const recreate = new Set();
+  if (unknown.length && restore) {
+    const { rows: taken } = await c.query(`SELECT id FROM "ListingUnit" WHERE id = ANY($1::text[])`, [unknown]);
+    const takenIds = new Set(taken.map((r) => r.id));
+    unknown.filter((id) => !takenIds.has(id)).forEach((id) => recreate.add(id));
+    unknown = unknown.filter((id) => takenIds.has(id));
+  }
+  if (unknown.length) {
+    return { ok: false, status: 400, error: "Unknown unit id for this listing", units: unknown };
+  }
+
+  const keepIds = new Set(submitted.filter((u) => u.id).map((u) => u.id));
+  const removed = existing.filter((u) => !keepIds.has(u.id));
+  if (removed.length) {
+    const { rows: refs } = await c.query(
+      `SELECT u.id, u.label,
+              (SELECT COUNT(*)::int FROM "Booking" b WHERE b."unitId" = u.id) AS bookings,
+              (SELECT COUNT(*)::int FROM "UnitHold" h WHERE h."unitId" = u.id) AS holds
+       FROM "ListingUnit" u
+       WHERE u.id = ANY($1::text[])`,
+      [removed.map((u) => u.id)]
+    );
+    const blocked = refs.filter((r) => r.bookings > 0 || r.holds > 0);
+    if (blocked.length) {
+      return {
+        ok: false,
+        status: 409,
+        error: "Some units are referenced by bookings or holds and cannot be removed",
+        units: blocked,
+      };
+    }
+  }
+
+  // capacity can't drop below the beds already held or confirmed on the unit
+  const newCount = (u) => u.availableCount ?? 0;
+  const lowered = submitted.filter(
+    (u) => byId.has(u.id) && "availableCount" in u && newCount(u) < (byId.get(u.id).availableCount ?? 0)
+  );
+  if (lowered.length) {
+    const { rows: committed } = await c.query(
+      `SELECT h."unitId" AS id, SUM(h.quantity)::int AS held
+       FROM "UnitHold" h
+       WHERE h."unitId" = ANY($1::text[]) AND ${holdCountsSql("h")}
+       GROUP BY h."unitId"`,
+      [lowered.map((u) => u.id)]
+    );
+    const heldBy = new Map(committed.map((r) => [r.id, r.held]));
+    const overbooked = lowered
+      .filter((u) => newCount(u) < (heldBy.get(u.id) || 0))
+      .map((u) => ({ id: u.id, label: byId.get(u.id).label, availableCount: newCount(u), held: heldBy.get(u.id) }));
+    if (overbooked.length) {
+      return {
+        ok: false,
+        status: 409,
+        error: "Some units have more beds held or booked than the new availableCount",
+        units: overbooked,
+      };
+    }
+  }
+
+  const created = [];
+  const updated = [];
+  const kept = [];
+  let priceChanged = removed.length > 0;
+  for (const u of submitted) {
+    if (!u.id || recreate.has(u.id)) {
+      const ins = await c.query(
+        `INSERT INTO "ListingUnit" (
+          id, "listingId", label, type, price, "availableFrom",
+          "leaseMonths", size, "availableCount"
+        ) VALUES (
+          COALESCE($9, gen_random_uuid()::text), $1, $2, $3, $4, $5,
+          $6, $7, $8
+        ) RETURNING id`,
+        [
+          listingId,
+          u.label ?? null, u.type ?? null, u.price ?? null, u.availableFrom ?? null,
+          u.leaseMonths ?? null, u.size ?? null, u.availableCount ?? 0,
+          u.id ?? null,
+        ]
+      );
+      created.push(ins.rows[0].id);
+      priceChanged = true;
+      continue;
+    }
+
+    const cur = byId.get(u.id);
+    const next = {};
+    for (const f of UNIT_FIELDS) {
+      next[f] = f in u ? u[f] ?? (f === "availableCount" ? 0 : null) : cur[f];
+    }
+    if (UNIT_FIELDS.every((f) => String(next[f] ?? "") === String(cur[f] ?? ""))) {
+      kept.push(u.id);
+      continue;
+    }
+    await c.query(
+      `UPDATE "ListingUnit"
+       SET label = $2, type = $3, price = $4, "availableFrom" = $5,
+           "leaseMonths" = $6, size = $7, "availableCount" = $8
+       WHERE id = $1`,
+      [u.id, ...UNIT_FIELDS.map((f) => next[f])]
+    );
+    updated.push(u.id);
+    if (String(next.price ?? "") !== String(cur.price ?? "")) priceChanged = true;
+  }
+
+  if (removed.length) {
+    await c.query(`DELETE FROM "ListingUnit" WHERE id = ANY($1::text[])`, [removed.map((u) => u.id)]);
+  }
+
+  return {
+    ok: true,
+    priceChanged,
+    changes: { created, updated, kept, deleted: removed.map((u) => u.id) },
+  };
+}
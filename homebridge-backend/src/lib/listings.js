@@ -0,0 +1,179 @@
+// src/lib/listings.js
+// Listing body schema and the row writes shared by the agent listing routes and bulk import.
+import { z } from "zod";
+import { parseLat, parseLng } from "./geo.js";
+import { resolveUniversity } from "./universities.js";
+
+export const MAX_IMAGES_PER_LISTING = 12;
+
+export const UnitSchema = z.object({
+  id: z.string().optional(),
+  label: z.string().optional().nullable(),
+  type: z.string().optional().nullable(),
+  price: z.number().int().optional().nullable(),
+  availableFrom: z.string().optional().nullable(),
+  leaseMonths: z.number().int().optional().nullable(),
+  size: z.string().optional().nullable(),
+  availableCount: z.number().int().optional().nullable(),
+});
+
+export const BaseListingSchema = z.object({
+  title: z.string().min(1),
+  type: z.string().min(1),
+  city: z.string().min(1),
+  university: z.string().optional().nullable(),
+  universityId: z.string().optional().nullable(),
+  price: z.number().int().nonnegative(),
+
+  description: z.string().min(1),
+  highlights: z.array(z.string()).max(20).optional().default([]),
+  amenities: z.array(z.string()).max(50).optional().default([]),
+  policies: z.array(z.string()).max(50).optional().default([]),
+  notes: z.string().optional().nullable(),
+
+  address: z.string().optional().nullable(),
+  latitude: z
+    .string()
+    .optional()
+    .nullable()
+    .refine((v) => !v?.trim() || parseLat(v) != null, "Latitude must be a number between -90 and 90"),
+  longitude: z
+    .string()
+    .optional()
+    .nullable()
+    .refine((v) => !v?.trim() || parseLng(v) != null, "Longitude must be a number between -180 and 180"),
+  transitMins: z.string().optional().nullable(),
+
+  furnished: z.boolean().optional().default(false),
+  verified: z.boolean().optional().default(false),
+
+  coverImageId: z.string().optional().nullable(),
+  units: z.array(UnitSchema).optional().default([]),
+});
+
+// numeric copy of the coordinates for geo search (both or neither)
+export function geoFromBody(d) {
+  const lat = parseLat(d.latitude);
+  const lng = parseLng(d.longitude);
+  return lat == null || lng == null ? { geoLat: null, geoLng: null } : { geoLat: lat, geoLng: lng };
+}
+
+// Link to the university directory: an explicit universityId must exist; a typed name is
+// matched against names/aliases and normalized when found, otherwise kept as free text.
+export async function universityFromBody(d) {
+  if (d.universityId) {
+    const u = await resolveUniversity({ universityId: d.universityId });
+    if (!u) return { error: "Unknown universityId" };
+    return { universityId: u.id, university: u.name };
+  }
+  const u = await resolveUniversity({ name: d.university });
+  if (u) return { universityId: u.id, university: u.name };
+  return { universityId: null, university: d.university?.trim() || null };
+}
+
+/**
+ * Insert a listing (and its units) for `agentId` from a parsed BaseListingSchema body.
+ * `uni` is universityFromBody(d); status is DRAFT or SUBMITTED. Returns the Listing row.
+ */
+export async function insertListing(c, agentId, d, uni, status = "DRAFT") {
+  const geo = geoFromBody(d);
+  const ins = await c.query(
+    `INSERT INTO "Listing" (
+      id, "agentId", title, type, city, university, "universityId", price,
+      description, highlights, amenities, policies, notes,
+      address, latitude, longitude, "transitMins", "geoLat", "geoLng",
+      furnished, verified, published, featured, "needsReview", "reportsCount",
+      status, "submittedAt", "createdAt", "updatedAt"
+    ) VALUES (
+      gen_random_uuid()::text, $1, $2, $3, $4, $5, $6, $7,
+      $8, $9::text[], $10::text[], $11::text[], $12,
+      $13, $14, $15, $16, $17, $18,
+      $19, false, false, false, false, 0,
+      $20, CASE WHEN $20 = 'SUBMITTED' THEN NOW() END, NOW(), NOW()
+    )
+    RETURNING *`,
+    [
+      agentId,
+      d.title, d.type, d.city, uni.university, uni.universityId, d.price,
+      d.description, d.highlights || [], d.amenities || [], d.policies || [], d.notes ?? null,
+      d.address ?? null, d.latitude ?? null, d.longitude ?? null, d.transitMins ?? null,
+      geo.geoLat, geo.geoLng,
+      !!d.furnished,
+      status,
+    ]
+  );
+  const listing = ins.rows[0];
+
+  // units (optional)
+  if (Array.isArray(d.units) && d.units.length) {
+    const promises = d.units.map(u =>
+      c.query(
+        `INSERT INTO "ListingUnit" (
+          id, "listingId", label, type, price, "availableFrom",
+          "leaseMonths", size, "availableCount"
+        ) VALUES (
+          gen_random_uuid()::text, $1, $2, $3, $4, $5,
+          $6, $7, $8
+        )`,
+        [
+          listing.id,
+          u.label ?? null, u.type ?? null, u.price ?? null, u.availableFrom ?? null,
+          u.leaseMonths ?? null, u.size ?? null, u.availableCount ?? 0
+        ]
+      )
+    );
+    await Promise.all(promises);
+  }
+  return listing;
+}
+
+/**
+ * UPDATE a listing from a parsed (possibly partial) body; fields left undefined keep their
+ * stored value. Pass `coverImageId` (already checked to belong to the listing) to change the
+ * cover. With `only` (body keys, e.g. an import file's columns) everything else is left alone,
+ * including the nullable fields a full edit would clear. Returns the updated Listing row.
+ */
+export async function updateListing(c, listingId, d, uni, { coverImageId, only = null } = {}) {
+  const fields = [];
+  const vals = [];
+  let p = 1;
+  const given = (...keys) => !only || !keys.length || keys.some((k) => only.includes(k));
+
+  const set = (col, val, rawArray = false, keys = [col]) => {
+    if (val === undefined || !given(...keys)) return;
+    if (rawArray) {
+      fields.push(`"${col}" = $${p}::text[]`);
+    } else {
+      fields.push(`"${col}" = $${p}`);
+    }
+    vals.push(val);
+    p++;
+  };
+
+  set("title", d.title);
+  set("type", d.type);
+  set("city", d.city);
+  set("university", uni.university, false, ["university", "universityId"]);
+  set("universityId", uni.universityId, false, ["university", "universityId"]);
+  set("price", d.price);
+  set("description", d.description);
+  set("highlights", d.highlights ?? undefined, true);
+  set("amenities", d.amenities ?? undefined, true);
+  set("policies", d.policies ?? undefined, true);
+  set("notes", d.notes ?? null);
+  set("address", d.address ?? null);
+  set("latitude", d.latitude ?? null);
+  set("longitude", d.longitude ?? null);
+  // geo follows latitude/longitude, so only when both are part of the update
+  const geo = !only || (only.includes("latitude") && only.includes("longitude")) ? geoFromBody(d) : {};
+  set("geoLat", geo.geoLat, false, ["latitude"]);
+  set("geoLng", geo.geoLng, false, ["longitude"]);
+  set("transitMins", d.transitMins ?? null);
+  set("furnished", d.furnished);
+  set("coverImageId", coverImageId, false, []); // not a body field: always applies
+  fields.push(`"updatedAt" = NOW()`);
+
+  const sql = `UPDATE "Listing" SET ${fields.join(", ")} WHERE id = $${p} RETURNING *`;
+  vals.push(listingId);
+  return (await c.query(sql, vals)).rows[0];
+}
@@ -26,10 +26,10 @@ function getTransport() {
   return _tx;
 }
 
-/** Low-level helper */
-export async function sendMail({ to, subject, html, text, replyTo }) {
+/** Low-level helper (`icalEvent`: { method, content } attaches a calendar invite) */
+export async function sendMail({ to, subject, html, text, replyTo, headers, icalEvent }) {
   const tx = getTransport();
-  return tx.sendMail({ from: FROM, to, subject, html, text, replyTo });
+  return tx.sendMail({ from: FROM, to, subject, html, text, replyTo, headers, icalEvent });
 }
 
 /** Password reset email (existing flow) */
@@ -132,3 +132,154 @@ export async function notifyAdminsConversationEmail({
     replyTo: studentEmail || undefined,
   });
 }
+
+/** Saved search: new listings matching a student's search (with one-click unsubscribe) */
+export async function sendSavedSearchAlertEmail({
+  to,
+  studentName,
+  searchName,
+  listings, // [{ id, title, city, price }]
+  moreCount = 0,
+  unsubscribeUrl,
+}) {
+  const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const n = listings.length + moreCount;
+  const subject = `${n} new listing${n === 1 ? "" : "s"} for "${searchName}"`;
+  const manageUrl = `${FRONTEND}/dashboard/student/saved-searches`;
+  const rows = listings.map((l) => ({
+    url: `${FRONTEND}/listings/${encodeURIComponent(l.id)}`,
+    line: `${l.title}${l.city ? ` – ${l.city}` : ""}${l.price != null ? ` – from ${l.price}` : ""}`,
+  }));
+
+  const text = [
+    studentName ? `Hi ${studentName},` : "Hi,",
+    ``,
+    `New listings match your saved search "${searchName}":`,
+    ...rows.map((r) => `- ${r.line}: ${r.url}`),
+    ...(moreCount ? [`…and ${moreCount} more on ${FRONTEND}`] : []),
+    ``,
+    `Manage your alerts: ${manageUrl}`,
+    `Unsubscribe from this search: ${unsubscribeUrl}`,
+  ].join("\n");
+
+  const html = `
+    <p>${studentName ? `Hi ${esc(studentName)},` : "Hi,"}</p>
+    <p>New listings match your saved search <b>${esc(searchName)}</b>:</p>
+    <ul>${rows.map((r) => `<li><a href="${r.url}">${esc(r.line)}</a></li>`).join("")}</ul>
+    ${moreCount ? `<p>…and ${moreCount} more on <a href="${FRONTEND}">${APP}</a>.</p>` : ""}
+    <p><a href="${manageUrl}">Manage your alerts</a></p>
+    <p style="color:#888;font-size:12px"><a href="${unsubscribeUrl}">Unsubscribe</a> from alerts for this search.</p>
+  `;
+
+  return sendMail({
+    to,
+    subject,
+    text,
+    html,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+}
+
+/**
+ * Viewing appointment: booked / rescheduled / cancelled / reminder, to either side.
+ * Times are shown in the recipient's `timeZone`; `ics` (+ `method`) rides along as the invite.
+ */
+export async function sendViewingEmail({
+  to,
+  name,
+  event, // "BOOKED" | "RESCHEDULED" | "CANCELLED" | "REMINDER"
+  listingTitle,
+  withName,
+  startsAt,
+  endsAt,
+  timeZone = "UTC",
+  kind, // "VIDEO" | "IN_PERSON"
+  meetingUrl,
+  location,
+  reason,
+  url,
+  ics,
+  method = "REQUEST",
+}) {
+  const esc = (s) =>
+    String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  const fmt = (d, opts) => new Date(d).toLocaleString("en-GB", { timeZone, ...opts });
+  const when = `${fmt(startsAt, { dateStyle: "full", timeStyle: "short" })} – ${fmt(endsAt, { timeStyle: "short" })} (${timeZone})`;
+  const what = kind === "IN_PERSON" ? "viewing" : "video tour";
+
+  const headline = {
+    BOOKED: `Your ${what} of "${listingTitle}" is booked`,
+    RESCHEDULED: `Your ${what} of "${listingTitle}" has moved`,
+    CANCELLED: `Your ${what} of "${listingTitle}" was cancelled`,
+    REMINDER: `Reminder: ${what} of "${listingTitle}"`,
+  }[event];
+  const where = kind === "IN_PERSON" ? location : meetingUrl;
+
+  const text = [
+    name ? `Hi ${name},` : "Hi,",
+    ``,
+    `${headline}.`,
+    `When: ${when}`,
+    ...(withName ? [`With: ${withName}`] : []),
+    ...(where && event !== "CANCELLED" ? [`${kind === "IN_PERSON" ? "Where" : "Join"}: ${where}`] : []),
+    ...(reason ? [`Reason: ${reason}`] : []),
+    ``,
+    `Details: ${url}`,
+    ``,
+    `— ${APP}`,
+  ].join("\n");
+
+  const html = `
+    <p>${name ? `Hi ${esc(name)},` : "Hi,"}</p>
+    <p><b>${esc(headline)}.</b></p>
+    <p>When: ${esc(when)}${withName ? `<br/>With: ${esc(withName)}` : ""}
+    ${where && event !== "CANCELLED" ? `<br/>${kind === "IN_PERSON" ? "Where" : "Join"}: ${kind === "IN_PERSON" || !/^https?:\/\//i.test(where) ? esc(where) : `<a href="${esc(where)}">${esc(where)}</a>`}` : ""}
+    ${reason ? `<br/>Reason: ${esc(reason)}` : ""}</p>
+    <p><a href="${esc(url)}">Open in ${APP}</a></p>
+    <p>— ${APP}</p>
+  `;
+
+  return sendMail({
+    to,
+    subject: `${APP}: ${headline}`,
+    text,
+    html,
+    icalEvent: ics ? { method, filename: "viewing.ics", content: ics } : undefined,
+  });
+}
+
+/** Offer reminder: the student's offer on a booking expires soon. `expiresAt` is shown in `timeZone`. */
+export async function sendOfferReminderEmail({ to, name, listingTitle, expiresAt, timeZone = "UTC", url }) {
+  const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const fmt = (d, opts) => new Date(d).toLocaleString("en-GB", { timeZone, ...opts });
+  const when = `${fmt(expiresAt, { dateStyle: "full", timeStyle: "short" })} (${timeZone})`;
+  const hoursLeft = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 3600000));
+  const left = hoursLeft >= 48 ? `${Math.round(hoursLeft / 24)} days` : `${hoursLeft} hour${hoursLeft === 1 ? "" : "s"}`;
+  const headline = `Your offer for "${listingTitle}" expires in ${left}`;
+
+  const text = [
+    name ? `Hi ${name},` : "Hi,",
+    ``,
+    `${headline}.`,
+    `Expires: ${when}`,
+    `Accept (and pay anything due now) before then to keep the place; after that it's released to other students.`,
+    ``,
+    `Review the offer: ${url}`,
+    ``,
+    `— ${APP}`,
+  ].join("\n");
+
+  const html = `
+    <p>${name ? `Hi ${esc(name)},` : "Hi,"}</p>
+    <p><b>${esc(headline)}.</b></p>
+    <p>Expires: ${esc(when)}</p>
+    <p>Accept (and pay anything due now) before then to keep the place; after that it's released to other students.</p>
+    <p><a href="${url}">Review the offer</a></p>
+    <p>— ${APP}</p>
+  `;
+
+  return sendMail({ to, subject: `${APP}: ${headline}`, text, html });
+}
@@ -0,0 +1,113 @@
+// src/lib/offerExpiry.js
+// Sent offers with an expiresAt run out: the offer-expiry job marks them EXPIRED and gives the
+// unit back, and emails the student ahead of time at each of settings bookings.offerReminderHours
+// (e.g. 72h and 24h before). Offers without expiresAt stay open until answered or withdrawn.
+import { query, tx } from "../db.js";
+import { getAppSettings } from "./settings.js";
+import { releaseHolds } from "./inventory.js";
+import { orgTimeZone } from "./bookingDates.js";
+import { sendOfferReminderEmail } from "./mailer.js";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+/** EXPIRED, or still SENT but past its expiresAt (the job hasn't caught up yet) */
+export function isOfferExpired(o) {
+  if (!o) return false;
+  if (o.status === "EXPIRED") return true;
+  return o.status === "SENT" && o.expiresAt != null && new Date(o.expiresAt) <= new Date();
+}
+
+/** Why an offer can't be accepted or paid any more, or null */
+export function offerClosedError(o) {
+  if (isOfferExpired(o)) return "This offer has expired";
+  if (o?.status === "CANCELLED") return "This offer is no longer available";
+  return null;
+}
+
+/**
+ * Lock an offer inside tx() before accepting / paying it, so it can't expire underneath.
+ * Returns { ok } or { ok: false, status: 409, error }.
+ */
+export async function lockOpenOffer(c, offerId) {
+  const { rows } = await c.query(`SELECT id, status, "expiresAt" FROM "Offer" WHERE id = $1 FOR UPDATE`, [offerId]);
+  const error = rows[0] ? offerClosedError(rows[0]) : "Offer not found";
+  return error ? { ok: false, status: 409, error } : { ok: true };
+}
+
+/** Mark lapsed SENT offers EXPIRED and release their bookings' holds; returns how many expired */
+export async function expireOffers() {
+  return tx(async (c) => {
+    const { rows } = await c.query(
+      `UPDATE "Offer" o SET status = 'EXPIRED', "expiredAt" = NOW(), "updatedAt" = NOW()
+        WHERE o.id IN (
+          SELECT o2.id FROM "Offer" o2
+          WHERE o2.status = 'SENT' AND o2."expiresAt" IS NOT NULL AND o2."expiresAt" <= NOW()
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING o.id, o."bookingId"`
+    );
+    for (const r of rows) await releaseHolds(r.bookingId, "EXPIRED", c);
+    return rows.length;
+  });
+}
+
+function notifyOfferReminder(offerId) {
+  (async () => {
+    try {
+      const { rows } = await query(
+        `SELECT o."bookingId", o."expiresAt", s.email, s.name, l.title
+         FROM "Offer" o
+         JOIN "Booking" b ON b.id = o."bookingId"
+         JOIN "User" s ON s.id = b."studentId"
+         LEFT JOIN "Listing" l ON l.id = b."listingId"
+         WHERE o.id = $1 AND o.status = 'SENT'`,
+        [offerId]
+      );
+      const o = rows[0];
+      if (!o?.email) return;
+      await sendOfferReminderEmail({
+        to: o.email,
+        name: o.name,
+        listingTitle: o.title || "your booking",
+        expiresAt: o.expiresAt,
+        timeZone: await orgTimeZone(),
+        url: `${FRONTEND_URL}/dashboard/student/bookings/${o.bookingId}`,
+      });
+    } catch (e) {
+      console.error(`[offers] reminder email for ${offerId} failed:`, e.message);
+    }
+  })();
+}
+
+/**
+ * Email students whose offer crossed a reminder threshold. Every threshold already passed is
+ * recorded in remindersSent at once, so an offer sent 10h before expiry gets one email, not two.
+ */
+export async function sendOfferReminders() {
+  const cfg = await getAppSettings();
+  const hours = (Array.isArray(cfg.bookings?.offerReminderHours) ? cfg.bookings.offerReminderHours : [])
+    .map(Number)
+    .filter((h) => Number.isInteger(h) && h > 0);
+  if (!hours.length) return 0;
+
+  const { rows } = await tx(async (c) =>
+    c.query(
+      `UPDATE "Offer" o SET "remindersSent" = o."remindersSent" || due.hours, "updatedAt" = NOW()
+         FROM (
+           SELECT o2.id,
+                  ARRAY(SELECT h FROM unnest($1::int[]) h
+                        WHERE o2."expiresAt" <= NOW() + make_interval(hours => h)
+                          AND NOT h = ANY(o2."remindersSent")) AS hours
+           FROM "Offer" o2
+           WHERE o2.status = 'SENT' AND o2."expiresAt" > NOW()
+             AND o2."expiresAt" <= NOW() + make_interval(hours => $2::int)
+           FOR UPDATE SKIP LOCKED
+         ) due
+        WHERE o.id = due.id AND cardinality(due.hours) > 0
+        RETURNING o.id`,
+      [hours, Math.max(...hours)]
+    )
+  );
+  rows.forEach((r) => notifyOfferReminder(r.id));
+  return rows.length;
+}
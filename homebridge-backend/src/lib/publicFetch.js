@@ -0,0 +1,54 @@
+// src/lib/publicFetch.js
+// Server-side fetches of URLs that users hand us (import images, calendar imports): http(s)
+// only and public addresses only, so they can't be aimed at internal services.
+import dns from "dns/promises";
+import net from "net";
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([net4, prefix]) => PRIVATE_RANGES.addSubnet(net4, prefix, "ipv4"));
+// no ::ffff:0:0/96 here: BlockList matches plain IPv4 addresses against it, which would block
+// every IPv4 host. IPv4-mapped addresses are unwrapped and checked as IPv4 instead.
+[
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([net6, prefix]) => PRIVATE_RANGES.addSubnet(net6, prefix, "ipv6"));
+
+function isPrivateAddress(address, family) {
+  if (family !== 6) return PRIVATE_RANGES.check(address, "ipv4");
+  const m = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!m) return PRIVATE_RANGES.check(address, "ipv6");
+  const [hi, lo] = [parseInt(m[2], 16), parseInt(m[3], 16)];
+  return PRIVATE_RANGES.check(m[1] || [hi >> 8, hi & 255, lo >> 8, lo & 255].join("."), "ipv4");
+}
+
+/**
+ * fetch() a user-supplied URL. The host must resolve to public addresses only, checked again
+ * on every redirect (at most `redirects`). `label` names the URL in errors ("Image URL").
+ * Resolves to the final Response; address/redirect problems throw with a message that can be
+ * shown to the user, network errors from fetch() itself are passed through.
+ */
+export async function fetchPublicUrl(url, { label = "URL", redirects = 3, ...init } = {}) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new Error(`${label} is invalid`);
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error(`${label} must be http(s)`);
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  const addrs = await dns.lookup(host, { all: true }).catch(() => []);
+  if (!addrs.length) throw new Error(`Could not resolve ${host}`);
+  if (addrs.some((a) => isPrivateAddress(a.address, a.family))) {
+    throw new Error(`${label} must point to a public address`);
+  }
+
+  const res = await fetch(u, { ...init, redirect: "manual" });
+  if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+    if (!redirects) throw new Error("Too many redirects");
+    return fetchPublicUrl(new URL(res.headers.get("location"), u).href, { ...init, label, redirects: redirects - 1 });
+  }
+  return res;
+}
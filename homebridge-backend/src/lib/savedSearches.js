@@ -0,0 +1,190 @@
+// src/lib/savedSearches.js
+// Saved searches and their new-listing alerts. When a listing goes live it is matched against
+// every active search (same filters as GET /api/public/listings) and queued in
+// SavedSearchAlert; INSTANT searches are emailed straight away, DAILY/WEEKLY ones by the
+// sweep job once their interval has passed. Students with commsEmail off get nothing.
+import crypto from "crypto";
+import { query, tx } from "../db.js";
+import { ListingFiltersSchema, buildListingWhere, FROM_PRICE_SQL } from "./listingSearch.js";
+import { sendSavedSearchAlertEmail } from "./mailer.js";
+
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || "http://localhost:4000").replace(/\/$/, "");
+
+export const ALERT_FREQUENCIES = ["INSTANT", "DAILY", "WEEKLY"];
+export const MAX_SAVED_SEARCHES = 20;
+const MAX_LISTINGS_PER_EMAIL = 20;
+
+const FILTER_KEYS = Object.keys(ListingFiltersSchema.shape);
+
+export const newUnsubscribeToken = () => crypto.randomBytes(24).toString("base64url");
+export const unsubscribeUrlFor = (token) =>
+  `${API_PUBLIC_URL}/api/public/saved-searches/unsubscribe/${encodeURIComponent(token)}`;
+
+/**
+ * Validate a filter set (query-string style: strings, comma lists or arrays) and return the
+ * version to store: known keys only, empty values dropped, as given (not transformed) so it
+ * can be replayed through ListingFiltersSchema later. { ok, filters } | { ok: false, error }.
+ */
+export function normalizeFilters(input = {}) {
+  const raw = {};
+  for (const key of FILTER_KEYS) {
+    const v = input?.[key];
+    if (v == null || v === "" || (Array.isArray(v) && !v.length)) continue;
+    raw[key] = v;
+  }
+  const parsed = ListingFiltersSchema.safeParse(raw);
+  if (!parsed.success) return { ok: false, error: parsed.error.flatten() };
+  return { ok: true, filters: raw };
+}
+
+/** Short label for a filter set, used when the student doesn't name the search */
+export function describeFilters(filters = {}) {
+  const list = (v) => (Array.isArray(v) ? v : String(v).split(",")).map((s) => String(s).trim()).filter(Boolean);
+  const parts = [];
+  if (filters.q) parts.push(`"${filters.q}"`);
+  for (const key of ["city", "university", "type"]) {
+    if (filters[key]) parts.push(list(filters[key]).join("/"));
+  }
+  if (filters.maxPrice) parts.push(`under ${filters.maxPrice}`);
+  return parts.join(" · ").slice(0, 100) || "All listings";
+}
+
+// does the published listing match this stored filter set?
+async function listingMatches(listingId, filters, db) {
+  const parsed = ListingFiltersSchema.safeParse(filters || {});
+  if (!parsed.success) return false;
+  const { where, params } = buildListingWhere(parsed.data);
+  params.push(listingId);
+  const { rows } = await db.query(
+    `SELECT 1 FROM "Listing" l WHERE ${where.join(" AND ")} AND l.id = $${params.length}`,
+    params
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Queue alerts for a listing that just went live. Fire-and-forget from the publish routes
+ * (after their tx commits); INSTANT matches are sent before this returns.
+ */
+export function queueSavedSearchAlerts(listingId) {
+  (async () => {
+    try {
+      const { rows: searches } = await query(
+        `SELECT s.id, s.filters, s.frequency
+         FROM "SavedSearch" s
+         LEFT JOIN "StudentProfile" sp ON sp."userId" = s."userId"
+         WHERE s.active = TRUE AND sp."commsEmail" IS DISTINCT FROM FALSE`
+      );
+      const queued = [];
+      for (const s of searches) {
+        if (!(await listingMatches(listingId, s.filters, { query }))) continue;
+        const ins = await query(
+          `INSERT INTO "SavedSearchAlert" ("savedSearchId", "listingId") VALUES ($1, $2)
+           ON CONFLICT ("savedSearchId", "listingId") DO NOTHING`,
+          [s.id, listingId]
+        );
+        if (ins.rowCount) queued.push(s);
+      }
+      const instant = queued.filter((s) => s.frequency === "INSTANT").map((s) => s.id);
+      if (instant.length) await sendSavedSearchAlerts({ searchIds: instant });
+    } catch (e) {
+      console.error("[saved-searches] queue failed:", e.message);
+    }
+  })();
+}
+
+/**
+ * Email every search whose pending alerts are due (INSTANT: now, DAILY: a day after the last
+ * email or after saving, WEEKLY: a week). `searchIds` limits the run. Each search is locked
+ * while it sends, so the sweep and an instant send never double up. Returns emails sent.
+ */
+export async function sendSavedSearchAlerts({ searchIds = null } = {}) {
+  const params = [];
+  let idSql = "";
+  if (searchIds) {
+    params.push(searchIds);
+    idSql = `AND s.id = ANY($1::text[])`;
+  }
+  const { rows: due } = await query(
+    `SELECT s.id
+     FROM "SavedSearch" s
+     WHERE EXISTS (SELECT 1 FROM "SavedSearchAlert" a WHERE a."savedSearchId" = s.id AND a.status = 'PENDING')
+       AND (s.frequency = 'INSTANT'
+            OR (s.frequency = 'DAILY'
+                AND COALESCE(s."lastAlertedAt", s."createdAt") <= NOW() - INTERVAL '1 day')
+            OR (s.frequency = 'WEEKLY'
+                AND COALESCE(s."lastAlertedAt", s."createdAt") <= NOW() - INTERVAL '7 days'))
+       ${idSql}`,
+    params
+  );
+
+  let sent = 0;
+  for (const { id } of due) {
+    try {
+      if (await sendOne(id)) sent++;
+    } catch (e) {
+      // alerts stay PENDING and go out with the next sweep
+      console.error(`[saved-searches] alert for ${id} failed:`, e.message);
+    }
+  }
+  return sent;
+}
+
+async function sendOne(searchId) {
+  return tx(async (c) => {
+    const { rows } = await c.query(
+      `SELECT s.id, s.name, s.active, s."unsubscribeToken", u.email, u.name AS "userName", u."deletedAt",
+              sp."commsEmail"
+       FROM "SavedSearch" s
+       JOIN "User" u ON u.id = s."userId"
+       LEFT JOIN "StudentProfile" sp ON sp."userId" = u.id
+       WHERE s.id = $1
+       FOR UPDATE OF s SKIP LOCKED`,
+      [searchId]
+    );
+    const s = rows[0];
+    if (!s) return false;
+
+    const skip = async (where = "") =>
+      c.query(
+        `UPDATE "SavedSearchAlert" a SET status = 'SKIPPED'
+         WHERE a."savedSearchId" = $1 AND a.status = 'PENDING' ${where}`,
+        [searchId]
+      );
+
+    // opted out (or gone) since these were queued
+    if (!s.active || !s.email || s.deletedAt || s.commsEmail === false) {
+      await skip();
+      return false;
+    }
+    // listings unpublished since they were queued aren't worth an email
+    await skip(`AND NOT EXISTS (SELECT 1 FROM "Listing" l WHERE l.id = a."listingId" AND l.published = TRUE)`);
+
+    const { rows: listings } = await c.query(
+      `SELECT a.id AS "alertId", l.id, l.title, l.city,
+              ${FROM_PRICE_SQL} AS price
+       FROM "SavedSearchAlert" a
+       JOIN "Listing" l ON l.id = a."listingId"
+       WHERE a."savedSearchId" = $1 AND a.status = 'PENDING'
+       ORDER BY a."createdAt" DESC`,
+      [searchId]
+    );
+    if (!listings.length) return false;
+
+    await sendSavedSearchAlertEmail({
+      to: s.email,
+      studentName: s.userName,
+      searchName: s.name,
+      listings: listings.slice(0, MAX_LISTINGS_PER_EMAIL),
+      moreCount: Math.max(0, listings.length - MAX_LISTINGS_PER_EMAIL),
+      unsubscribeUrl: unsubscribeUrlFor(s.unsubscribeToken),
+    });
+
+    await c.query(
+      `UPDATE "SavedSearchAlert" SET status = 'SENT', "sentAt" = NOW() WHERE id = ANY($1::text[])`,
+      [listings.map((l) => l.alertId)]
+    );
+    await c.query(`UPDATE "SavedSearch" SET "lastAlertedAt" = NOW() WHERE id = $1`, [searchId]);
+    return true;
+  });
+}
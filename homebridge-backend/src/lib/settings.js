@@ -0,0 +1,100 @@
+// src/lib/settings.js
+// App-wide settings (AppSetting row 'GLOBAL'), merged over the defaults below.
+import { query } from "../db.js";
+
+/** Defaults extended with payment-related configuration */
+export const DEFAULTS = {
+  org: {
+    name: "GlobalCribs",
+    logo: "",
+    supportEmail: "support@globalcribs.org",
+    supportPhone: "+1 (555) 010-2323",
+    website: "https://www.globalcribs.org",
+    timezone: "UTC",
+  },
+  security: { twoFactorRequired: false, sessionTimeoutMins: 60, allowIpRanges: "" },
+
+  /** FEES now includes agent onboarding fee + bank (escrow/payout) details */
+  fees: {
+    currency: "USD",
+    /** Student registration/application fee (was static $25) */
+    applicationFeeCents: 2500,
+    /** One-time agent/landlord onboarding fee */
+    agentOnboardingFeeCents: 10000,
+    escrowEnabled: true,
+    escrowReleaseDays: 2,
+    /** Bank details to receive fees / act as escrow (display-only; NOT Stripe keys) */
+    bank: {
+      accountName: "",
+      bankName: "",
+      accountNumber: "",
+      branch: "",
+      routingNumber: "",
+      iban: "",
+      swift: "",
+      notes: "",
+    },
+  },
+
+  kyc: { passport: true, admission: true, financial: true, i20: false, visa: false },
+  notifications: { newBookingEmail: true, newBookingSMS: false, statusChangeEmail: true, statusChangeSMS: false },
+
+  /** Booking/inventory rules */
+  bookings: {
+    /** How long a sent offer reserves its unit when the offer itself has no expiry */
+    unitHoldHours: 72,
+    /** Remind the student this many hours before a sent offer expires (one email per threshold) */
+    offerReminderHours: [72, 24],
+  },
+
+  /** Listing moderation */
+  moderation: {
+    /** Open abuse reports after which a listing is flagged needsReview */
+    reportThreshold: 3,
+  },
+
+  /** Viewing / virtual-tour appointments */
+  viewings: {
+    /** Reminder email this many hours before a viewing */
+    reminderHours: 24,
+    /** Students can't book or move into a slot starting sooner than this */
+    minNoticeHours: 2,
+  },
+
+  /** Student cancellations (a listing's cancellationPolicy can override any of these) */
+  cancellation: {
+    /** Cancelling at least this many days before check-in refunds offer payments in full */
+    fullRefundDays: 30,
+    /** Later than that (but before check-in): this share of offer payments; none after check-in */
+    partialRefundPercent: 50,
+    /** Whether the application fee is refunded too */
+    appFeeRefundable: false,
+  },
+};
+
+export function deepMerge(base, patch) {
+  const out = Array.isArray(base) ? [...base] : { ...base };
+  for (const k of Object.keys(patch || {})) {
+    const v = patch[k];
+    if (
+      v &&
+      typeof v === "object" &&
+      !Array.isArray(v) &&
+      base?.[k] &&
+      typeof base[k] === "object" &&
+      !Array.isArray(base[k])
+    ) {
+      out[k] = deepMerge(base[k], v);
+    } else {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+/** Stored GLOBAL settings merged over DEFAULTS */
+export async function getAppSettings() {
+  const row = await query(`SELECT data FROM "AppSetting" WHERE id = 'GLOBAL'`);
+  const data = row.rows[0]?.data ?? {};
+  return deepMerge(DEFAULTS, data || {});
+}
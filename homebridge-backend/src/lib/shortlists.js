@@ -0,0 +1,26 @@
+// src/lib/shortlists.js
+// Named shortlists of listings a student can share read-only through a tokenized link.
+import crypto from "crypto";
+import { query } from "../db.js";
+import { hydrateListingCards } from "./listingCards.js";
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+
+export const newShareToken = () => crypto.randomBytes(24).toString("base64url");
+export const shareUrlFor = (token) => (token ? `${FRONTEND_URL}/shortlists/${encodeURIComponent(token)}` : null);
+
+/**
+ * A shortlist's listings as public cards (in the order they were added) with `note`,
+ * `addedAt` and `available` (still published). `publishedOnly` drops the unavailable ones.
+ */
+export async function shortlistListings(shortlistId, { publishedOnly = false } = {}) {
+  const { rows } = await query(
+    `SELECT l.*, si.note, si."addedAt"::timestamptz::text AS "addedAt", l.published AS available
+     FROM "ShortlistItem" si
+     JOIN "Listing" l ON l.id = si."listingId"
+     WHERE si."shortlistId" = $1 ${publishedOnly ? "AND l.published = TRUE" : ""}
+     ORDER BY si."addedAt" ASC`,
+    [shortlistId]
+  );
+  return hydrateListingCards(rows);
+}
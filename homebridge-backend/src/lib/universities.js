@@ -0,0 +1,101 @@
+// src/lib/universities.js
+import { query } from "../db.js";
+import { distanceKmSql } from "./geo.js";
+
+// Campuses further than this from a listing are not recorded as "nearby"
+export const NEARBY_CAMPUS_MAX_KM = 30;
+// Keep at most this many nearby campuses per listing
+export const NEARBY_CAMPUS_LIMIT = 5;
+
+export function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Find a university by id, or by name/alias (case-insensitive).
+ * `db` is anything with a pg-style `query` (a tx client; defaults to the pool helper).
+ * Returns { id, name } or null.
+ */
+export async function resolveUniversity({ universityId, name } = {}, db = { query }) {
+  if (universityId) {
+    const { rows } = await db.query(`SELECT id, name FROM "University" WHERE id = $1`, [universityId]);
+    return rows[0] || null;
+  }
+
+  const n = String(name || "").trim();
+  if (!n) return null;
+  const { rows } = await db.query(
+    `SELECT id, name FROM "University"
+     WHERE lower(name) = lower($1)
+        OR slug = $2
+        OR EXISTS (SELECT 1 FROM unnest(aliases) a WHERE lower(a) = lower($1))
+     ORDER BY (lower(name) = lower($1)) DESC, name ASC
+     LIMIT 1`,
+    [n, slugify(n)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Recompute ListingCampusDistance for the given listings (all listings when `listingIds` is null).
+ * Listings without coordinates end up with no rows.
+ */
+export async function refreshCampusDistances(listingIds = null, db = { query }) {
+  const ids = listingIds ? [].concat(listingIds) : null;
+
+  await db.query(
+    `DELETE FROM "ListingCampusDistance" WHERE ($1::text[] IS NULL OR "listingId" = ANY($1::text[]))`,
+    [ids]
+  );
+
+  const km = distanceKmSql(`c."geoLat"`, `c."geoLng"`, `l."geoLat"`, `l."geoLng"`);
+  const { rowCount } = await db.query(
+    `INSERT INTO "ListingCampusDistance" ("listingId","campusId","universityId","distanceKm")
+     SELECT "listingId", "campusId", "universityId", "distanceKm"
+     FROM (
+       SELECT l.id AS "listingId", c.id AS "campusId", c."universityId",
+              d.km AS "distanceKm",
+              ROW_NUMBER() OVER (PARTITION BY l.id ORDER BY d.km ASC) AS rn
+       FROM "Listing" l
+       CROSS JOIN "UniversityCampus" c
+       CROSS JOIN LATERAL (SELECT ${km} AS km) d
+       WHERE l."geoLat" IS NOT NULL AND l."geoLng" IS NOT NULL
+         AND ($1::text[] IS NULL OR l.id = ANY($1::text[]))
+         AND d.km <= $2
+     ) x
+     WHERE rn <= $3`,
+    [ids, NEARBY_CAMPUS_MAX_KM, NEARBY_CAMPUS_LIMIT]
+  );
+  return rowCount;
+}
+
+/**
+ * Nearby campuses for a set of listings, nearest first.
+ * Returns { [listingId]: [{ campusId, campusName, universityId, universityName, distanceKm }] }
+ */
+export async function nearbyCampusesFor(listingIds) {
+  const ids = [].concat(listingIds || []).filter(Boolean);
+  if (!ids.length) return {};
+  const { rows } = await query(
+    `SELECT d."listingId", d."campusId", c.name AS "campusName",
+            d."universityId", u.name AS "universityName",
+            ROUND(d."distanceKm"::numeric, 2)::float8 AS "distanceKm"
+     FROM "ListingCampusDistance" d
+     JOIN "UniversityCampus" c ON c.id = d."campusId"
+     JOIN "University" u ON u.id = d."universityId"
+     WHERE d."listingId" = ANY($1::text[])
+     ORDER BY d."listingId", d."distanceKm" ASC`,
+    [ids]
+  );
+  const out = {};
+  for (const r of rows) {
+    const { listingId, ...rest } = r;
+    (out[listingId] ||= []).push(rest);
+  }
+  return out;
+}
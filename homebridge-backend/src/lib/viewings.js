@@ -0,0 +1,235 @@
+// src/lib/viewings.js
+// Viewing / virtual-tour appointments: agent time slots per listing, one student per slot.
+// Emails to both sides carry an ICS invite with a stable UID per appointment, so a reschedule
+// (SEQUENCE + 1) or cancellation updates the event already in their calendar.
+import { query, tx } from "../db.js";
+import { getAppSettings } from "./settings.js";
+import { buildCalendar } from "./ics.js";
+import { sendViewingEmail } from "./mailer.js";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+const ICS_DOMAIN = new URL(FRONTEND_URL).hostname || "localhost";
+
+export const VIEWING_KINDS = ["VIDEO", "IN_PERSON"];
+export const MAX_SLOTS_PER_REQUEST = 50;
+
+// UTC timestamp column -> "2026-11-02T11:00:00.000Z"
+export const isoSql = (col) => `to_char(${col}, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')`;
+
+export function isValidTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** The agent's prefsTimezone, else the org timezone, else UTC */
+export async function agentTimeZone(agentId, db = { query }) {
+  const { rows } = await db.query(`SELECT "prefsTimezone" FROM "AgentProfile" WHERE "userId" = $1`, [agentId]);
+  if (isValidTimeZone(rows[0]?.prefsTimezone)) return rows[0].prefsTimezone;
+  const cfg = await getAppSettings();
+  return isValidTimeZone(cfg.org?.timezone) ? cfg.org.timezone : "UTC";
+}
+
+export const SLOT_SELECT = `
+  SELECT s.id, s."listingId", s.kind, s."meetingUrl", s.note,
+         ${isoSql(`s."startsAt"`)} AS "startsAt", ${isoSql(`s."endsAt"`)} AS "endsAt",
+         ${isoSql(`s."cancelledAt"`)} AS "cancelledAt"
+  FROM "ViewingSlot" s`;
+
+// full appointment row: slot times, listing, both parties (used for API output and emails)
+export const APPOINTMENT_SELECT = `
+  SELECT a.id, a.status, a."slotId", a."listingId", a."bookingId", a.note, a."studentTimezone",
+         a.sequence, a."cancelReason",
+         ${isoSql(`a."cancelledAt"`)} AS "cancelledAt",
+         ${isoSql(`a."createdAt"`)} AS "createdAt",
+         ${isoSql(`s."startsAt"`)} AS "startsAt", ${isoSql(`s."endsAt"`)} AS "endsAt",
+         s.kind, s."meetingUrl", l.title AS "listingTitle", l.address AS "listingAddress",
+         s."agentId", ag.name AS "agentName", ag.email AS "agentEmail",
+         a."studentId", st.name AS "studentName", st.email AS "studentEmail"
+  FROM "ViewingAppointment" a
+  JOIN "ViewingSlot" s ON s.id = a."slotId"
+  JOIN "Listing" l ON l.id = a."listingId"
+  JOIN "User" ag ON ag.id = s."agentId"
+  JOIN "User" st ON st.id = a."studentId"`;
+
+export async function findAppointment(id, db = { query }) {
+  const { rows } = await db.query(`${APPOINTMENT_SELECT} WHERE a.id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/** Public shape: the student's email stays with the agent, the agent's stays with the student */
+export function presentAppointment(a, viewer = "STUDENT") {
+  const { agentEmail, studentEmail, sequence, ...rest } = a;
+  return viewer === "AGENT" ? { ...rest, studentEmail } : rest;
+}
+
+/**
+ * Book `slotId` for a student inside tx `c`. The slot row is locked and the partial unique
+ * index backs it up, so two students can never hold the same slot.
+ * { ok, slot } | { ok: false, status, error }
+ */
+export async function claimSlot(c, { slotId, listingId = null, excludeAppointmentId = null }) {
+  const cfg = await getAppSettings();
+  const noticeHours = Number(cfg.viewings?.minNoticeHours ?? 2);
+
+  const { rows } = await c.query(
+    `SELECT s.id, s."listingId", s."agentId", s."cancelledAt",
+            s."startsAt" > NOW() + make_interval(hours => $2::int) AS "bookable",
+            l.published
+     FROM "ViewingSlot" s
+     JOIN "Listing" l ON l.id = s."listingId"
+     WHERE s.id = $1
+     FOR UPDATE OF s`,
+    [slotId, noticeHours]
+  );
+  const slot = rows[0];
+  if (!slot || slot.cancelledAt || !slot.published) return { ok: false, status: 404, error: "Slot not found" };
+  if (listingId && slot.listingId !== listingId) {
+    return { ok: false, status: 400, error: "Pick a slot for the same listing" };
+  }
+  if (!slot.bookable) {
+    return { ok: false, status: 400, error: `Slots must be booked at least ${noticeHours} hour(s) ahead` };
+  }
+  const taken = await c.query(
+    `SELECT 1 FROM "ViewingAppointment"
+     WHERE "slotId" = $1 AND status = 'BOOKED' AND ($2::text IS NULL OR id <> $2)`,
+    [slotId, excludeAppointmentId]
+  );
+  if (taken.rows[0]) return { ok: false, status: 409, error: "That slot has just been booked. Pick another one." };
+  return { ok: true, slot };
+}
+
+/**
+ * Slots of a listing a student can still book (open, unbooked, past the minimum notice).
+ * The meeting link is only shared once booked.
+ */
+export async function openSlots(listingId) {
+  const cfg = await getAppSettings();
+  const { rows } = await query(
+    `${SLOT_SELECT}
+     WHERE s."listingId" = $1 AND s."cancelledAt" IS NULL
+       AND s."startsAt" > NOW() + make_interval(hours => $2::int)
+       AND NOT EXISTS (SELECT 1 FROM "ViewingAppointment" a WHERE a."slotId" = s.id AND a.status = 'BOOKED')
+     ORDER BY s."startsAt" ASC`,
+    [listingId, Number(cfg.viewings?.minNoticeHours ?? 2)]
+  );
+  return rows.map(({ meetingUrl, cancelledAt, ...slot }) => slot);
+}
+
+/** Unique-violation on the one-booking-per-slot index (a race claimSlot lost) */
+export const isSlotTaken = (e) => e?.code === "23505";
+
+function calendarFor(a, { cancelled = false } = {}) {
+  const what = a.kind === "IN_PERSON" ? "Viewing" : "Video tour";
+  return buildCalendar({
+    method: cancelled ? "CANCEL" : "REQUEST",
+    events: [
+      {
+        uid: `viewing-${a.id}@${ICS_DOMAIN}`,
+        sequence: a.sequence,
+        start: a.startsAt,
+        end: a.endsAt,
+        summary: `${what}: ${a.listingTitle}`,
+        description: [a.note, a.meetingUrl ? `Join: ${a.meetingUrl}` : null].filter(Boolean).join("\n"),
+        location: a.kind === "IN_PERSON" ? a.listingAddress : a.meetingUrl,
+        url: `${FRONTEND_URL}/listings/${encodeURIComponent(a.listingId)}`,
+        status: cancelled ? "CANCELLED" : "CONFIRMED",
+        organizer: { name: a.agentName, email: a.agentEmail },
+        attendees: [{ name: a.studentName, email: a.studentEmail }],
+      },
+    ],
+  });
+}
+
+/**
+ * Email both sides about an appointment (fire-and-forget; call after the tx commits).
+ * event: "BOOKED" | "RESCHEDULED" | "CANCELLED" | "REMINDER"
+ */
+export function notifyViewing(appointmentId, event, { reason = null } = {}) {
+  (async () => {
+    try {
+      const a = await findAppointment(appointmentId);
+      if (!a) return;
+      const cancelled = event === "CANCELLED";
+      const ics = calendarFor(a, { cancelled });
+      const agentTz = await agentTimeZone(a.agentId);
+      const common = {
+        event,
+        listingTitle: a.listingTitle,
+        startsAt: a.startsAt,
+        endsAt: a.endsAt,
+        kind: a.kind,
+        meetingUrl: a.meetingUrl,
+        location: a.listingAddress,
+        reason,
+        ics,
+        method: cancelled ? "CANCEL" : "REQUEST",
+      };
+      await Promise.all([
+        sendViewingEmail({
+          ...common,
+          to: a.studentEmail,
+          name: a.studentName,
+          withName: a.agentName,
+          timeZone: isValidTimeZone(a.studentTimezone) ? a.studentTimezone : agentTz,
+          url: `${FRONTEND_URL}/dashboard/student/viewings`,
+        }),
+        sendViewingEmail({
+          ...common,
+          to: a.agentEmail,
+          name: a.agentName,
+          withName: a.studentName,
+          timeZone: agentTz,
+          url: `${FRONTEND_URL}/dashboard/agent/viewings`,
+        }),
+      ]);
+    } catch (e) {
+      console.error(`[viewings] ${event} email for ${appointmentId} failed:`, e.message);
+    }
+  })();
+}
+
+/**
+ * Cancel a BOOKED appointment (either side). The slot itself stays open for someone else.
+ * Returns the appointment id, or null when there was nothing to cancel.
+ */
+export async function cancelAppointment(c, { appointmentId, actorId, reason = null }) {
+  const { rows } = await c.query(
+    `UPDATE "ViewingAppointment"
+        SET status = 'CANCELLED', "cancelledAt" = NOW(), "cancelledById" = $2, "cancelReason" = $3,
+            sequence = sequence + 1, "updatedAt" = NOW()
+      WHERE id = $1 AND status = 'BOOKED'
+      RETURNING id`,
+    [appointmentId, actorId, reason]
+  );
+  return rows[0]?.id || null;
+}
+
+/**
+ * Send reminders for viewings starting within settings.viewings.reminderHours. Each
+ * appointment is claimed (reminderSentAt) before sending, so it goes out at most once.
+ */
+export async function sendViewingReminders() {
+  const cfg = await getAppSettings();
+  const hours = Number(cfg.viewings?.reminderHours ?? 24);
+  const { rows } = await tx(async (c) =>
+    c.query(
+      `UPDATE "ViewingAppointment" a SET "reminderSentAt" = NOW()
+        WHERE a.id IN (
+          SELECT a2.id FROM "ViewingAppointment" a2
+          JOIN "ViewingSlot" s ON s.id = a2."slotId"
+          WHERE a2.status = 'BOOKED' AND a2."reminderSentAt" IS NULL
+            AND s."startsAt" > NOW() AND s."startsAt" <= NOW() + make_interval(hours => $1::int)
+          FOR UPDATE OF a2 SKIP LOCKED
+        )
+        RETURNING a.id`,
+      [hours]
+    )
+  );
+  rows.forEach((r) => notifyViewing(r.id, "REMINDER"));
+  return rows.length;
+}
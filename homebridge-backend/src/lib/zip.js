@@ -0,0 +1,60 @@
+// src/lib/zip.js
+// Just enough of the ZIP format to read an uploaded archive: the central directory plus
+// stored (0) and deflated (8) entries. No encryption, no ZIP64, no multi-disk archives.
+import zlib from "zlib";
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+/**
+ * Read a zip held in `buf`. Returns Map(name -> Buffer) of file entries (directories and
+ * macOS "__MACOSX/" metadata are skipped). Throws on anything it can't read.
+ * `maxBytes` caps the total uncompressed size (zip bomb guard).
+ */
+export function readZip(buf, { maxBytes = 100 * 1024 * 1024 } = {}) {
+  // End of central directory: last 22 bytes + up to 64 KB of comment
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip archive");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const files = new Map();
+  let total = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== CENTRAL_SIG) throw new Error("Corrupt zip central directory");
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString(flags & 0x800 ? "utf8" : "latin1", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/") || name.startsWith("__MACOSX/")) continue;
+    if (flags & 0x1) throw new Error(`Encrypted zip entry: ${name}`);
+    total += size;
+    if (total > maxBytes) throw new Error("Zip contents are too large");
+
+    if (buf.readUInt32LE(localOffset) !== LOCAL_SIG) throw new Error(`Corrupt zip entry: ${name}`);
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(start, start + compSize);
+
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: size || 1 });
+    else throw new Error(`Unsupported zip compression for ${name}`);
+    files.set(name, data);
+  }
+  return files;
+}
@@ -0,0 +1,44 @@
+// src/migrate.js
+// Applies migrations/*.sql in filename order; each file runs once, inside a transaction.
+import "dotenv/config";
+import path from "path";
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import { query, tx } from "./db.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+async function main() {
+  await query(
+    `CREATE TABLE IF NOT EXISTS "SchemaMigration" (
+       name TEXT PRIMARY KEY,
+       "appliedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+     )`
+  );
+
+  const done = new Set(
+    (await query(`SELECT name FROM "SchemaMigration"`)).rows.map((r) => r.name)
+  );
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((f) => f.endsWith(".sql")).sort();
+
+  let applied = 0;
+  for (const name of files) {
+    if (done.has(name)) continue;
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, name), "utf8");
+    await tx(async (c) => {
+      await c.query(sql);
+      await c.query(`INSERT INTO "SchemaMigration"(name) VALUES ($1)`, [name]);
+    });
+    console.log(`applied ${name}`);
+    applied++;
+  }
+  console.log(applied ? `${applied} migration(s) applied` : "schema up to date");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error("migration failed:", e.message);
+    process.exit(1);
+  });
@@ -2,8 +2,11 @@
 import { Router } from "express";
 import { authRequired } from "../middleware/auth.js";
 import { requireRole } from "../middleware/requireRole.js";
-import { query } from "../db.js";
+import { query, tx } from "../db.js";
 import { sendMail } from "../lib/mailer.js";
+import { releaseHolds, releaseHoldsAfterRefund } from "../lib/inventory.js";
+import { actorFrom, transitionBooking } from "../lib/bookingLifecycle.js";
+import { bookingTimeline } from "../lib/bookingTimeline.js";
 
 const router = Router();
 
@@ -253,7 +256,7 @@ router.get(
 );
 
 
-// POST /api/admin/bookings/:id/decision
+// POST /api/admin/bookings/:id/decision { decision: "APPROVED" | "REJECTED", reason? }
 router.post(
   "/:id/decision",
   authRequired,
@@ -264,16 +267,18 @@ router.post(
       return res.status(400).json({ error: "decision must be APPROVED or REJECTED" });
     }
 
-    const exists = await query(`SELECT id FROM "Booking" WHERE id = $1`, [req.params.id]);
-    if (!exists.rows[0]) return res.status(404).json({ error: "Booking not found" });
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 1000) || null : null;
 
-    const up = await query(
-      `UPDATE "Booking" SET status = $1, "updatedAt" = NOW() WHERE id = $2 RETURNING *`,
-      [decision, req.params.id]
-    );
+    const moved = await tx(async (c) => {
+      const t = await transitionBooking(c, { bookingId: req.params.id, to: decision, actor: actorFrom(req), reason });
+      if (t.ok && decision === "REJECTED") await releaseHolds(req.params.id, "REJECTED", c);
+      return t;
+    });
+    if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
+    const up = await query(`SELECT * FROM "Booking" WHERE id = $1`, [req.params.id]);
 
     // If approved -> notify the agent to prepare/send an offer
-    if (decision === "APPROVED") {
+    if (decision === "APPROVED" && moved.changed) {
       (async () => {
         try {
           // Load booking + listing + student + agent (with AgentProfile email if set)
@@ -349,6 +354,18 @@ router.post(
 
 
 
+// Full activity timeline of a booking, including refund notes (GET /api/admin/bookings/:id/timeline)
+router.get(
+  "/:id/timeline",
+  authRequired,
+  requireRole("ADMIN", "SUPERADMIN"),
+  async (req, res) => {
+    const timeline = await bookingTimeline(req.params.id, "ADMIN");
+    if (!timeline) return res.status(404).json({ error: "Not found" });
+    res.json(timeline);
+  }
+);
+
 // List payments explicitly (optional; detail already returns payments)
 router.get(
   "/:id/payments",
@@ -427,6 +444,7 @@ router.post(
           WHERE id = $1`,
         [rr.id, refund.id]
       );
+      if (rr.bookingId) await releaseHoldsAfterRefund(rr.bookingId);
 
       res.json({ ok: true, refundId: refund.id });
     } catch (e) {
@@ -471,8 +489,8 @@ router.post(
     const { rows } = await query(
       `INSERT INTO "RefundRequest"
          (id,"userId","bookingId","paymentId","amountCents","currency",reason,status,
-          "createdAt","updatedAt")
-       VALUES (gen_random_uuid()::text,$1,$2,$3,$4,$5,$6,'PENDING',NOW(),NOW())
+          "createdAt","updatedAt","requestedById","requestedByRole")
+       VALUES (gen_random_uuid()::text,$1,$2,$3,$4,$5,$6,'PENDING',NOW(),NOW(),$7,$8)
        RETURNING *`,
       [
         pm.userId,
@@ -481,6 +499,8 @@ router.post(
         pm.amountCents,
         pm.currency,
         String(req.body?.reason || "").slice(0, 1000) || null,
+        req.user.id,
+        req.user.role,
       ]
     );
 
@@ -1,7 +1,13 @@
 import { Router } from "express";
+import fs from "fs/promises";
 import { authRequired } from "../middleware/auth.js";
 import { z } from "zod";
 import { query, tx } from "../db.js";
+import { unitRemainingSql } from "../lib/inventory.js";
+import { LISTING_STATUSES, setListingStatus, restoreListing, notifyAgentOfReview } from "../lib/listingStatus.js";
+import { recordRevision, listRevisions, findRevision, diffRevisions, revertListing } from "../lib/listingRevisions.js";
+import { variantPaths } from "../lib/imageVariants.js";
+import { queueSavedSearchAlerts } from "../lib/savedSearches.js";
 
 const router = Router();
 
@@ -31,19 +37,30 @@ function presentListing(l) {
   return { ...l, ref };
 }
 
-const PatchBody = z.object({
-  published: z.boolean().optional(),
-  featured: z.boolean().optional(),
-  needsReview: z.boolean().optional(),
-  note: z.string().max(2000).optional().nullable(), // maps to Listing.notes
-});
+const PatchBody = z
+  .object({
+    // moderation: APPROVED / REJECTED (reason required) / PUBLISHED / ARCHIVED
+    status: z.enum(["APPROVED", "REJECTED", "PUBLISHED", "ARCHIVED"]).optional(),
+    reason: z.string().trim().max(2000).optional(),
+    published: z.boolean().optional(),
+    featured: z.boolean().optional(),
+    needsReview: z.boolean().optional(),
+    note: z.string().max(2000).optional().nullable(), // maps to Listing.notes
+  })
+  .refine((d) => d.status !== "REJECTED" || !!d.reason, {
+    message: "A reason is required when rejecting",
+    path: ["reason"],
+  });
 
 /* ---------------- LIST ---------------- */
 /**
- * GET /api/admin/listings?take&skip&q&status&flag&sort
- * status: "published" | "unpublished" | "needs-review"
+ * GET /api/admin/listings?take&skip&q&status&flag&sort&view
+ * status: "published" | "unpublished" | "needs-review" | any lifecycle status
+ *         ("draft" | "submitted" | "approved" | "rejected" | "archived")
  * flag:   "featured" | "flagged"
  * sort:   "newest" | "oldest" | "price-high" | "price-low" | "reports"
+ * view:   "queue" = moderation queue (SUBMITTED or flagged needsReview), oldest submission first
+ * Also returns statusCounts for the lifecycle tabs.
  */
 router.get("/", authRequired, async (req, res) => {
   if (!ensureAdmin(req, res)) return;
@@ -54,6 +71,7 @@ router.get("/", authRequired, async (req, res) => {
   const status = String(req.query.status || "").toLowerCase();
   const flag = String(req.query.flag || "").toLowerCase();
   const sort = String(req.query.sort || "newest").toLowerCase();
+  const view = String(req.query.view || "").toLowerCase();
 
   // WHERE builder
   const where = [];
@@ -63,6 +81,12 @@ router.get("/", authRequired, async (req, res) => {
   if (status === "published") where.push(`l.published = TRUE`);
   else if (status === "unpublished") where.push(`l.published = FALSE`);
   else if (status === "needs-review") where.push(`l."needsReview" = TRUE`);
+  else if (LISTING_STATUSES.includes(status.toUpperCase())) {
+    params.push(status.toUpperCase());
+    where.push(`l.status = $${p++}`);
+  }
+
+  if (view === "queue") where.push(`(l.status = 'SUBMITTED' OR l."needsReview" = TRUE)`);
 
   if (flag === "featured") where.push(`l.featured = TRUE`);
   else if (flag === "flagged") where.push(`l."reportsCount" > 0`);
@@ -85,6 +109,9 @@ router.get("/", authRequired, async (req, res) => {
   else if (sort === "price-high") orderSql = `ORDER BY l.price DESC, l."createdAt" DESC`;
   else if (sort === "price-low") orderSql = `ORDER BY l.price ASC, l."createdAt" DESC`;
   else if (sort === "reports") orderSql = `ORDER BY l."reportsCount" DESC, l."createdAt" DESC`;
+  if (view === "queue" && !req.query.sort) {
+    orderSql = `ORDER BY l."submittedAt" ASC NULLS LAST, l."reportsCount" DESC, l."createdAt" ASC`;
+  }
 
   // total
   const countRes = await query(
@@ -97,6 +124,14 @@ router.get("/", authRequired, async (req, res) => {
   );
   const total = countRes.rows[0]?.c || 0;
 
+  const statusRes = await query(
+    `SELECT status, COUNT(*)::int AS c FROM "Listing" GROUP BY status`
+  );
+  const statusCounts = Object.fromEntries(LISTING_STATUSES.map((s) => [s, 0]));
+  statusRes.rows.forEach((r) => {
+    statusCounts[r.status] = r.c;
+  });
+
   // items (with first image + agent)
   params.push(take, skip);
   const listRes = await query(
@@ -164,7 +199,7 @@ router.get("/", authRequired, async (req, res) => {
       : null,
   }));
 
-  res.json({ items: shaped, total, take, skip });
+  res.json({ items: shaped, total, take, skip, statusCounts });
 });
 
 
@@ -198,12 +233,9 @@ router.get("/:id", authRequired, async (req, res) => {
 
 
   const row = base.rows[0];
-row.createdAt = row.createdAt?.toISOString?.() || null;
-row.updatedAt = row.updatedAt?.toISOString?.() || null;
-
-
-
   if (!row) return res.status(404).json({ error: "Not found" });
+  row.createdAt = row.createdAt?.toISOString?.() || null;
+  row.updatedAt = row.updatedAt?.toISOString?.() || null;
 
   const [imagesRes, unitsRes, reportsRes] = await Promise.all([
     query(
@@ -214,9 +246,9 @@ row.updatedAt = row.updatedAt?.toISOString?.() || null;
       [id]
     ),
     query(
-      `SELECT *
-       FROM "ListingUnit"
-       WHERE "listingId" = $1`,
+      `SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount"
+       FROM "ListingUnit" u
+       WHERE u."listingId" = $1`,
       [id]
     ),
     query(
@@ -284,13 +316,15 @@ router.patch("/:id", authRequired, async (req, res) => {
 
   const parsed = PatchBody.safeParse(req.body || {});
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-  const { published, featured, needsReview, note } = parsed.data;
+  const { status, reason, published, featured, needsReview, note } = parsed.data;
+
+  // `published` is shorthand for the lifecycle: true = PUBLISHED, false = back to APPROVED
+  const target = status || (typeof published === "boolean" ? (published ? "PUBLISHED" : "APPROVED") : null);
 
   const fields = [`"updatedById" = $1`];
   const vals = [req.user.id];
   let p = 2;
 
-  if (typeof published === "boolean") { fields.push(`published = $${p++}`); vals.push(published); }
   if (typeof featured === "boolean")  { fields.push(`featured = $${p++}`);  vals.push(featured); }
   if (typeof needsReview === "boolean"){ fields.push(`"needsReview" = $${p++}`); vals.push(needsReview); }
   if (typeof note === "string")       { fields.push(`notes = $${p++}`);     vals.push(note); }
@@ -300,6 +334,34 @@ router.patch("/:id", authRequired, async (req, res) => {
   try {
     // Update
     const upRes = await tx(async (c) => {
+      let moved = null;
+      let reviewed = false; // a SUBMITTED listing got a decision
+      let fromStatus = null;
+      if (target) {
+        const opts = { actorId: req.user.id, reason, db: c };
+        const cur = await c.query(`SELECT status, "publishedAt" FROM "Listing" WHERE id = $1`, [req.params.id]);
+        if (!cur.rows[0]) return null;
+        fromStatus = cur.rows[0].status;
+
+        // admins may publish straight from review (approve + publish in one step)
+        if (target === "PUBLISHED" && cur.rows[0].status === "SUBMITTED") {
+          const approved = await setListingStatus(req.params.id, "APPROVED", opts);
+          if (!approved.ok) return { error: approved };
+        }
+        moved = await setListingStatus(req.params.id, target, opts);
+        if (!moved.ok) return { error: moved };
+        reviewed = cur.rows[0].status === "SUBMITTED" && target !== "ARCHIVED";
+
+        // a listing that was live before its re-review goes straight back up
+        if (target === "APPROVED" && reviewed && cur.rows[0].publishedAt) {
+          moved = await setListingStatus(req.params.id, "PUBLISHED", opts);
+        }
+      }
+      // clearing a listing from the queue also clears the manual review flag
+      if ((target === "APPROVED" || target === "PUBLISHED") && typeof needsReview !== "boolean") {
+        fields.push(`"needsReview" = FALSE`);
+      }
+
       const { rows } = await c.query(
         `UPDATE "Listing" SET ${fields.join(", ")}, "updatedAt" = NOW()
          WHERE id = $${p}
@@ -308,6 +370,7 @@ router.patch("/:id", authRequired, async (req, res) => {
       );
       const up = rows[0];
       if (!up) return null;
+      await recordRevision(up.id, { actorId: req.user.id, actorRole: req.user.role, source: "moderation" }, c);
 
       const [firstImage, agentRes, updatedByRes] = await Promise.all([
         c.query(
@@ -327,6 +390,8 @@ router.patch("/:id", authRequired, async (req, res) => {
 
       return {
         up,
+        reviewed,
+        wentLive: fromStatus !== null && fromStatus !== "PUBLISHED" && up.status === "PUBLISHED",
         firstImage: firstImage.rows[0] || null,
         agent: agentRes.rows[0] || null,
         updatedBy: updatedByRes.rows[0] || null,
@@ -334,8 +399,11 @@ router.patch("/:id", authRequired, async (req, res) => {
     });
 
     if (!upRes) return res.status(404).json({ error: "Not found" });
+    if (upRes.error) return res.status(upRes.error.status).json({ error: upRes.error.error });
 
-    const { up, firstImage, agent, updatedBy } = upRes;
+    const { up, reviewed, wentLive, firstImage, agent, updatedBy } = upRes;
+    if (reviewed) notifyAgentOfReview(up.id, target === "REJECTED" ? "REJECTED" : "APPROVED", reason);
+    if (wentLive) queueSavedSearchAlerts(up.id);
     const shaped = {
       ...presentListing({
         ...up,
@@ -361,4 +429,143 @@ router.patch("/:id", authRequired, async (req, res) => {
   }
 });
 
+/* ---------------- ARCHIVE / PURGE ---------------- */
+
+// POST /api/admin/listings/:id/restore  (ARCHIVED -> status it was archived from)
+router.post("/:id/restore", authRequired, async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+
+  const restored = await tx(async (c) => {
+    const r = await restoreListing(req.params.id, { db: c });
+    if (!r.ok) return r;
+    await c.query(`UPDATE "Listing" SET "updatedById" = $1 WHERE id = $2`, [req.user.id, req.params.id]);
+    await recordRevision(req.params.id, { actorId: req.user.id, actorRole: req.user.role, source: "status" }, c);
+    return r;
+  });
+  if (!restored.ok) return res.status(restored.status).json({ error: restored.error });
+
+  res.json({ item: presentListing(restored.listing) });
+});
+
+/**
+ * DELETE /api/admin/listings/:id  — permanent purge.
+ * Only archived listings with no bookings can go (bookings carry payments, payouts and
+ * refunds); otherwise 409 with the dependency counts. Removes units, photos (and their
+ * files), reports and history.
+ */
+router.delete("/:id", authRequired, async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const id = req.params.id;
+
+  const out = await tx(async (c) => {
+    const { rows } = await c.query(`SELECT id, status FROM "Listing" WHERE id = $1 FOR UPDATE`, [id]);
+    if (!rows[0]) return { status: 404, error: "Not found" };
+    if (rows[0].status !== "ARCHIVED") {
+      return { status: 409, error: "Archive the listing before purging it" };
+    }
+
+    const deps = await c.query(
+      `SELECT COUNT(*)::int AS bookings,
+              (SELECT COUNT(*)::int FROM "StudentPayment" sp
+                 JOIN "Booking" b2 ON b2.id = sp."bookingId"
+                WHERE b2."listingId" = $1) AS payments
+       FROM "Booking" b WHERE b."listingId" = $1`,
+      [id]
+    );
+    const dependencies = deps.rows[0];
+    if (dependencies.bookings > 0) {
+      return { status: 409, error: "Listing has bookings and cannot be purged", dependencies };
+    }
+
+    const imgs = await c.query(`SELECT path FROM "ListingImage" WHERE "listingId" = $1`, [id]);
+    await c.query(`DELETE FROM "ListingReport" WHERE "listingId" = $1`, [id]);
+    await c.query(`DELETE FROM "ListingImage" WHERE "listingId" = $1`, [id]);
+    await c.query(`DELETE FROM "ListingUnit" WHERE "listingId" = $1`, [id]);
+    await c.query(`DELETE FROM "Listing" WHERE id = $1`, [id]);
+    return { paths: imgs.rows.map((i) => i.path).filter(Boolean) };
+  });
+  if (out.error) {
+    return res.status(out.status).json({ error: out.error, dependencies: out.dependencies });
+  }
+
+  await Promise.allSettled(out.paths.flatMap((p) => [p, ...variantPaths(p)]).map((p) => fs.unlink(p)));
+  res.status(204).end();
+});
+
+/* ---------------- REVISIONS ---------------- */
+
+// GET /api/admin/listings/:id/revisions?take&skip&field
+router.get("/:id/revisions", authRequired, async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+
+  const take = Math.min(parseInt(req.query.take || "50", 10), 100);
+  const skip = Math.max(parseInt(req.query.skip || "0", 10), 0);
+  const field = req.query.field ? String(req.query.field) : null;
+  const { items, total } = await listRevisions(req.params.id, { take, skip, field });
+  res.json({ items, total, take, skip });
+});
+
+// GET /api/admin/listings/:id/revisions/diff?from=<version|id>&to=<version|id>
+router.get("/:id/revisions/diff", authRequired, async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  if (!req.query.from) return res.status(400).json({ error: "from is required" });
+
+  const r = await diffRevisions(req.params.id, req.query.from, req.query.to || "latest");
+  if (!r.ok) return res.status(r.status).json({ error: r.error });
+  res.json({ from: r.from, to: r.to, diff: r.diff });
+});
+
+// GET /api/admin/listings/:id/revisions/:revisionId
+router.get("/:id/revisions/:revisionId", authRequired, async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+
+  const item = await findRevision(req.params.id, req.params.revisionId);
+  if (!item) return res.status(404).json({ error: "Revision not found" });
+  res.json({ item });
+});
+
+// POST /api/admin/listings/:id/revisions/:revisionId/revert  (moderation state is kept)
+router.post("/:id/revisions/:revisionId/revert", authRequired, async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const listingId = req.params.id;
+
+  const out = await tx(async (c) => {
+    const r = await revertListing(c, listingId, req.params.revisionId);
+    if (!r.ok) return { error: r };
+
+    await c.query(`UPDATE "Listing" SET "updatedById" = $1 WHERE id = $2`, [req.user.id, listingId]);
+    const recorded = await recordRevision(
+      listingId,
+      {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        source: "revert",
+        note: `Reverted to version ${r.revision.version}`,
+      },
+      c
+    );
+    return { ...r, recorded };
+  });
+  if (out.error) return res.status(out.error.status).json({ error: out.error.error, units: out.error.units });
+
+  const [lRes, imgs, units] = await Promise.all([
+    query(`SELECT * FROM "Listing" WHERE id = $1`, [listingId]),
+    query(`SELECT id, url, "order" FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`, [listingId]),
+    query(
+      `SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount"
+       FROM "ListingUnit" u
+       WHERE u."listingId" = $1`,
+      [listingId]
+    ),
+  ]);
+
+  res.json({
+    item: presentListing({ ...lRes.rows[0], images: imgs.rows, units: units.rows }),
+    revertedTo: { id: out.revision.id, version: out.revision.version },
+    revision: out.recorded,
+    unitChanges: out.unitChanges,
+    missingImages: out.missingImages,
+  });
+});
+
 export default router;
@@ -4,6 +4,7 @@ import { z } from "zod";
 import { authRequired } from "../middleware/auth.js";
 import { requireRole } from "../middleware/requireRole.js";
 import { query } from "../db.js";
+import { releaseHoldsAfterRefund } from "../lib/inventory.js";
 
 const router = Router();
 
@@ -45,10 +46,11 @@ router.post("/", authRequired, requireRole("ADMIN", "SUPERADMIN"), async (req, r
 
   const { rows } = await query(
     `INSERT INTO "RefundRequest"
-       (id,"userId","bookingId","paymentId","amountCents",currency,reason,status,"createdAt","updatedAt")
-     VALUES (gen_random_uuid()::text,$1,$2,$3,$4,$5,$6,'PENDING',NOW(),NOW())
+       (id,"userId","bookingId","paymentId","amountCents",currency,reason,status,"createdAt","updatedAt",
+        "requestedById","requestedByRole")
+     VALUES (gen_random_uuid()::text,$1,$2,$3,$4,$5,$6,'PENDING',NOW(),NOW(),$7,$8)
      RETURNING *`,
-    [pm.userId, pm.bookingId, pm.id, amt, pm.currency, parsed.data.reason ?? null]
+    [pm.userId, pm.bookingId, pm.id, amt, pm.currency, parsed.data.reason ?? null, req.user.id, req.user.role]
   );
 
   res.status(201).json({ request: rows[0] });
@@ -96,6 +98,7 @@ router.patch("/:id", authRequired, requireRole("ADMIN", "SUPERADMIN"), async (re
     `UPDATE "RefundRequest" SET ${sets.join(", ")} WHERE id = $${i} RETURNING *`,
     [...vals, req.params.id]
   );
+  if (parsed.data.status === "REFUNDED" && r.bookingId) await releaseHoldsAfterRefund(r.bookingId);
 
   res.json({ request: upd.rows[0] });
 });
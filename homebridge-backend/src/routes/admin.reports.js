@@ -0,0 +1,117 @@
+// src/routes/admin.reports.js
+import { Router } from "express";
+import { z } from "zod";
+import { authRequired } from "../middleware/auth.js";
+import { requireRole } from "../middleware/requireRole.js";
+import { query, tx } from "../db.js";
+import { REPORT_CATEGORIES, REPORT_STATUSES, syncReportsCount } from "../lib/listingReports.js";
+
+const router = Router();
+
+router.use(authRequired, requireRole("ADMIN", "SUPERADMIN"));
+
+const REPORT_SELECT = `
+  SELECT r.id, r."listingId", r.category, r.details, r.reason, r.status, r.resolution,
+         r."createdAt"::timestamptz::text AS "createdAt",
+         r."resolvedAt"::timestamptz::text AS "resolvedAt",
+         jsonb_build_object('id', l.id, 'title', l.title, 'status', l.status,
+                            'reportsCount', l."reportsCount", 'needsReview', l."needsReview") AS listing,
+         CASE WHEN ru.id IS NULL THEN NULL
+              ELSE jsonb_build_object('id', ru.id, 'name', ru.name, 'email', ru.email) END AS reporter,
+         CASE WHEN rb.id IS NULL THEN NULL
+              ELSE jsonb_build_object('id', rb.id, 'name', rb.name) END AS "resolvedBy"
+  FROM "ListingReport" r
+  JOIN "Listing" l ON l.id = r."listingId"
+  LEFT JOIN "User" ru ON ru.id = r."reporterId"
+  LEFT JOIN "User" rb ON rb.id = r."resolvedById"`;
+
+/**
+ * GET /api/admin/reports?status=OPEN&category&listingId&take&skip
+ * status defaults to OPEN (the triage queue, oldest first); "all" lists everything newest first.
+ * Also returns open counts per category.
+ */
+router.get("/", async (req, res) => {
+  const take = Math.max(1, Math.min(100, Number(req.query.take || 50)));
+  const skip = Math.max(0, Number(req.query.skip || 0));
+  const status = String(req.query.status || "OPEN").toUpperCase();
+  const category = String(req.query.category || "").toUpperCase();
+  const listingId = String(req.query.listingId || "").trim();
+
+  const params = [];
+  const where = [];
+  if (REPORT_STATUSES.includes(status)) {
+    params.push(status);
+    where.push(`r.status = $${params.length}`);
+  }
+  if (REPORT_CATEGORIES.includes(category)) {
+    params.push(category);
+    where.push(`r.category = $${params.length}`);
+  }
+  if (listingId) {
+    params.push(listingId);
+    where.push(`r."listingId" = $${params.length}`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const order = status === "OPEN" ? `r."createdAt" ASC` : `r."createdAt" DESC`;
+
+  const [items, count, byCategory] = await Promise.all([
+    query(
+      `${REPORT_SELECT} ${whereSql}
+       ORDER BY ${order}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, take, skip]
+    ),
+    query(`SELECT COUNT(*)::int AS c FROM "ListingReport" r ${whereSql}`, params),
+    query(
+      `SELECT COALESCE(category, 'OTHER') AS category, COUNT(*)::int AS c
+       FROM "ListingReport" WHERE status = 'OPEN' GROUP BY 1`
+    ),
+  ]);
+
+  const openByCategory = Object.fromEntries(REPORT_CATEGORIES.map((c) => [c, 0]));
+  byCategory.rows.forEach((r) => {
+    openByCategory[r.category] = r.c;
+  });
+
+  res.json({ items: items.rows, total: count.rows[0].c, take, skip, openByCategory });
+});
+
+/**
+ * PATCH /api/admin/reports/:id
+ * { status: "RESOLVED" | "DISMISSED", resolution?, allForListing? }
+ * allForListing closes every open report on the same listing with the same outcome.
+ */
+const PatchBody = z.object({
+  status: z.enum(["RESOLVED", "DISMISSED"]),
+  resolution: z.string().trim().max(2000).optional().nullable(),
+  allForListing: z.boolean().optional().default(false),
+});
+router.patch("/:id", async (req, res) => {
+  const parsed = PatchBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { status, resolution, allForListing } = parsed.data;
+
+  const { rows } = await query(`SELECT id, "listingId", status FROM "ListingReport" WHERE id = $1`, [req.params.id]);
+  const report = rows[0];
+  if (!report) return res.status(404).json({ error: "Report not found" });
+  if (report.status !== "OPEN" && !allForListing) {
+    return res.status(400).json({ error: "Only open reports can be resolved" });
+  }
+
+  const result = await tx(async (c) => {
+    const up = await c.query(
+      `UPDATE "ListingReport"
+          SET status = $1, resolution = $2, "resolvedAt" = NOW(), "resolvedById" = $3, "updatedAt" = NOW()
+        WHERE status = 'OPEN' AND ${allForListing ? `"listingId" = $4` : `id = $4`}
+        RETURNING id`,
+      [status, resolution || null, req.user.id, allForListing ? report.listingId : report.id]
+    );
+    const counts = await syncReportsCount(report.listingId, c);
+    return { closed: up.rows.map((r) => r.id), reportsCount: counts.reportsCount };
+  });
+
+  const item = await query(`${REPORT_SELECT} WHERE r.id = $1`, [report.id]);
+  res.json({ item: item.rows[0], closed: result.closed, reportsCount: result.reportsCount });
+});
+
+export default router;
@@ -0,0 +1,95 @@
+// src/routes/admin.reviews.js
+import { Router } from "express";
+import { z } from "zod";
+import { authRequired } from "../middleware/auth.js";
+import { requireRole } from "../middleware/requireRole.js";
+import { query, tx } from "../db.js";
+import { ADMIN_REVIEW_SELECT, REVIEW_STATUSES, syncReviewAggregates } from "../lib/listingReviews.js";
+
+const router = Router();
+
+router.use(authRequired, requireRole("ADMIN", "SUPERADMIN"));
+
+/**
+ * GET /api/admin/reviews?status&listingId&agentId&q&take&skip
+ * Newest first. status: PUBLISHED | HIDDEN (default: all).
+ */
+router.get("/", async (req, res) => {
+  const take = Math.max(1, Math.min(100, Number(req.query.take || 50)));
+  const skip = Math.max(0, Number(req.query.skip || 0));
+  const status = String(req.query.status || "").toUpperCase();
+
+  const params = [];
+  const where = [];
+  if (REVIEW_STATUSES.includes(status)) {
+    params.push(status);
+    where.push(`r.status = $${params.length}`);
+  }
+  for (const key of ["listingId", "agentId"]) {
+    const v = String(req.query[key] || "").trim();
+    if (!v) continue;
+    params.push(v);
+    where.push(`r."${key}" = $${params.length}`);
+  }
+  const q = String(req.query.q || "").trim();
+  if (q) {
+    params.push(`%${q}%`);
+    where.push(`(r.body ILIKE $${params.length} OR r.response ILIKE $${params.length})`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const [items, count] = await Promise.all([
+    query(
+      `${ADMIN_REVIEW_SELECT} ${whereSql}
+       ORDER BY r."createdAt" DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, take, skip]
+    ),
+    query(`SELECT COUNT(*)::int AS c FROM "ListingReview" r ${whereSql}`, params),
+  ]);
+
+  res.json({ items: items.rows, total: count.rows[0].c, take, skip });
+});
+
+/**
+ * PATCH /api/admin/reviews/:id
+ * { status?: "PUBLISHED" | "HIDDEN", moderationNote?, clearResponse? }
+ * Hiding takes the review out of the public pages and the rating aggregates.
+ */
+const PatchBody = z.object({
+  status: z.enum(REVIEW_STATUSES).optional(),
+  moderationNote: z.string().trim().max(2000).optional().nullable(),
+  clearResponse: z.boolean().optional().default(false),
+});
+router.patch("/:id", async (req, res) => {
+  const parsed = PatchBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const d = parsed.data;
+  if (!d.status && d.moderationNote === undefined && !d.clearResponse) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  const { rows } = await query(`SELECT id, "listingId", status FROM "ListingReview" WHERE id = $1`, [req.params.id]);
+  const review = rows[0];
+  if (!review) return res.status(404).json({ error: "Review not found" });
+
+  const aggregates = await tx(async (c) => {
+    await c.query(
+      `UPDATE "ListingReview"
+          SET status = COALESCE($2, status),
+              "moderationNote" = CASE WHEN $3::boolean THEN $4 ELSE "moderationNote" END,
+              response = CASE WHEN $5::boolean THEN NULL ELSE response END,
+              "respondedAt" = CASE WHEN $5::boolean THEN NULL ELSE "respondedAt" END,
+              "moderatedAt" = NOW(), "moderatedById" = $6, "updatedAt" = NOW()
+        WHERE id = $1`,
+      [review.id, d.status || null, d.moderationNote !== undefined, d.moderationNote || null, d.clearResponse,
+        req.user.id]
+    );
+    return syncReviewAggregates(review.listingId, c);
+  });
+
+  const item = await query(`${ADMIN_REVIEW_SELECT} WHERE r.id = $1`, [review.id]);
+  res.json({ item: item.rows[0], listing: { id: review.listingId, ...aggregates } });
+});
+
+export default router;
@@ -5,6 +5,8 @@ import multer from "multer";
 import { z } from "zod";
 import { authRequired } from "../middleware/auth.js";
 import { query } from "../db.js";
+import { deepMerge, getAppSettings } from "../lib/settings.js";
+import { CancellationPolicySchema } from "../lib/cancellation.js";
 
 const router = Router();
 
@@ -21,44 +23,6 @@ function ensureAdmin(req, res) {
   return true;
 }
 
-/** Defaults extended with payment-related configuration */
-const DEFAULTS = {
-  org: {
-    name: "GlobalCribs",
-    logo: "",
-    supportEmail: "support@globalcribs.org",
-    supportPhone: "+1 (555) 010-2323",
-    website: "https://www.globalcribs.org",
-    timezone: "UTC",
-  },
-  security: { twoFactorRequired: false, sessionTimeoutMins: 60, allowIpRanges: "" },
-
-  /** FEES now includes agent onboarding fee + bank (escrow/payout) details */
-  fees: {
-    currency: "USD",
-    /** Student registration/application fee (was static $25) */
-    applicationFeeCents: 2500,
-    /** One-time agent/landlord onboarding fee */
-    agentOnboardingFeeCents: 10000,
-    escrowEnabled: true,
-    escrowReleaseDays: 2,
-    /** Bank details to receive fees / act as escrow (display-only; NOT Stripe keys) */
-    bank: {
-      accountName: "",
-      bankName: "",
-      accountNumber: "",
-      branch: "",
-      routingNumber: "",
-      iban: "",
-      swift: "",
-      notes: "",
-    },
-  },
-
-  kyc: { passport: true, admission: true, financial: true, i20: false, visa: false },
-  notifications: { newBookingEmail: true, newBookingSMS: false, statusChangeEmail: true, statusChangeSMS: false },
-};
-
 const SettingsSchema = z.object({
   org: z.object({
     name: z.string().min(1),
@@ -103,38 +67,24 @@ const SettingsSchema = z.object({
     statusChangeEmail: z.boolean(),
     statusChangeSMS: z.boolean(),
   }),
+  bookings: z.object({
+    unitHoldHours: z.number().int().min(1).max(24 * 30),
+    offerReminderHours: z.array(z.number().int().min(1).max(24 * 30)).max(5),
+  }),
+  moderation: z.object({
+    reportThreshold: z.number().int().min(1).max(100),
+  }),
+  viewings: z.object({
+    reminderHours: z.number().int().min(1).max(24 * 7),
+    minNoticeHours: z.number().int().min(0).max(24 * 7),
+  }),
+  cancellation: CancellationPolicySchema,
 });
 
-function deepMerge(base, patch) {
-  const out = Array.isArray(base) ? [...base] : { ...base };
-  for (const k of Object.keys(patch || {})) {
-    const v = patch[k];
-    if (
-      v &&
-      typeof v === "object" &&
-      !Array.isArray(v) &&
-      base?.[k] &&
-      typeof base[k] === "object" &&
-      !Array.isArray(base[k])
-    ) {
-      out[k] = deepMerge(base[k], v);
-    } else {
-      out[k] = v;
-    }
-  }
-  return out;
-}
-
-async function getConfig() {
-  const row = await query(`SELECT data FROM "AppSetting" WHERE id = 'GLOBAL'`);
-  const data = row.rows[0]?.data ?? {};
-  return deepMerge(DEFAULTS, data || {});
-}
-
 // GET
 router.get("/", authRequired, async (req, res) => {
   if (!ensureAdmin(req, res)) return;
-  const cfg = await getConfig();
+  const cfg = await getAppSettings();
   res.json({ settings: cfg });
 });
 
@@ -142,7 +92,7 @@ router.get("/", authRequired, async (req, res) => {
 router.patch("/", authRequired, async (req, res) => {
   if (!ensureAdmin(req, res)) return;
 
-  const current = await getConfig();
+  const current = await getAppSettings();
   const merged = deepMerge(current, req.body || {});
   const parsed = SettingsSchema.safeParse(merged);
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
@@ -184,7 +134,7 @@ router.post("/logo", authRequired, upload.single("logo"), async (req, res) => {
 
   const publicUrl = `${API_PUBLIC_URL}/uploads/org/${path.basename(req.file.path)}`;
 
-  const current = await getConfig();
+  const current = await getAppSettings();
   const next = deepMerge(current, { org: { logo: publicUrl } });
   const parsed = SettingsSchema.safeParse(next);
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
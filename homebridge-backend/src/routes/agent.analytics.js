@@ -0,0 +1,91 @@
+// src/routes/agent.analytics.js
+// /api/agent/analytics — how my listings perform: views -> favorites/inquiries ->
+// applications -> fees paid -> offers accepted, per listing and over time.
+import { Router } from "express";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import {
+  parseAnalyticsRange,
+  listingFunnels,
+  listingSeries,
+  funnelRates,
+  sumFunnels,
+} from "../lib/listingAnalytics.js";
+
+const router = Router();
+
+function ensureAgent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "AGENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Agent access only" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/agent/analytics/listings?from&to&bucket
+ * Funnel per listing (busiest first) plus totals and a combined series for the range.
+ * Archived listings are left out unless they had activity in the range.
+ */
+router.get("/listings", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const range = parseAnalyticsRange(req.query);
+  if (!range.ok) return res.status(400).json({ error: range.error });
+
+  const { rows: listings } = await query(
+    `SELECT id, title, status, published, "archivedAt" IS NOT NULL AS archived
+     FROM "Listing" WHERE "agentId" = $1`,
+    [req.user.id]
+  );
+  const ids = listings.map((l) => l.id);
+  const [funnels, series] = await Promise.all([listingFunnels(ids, range), listingSeries(ids, range)]);
+
+  const items = listings
+    .map((l) => ({ ...l, funnel: funnels[l.id], rates: funnelRates(funnels[l.id]) }))
+    .filter((l) => !l.archived || Object.values(l.funnel).some(Boolean))
+    .sort((a, b) => b.funnel.views - a.funnel.views || b.funnel.applications - a.funnel.applications);
+
+  const totals = sumFunnels(funnels);
+  res.json({
+    range: { from: range.from, to: range.to, bucket: range.bucket },
+    totals,
+    rates: funnelRates(totals),
+    series,
+    items,
+  });
+});
+
+/**
+ * GET /api/agent/analytics/listings/:id?from&to&bucket=day|week
+ * One listing: funnel, conversion rates and a zero-filled series.
+ */
+router.get("/listings/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const range = parseAnalyticsRange(req.query);
+  if (!range.ok) return res.status(400).json({ error: range.error });
+
+  const { rows } = await query(
+    `SELECT id, title, status, published, "publishedAt"::timestamptz::text AS "publishedAt"
+     FROM "Listing" WHERE id = $1 AND "agentId" = $2`,
+    [req.params.id, req.user.id]
+  );
+  const listing = rows[0];
+  if (!listing) return res.status(404).json({ error: "Listing not found" });
+
+  const [funnels, series] = await Promise.all([
+    listingFunnels([listing.id], range),
+    listingSeries([listing.id], range),
+  ]);
+  const funnel = funnels[listing.id];
+
+  res.json({
+    range: { from: range.from, to: range.to, bucket: range.bucket },
+    listing,
+    funnel,
+    rates: funnelRates(funnel),
+    series,
+  });
+});
+
+export default router;
@@ -1,7 +1,11 @@
 // src/routes/agent.applications.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, tx } from "../db.js";
 import { sendMail } from "../lib/mailer.js";
+import { resolveBookingUnit, placeHold, releaseHolds, unitRemainingSql } from "../lib/inventory.js";
+import { APPOINTMENT_SELECT, presentAppointment } from "../lib/viewings.js";
+import { actorFrom, checkTransition, transitionBooking } from "../lib/bookingLifecycle.js";
+import { bookingTimeline } from "../lib/bookingTimeline.js";
 
 const router = Router();
 
@@ -117,6 +121,20 @@ function toDetail(b, docs = []) {
     listing: { id: b.listing.id, title: b.listing.title, price: b.listing.price },
     listingRef: b.listing.id.slice(0, 8).toUpperCase(),
     listingId: b.listing.id,
+    unitId: b.unitId || null,
+    unit: b.unit
+      ? {
+          id: b.unit.id,
+          label: b.unit.label,
+          type: b.unit.type,
+          price: b.unit.price,
+          availableCount: b.unit.availableCount,
+          remainingCount: b.unit.remainingCount,
+        }
+      : null,
+    hold: b.hold
+      ? { id: b.hold.id, status: b.hold.status, expiresAt: b.hold.expiresAt || null }
+      : null,
     docs: docs.map((d) => ({
       id: d.id,
       filename: d.filename,
@@ -146,7 +164,11 @@ async function loadBookingWithRelations(bookingId) {
       SELECT
         b.*,
         row_to_json(l) AS listing,
-        row_to_json(s) AS student
+        row_to_json(s) AS student,
+        (SELECT to_jsonb(u) || jsonb_build_object('remainingCount', ${unitRemainingSql("u")})
+           FROM "ListingUnit" u WHERE u.id = b."unitId") AS unit,
+        (SELECT to_jsonb(h) FROM "UnitHold" h
+          WHERE h."bookingId" = b.id ORDER BY h."createdAt" DESC LIMIT 1) AS hold
       FROM "Booking" b
       JOIN "Listing" l ON l.id = b."listingId"
       JOIN "User"    s ON s.id = b."studentId"
@@ -312,9 +334,13 @@ ORDER BY "createdAt" DESC;
       }));
     }
 
+    // Viewings the student booked against this application
+    const vRes = await query(`${APPOINTMENT_SELECT} WHERE a."bookingId" = $1 ORDER BY s."startsAt" DESC`, [b.id]);
+
     const detail = toDetail(b, docs);
     detail.payments = payments;
     detail.refunds = refunds;
+    detail.viewings = vRes.rows.map((a) => presentAppointment(a, "AGENT"));
 
     res.json({ item: detail });
    } catch (e) {
@@ -323,8 +349,24 @@ ORDER BY "createdAt" DESC;
    }
  });
 
+// TIMELINE: status changes, documents, payments, offers, refunds and messages, oldest first
+// (admin notes and the student's message bodies are left out)
+router.get("/:id/timeline", ensureAgentOrAdmin, async (req, res) => {
+  try {
+    const b = await loadBookingWithRelations(req.params.id);
+    if (!b) return res.status(404).json({ error: "Not found" });
+    if (!ensureAgentOwnsBooking(req.user.id, b)) return res.status(403).json({ error: "Forbidden" });
+
+    res.json(await bookingTimeline(b.id, "AGENT"));
+  } catch (e) {
+    console.error("GET /agent/applications/:id/timeline error:", e.message, e.detail);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // CONFIRM / SEND OFFER → create Offer row (+ set booking APPROVED for stage label)
-// Also: email the student that an offer is ready.
+// Reserves a bed on the booking's unit (body.unitId may assign/override it) until the offer
+// expires. Also: email the student that an offer is ready.
 router.post("/:id/confirm", ensureAgentOrAdmin, async (req, res) => {
   try {
     const agentId = req.user.id;
@@ -339,29 +381,60 @@ router.post("/:id/confirm", ensureAgentOrAdmin, async (req, res) => {
       return res.status(400).json({ error: "Offer must have at least one line item" });
     }
 
-    // Create Offer
-    await query(
-      `
-      INSERT INTO "Offer"
-        (id, "bookingId", "agentId", status, currency, note, lines, "expiresAt", "createdAt", "updatedAt")
-      VALUES
-        (gen_random_uuid()::text, $1, $2, 'SENT', $3, $4, $5::jsonb, $6, NOW(), NOW())
-      `,
-      [
-        b0.id,
-        agentId,
-        draft.currency || "USD",
-        draft.note || "",
-        JSON.stringify(draft.lines || []),
-        draft.expiresAt ? new Date(draft.expiresAt) : null,
-      ]
-    );
+    const allowed = checkTransition(b0.status, "APPROVED");
+    if (!allowed.ok) return res.status(allowed.status).json({ error: allowed.error });
 
-    // Update booking status so UI shows "Offer Sent"
-    await query(
-      `UPDATE "Booking" SET status = 'APPROVED', "updatedAt" = NOW() WHERE id = $1`,
-      [b0.id]
-    );
+    const unit = await resolveBookingUnit(b0.listingId, draft.unitId || b0.unitId || null);
+    if (!unit.ok) return res.status(unit.status).json({ error: unit.error });
+    const expiresAt = draft.expiresAt ? new Date(draft.expiresAt) : null;
+
+    const sent = await tx(async (c) => {
+      // hold first: nothing is written if the unit is already fully committed
+      const held = unit.unitId
+        ? await placeHold(c, { bookingId: b0.id, unitId: unit.unitId, expiresAt })
+        : { ok: true, hold: null };
+      if (!held.ok) return held;
+
+      // Create Offer
+      const { rows: offerRows } = await c.query(
+        `
+        INSERT INTO "Offer"
+          (id, "bookingId", "agentId", status, currency, note, lines, "expiresAt", "createdAt", "updatedAt")
+        VALUES
+          (gen_random_uuid()::text, $1, $2, 'SENT', $3, $4, $5::jsonb, $6, NOW(), NOW())
+        RETURNING id
+        `,
+        [
+          b0.id,
+          agentId,
+          draft.currency || "USD",
+          draft.note || "",
+          JSON.stringify(draft.lines || []),
+          expiresAt,
+        ]
+      );
+      if (held.hold) {
+        await c.query(`UPDATE "UnitHold" SET "offerId" = $2 WHERE id = $1`, [
+          held.hold.id,
+          offerRows[0].id,
+        ]);
+      }
+
+      // Update booking status so UI shows "Offer Sent"
+      const moved = await transitionBooking(c, {
+        bookingId: b0.id,
+        to: "APPROVED",
+        actor: actorFrom(req),
+        reason: "Offer sent",
+      });
+      if (!moved.ok) throw new Error(moved.error); // status changed under us: undo the offer
+      await c.query(`UPDATE "Booking" SET "unitId" = $2, "updatedAt" = NOW() WHERE id = $1`, [
+        b0.id,
+        unit.unitId,
+      ]);
+      return held;
+    });
+    if (!sent.ok) return res.status(sent.status).json({ error: sent.error });
 
     const b = await loadBookingWithRelations(b0.id);
 
@@ -449,7 +522,7 @@ router.post("/:id/request-docs", ensureAgentOrAdmin, async (req, res) => {
   }
 });
 
-// REJECT BOOKING
+// REJECT BOOKING { reason? }
 router.post("/:id/reject", ensureAgentOrAdmin, async (req, res) => {
   try {
     const agentId = req.user.id;
@@ -459,10 +532,13 @@ router.post("/:id/reject", ensureAgentOrAdmin, async (req, res) => {
     if (!b0) return res.status(404).json({ error: "Not found" });
     if (!ensureAgentOwnsBooking(agentId, b0)) return res.status(403).json({ error: "Forbidden" });
 
-    await query(
-      `UPDATE "Booking" SET status = 'REJECTED', "updatedAt" = NOW() WHERE id = $1`,
-      [id]
-    );
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 1000) || null : null;
+    const moved = await tx(async (c) => {
+      const t = await transitionBooking(c, { bookingId: id, to: "REJECTED", actor: actorFrom(req), reason });
+      if (t.ok) await releaseHolds(id, "REJECTED", c);
+      return t;
+    });
+    if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
 
     const b = await loadBookingWithRelations(id);
     res.json({ item: toDetail(b) });
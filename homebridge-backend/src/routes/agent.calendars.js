@@ -0,0 +1,241 @@
+// src/routes/agent.calendars.js
+// /api/agent/calendars — sync my listings with Google/Outlook: private ICS export links
+// (held + booked periods) and imported calendars that block dates for students.
+import { Router } from "express";
+import { z } from "zod";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import {
+  newFeedToken,
+  feedUrlFor,
+  normalizeImportSource,
+  syncCalendarImport,
+} from "../lib/calendars.js";
+
+const router = Router();
+
+const FeedBody = z.object({
+  listingId: z.string().min(1),
+  unitId: z.string().min(1).optional().nullable(),
+});
+const ImportBody = FeedBody.extend({
+  name: z.string().trim().max(120).optional().nullable(),
+  source: z.string().trim().min(1).max(2000),
+});
+const UpdateImportBody = z.object({
+  name: z.string().trim().max(120).optional().nullable(),
+  active: z.boolean().optional(),
+});
+
+function ensureAgent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "AGENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Agent access only" });
+    return false;
+  }
+  return true;
+}
+
+/** My listing (and unit, if given) or an error: { ok, listing } | { ok: false, status, error } */
+async function ownListingUnit(agentId, listingId, unitId) {
+  const { rows } = await query(
+    `SELECT l.id, l.title FROM "Listing" l WHERE l.id = $1 AND l."agentId" = $2`,
+    [listingId, agentId]
+  );
+  if (!rows[0]) return { ok: false, status: 404, error: "Listing not found" };
+  if (unitId) {
+    const u = await query(`SELECT 1 FROM "ListingUnit" WHERE id = $1 AND "listingId" = $2`, [unitId, listingId]);
+    if (!u.rows[0]) return { ok: false, status: 400, error: "Unit does not belong to this listing" };
+  }
+  return { ok: true, listing: rows[0] };
+}
+
+const FEED_SELECT = `
+  SELECT f.id, f."listingId", f."unitId", f.token, l.title AS "listingTitle", u.label AS "unitLabel",
+         f."lastFetchedAt"::timestamptz::text AS "lastFetchedAt", f."createdAt"::timestamptz::text AS "createdAt"
+  FROM "CalendarFeed" f
+  JOIN "Listing" l ON l.id = f."listingId"
+  LEFT JOIN "ListingUnit" u ON u.id = f."unitId"`;
+
+const IMPORT_SELECT = `
+  SELECT i.id, i."listingId", i."unitId", i.name, i.source, i.active, i."eventsCount", i."lastError",
+         l.title AS "listingTitle", u.label AS "unitLabel",
+         i."lastSyncedAt"::timestamptz::text AS "lastSyncedAt", i."createdAt"::timestamptz::text AS "createdAt"
+  FROM "CalendarImport" i
+  JOIN "Listing" l ON l.id = i."listingId"
+  LEFT JOIN "ListingUnit" u ON u.id = i."unitId"`;
+
+const presentFeed = ({ token, ...f }) => ({ ...f, url: feedUrlFor(token) });
+
+const findImport = async (id, agentId) =>
+  (await query(`${IMPORT_SELECT} WHERE i.id = $1 AND i."agentId" = $2`, [id, agentId])).rows[0] || null;
+
+/**
+ * GET /api/agent/calendars?listingId
+ * My export feeds (with their private URLs) and imported calendars.
+ */
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const listingId = req.query.listingId ? String(req.query.listingId) : null;
+  const [feeds, imports] = await Promise.all([
+    query(
+      `${FEED_SELECT}
+       WHERE f."userId" = $1 AND f.kind = 'LISTING' AND ($2::text IS NULL OR f."listingId" = $2)
+       ORDER BY l.title, u.label NULLS FIRST`,
+      [req.user.id, listingId]
+    ),
+    query(
+      `${IMPORT_SELECT}
+       WHERE i."agentId" = $1 AND ($2::text IS NULL OR i."listingId" = $2)
+       ORDER BY i."createdAt" DESC`,
+      [req.user.id, listingId]
+    ),
+  ]);
+  res.json({ feeds: feeds.rows.map(presentFeed), imports: imports.rows });
+});
+
+/**
+ * POST /api/agent/calendars/feeds { listingId, unitId? }
+ * The private export link for a listing (all units) or one unit; reuses an existing one.
+ * Subscribe to the URL from Google/Outlook ("From URL"). Anyone with the link can read it.
+ */
+router.post("/feeds", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = FeedBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { listingId, unitId = null } = parsed.data;
+
+  const own = await ownListingUnit(req.user.id, listingId, unitId);
+  if (!own.ok) return res.status(own.status).json({ error: own.error });
+
+  const existing = await query(
+    `${FEED_SELECT}
+     WHERE f."userId" = $1 AND f.kind = 'LISTING' AND f."listingId" = $2 AND f."unitId" IS NOT DISTINCT FROM $3`,
+    [req.user.id, listingId, unitId]
+  );
+  if (existing.rows[0]) return res.json({ item: presentFeed(existing.rows[0]) });
+
+  const { rows } = await query(
+    `INSERT INTO "CalendarFeed" ("userId", kind, "listingId", "unitId", token)
+     VALUES ($1, 'LISTING', $2, $3, $4)
+     RETURNING id`,
+    [req.user.id, listingId, unitId, newFeedToken()]
+  );
+  const out = await query(`${FEED_SELECT} WHERE f.id = $1`, [rows[0].id]);
+  res.status(201).json({ item: presentFeed(out.rows[0]) });
+});
+
+// POST /api/agent/calendars/feeds/:id/rotate — new URL; the old one stops working
+router.post("/feeds/:id/rotate", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rowCount } = await query(
+    `UPDATE "CalendarFeed" SET token = $3, "lastFetchedAt" = NULL
+     WHERE id = $1 AND "userId" = $2 AND kind = 'LISTING'`,
+    [req.params.id, req.user.id, newFeedToken()]
+  );
+  if (!rowCount) return res.status(404).json({ error: "Feed not found" });
+  const out = await query(`${FEED_SELECT} WHERE f.id = $1`, [req.params.id]);
+  res.json({ item: presentFeed(out.rows[0]) });
+});
+
+router.delete("/feeds/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rowCount } = await query(
+    `DELETE FROM "CalendarFeed" WHERE id = $1 AND "userId" = $2 AND kind = 'LISTING'`,
+    [req.params.id, req.user.id]
+  );
+  if (!rowCount) return res.status(404).json({ error: "Feed not found" });
+  res.status(204).end();
+});
+
+/**
+ * POST /api/agent/calendars/imports { listingId, unitId?, name?, source }
+ * source: an http(s)/webcal ICS URL (e.g. Google's "secret address in iCal format") or a file
+ * in the server's calendar import folder. Synced now and then periodically; busy days become
+ * blackouts on the unit (or the whole listing without unitId).
+ */
+router.post("/imports", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = ImportBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const d = parsed.data;
+
+  const own = await ownListingUnit(req.user.id, d.listingId, d.unitId || null);
+  if (!own.ok) return res.status(own.status).json({ error: own.error });
+  const src = normalizeImportSource(d.source);
+  if (!src.ok) return res.status(400).json({ error: src.error });
+
+  const { rows } = await query(
+    `INSERT INTO "CalendarImport" ("agentId", "listingId", "unitId", name, source)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [req.user.id, d.listingId, d.unitId || null, d.name || null, src.source]
+  );
+  const sync = await syncCalendarImport(rows[0].id);
+  res.status(201).json({ item: await findImport(rows[0].id, req.user.id), sync });
+});
+
+// PATCH /api/agent/calendars/imports/:id { name?, active? } (inactive imports keep their blackouts)
+router.patch("/imports/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = UpdateImportBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const set = [];
+  const vals = [req.params.id, req.user.id];
+  if ("name" in parsed.data) {
+    vals.push(parsed.data.name || null);
+    set.push(`name = $${vals.length}`);
+  }
+  if ("active" in parsed.data) {
+    vals.push(parsed.data.active);
+    set.push(`active = $${vals.length}`);
+  }
+  set.push(`"updatedAt" = NOW()`);
+
+  const { rowCount } = await query(
+    `UPDATE "CalendarImport" SET ${set.join(", ")} WHERE id = $1 AND "agentId" = $2`,
+    vals
+  );
+  if (!rowCount) return res.status(404).json({ error: "Import not found" });
+  res.json({ item: await findImport(req.params.id, req.user.id) });
+});
+
+// POST /api/agent/calendars/imports/:id/sync — fetch again now
+router.post("/imports/:id/sync", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  if (!(await findImport(req.params.id, req.user.id))) return res.status(404).json({ error: "Import not found" });
+  const sync = await syncCalendarImport(req.params.id);
+  res.json({ item: await findImport(req.params.id, req.user.id), sync });
+});
+
+// DELETE /api/agent/calendars/imports/:id — also lifts its blackouts
+router.delete("/imports/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rowCount } = await query(`DELETE FROM "CalendarImport" WHERE id = $1 AND "agentId" = $2`, [
+    req.params.id,
+    req.user.id,
+  ]);
+  if (!rowCount) return res.status(404).json({ error: "Import not found" });
+  res.status(204).end();
+});
+
+/**
+ * GET /api/agent/calendars/blackouts?listingId
+ * Upcoming blocked days on my listings, with the imported event titles.
+ */
+router.get("/blackouts", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rows } = await query(
+    `SELECT b.id, b."listingId", b."unitId", b."importId", b.summary,
+            b."startsOn"::text AS "startsOn", b."endsOn"::text AS "endsOn"
+     FROM "ListingBlackout" b
+     JOIN "Listing" l ON l.id = b."listingId"
+     WHERE l."agentId" = $1 AND b."endsOn" > CURRENT_DATE AND ($2::text IS NULL OR b."listingId" = $2)
+     ORDER BY b."startsOn"`,
+    [req.user.id, req.query.listingId ? String(req.query.listingId) : null]
+  );
+  res.json({ items: rows });
+});
+
+export default router;
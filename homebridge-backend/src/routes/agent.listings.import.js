@@ -0,0 +1,306 @@
+// src/routes/agent.listings.import.js
+// Bulk import/export for /api/agent/listings (mounted before the main listings router so
+// "/import" and "/export" aren't taken for listing ids).
+import { Router } from "express";
+import fs from "fs/promises";
+import path from "path";
+import multer from "multer";
+import { tx } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { requireOnboardingUnlocked } from "../middleware/requireOnboardingUnlocked.js";
+import { insertListing, updateListing } from "../lib/listings.js";
+import { syncUnits } from "../lib/listingUnits.js";
+import { MATERIAL_FIELDS, needsReReview, setListingStatus } from "../lib/listingStatus.js";
+import { processListingImage, variantPaths } from "../lib/imageVariants.js";
+import { recordRevision } from "../lib/listingRevisions.js";
+import { refreshCampusDistances } from "../lib/universities.js";
+import {
+  draftsFromCsv,
+  draftsFromJson,
+  planImport,
+  fetchImportImage,
+  exportListings,
+  listingsToCsv,
+} from "../lib/listingImport.js";
+import { readZip } from "../lib/zip.js";
+
+const router = Router();
+
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || "http://localhost:4000").replace(/\/$/, "");
+const UPLOAD_ROOT = path.resolve(path.join(process.cwd(), "uploads", "listings"));
+
+function publicUrlFor(filename) {
+  return `${API_PUBLIC_URL}/uploads/listings/${filename}`;
+}
+
+const MAX_IMPORT_FILE_BYTES = 50 * 1024 * 1024; // zips carry the photos
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_FILE_BYTES, files: 1 } });
+
+const IMAGE_EXTS = ["jpg", "jpeg", "png", "webp", "avif"];
+
+function ensureAgent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "AGENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Agent access only" });
+    return false;
+  }
+  return true;
+}
+
+const flag = (v) => ["1", "true", "yes"].includes(String(v || "").toLowerCase());
+
+// Uploaded file -> { format: "csv" | "json", text, zipFiles }. A zip must hold exactly one
+// listings .csv/.json (any folder); its other entries are the images the rows refer to.
+function readImportFile(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext === ".zip" || file.mimetype === "application/zip") {
+    const zipFiles = readZip(file.buffer);
+    const sheets = [...zipFiles.keys()].filter((n) => /\.(csv|json)$/i.test(n));
+    if (sheets.length !== 1) throw new Error("The zip must contain exactly one .csv or .json listings file");
+    const data = zipFiles.get(sheets[0]);
+    zipFiles.delete(sheets[0]);
+    return { format: sheets[0].toLowerCase().endsWith(".json") ? "json" : "csv", text: data.toString("utf8"), zipFiles };
+  }
+  if (ext === ".json" || file.mimetype === "application/json") {
+    return { format: "json", text: file.buffer.toString("utf8"), zipFiles: null };
+  }
+  if (ext === ".csv" || /csv|text\/plain/.test(file.mimetype)) {
+    return { format: "csv", text: file.buffer.toString("utf8"), zipFiles: null };
+  }
+  throw new Error("Upload a .csv, .json or .zip file");
+}
+
+const summarize = (plan) => ({
+  listings: plan.length,
+  create: plan.filter((p) => p.action === "create").length,
+  update: plan.filter((p) => p.action === "update").length,
+  newImages: plan.reduce((n, p) => n + (p.images || []).filter((i) => !i.imageId).length, 0),
+});
+
+const planItem = (p) => ({
+  row: p.row,
+  key: p.key,
+  id: p.id,
+  action: p.action,
+  title: p.data.title,
+  units: p.units ? p.units.length : null,
+  images: p.images ? p.images.length : null,
+});
+
+// Write the plan's new photos to disk (strip EXIF + variants, like a normal upload), one at a
+// time. Fills entry.file = { path, url, meta }; returns the row errors for those that failed.
+async function materializeImages(plan, zipFiles, written) {
+  const errors = [];
+  for (const p of plan) {
+    for (const entry of p.images || []) {
+      if (entry.imageId) continue;
+      const ref = entry.zip || entry.url;
+      try {
+        let buf;
+        let ext;
+        if (entry.zip) {
+          buf = zipFiles.get(entry.zip);
+          ext = path.extname(entry.zip).slice(1).toLowerCase();
+        } else {
+          buf = await fetchImportImage(entry.url);
+          ext = path.extname(new URL(entry.url).pathname).slice(1).toLowerCase();
+        }
+        if (!IMAGE_EXTS.includes(ext)) ext = "jpg";
+        const filePath = path.join(UPLOAD_ROOT, `${Date.now()}_${Math.random().toString(36).slice(2)}.${ext}`);
+        await fs.writeFile(filePath, buf);
+        written.push(filePath);
+        const meta = await processListingImage(filePath, publicUrlFor).catch(() => {
+          throw new Error("Not a readable image");
+        });
+        entry.file = { path: filePath, url: publicUrlFor(path.basename(filePath)), meta };
+      } catch (e) {
+        errors.push({ row: p.row, key: p.key || p.id, field: "images", message: `${ref}: ${e.message}` });
+      }
+    }
+  }
+  return errors;
+}
+
+// Make the listing's gallery exactly `images` (kept + new, in that order). Returns the
+// file paths of removed images (unlink after commit) and how many were added.
+async function syncImages(c, listingId, images) {
+  const { rows: existing } = await c.query(
+    `SELECT id, path FROM "ListingImage" WHERE "listingId" = $1 FOR UPDATE`,
+    [listingId]
+  );
+  const keep = new Set(images.filter((i) => i.imageId).map((i) => i.imageId));
+  const removed = existing.filter((img) => !keep.has(img.id));
+  if (removed.length) {
+    await c.query(`DELETE FROM "ListingImage" WHERE id = ANY($1::text[])`, [removed.map((img) => img.id)]);
+  }
+
+  let added = 0;
+  for (const [order, entry] of images.entries()) {
+    if (entry.imageId) {
+      await c.query(`UPDATE "ListingImage" SET "order" = $2 WHERE id = $1`, [entry.imageId, order]);
+      continue;
+    }
+    const { size, width, height, variants, placeholder } = entry.file.meta;
+    await c.query(
+      `INSERT INTO "ListingImage"
+        (id, "listingId", url, path, size, width, height, "order", variants, placeholder, "createdAt")
+       VALUES
+        (gen_random_uuid()::text, $1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+      [listingId, entry.file.url, entry.file.path, size, width ?? null, height ?? null, order, variants, placeholder]
+    );
+    added++;
+  }
+
+  // keep the cover if it survived, otherwise fall back to the first photo
+  await c.query(
+    `UPDATE "Listing" l
+        SET "coverImageId" = (SELECT id FROM "ListingImage" WHERE "listingId" = l.id ORDER BY "order" ASC LIMIT 1)
+      WHERE l.id = $1
+        AND ("coverImageId" IS NULL
+             OR NOT EXISTS (SELECT 1 FROM "ListingImage" i WHERE i.id = l."coverImageId"))`,
+    [listingId]
+  );
+  return { added, removedPaths: removed.map((img) => img.path).filter(Boolean) };
+}
+
+// Thrown inside the import tx so everything written so far rolls back
+const rowConflict = (p, field, message) =>
+  Object.assign(new Error(message), { importRow: { row: p.row, key: p.key || p.id, field, message } });
+
+/**
+ * POST /api/agent/listings/import?dryRun=1&submit=1   (multipart, field "file")
+ * .csv, .json, or a .zip with one of those plus the photos its `images` cells name.
+ * Every listing is validated first; any error rejects the whole file (400 with per-row
+ * { row, key, field, message }). dryRun stops there and reports what would happen.
+ * Otherwise all listings are created/updated in one transaction. Rows with `id` replace
+ * that listing's fields (units/images only when the file carries them); rows without one
+ * create a DRAFT (or SUBMITTED with submit=1).
+ */
+router.post(
+  "/import",
+  authRequired,
+  requireOnboardingUnlocked,
+  upload.single("file"),
+  async (req, res) => {
+    if (!ensureAgent(req, res)) return;
+    if (!req.file) return res.status(400).json({ error: "Attach a .csv, .json or .zip file as \"file\"" });
+    const dryRun = flag(req.query.dryRun);
+    const submit = flag(req.query.submit);
+
+    let source;
+    try {
+      source = readImportFile(req.file);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const parsed = source.format === "json" ? draftsFromJson(source.text) : draftsFromCsv(source.text);
+    const checked = await planImport(parsed.drafts, req.user.id, { zipFiles: source.zipFiles });
+    const errors = [...parsed.errors, ...checked.errors].sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+    const plan = checked.plan;
+    if (!errors.length && !plan.length) errors.push({ row: null, field: null, message: "No listings in the file" });
+
+    if (errors.length) {
+      return res.status(400).json({ error: "Import has errors", dryRun, summary: summarize(plan), errors });
+    }
+    if (dryRun) {
+      return res.json({ dryRun: true, summary: summarize(plan), items: plan.map(planItem), errors: [] });
+    }
+
+    const written = [];
+    const cleanup = () =>
+      Promise.allSettled(written.flatMap((p) => [p, ...variantPaths(p)]).map((p) => fs.unlink(p)));
+
+    const imageErrors = await materializeImages(plan, source.zipFiles, written);
+    if (imageErrors.length) {
+      await cleanup();
+      return res.status(400).json({ error: "Import has errors", dryRun, summary: summarize(plan), errors: imageErrors });
+    }
+
+    let result;
+    try {
+      result = await tx(async (c) => {
+        const removedPaths = [];
+        for (const p of plan) {
+          let listingId = p.id;
+          let reReview = false;
+          if (p.action === "create") {
+            listingId = (await insertListing(c, req.user.id, p.data, p.uni, submit ? "SUBMITTED" : "DRAFT")).id;
+            p.id = listingId;
+          } else {
+            const { rows: before } = await c.query(
+              `SELECT status, ${MATERIAL_FIELDS.map((f) => `"${f}"`).join(", ")} FROM "Listing" WHERE id = $1 FOR UPDATE`,
+              [listingId]
+            );
+            if (before[0].status === "ARCHIVED") {
+              throw rowConflict(p, "id", "Archived listings must be restored before editing");
+            }
+            if (p.units) {
+              const unitChanges = await syncUnits(c, listingId, p.units);
+              if (!unitChanges.ok) {
+                const units = unitChanges.units.map((u) => u.label || u.id || u).join(", ");
+                throw rowConflict(p, "unitId", `${unitChanges.error}: ${units}`);
+              }
+              reReview = unitChanges.priceChanged;
+            }
+            await updateListing(c, listingId, p.data, p.uni, { only: p.fields });
+            // columns the file left out keep their stored value
+            reReview ||= MATERIAL_FIELDS.some(
+              (f) => p.fields.includes(f) && String(p.data[f] ?? "") !== String(before[0][f] ?? "")
+            );
+          }
+
+          if (p.images) {
+            const imageChanges = await syncImages(c, listingId, p.images);
+            removedPaths.push(...imageChanges.removedPaths);
+            reReview ||= imageChanges.added > 0;
+          }
+          await refreshCampusDistances(listingId, c);
+
+          if (p.action === "update" && reReview) {
+            const { rows } = await c.query(`SELECT status FROM "Listing" WHERE id = $1`, [listingId]);
+            if (needsReReview(rows[0].status)) {
+              await setListingStatus(listingId, "SUBMITTED", { db: c });
+              p.resubmitted = true;
+            }
+          }
+          await recordRevision(
+            listingId,
+            { actorId: req.user.id, actorRole: req.user.role, source: "import", note: `Bulk import row ${p.row}` },
+            c
+          );
+        }
+        return { removedPaths };
+      });
+    } catch (e) {
+      await cleanup();
+      if (!e.importRow) throw e;
+      return res.status(409).json({ error: "Import has errors", dryRun, summary: summarize(plan), errors: [e.importRow] });
+    }
+
+    await Promise.allSettled(result.removedPaths.flatMap((p) => [p, ...variantPaths(p)]).map((p) => fs.unlink(p)));
+    res.status(201).json({
+      dryRun: false,
+      summary: summarize(plan),
+      items: plan.map((p) => ({ ...planItem(p), resubmitted: !!p.resubmitted })),
+    });
+  }
+);
+
+/**
+ * GET /api/agent/listings/export?format=csv|json&archived=include
+ * Same format the import takes; archived listings only with archived=include.
+ */
+router.get("/export", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (format !== "csv" && format !== "json") return res.status(400).json({ error: "format must be csv or json" });
+
+  const listings = await exportListings(req.user.id, { archived: String(req.query.archived || "") === "include" });
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Disposition", `attachment; filename="listings-${stamp}.${format}"`);
+  if (format === "json") return res.json(listings);
+  res.type("text/csv").send(listingsToCsv(listings));
+});
+
+export default router;
@@ -6,7 +6,24 @@ import { z } from "zod";
 import fs from "fs/promises";
 import path from "path";
 import multer from "multer";
-import sharp from "sharp";
+import { refreshCampusDistances, nearbyCampusesFor } from "../lib/universities.js";
+import {
+  MAX_IMAGES_PER_LISTING,
+  BaseListingSchema,
+  universityFromBody,
+  insertListing,
+  updateListing,
+} from "../lib/listings.js";
+import { unitRemainingSql } from "../lib/inventory.js";
+import { MATERIAL_FIELDS, needsReReview, setListingStatus, restoreListing } from "../lib/listingStatus.js";
+import { syncUnits } from "../lib/listingUnits.js";
+import { processListingImage, variantPaths, copyListingImage } from "../lib/imageVariants.js";
+import { ROOM_TAGS } from "../lib/listingGallery.js";
+import { findTemplate, applyTemplate } from "../lib/listingTemplates.js";
+import { queueSavedSearchAlerts } from "../lib/savedSearches.js";
+import { recordRevision, listRevisions, findRevision, diffRevisions, revertListing } from "../lib/listingRevisions.js";
+import { getAppSettings } from "../lib/settings.js";
+import { ListingCancellationPolicySchema, effectivePolicy } from "../lib/cancellation.js";
 
 const router = Router();
 
@@ -29,7 +46,6 @@ function publicUrlFor(filename) {
 }
 
 // ---------- multer setup ----------
-const MAX_IMAGES_PER_LISTING = 12;
 const MAX_FILES_PER_UPLOAD = 5;
 const MAX_FILE_SIZE_BYTES = 5 * 1024 * 1024; // 5MB
 
@@ -51,43 +67,25 @@ const upload = multer({
 });
 
 // ---------- zod bodies ----------
-const UnitSchema = z.object({
-  id: z.string().optional(),
-  label: z.string().optional().nullable(),
-  type: z.string().optional().nullable(),
-  price: z.number().int().optional().nullable(),
-  availableFrom: z.string().optional().nullable(),
-  leaseMonths: z.number().int().optional().nullable(),
-  size: z.string().optional().nullable(),
-  availableCount: z.number().int().optional().nullable(),
+const CreateListingBody = BaseListingSchema.extend({
+  submit: z.boolean().optional().default(false), // go straight to review instead of DRAFT
+  templateId: z.string().optional().nullable(), // fills highlights/amenities/policies/notes left empty
 });
+const UpdateListingBody = BaseListingSchema.partial();
 
-const BaseListingSchema = z.object({
-  title: z.string().min(1),
-  type: z.string().min(1),
-  city: z.string().min(1),
-  university: z.string().optional().nullable(),
-  price: z.number().int().nonnegative(),
-
-  description: z.string().min(1),
-  highlights: z.array(z.string()).max(20).optional().default([]),
-  amenities: z.array(z.string()).max(50).optional().default([]),
-  policies: z.array(z.string()).max(50).optional().default([]),
-  notes: z.string().optional().nullable(),
-
-  address: z.string().optional().nullable(),
-  latitude: z.string().optional().nullable(),
-  longitude: z.string().optional().nullable(),
-  transitMins: z.string().optional().nullable(),
-
-  furnished: z.boolean().optional().default(false),
-  verified: z.boolean().optional().default(false),
-
-  coverImageId: z.string().optional().nullable(),
-  units: z.array(UnitSchema).optional().default([]),
+const CloneListingBody = z.object({
+  title: z.string().trim().min(1).optional(),
+  includeImages: z.boolean().optional().default(false),
+});
+
+const ReorderImagesBody = z.object({
+  imageIds: z.array(z.string()).min(1).max(MAX_IMAGES_PER_LISTING),
+});
+const ImageDetailsBody = z.object({
+  caption: z.string().trim().max(300).optional().nullable(),
+  altText: z.string().trim().max(300).optional().nullable(),
+  roomTag: z.enum(ROOM_TAGS).optional().nullable(),
 });
-const CreateListingBody = BaseListingSchema;
-const UpdateListingBody = BaseListingSchema.partial();
 
 // ---------- helpers ----------
 function ensureAgent(req, res) {
@@ -99,35 +97,47 @@ function ensureAgent(req, res) {
   return true;
 }
 
-async function mustOwnListing(id, userId) {
+// who/what to attribute a listing revision to
+const revisionBy = (req, source) => ({ actorId: req.user.id, actorRole: req.user.role, source });
+
+// `editable`: archived listings are read-only until restored
+async function mustOwnListing(id, userId, { editable = false } = {}) {
   const { rows } = await query(
-    `SELECT id, "agentId" FROM "Listing" WHERE id = $1`,
+    `SELECT id, "agentId", status FROM "Listing" WHERE id = $1`,
     [id]
   );
   const l = rows[0];
   if (!l) return { ok: false, status: 404, error: "Listing not found" };
   if (l.agentId !== userId) return { ok: false, status: 403, error: "Forbidden" };
+  if (editable && l.status === "ARCHIVED") {
+    return { ok: false, status: 409, error: "Archived listings must be restored before editing" };
+  }
   return { ok: true, listing: l };
 }
 
 // ---------- CRUD ----------
 
-// GET my listings (with simple pagination)
+// GET my listings (with simple pagination, favoritesCount = students who saved it);
+// archived=include|only (hidden by default)
 router.get("/", authRequired, async (req, res) => {
   if (!ensureAgent(req, res)) return;
   const take = Math.min(Number(req.query.take || 50), 100);
   const skip = Math.max(Number(req.query.skip || 0), 0);
+  const archived = String(req.query.archived || "").toLowerCase();
+  const archivedSql =
+    archived === "only" ? `AND status = 'ARCHIVED'` : archived === "include" ? "" : `AND status <> 'ARCHIVED'`;
 
   const [itemsRes, countRes] = await Promise.all([
     query(
-      `SELECT *
-       FROM "Listing"
-       WHERE "agentId" = $1
+      `SELECT l.*,
+              (SELECT COUNT(*)::int FROM "Favorite" f WHERE f."listingId" = l.id) AS "favoritesCount"
+       FROM "Listing" l
+       WHERE "agentId" = $1 ${archivedSql}
        ORDER BY "createdAt" DESC
        LIMIT $2 OFFSET $3`,
       [req.user.id, take, skip]
     ),
-    query(`SELECT COUNT(*)::int AS c FROM "Listing" WHERE "agentId" = $1`, [req.user.id]),
+    query(`SELECT COUNT(*)::int AS c FROM "Listing" WHERE "agentId" = $1 ${archivedSql}`, [req.user.id]),
   ]);
 
   const ids = itemsRes.rows.map(r => r.id);
@@ -146,10 +156,10 @@ router.get("/", authRequired, async (req, res) => {
     });
 
     const units = await query(
-      `SELECT *
-       FROM "ListingUnit"
-       WHERE "listingId" = ANY($1)
-       ORDER BY "id" ASC`,
+      `SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount"
+       FROM "ListingUnit" u
+       WHERE u."listingId" = ANY($1)
+       ORDER BY u."id" ASC`,
       [ids]
     );
     units.rows.forEach(u => {
@@ -175,16 +185,18 @@ router.get("/:id", authRequired, async (req, res) => {
   const [lRes, imgRes, unitRes] = await Promise.all([
     query(`SELECT * FROM "Listing" WHERE id = $1`, [req.params.id]),
     query(
-      `SELECT id, url, "order", path, size, width, height
+      `SELECT id, url, "order", path, size, width, height, variants, placeholder,
+              caption, "altText", "roomTag"
        FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`,
       [req.params.id]
     ),
-    query(`SELECT * FROM "ListingUnit" WHERE "listingId" = $1`, [req.params.id]),
+    query(`SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount" FROM "ListingUnit" u WHERE u."listingId" = $1`, [req.params.id]),
   ]);
 
   const item = lRes.rows[0];
   item.images = imgRes.rows;
   item.units = unitRes.rows;
+  item.nearbyCampuses = (await nearbyCampusesFor(item.id))[item.id] || [];
   res.json({ item: presentListing(item) });
 });
 
@@ -193,77 +205,126 @@ router.post("/", authRequired, requireOnboardingUnlocked, async (req, res) => {
   if (!ensureAgent(req, res)) return;
   const parsed = CreateListingBody.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-  const d = parsed.data;
+  let d = parsed.data;
+  if (d.templateId) {
+    const template = await findTemplate(req.user.id, d.templateId);
+    if (!template) return res.status(400).json({ error: "Unknown templateId" });
+    d = applyTemplate(d, template);
+  }
+  const uni = await universityFromBody(d);
+  if (uni.error) return res.status(400).json({ error: uni.error });
 
   const created = await tx(async (c) => {
-    const ins = await c.query(
-      `INSERT INTO "Listing" (
-        id, "agentId", title, type, city, university, price,
-        description, highlights, amenities, policies, notes,
-        address, latitude, longitude, "transitMins",
-        furnished, verified, published, featured, "needsReview", "reportsCount",
-        "createdAt", "updatedAt"
-      ) VALUES (
-        gen_random_uuid()::text, $1, $2, $3, $4, $5, $6,
-        $7, $8::text[], $9::text[], $10::text[], $11,
-        $12, $13, $14, $15,
-        $16, false, true, false, false, 0,
-        NOW(), NOW()
-      )
-      RETURNING *`,
-      [
-        req.user.id,
-        d.title, d.type, d.city, d.university ?? null, d.price,
-        d.description, d.highlights || [], d.amenities || [], d.policies || [], d.notes ?? null,
-        d.address ?? null, d.latitude ?? null, d.longitude ?? null, d.transitMins ?? null,
-        !!d.furnished,
-      ]
-    );
-    const listing = ins.rows[0];
-
-    // units (optional)
-    if (Array.isArray(d.units) && d.units.length) {
-      const promises = d.units.map(u =>
-        c.query(
-          `INSERT INTO "ListingUnit" (
-            id, "listingId", label, type, price, "availableFrom",
-            "leaseMonths", size, "availableCount"
-          ) VALUES (
-            gen_random_uuid()::text, $1, $2, $3, $4, $5,
-            $6, $7, $8
-          )`,
-          [
-            listing.id,
-            u.label ?? null, u.type ?? null, u.price ?? null, u.availableFrom ?? null,
-            u.leaseMonths ?? null, u.size ?? null, u.availableCount ?? 0
-          ]
-        )
-      );
-      await Promise.all(promises);
-    }
-
+    const listing = await insertListing(c, req.user.id, d, uni, d.submit ? "SUBMITTED" : "DRAFT");
+    await refreshCampusDistances(listing.id, c);
+    await recordRevision(listing.id, revisionBy(req, "create"), c);
     return listing;
   });
 
   // hydrate images + units for response
   const [imgs, units] = await Promise.all([
     query(`SELECT id, url, "order" FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`, [created.id]),
-    query(`SELECT * FROM "ListingUnit" WHERE "listingId" = $1`, [created.id]),
+    query(`SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount" FROM "ListingUnit" u WHERE u."listingId" = $1`, [created.id]),
   ]);
   created.images = imgs.rows;
   created.units = units.rows;
+  created.nearbyCampuses = (await nearbyCampusesFor(created.id))[created.id] || [];
 
   res.status(201).json({ item: presentListing(created) });
 });
 
-// UPDATE (must own)
+// CLONE (must own) -> new DRAFT with the same fields and units (fresh ids, nothing booked);
+// includeImages copies the photo files too, so each listing can manage its own gallery.
+router.post("/:id/clone", authRequired, requireOnboardingUnlocked, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = CloneListingBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const sourceId = req.params.id;
+  const chk = await mustOwnListing(sourceId, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const [srcRes, unitRes, imgRes] = await Promise.all([
+    query(`SELECT * FROM "Listing" WHERE id = $1`, [sourceId]),
+    query(`SELECT * FROM "ListingUnit" WHERE "listingId" = $1 ORDER BY label ASC, id ASC`, [sourceId]),
+    parsed.data.includeImages
+      ? query(`SELECT * FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`, [sourceId])
+      : { rows: [] },
+  ]);
+  const src = srcRes.rows[0];
+  const d = {
+    ...src,
+    title: parsed.data.title || `${src.title} (copy)`,
+    units: unitRes.rows.map(({ id, listingId, ...u }) => u),
+  };
+
+  // copy photo files up front; a missing original is skipped rather than failing the clone
+  const copies = [];
+  let skippedImages = 0;
+  for (const img of imgRes.rows) {
+    try {
+      copies.push({ img, ...(await copyListingImage(img.path, img.variants, publicUrlFor)) });
+    } catch {
+      skippedImages++;
+    }
+  }
+  const cleanup = () =>
+    Promise.allSettled(copies.flatMap((x) => [x.path, ...variantPaths(x.path)]).map((p) => fs.unlink(p)));
+
+  let created;
+  try {
+    created = await tx(async (c) => {
+      const listing = await insertListing(c, req.user.id, d, {
+        university: src.university,
+        universityId: src.universityId,
+      });
+      let coverImageId = null;
+      for (const [order, x] of copies.entries()) {
+        const ins = await c.query(
+          `INSERT INTO "ListingImage"
+            (id, "listingId", url, path, size, width, height, "order", variants, placeholder,
+             caption, "altText", "roomTag", "createdAt")
+           VALUES
+            (gen_random_uuid()::text, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+           RETURNING id`,
+          [
+            listing.id, publicUrlFor(x.filename), x.path, x.img.size, x.img.width, x.img.height, order,
+            x.variants, x.img.placeholder, x.img.caption, x.img.altText, x.img.roomTag,
+          ]
+        );
+        if (x.img.id === src.coverImageId || (order === 0 && !coverImageId)) coverImageId = ins.rows[0].id;
+      }
+      if (coverImageId) {
+        await c.query(`UPDATE "Listing" SET "coverImageId" = $1 WHERE id = $2`, [coverImageId, listing.id]);
+      }
+      await refreshCampusDistances(listing.id, c);
+      await recordRevision(listing.id, { ...revisionBy(req, "create"), note: `Cloned from ${sourceId}` }, c);
+      return (await c.query(`SELECT * FROM "Listing" WHERE id = $1`, [listing.id])).rows[0];
+    });
+  } catch (e) {
+    await cleanup();
+    throw e;
+  }
+
+  const [imgs, units] = await Promise.all([
+    query(`SELECT id, url, "order" FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`, [created.id]),
+    query(`SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount" FROM "ListingUnit" u WHERE u."listingId" = $1`, [created.id]),
+  ]);
+  created.images = imgs.rows;
+  created.units = units.rows;
+  created.nearbyCampuses = (await nearbyCampusesFor(created.id))[created.id] || [];
+
+  res.status(201).json({ item: presentListing(created), clonedFrom: sourceId, skippedImages });
+});
+
+// UPDATE (must own). With `units`, reports { created, updated, kept, deleted } unit ids.
 router.put("/:id", authRequired, requireOnboardingUnlocked, async (req, res) => {
   if (!ensureAgent(req, res)) return;
   const parsed = UpdateListingBody.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
 
   const listingId = req.params.id;
-  const chk = await mustOwnListing(listingId, req.user.id);
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
   const d = parsed.data;
@@ -286,97 +347,79 @@ router.put("/:id", authRequired, requireOnboardingUnlocked, async (req, res) =>
     }
   }
 
+  const uni = await universityFromBody(d);
+  if (uni.error) return res.status(400).json({ error: uni.error });
+
+  // what the UPDATE below will write for the review-sensitive fields
+  const { rows: before } = await query(
+    `SELECT status, ${MATERIAL_FIELDS.map((f) => `"${f}"`).join(", ")} FROM "Listing" WHERE id = $1`,
+    [listingId]
+  );
+  const nextMaterial = {
+    price: d.price ?? before[0].price,
+    address: d.address ?? null,
+    latitude: d.latitude ?? null,
+    longitude: d.longitude ?? null,
+  };
+  const materialEdit = MATERIAL_FIELDS.some(
+    (f) => String(nextMaterial[f] ?? "") !== String(before[0][f] ?? "")
+  );
+
   const updated = await tx(async (c) => {
-    // Replace units (MVP)
-    await c.query(`DELETE FROM "ListingUnit" WHERE "listingId" = $1`, [listingId]);
-    if (Array.isArray(d.units)) {
-      const promises = d.units.map(u =>
-        c.query(
-          `INSERT INTO "ListingUnit" (
-            id, "listingId", label, type, price, "availableFrom",
-            "leaseMonths", size, "availableCount"
-          ) VALUES (
-            gen_random_uuid()::text, $1, $2, $3, $4, $5,
-            $6, $7, $8
-          )`,
-          [
-            listingId,
-            u.label ?? null, u.type ?? null, u.price ?? null, u.availableFrom ?? null,
-            u.leaseMonths ?? null, u.size ?? null, u.availableCount ?? 0
-          ]
-        )
-      );
-      await Promise.all(promises);
+    // Units are only touched when the body carries them (the schema defaults to [])
+    let unitChanges = null;
+    if (Array.isArray(req.body?.units)) {
+      unitChanges = await syncUnits(c, listingId, d.units);
+      if (!unitChanges.ok) return { conflict: unitChanges };
     }
 
-    // Build dynamic UPDATE set
-    const fields = [];
-    const vals = [];
-    let p = 1;
-
-    const set = (col, val, rawArray = false) => {
-      if (val === undefined) return;
-      if (rawArray) {
-        fields.push(`"${col}" = $${p}::text[]`);
-      } else {
-        fields.push(`"${col}" = $${p}`);
-      }
-      vals.push(val);
-      p++;
-    };
-
-    set("title", d.title);
-    set("type", d.type);
-    set("city", d.city);
-    set("university", d.university ?? null);
-    set("price", d.price);
-    set("description", d.description);
-    set("highlights", d.highlights ?? undefined, true);
-    set("amenities", d.amenities ?? undefined, true);
-    set("policies", d.policies ?? undefined, true);
-    set("notes", d.notes ?? null);
-    set("address", d.address ?? null);
-    set("latitude", d.latitude ?? null);
-    set("longitude", d.longitude ?? null);
-    set("transitMins", d.transitMins ?? null);
-    set("furnished", d.furnished);
-    if ("coverImageId" in d) {
-      set("coverImageId", coverImageIdUpdate);
-    }
-    fields.push(`"updatedAt" = NOW()`);
+    let up = await updateListing(c, listingId, d, uni, { coverImageId: coverImageIdUpdate });
+    await refreshCampusDistances(listingId, c);
 
-    const sql = `UPDATE "Listing" SET ${fields.join(", ")} WHERE id = $${p} RETURNING *`;
-    vals.push(listingId);
-    const up = await c.query(sql, vals);
-    return up.rows[0];
+    // material edits put an approved/live listing back in the review queue
+    let resubmitted = false;
+    if (needsReReview(up.status) && (materialEdit || unitChanges?.priceChanged)) {
+      const moved = await setListingStatus(listingId, "SUBMITTED", { db: c });
+      up = moved.listing;
+      resubmitted = true;
+    }
+    await recordRevision(listingId, revisionBy(req, "update"), c);
+    return { listing: up, unitChanges, resubmitted };
   });
+  if (updated.conflict) {
+    const { status, error, units } = updated.conflict;
+    return res.status(status).json({ error, units });
+  }
+  const { listing, unitChanges, resubmitted } = updated;
 
   // hydrate sub-objects
   const [imgs, units] = await Promise.all([
     query(`SELECT id, url, "order" FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`, [listingId]),
-    query(`SELECT * FROM "ListingUnit" WHERE "listingId" = $1`, [listingId]),
+    query(`SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount" FROM "ListingUnit" u WHERE u."listingId" = $1`, [listingId]),
   ]);
-  updated.images = imgs.rows;
-  updated.units = units.rows;
-
-  res.json({ item: presentListing(updated) });
+  listing.images = imgs.rows;
+  listing.units = units.rows;
+  listing.nearbyCampuses = (await nearbyCampusesFor(listingId))[listingId] || [];
+
+  res.json({
+    item: presentListing(listing),
+    unitChanges: unitChanges?.changes ?? null,
+    resubmitted,
+  });
 });
 
-// DELETE (must own) + delete files
+// DELETE (must own) = archive. Bookings, payments and payouts keep pointing at the listing;
+// only an admin can purge it for good (DELETE /api/admin/listings/:id).
 router.delete("/:id", authRequired, requireOnboardingUnlocked, async (req, res) => {
   if (!ensureAgent(req, res)) return;
   const listingId = req.params.id;
   const chk = await mustOwnListing(listingId, req.user.id);
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
-  const imgs = await query(`SELECT path FROM "ListingImage" WHERE "listingId" = $1`, [listingId]);
   await tx(async (c) => {
-    await c.query(`DELETE FROM "ListingImage" WHERE "listingId" = $1`, [listingId]);
-    await c.query(`DELETE FROM "ListingUnit" WHERE "listingId" = $1`, [listingId]);
-    await c.query(`DELETE FROM "Listing" WHERE id = $1`, [listingId]);
+    await setListingStatus(listingId, "ARCHIVED", { actorId: req.user.id, db: c });
+    await recordRevision(listingId, revisionBy(req, "status"), c);
   });
-
-  await Promise.allSettled(imgs.rows.map(i => fs.unlink(i.path).catch(() => {})));
   res.status(204).end();
 });
 
@@ -394,7 +437,7 @@ router.post("/:id/images",
   if (!ensureAgent(req, res)) return;
 
   const listingId = req.params.id;
-  const chk = await mustOwnListing(listingId, req.user.id);
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
   if (!chk.ok) {
     await Promise.allSettled(req.files.map(f => fs.unlink(f.path)));
     return res.status(chk.status).json({ error: chk.error });
@@ -410,14 +453,18 @@ router.post("/:id/images",
   const roomLeft = MAX_IMAGES_PER_LISTING - count;
   const files = req.files.slice(0, roomLeft);
 
-  const metas = await Promise.all(files.map(async f => {
-    let width, height;
+  // strip EXIF + build variants one file at a time (resizing is CPU/memory heavy)
+  const metas = [];
+  for (const f of files) {
     try {
-      const m = await sharp(f.path).metadata();
-      width = m.width; height = m.height;
-    } catch {}
-    return { f, width, height };
-  }));
+      metas.push({ f, ...(await processListingImage(f.path, publicUrlFor)) });
+    } catch {
+      await Promise.allSettled(
+        req.files.flatMap(x => [x.path, ...variantPaths(x.path)]).map(p => fs.unlink(p))
+      );
+      return res.status(400).json({ error: `Could not process image "${f.originalname}"` });
+    }
+  }
 
   const maxOrderRes = await query(
     `SELECT COALESCE(MAX("order"), -1) AS m FROM "ListingImage" WHERE "listingId" = $1`,
@@ -427,21 +474,23 @@ router.post("/:id/images",
 
   const created = await tx(async (c) => {
     const inserted = [];
-    for (const { f, width, height } of metas) {
+    for (const { f, width, height, size, variants, placeholder } of metas) {
       const ins = await c.query(
         `INSERT INTO "ListingImage"
-          (id, "listingId", url, path, size, width, height, "order", "createdAt")
+          (id, "listingId", url, path, size, width, height, "order", variants, placeholder, "createdAt")
          VALUES
-          (gen_random_uuid()::text, $1, $2, $3, $4, $5, $6, $7, NOW())
+          (gen_random_uuid()::text, $1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
          RETURNING *`,
         [
           listingId,
           publicUrlFor(path.basename(f.path)),
           f.path,
-          f.size,
+          size,
           width ?? null,
           height ?? null,
-          orderStart++
+          orderStart++,
+          variants,
+          placeholder
         ]
       );
       inserted.push(ins.rows[0]);
@@ -450,14 +499,21 @@ router.post("/:id/images",
   });
 
   // set default cover if missing
-  const curr = await query(`SELECT "coverImageId" FROM "Listing" WHERE id = $1`, [listingId]);
+  const curr = await query(`SELECT "coverImageId", status FROM "Listing" WHERE id = $1`, [listingId]);
   if (!curr.rows[0]?.coverImageId && created[0]) {
     await query(`UPDATE "Listing" SET "coverImageId" = $1, "updatedAt" = NOW() WHERE id = $2`,
       [created[0].id, listingId]
     );
   }
 
-  res.status(201).json({ images: created });
+  // new photos on an approved/live listing need another review
+  let resubmitted = false;
+  if (created.length && needsReReview(curr.rows[0]?.status)) {
+    resubmitted = (await setListingStatus(listingId, "SUBMITTED")).ok;
+  }
+  await tx((c) => recordRevision(listingId, revisionBy(req, "images"), c));
+
+  res.status(201).json({ images: created, resubmitted });
 });
 
 // set cover
@@ -467,29 +523,111 @@ router.patch("/:id/cover/:imageId", authRequired, requireOnboardingUnlocked, asy
   if (!ensureAgent(req, res)) return;
 
   const listingId = req.params.id;
-  const chk = await mustOwnListing(listingId, req.user.id);
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
   const { rows } = await query(`SELECT id, "listingId" FROM "ListingImage" WHERE id = $1`, [req.params.imageId]);
   const img = rows[0];
   if (!img || img.listingId !== listingId) return res.status(404).json({ error: "Image not found" });
 
-  const up = await query(
-    `UPDATE "Listing" SET "coverImageId" = $1, "updatedAt" = NOW() WHERE id = $2 RETURNING id, "coverImageId"`,
-    [img.id, listingId]
-  );
-  const l = up.rows[0];
+  const l = await tx(async (c) => {
+    const up = await c.query(
+      `UPDATE "Listing" SET "coverImageId" = $1, "updatedAt" = NOW() WHERE id = $2 RETURNING id, "coverImageId"`,
+      [img.id, listingId]
+    );
+    await recordRevision(listingId, revisionBy(req, "images"), c);
+    return up.rows[0];
+  });
   res.json({ listing: { ...l, ref: `LS-${shortFromUUID(l.id)}` } });
 });
 
 
+// reorder: { imageIds } lists every image of the listing in its new order
+router.put("/:id/images/order", authRequired, requireOnboardingUnlocked, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = ReorderImagesBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const listingId = req.params.id;
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const { imageIds } = parsed.data;
+  const images = await tx(async (c) => {
+    const { rows } = await c.query(
+      `SELECT id FROM "ListingImage" WHERE "listingId" = $1 FOR UPDATE`,
+      [listingId]
+    );
+    const current = new Set(rows.map(r => r.id));
+    if (
+      new Set(imageIds).size !== imageIds.length ||
+      imageIds.length !== current.size ||
+      imageIds.some(id => !current.has(id))
+    ) {
+      return null;
+    }
+    for (let i = 0; i < imageIds.length; i++) {
+      await c.query(`UPDATE "ListingImage" SET "order" = $2 WHERE id = $1`, [imageIds[i], i]);
+    }
+    await recordRevision(listingId, revisionBy(req, "images"), c);
+    const out = await c.query(
+      `SELECT id, url, "order", caption, "altText", "roomTag"
+       FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`,
+      [listingId]
+    );
+    return out.rows;
+  });
+  if (!images) {
+    return res.status(400).json({ error: "imageIds must list each of this listing's images exactly once" });
+  }
+
+  res.json({ images });
+});
+
+// caption / alt text / room tag (null clears)
+router.patch("/:id/images/:imageId", authRequired, requireOnboardingUnlocked, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = ImageDetailsBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const listingId = req.params.id;
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const { rows } = await query(`SELECT id, "listingId" FROM "ListingImage" WHERE id = $1`, [req.params.imageId]);
+  const img = rows[0];
+  if (!img || img.listingId !== listingId) return res.status(404).json({ error: "Image not found" });
+
+  const d = parsed.data;
+  const fields = [];
+  const vals = [img.id];
+  for (const col of ["caption", "altText", "roomTag"]) {
+    if (!(col in d)) continue;
+    vals.push(d[col] || null);
+    fields.push(`"${col}" = $${vals.length}`);
+  }
+  if (!fields.length) return res.status(400).json({ error: "Nothing to update" });
+
+  const image = await tx(async (c) => {
+    const up = await c.query(
+      `UPDATE "ListingImage" SET ${fields.join(", ")} WHERE id = $1
+       RETURNING id, url, "order", caption, "altText", "roomTag"`,
+      vals
+    );
+    await recordRevision(listingId, revisionBy(req, "images"), c);
+    return up.rows[0];
+  });
+
+  res.json({ image });
+});
+
 // delete image
 router.delete("/:id/images/:imageId", authRequired, requireOnboardingUnlocked, async (req, res) => {
 
   if (!ensureAgent(req, res)) return;
 
   const listingId = req.params.id;
-  const chk = await mustOwnListing(listingId, req.user.id);
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
   const { rows } = await query(`SELECT * FROM "ListingImage" WHERE id = $1`, [req.params.imageId]);
@@ -512,8 +650,166 @@ router.delete("/:id/images/:imageId", authRequired, requireOnboardingUnlocked, a
     }
   });
 
-  await fs.unlink(img.path).catch(() => {});
+  const st = await query(`SELECT status FROM "Listing" WHERE id = $1`, [listingId]);
+  if (needsReReview(st.rows[0]?.status)) await setListingStatus(listingId, "SUBMITTED");
+  await tx((c) => recordRevision(listingId, revisionBy(req, "images"), c));
+
+  await Promise.allSettled([img.path, ...variantPaths(img.path)].map(p => fs.unlink(p)));
   res.status(204).end();
 });
 
+// ---------- moderation lifecycle ----------
+
+// DRAFT/REJECTED -> SUBMITTED, APPROVED -> PUBLISHED, anything -> ARCHIVED
+const moveTo = (to) => async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const listingId = req.params.id;
+  const chk = await mustOwnListing(listingId, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const moved = await tx(async (c) => {
+    const r = await setListingStatus(listingId, to, { actorId: req.user.id, db: c });
+    if (r.ok) await recordRevision(listingId, revisionBy(req, "status"), c);
+    return r;
+  });
+  if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
+  if (to === "PUBLISHED" && moved.changed) queueSavedSearchAlerts(listingId);
+
+  res.json({ item: presentListing(moved.listing) });
+};
+
+router.post("/:id/submit", authRequired, requireOnboardingUnlocked, moveTo("SUBMITTED"));
+router.post("/:id/publish", authRequired, requireOnboardingUnlocked, moveTo("PUBLISHED"));
+router.post("/:id/archive", authRequired, requireOnboardingUnlocked, moveTo("ARCHIVED"));
+
+// ARCHIVED -> the status it was archived from (a live listing comes back APPROVED)
+router.post("/:id/restore", authRequired, requireOnboardingUnlocked, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const listingId = req.params.id;
+  const chk = await mustOwnListing(listingId, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const restored = await tx(async (c) => {
+    const r = await restoreListing(listingId, { db: c });
+    if (r.ok) await recordRevision(listingId, revisionBy(req, "status"), c);
+    return r;
+  });
+  if (!restored.ok) return res.status(restored.status).json({ error: restored.error });
+
+  res.json({ item: presentListing(restored.listing) });
+});
+
+// ---------- cancellation policy ----------
+
+// GET my listing's own cancellation policy (null = global) and the one students get
+router.get("/:id/cancellation-policy", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const chk = await mustOwnListing(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const { rows } = await query(`SELECT "cancellationPolicy" FROM "Listing" WHERE id = $1`, [req.params.id]);
+  const own = rows[0].cancellationPolicy || null;
+  res.json({ policy: own, effective: effectivePolicy(own, await getAppSettings()) });
+});
+
+// PUT { fullRefundDays?, partialRefundPercent?, appFeeRefundable? } — {} goes back to the global policy
+// Operational terms, not listing content: no revision and no re-review.
+router.put("/:id/cancellation-policy", authRequired, requireOnboardingUnlocked, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = ListingCancellationPolicySchema.safeParse(req.body ?? null);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const chk = await mustOwnListing(req.params.id, req.user.id, { editable: true });
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const own = parsed.data && Object.keys(parsed.data).length ? parsed.data : null;
+  await query(
+    `UPDATE "Listing" SET "cancellationPolicy" = $2::jsonb, "updatedAt" = NOW() WHERE id = $1`,
+    [req.params.id, own ? JSON.stringify(own) : null]
+  );
+  res.json({ policy: own, effective: effectivePolicy(own, await getAppSettings()) });
+});
+
+// ---------- revision history ----------
+
+// GET revisions (newest first); ?field=price lists only revisions that changed that field
+router.get("/:id/revisions", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const chk = await mustOwnListing(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const take = Math.min(Number(req.query.take || 50), 100);
+  const skip = Math.max(Number(req.query.skip || 0), 0);
+  const field = req.query.field ? String(req.query.field) : null;
+  const { items, total } = await listRevisions(req.params.id, { take, skip, field });
+  res.json({ items, total, take, skip });
+});
+
+// GET field-level diff: ?from=<version|id>&to=<version|id> (to defaults to the latest)
+router.get("/:id/revisions/diff", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const chk = await mustOwnListing(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  if (!req.query.from) return res.status(400).json({ error: "from is required" });
+
+  const r = await diffRevisions(req.params.id, req.query.from, req.query.to || "latest");
+  if (!r.ok) return res.status(r.status).json({ error: r.error });
+  res.json({ from: r.from, to: r.to, diff: r.diff });
+});
+
+// GET one revision with its snapshot (version number or id)
+router.get("/:id/revisions/:revisionId", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const chk = await mustOwnListing(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const item = await findRevision(req.params.id, req.params.revisionId);
+  if (!item) return res.status(404).json({ error: "Revision not found" });
+  res.json({ item });
+});
+
+// POST revert to a revision; material changes on an approved/live listing go back to review
+router.post("/:id/revisions/:revisionId/revert", authRequired, requireOnboardingUnlocked, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const listingId = req.params.id;
+  const chk = await mustOwnListing(listingId, req.user.id, { editable: true });
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const out = await tx(async (c) => {
+    const r = await revertListing(c, listingId, req.params.revisionId);
+    if (!r.ok) return { conflict: r };
+
+    let resubmitted = false;
+    const { rows } = await c.query(`SELECT status FROM "Listing" WHERE id = $1`, [listingId]);
+    if (r.materialEdit && needsReReview(rows[0].status)) {
+      resubmitted = (await setListingStatus(listingId, "SUBMITTED", { db: c })).ok;
+    }
+    const recorded = await recordRevision(
+      listingId,
+      { ...revisionBy(req, "revert"), note: `Reverted to version ${r.revision.version}` },
+      c
+    );
+    return { ...r, resubmitted, recorded };
+  });
+  if (out.conflict) {
+    const { status, error, units } = out.conflict;
+    return res.status(status).json({ error, units });
+  }
+
+  const [lRes, imgs, units] = await Promise.all([
+    query(`SELECT * FROM "Listing" WHERE id = $1`, [listingId]),
+    query(`SELECT id, url, "order" FROM "ListingImage" WHERE "listingId" = $1 ORDER BY "order" ASC`, [listingId]),
+    query(`SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount" FROM "ListingUnit" u WHERE u."listingId" = $1`, [listingId]),
+  ]);
+  const item = { ...lRes.rows[0], images: imgs.rows, units: units.rows };
+
+  res.json({
+    item: presentListing(item),
+    revertedTo: { id: out.revision.id, version: out.revision.version },
+    revision: out.recorded,
+    unitChanges: out.unitChanges,
+    missingImages: out.missingImages,
+    resubmitted: out.resubmitted,
+  });
+});
+
 export default router;
@@ -0,0 +1,122 @@
+// src/routes/agent.listings.templates.js
+// /api/agent/listings/templates (mounted before the main listings router so "templates"
+// isn't taken for a listing id). Apply one with `templateId` on POST /api/agent/listings.
+import { Router } from "express";
+import { z } from "zod";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { TEMPLATE_FIELDS, TEMPLATE_SELECT, findTemplate } from "../lib/listingTemplates.js";
+
+const router = Router();
+
+const TemplateBody = z.object({
+  name: z.string().trim().min(1).max(100),
+  highlights: z.array(z.string()).max(20).optional().default([]),
+  amenities: z.array(z.string()).max(50).optional().default([]),
+  policies: z.array(z.string()).max(50).optional().default([]),
+  notes: z.string().optional().nullable(),
+  // start from one of my listings; fields in the body win
+  fromListingId: z.string().optional(),
+});
+const UpdateTemplateBody = TemplateBody.omit({ fromListingId: true }).partial();
+
+function ensureAgent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "AGENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Agent access only" });
+    return false;
+  }
+  return true;
+}
+
+const isDuplicateName = (e) => e?.code === "23505";
+
+// GET my templates (by name)
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rows } = await query(`${TEMPLATE_SELECT} WHERE "agentId" = $1 ORDER BY lower(name) ASC`, [req.user.id]);
+  res.json({ items: rows });
+});
+
+router.get("/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const item = await findTemplate(req.user.id, req.params.id);
+  if (!item) return res.status(404).json({ error: "Template not found" });
+  res.json({ item });
+});
+
+// CREATE { name, highlights?, amenities?, policies?, notes?, fromListingId? }
+router.post("/", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = TemplateBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const d = { ...parsed.data };
+
+  if (d.fromListingId) {
+    const { rows } = await query(
+      `SELECT highlights, amenities, policies, notes FROM "Listing" WHERE id = $1 AND "agentId" = $2`,
+      [d.fromListingId, req.user.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Listing not found" });
+    for (const f of TEMPLATE_FIELDS) {
+      const given = Array.isArray(req.body?.[f]) || (f === "notes" && req.body?.notes != null);
+      if (!given) d[f] = rows[0][f] ?? (f === "notes" ? null : []);
+    }
+  }
+
+  try {
+    const { rows } = await query(
+      `INSERT INTO "ListingTemplate" ("agentId", name, highlights, amenities, policies, notes)
+       VALUES ($1, $2, $3::text[], $4::text[], $5::text[], $6)
+       RETURNING id`,
+      [req.user.id, d.name, d.highlights, d.amenities, d.policies, d.notes ?? null]
+    );
+    res.status(201).json({ item: await findTemplate(req.user.id, rows[0].id) });
+  } catch (e) {
+    if (isDuplicateName(e)) return res.status(409).json({ error: "You already have a template with this name" });
+    throw e;
+  }
+});
+
+// UPDATE (partial)
+router.put("/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const body = req.body || {};
+  const parsed = UpdateTemplateBody.safeParse(body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const d = parsed.data;
+  const fields = [];
+  const vals = [req.params.id, req.user.id];
+  for (const col of ["name", ...TEMPLATE_FIELDS]) {
+    if (!(col in body)) continue; // present, even as null, means change it
+    vals.push(col === "notes" ? d.notes ?? null : d[col]);
+    fields.push(`${col} = $${vals.length}${col === "name" || col === "notes" ? "" : "::text[]"}`);
+  }
+  if (!fields.length) return res.status(400).json({ error: "Nothing to update" });
+
+  try {
+    const { rowCount } = await query(
+      `UPDATE "ListingTemplate" SET ${fields.join(", ")}, "updatedAt" = NOW()
+       WHERE id = $1 AND "agentId" = $2`,
+      vals
+    );
+    if (!rowCount) return res.status(404).json({ error: "Template not found" });
+  } catch (e) {
+    if (isDuplicateName(e)) return res.status(409).json({ error: "You already have a template with this name" });
+    throw e;
+  }
+  res.json({ item: await findTemplate(req.user.id, req.params.id) });
+});
+
+router.delete("/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rowCount } = await query(`DELETE FROM "ListingTemplate" WHERE id = $1 AND "agentId" = $2`, [
+    req.params.id,
+    req.user.id,
+  ]);
+  if (!rowCount) return res.status(404).json({ error: "Template not found" });
+  res.status(204).end();
+});
+
+export default router;
@@ -2,6 +2,7 @@
 import { Router } from "express";
 import { query } from "../db.js";
 import { authRequired } from "../middleware/auth.js";
+import { parseAnalyticsRange, listingFunnels, sumFunnels, funnelRates } from "../lib/listingAnalytics.js";
 
 const router = Router();
 
@@ -35,7 +36,9 @@ function stageFromRow(row) {
  * GET /api/agent/overview
  * Returns:
  * {
- *   kpis: { liveListings, applicationsTotal, offerSent, approved, rejected, reviewing, new, feePaid, docsPending },
+ *   kpis: { liveListings, applicationsTotal, offerSent, approved, rejected, reviewing, new, feePaid, docsPending,
+ *           views30d, favorites30d, inquiries30d },
+ *   interest: { from, to, views, favorites, inquiries, applications, feesPaid, offersAccepted, rates }  (last 30 days),
  *   pipeline: [{stage, count}, ...],
  *   recent: [{ id, ref, studentName, studentEmail, listingTitle, moveIn, stage, createdAt }]
  * }
@@ -91,6 +94,15 @@ router.get("/", authRequired, async (req, res) => {
       docsPending: p.docs_pending ?? 0,
     };
 
+    // Last 30 days of listing interest (same numbers as /api/agent/analytics/listings)
+    const range = parseAnalyticsRange();
+    const myListings = await query(`SELECT id FROM "Listing" WHERE "agentId" = $1`, [agentId]);
+    const interestTotals = sumFunnels(await listingFunnels(myListings.rows.map((r) => r.id), range));
+    const interest = { from: range.from, to: range.to, ...interestTotals, rates: funnelRates(interestTotals) };
+    kpis.views30d = interestTotals.views;
+    kpis.favorites30d = interestTotals.favorites;
+    kpis.inquiries30d = interestTotals.inquiries;
+
     // Recent applications (last 6)
     const recentRes = await query(
       `
@@ -136,7 +148,7 @@ router.get("/", authRequired, async (req, res) => {
       { stage: "Rejected", count: kpis.rejected },
     ];
 
-    res.json({ kpis, pipeline, recent });
+    res.json({ kpis, interest, pipeline, recent });
   } catch (e) {
     console.error("GET /api/agent/overview error:", e);
     res.status(500).json({ error: "Internal server error" });
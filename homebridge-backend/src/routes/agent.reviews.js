@@ -0,0 +1,93 @@
+// src/routes/agent.reviews.js
+// /api/agent/reviews — reviews on my listings and my public response to each.
+import { Router } from "express";
+import { z } from "zod";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { REVIEW_SELECT } from "../lib/listingReviews.js";
+
+const router = Router();
+
+const ResponseBody = z.object({
+  response: z.string().trim().min(1).max(3000),
+});
+
+function ensureAgent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "AGENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Agent access only" });
+    return false;
+  }
+  return true;
+}
+
+const findReview = async (id, agentId) =>
+  (await query(`${REVIEW_SELECT} WHERE r.id = $1 AND r."agentId" = $2`, [id, agentId])).rows[0] || null;
+
+/**
+ * GET /api/agent/reviews?listingId&unanswered=1&take&skip
+ * Newest first, hidden ones included (with their status). Also returns my overall rating.
+ */
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const take = Math.min(Number(req.query.take || 50), 100);
+  const skip = Math.max(Number(req.query.skip || 0), 0);
+
+  const params = [req.user.id];
+  const where = [`r."agentId" = $1`];
+  if (req.query.listingId) {
+    params.push(String(req.query.listingId));
+    where.push(`r."listingId" = $${params.length}`);
+  }
+  if (["1", "true", "yes"].includes(String(req.query.unanswered || "").toLowerCase())) {
+    where.push(`r.response IS NULL`);
+  }
+
+  const [items, count, profile] = await Promise.all([
+    query(
+      `${REVIEW_SELECT} WHERE ${where.join(" AND ")}
+       ORDER BY r."createdAt" DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, take, skip]
+    ),
+    query(`SELECT COUNT(*)::int AS c FROM "ListingReview" r WHERE ${where.join(" AND ")}`, params),
+    query(`SELECT rating, "reviewsCount" FROM "AgentProfile" WHERE "userId" = $1`, [req.user.id]),
+  ]);
+
+  res.json({
+    items: items.rows,
+    total: count.rows[0].c,
+    take,
+    skip,
+    rating: profile.rows[0]?.rating ?? null,
+    reviewsCount: profile.rows[0]?.reviewsCount ?? 0,
+  });
+});
+
+// PUT my public response { response } (replaces any earlier one)
+router.put("/:id/response", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = ResponseBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { rowCount } = await query(
+    `UPDATE "ListingReview" SET response = $3, "respondedAt" = NOW(), "updatedAt" = NOW()
+     WHERE id = $1 AND "agentId" = $2`,
+    [req.params.id, req.user.id, parsed.data.response]
+  );
+  if (!rowCount) return res.status(404).json({ error: "Review not found" });
+  res.json({ item: await findReview(req.params.id, req.user.id) });
+});
+
+router.delete("/:id/response", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const { rowCount } = await query(
+    `UPDATE "ListingReview" SET response = NULL, "respondedAt" = NULL, "updatedAt" = NOW()
+     WHERE id = $1 AND "agentId" = $2`,
+    [req.params.id, req.user.id]
+  );
+  if (!rowCount) return res.status(404).json({ error: "Review not found" });
+  res.json({ item: await findReview(req.params.id, req.user.id) });
+});
+
+export default router;
@@ -0,0 +1,263 @@
+// src/routes/agent.viewings.js
+// /api/agent/viewings — publish viewing / video-tour slots on my listings and manage the
+// appointments students book into them. Times are entered in my prefsTimezone.
+import { Router } from "express";
+import { z } from "zod";
+import { query, tx } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import {
+  VIEWING_KINDS,
+  MAX_SLOTS_PER_REQUEST,
+  SLOT_SELECT,
+  APPOINTMENT_SELECT,
+  agentTimeZone,
+  presentAppointment,
+  cancelAppointment,
+  notifyViewing,
+} from "../lib/viewings.js";
+import { parseBookingDate } from "../lib/bookingDates.js";
+
+const router = Router();
+
+// "2026-11-02T14:00" (my local time) or a full ISO timestamp with Z/offset
+const SLOT_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const HAS_OFFSET_RE = /(Z|[+-]\d{2}:?\d{2})$/;
+// the regex lets 2026-02-30T10:00 or 25:00 through; Postgres would reject them mid-transaction
+const isRealSlotTime = (s) => {
+  const [, hh, mi, ss = "0", , , oh = "0", om = "0"] =
+    /T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|([+-]\d{2}):?(\d{2}))?$/.exec(s) || [];
+  return (
+    parseBookingDate(s.slice(0, 10)) === s.slice(0, 10) &&
+    hh != null && +hh < 24 && +mi < 60 && +ss < 60 && Math.abs(+oh) < 16 && +om < 60
+  );
+};
+
+const duration = z.number().int().min(10).max(240);
+const CreateSlotsBody = z.object({
+  listingId: z.string().min(1),
+  kind: z.enum(VIEWING_KINDS).optional().default("VIDEO"),
+  meetingUrl: z
+    .string()
+    .url()
+    .max(1000)
+    .refine((v) => /^https?:\/\//i.test(v), "Use an http(s) link")
+    .optional()
+    .nullable(),
+  note: z.string().trim().max(1000).optional().nullable(),
+  durationMinutes: duration.optional().default(30),
+  slots: z
+    .array(
+      z.object({
+        start: z.string().regex(SLOT_TIME_RE, "Use YYYY-MM-DDTHH:mm").refine(isRealSlotTime, "Not a real date/time"),
+        durationMinutes: duration.optional(),
+      })
+    )
+    .min(1)
+    .max(MAX_SLOTS_PER_REQUEST),
+});
+const CancelBody = z.object({ reason: z.string().trim().max(500).optional().nullable() });
+
+function ensureAgent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "AGENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Agent access only" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/agent/viewings/slots?listingId&includePast=1&includeCancelled=1
+ * My slots (upcoming by default), each with its booked appointment if any.
+ */
+router.get("/slots", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const flag = (k) => ["1", "true", "yes"].includes(String(req.query[k] || "").toLowerCase());
+
+  const params = [req.user.id];
+  const where = [`s."agentId" = $1`];
+  if (req.query.listingId) {
+    params.push(String(req.query.listingId));
+    where.push(`s."listingId" = $${params.length}`);
+  }
+  if (!flag("includePast")) where.push(`s."endsAt" > NOW()`);
+  if (!flag("includeCancelled")) where.push(`s."cancelledAt" IS NULL`);
+
+  const { rows } = await query(
+    `SELECT x.*,
+            CASE WHEN a.id IS NULL THEN NULL ELSE jsonb_build_object(
+              'id', a.id, 'studentId', a."studentId", 'studentName', u.name, 'studentEmail', u.email,
+              'bookingId', a."bookingId", 'note', a.note) END AS appointment
+     FROM (${SLOT_SELECT} WHERE ${where.join(" AND ")}) x
+     LEFT JOIN "ViewingAppointment" a ON a."slotId" = x.id AND a.status = 'BOOKED'
+     LEFT JOIN "User" u ON u.id = a."studentId"
+     ORDER BY x."startsAt" ASC`,
+    params
+  );
+  res.json({ items: rows, timeZone: await agentTimeZone(req.user.id) });
+});
+
+/**
+ * POST /api/agent/viewings/slots
+ * { listingId, kind?, meetingUrl?, note?, durationMinutes? (30), slots: [{ start, durationMinutes? }] }
+ * `start` without an offset is read in my timezone. Slots in the past or overlapping any of
+ * my other open slots (on any listing) are rejected as a whole with the offending starts.
+ */
+router.post("/slots", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = CreateSlotsBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const d = parsed.data;
+
+  const { rows: lrows } = await query(
+    `SELECT id FROM "Listing" WHERE id = $1 AND "agentId" = $2 AND "archivedAt" IS NULL`,
+    [d.listingId, req.user.id]
+  );
+  if (!lrows[0]) return res.status(404).json({ error: "Listing not found" });
+
+  const timeZone = await agentTimeZone(req.user.id);
+  const starts = d.slots.map((s) => s.start);
+  const absolute = d.slots.map((s) => HAS_OFFSET_RE.test(s.start));
+  const minutes = d.slots.map((s) => s.durationMinutes || d.durationMinutes);
+
+  const out = await tx(async (c) => {
+    // one slot batch per agent at a time, so overlap checks can't race
+    await c.query(`SELECT id FROM "User" WHERE id = $1 FOR UPDATE`, [req.user.id]);
+
+    const { rows: times } = await c.query(
+      `SELECT x.start AS input, t."startsAt", t."startsAt" + make_interval(mins => x.mins) AS "endsAt",
+              t."startsAt" <= NOW() AS past
+       FROM unnest($1::text[], $2::boolean[], $3::int[]) AS x(start, absolute, mins)
+       CROSS JOIN LATERAL (
+         SELECT CASE WHEN x.absolute THEN x.start::timestamptz AT TIME ZONE 'UTC'
+                     ELSE (x.start::timestamp AT TIME ZONE $4) AT TIME ZONE 'UTC' END AS "startsAt"
+       ) t`,
+      [starts, absolute, minutes, timeZone]
+    );
+
+    const past = times.filter((t) => t.past).map((t) => t.input);
+    if (past.length) return { status: 400, error: "Slots must be in the future", starts: past };
+
+    const clashes = new Set();
+    times.forEach((a, i) =>
+      times.forEach((b, j) => {
+        if (i < j && a.startsAt < b.endsAt && b.startsAt < a.endsAt) clashes.add(b.input);
+      })
+    );
+    const { rows: existing } = await c.query(
+      `SELECT x.start AS input
+       FROM unnest($2::timestamp[], $3::timestamp[], $4::text[]) AS x(s, e, start)
+       WHERE EXISTS (
+         SELECT 1 FROM "ViewingSlot" v
+         WHERE v."agentId" = $1 AND v."cancelledAt" IS NULL AND v."startsAt" < x.e AND x.s < v."endsAt"
+       )`,
+      [req.user.id, times.map((t) => t.startsAt), times.map((t) => t.endsAt), starts]
+    );
+    existing.forEach((r) => clashes.add(r.input));
+    if (clashes.size) return { status: 409, error: "These slots overlap your other slots", starts: [...clashes] };
+
+    const ins = await c.query(
+      `INSERT INTO "ViewingSlot" ("listingId", "agentId", "startsAt", "endsAt", kind, "meetingUrl", note)
+       SELECT $1, $2, x.s, x.e, $5, $6, $7
+       FROM unnest($3::timestamp[], $4::timestamp[]) AS x(s, e)
+       RETURNING id`,
+      [d.listingId, req.user.id, times.map((t) => t.startsAt), times.map((t) => t.endsAt), d.kind,
+        d.meetingUrl || null, d.note || null]
+    );
+    return { ids: ins.rows.map((r) => r.id) };
+  });
+  if (out.error) return res.status(out.status).json({ error: out.error, starts: out.starts });
+
+  const { rows } = await query(`${SLOT_SELECT} WHERE s.id = ANY($1::text[]) ORDER BY s."startsAt"`, [out.ids]);
+  res.status(201).json({ items: rows, timeZone });
+});
+
+/**
+ * DELETE /api/agent/viewings/slots/:id  { reason? }
+ * Withdraws the slot; a student booked into it is cancelled and emailed.
+ */
+router.delete("/slots/:id", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = CancelBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const out = await tx(async (c) => {
+    const { rows } = await c.query(
+      `UPDATE "ViewingSlot" SET "cancelledAt" = NOW(), "updatedAt" = NOW()
+        WHERE id = $1 AND "agentId" = $2 AND "cancelledAt" IS NULL
+        RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+    if (!rows[0]) return null;
+    const { rows: booked } = await c.query(
+      `SELECT id FROM "ViewingAppointment" WHERE "slotId" = $1 AND status = 'BOOKED'`,
+      [req.params.id]
+    );
+    const cancelled = booked[0]
+      ? await cancelAppointment(c, {
+          appointmentId: booked[0].id,
+          actorId: req.user.id,
+          reason: parsed.data.reason || "The agent withdrew this time slot",
+        })
+      : null;
+    return { cancelled };
+  });
+  if (!out) return res.status(404).json({ error: "Slot not found" });
+
+  if (out.cancelled) notifyViewing(out.cancelled, "CANCELLED", { reason: parsed.data.reason || null });
+  res.status(204).end();
+});
+
+/**
+ * GET /api/agent/viewings/appointments?status=BOOKED|CANCELLED&listingId&includePast=1
+ * Soonest first.
+ */
+router.get("/appointments", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const params = [req.user.id];
+  const where = [`s."agentId" = $1`];
+  const status = String(req.query.status || "").toUpperCase();
+  if (["BOOKED", "CANCELLED"].includes(status)) {
+    params.push(status);
+    where.push(`a.status = $${params.length}`);
+  }
+  if (req.query.listingId) {
+    params.push(String(req.query.listingId));
+    where.push(`a."listingId" = $${params.length}`);
+  }
+  if (!["1", "true", "yes"].includes(String(req.query.includePast || "").toLowerCase())) {
+    where.push(`s."endsAt" > NOW()`);
+  }
+
+  const { rows } = await query(
+    `${APPOINTMENT_SELECT} WHERE ${where.join(" AND ")} ORDER BY s."startsAt" ASC`,
+    params
+  );
+  res.json({ items: rows.map((a) => presentAppointment(a, "AGENT")), timeZone: await agentTimeZone(req.user.id) });
+});
+
+// POST /api/agent/viewings/appointments/:id/cancel { reason? } (the slot stays open)
+router.post("/appointments/:id/cancel", authRequired, async (req, res) => {
+  if (!ensureAgent(req, res)) return;
+  const parsed = CancelBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { rows } = await query(
+    `SELECT a.id, a.status FROM "ViewingAppointment" a
+     JOIN "ViewingSlot" s ON s.id = a."slotId"
+     WHERE a.id = $1 AND s."agentId" = $2`,
+    [req.params.id, req.user.id]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "Appointment not found" });
+  if (rows[0].status !== "BOOKED") return res.status(400).json({ error: "This appointment is not active" });
+
+  const id = await tx((c) =>
+    cancelAppointment(c, { appointmentId: rows[0].id, actorId: req.user.id, reason: parsed.data.reason || null })
+  );
+  if (id) notifyViewing(id, "CANCELLED", { reason: parsed.data.reason || null });
+
+  const { rows: out } = await query(`${APPOINTMENT_SELECT} WHERE a.id = $1`, [rows[0].id]);
+  res.json({ item: presentAppointment(out[0], "AGENT") });
+});
+
+export default router;
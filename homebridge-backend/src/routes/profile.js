@@ -3,6 +3,7 @@ import { Router } from "express";
 import { query } from "../db.js";
 import { authRequired } from "../middleware/auth.js";
 import { z } from "zod";
+import { resolveUniversity } from "../lib/universities.js";
 
 const router = Router();
 
@@ -91,6 +92,15 @@ router.put("/students/me/profile", authRequired, async (req, res) => {
   // helper: only update if the key was present in the JSON body
   const has = (k) => Object.prototype.hasOwnProperty.call(d, k);
 
+  // school is free text; keep the directory link in step with it (cleared when unmatched)
+  if (has("school")) {
+    const uni = await resolveUniversity({ name: d.school });
+    await query(
+      `UPDATE "StudentProfile" SET "universityId" = $2 WHERE "userId" = $1`,
+      [userId, uni?.id ?? null]
+    );
+  }
+
   const vals = [
     userId,                                       // $1
     has("fullName")       ? d.fullName       : null, // $2
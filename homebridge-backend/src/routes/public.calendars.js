@@ -0,0 +1,20 @@
+// src/routes/public.calendars.js
+import { Router } from "express";
+import { calendarForToken } from "../lib/calendars.js";
+
+const router = Router();
+
+/**
+ * GET /api/public/calendars/:token.ics
+ * A private ICS feed for calendar apps to poll. No sign-in; the token is the credential.
+ */
+router.get("/:token", async (req, res) => {
+  const token = String(req.params.token).replace(/\.ics$/i, "");
+  const ics = await calendarForToken(token);
+  if (!ics) return res.status(404).json({ error: "Unknown calendar link" });
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  res.send(ics);
+});
+
+export default router;
@@ -1,100 +1,167 @@
 import { Router } from "express";
-import { query } from "../db.js";
+import { z } from "zod";
+import { query, tx } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import {
+  ListingFiltersSchema,
+  LISTING_SORTS,
+  buildListingWhere,
+  listingOrderBy,
+  listingFacets,
+} from "../lib/listingSearch.js";
+import { nearbyCampusesFor } from "../lib/universities.js";
+import { unitRemainingSql } from "../lib/inventory.js";
+import { REPORT_CATEGORIES, REPORT_LABELS, syncReportsCount } from "../lib/listingReports.js";
+import { presentImage, hydrateListingCards } from "../lib/listingCards.js";
+import { ROOM_TAGS, parseRoomTags } from "../lib/listingGallery.js";
+import { MAX_COMPARE_LISTINGS, compareListings } from "../lib/listingCompare.js";
+import { listingReviews } from "../lib/listingReviews.js";
+import { recordListingView } from "../lib/listingAnalytics.js";
+import { openSlots, agentTimeZone } from "../lib/viewings.js";
+import { listingBlackouts } from "../lib/calendars.js";
+import { getAppSettings } from "../lib/settings.js";
+import { effectivePolicy } from "../lib/cancellation.js";
 
 const router = Router();
 
-// GET /api/public/listings
+const ReportBody = z.object({
+  category: z.enum(REPORT_CATEGORIES),
+  details: z.string().trim().max(2000).optional().nullable(),
+});
+
+/**
+ * GET /api/public/listings
+ * take, skip, sort ("recommended" | "newest" | "price-low" | "price-high" | "distance")
+ * filters: q, city, university, universityId, type (comma lists), minPrice, maxPrice, furnished,
+ *          amenities (comma list, all-of), availableBy (YYYY-MM-DD), minLeaseMonths,
+ *          maxLeaseMonths, featured
+ * geo:     near=lat,lng [&radiusKm=3] or bbox=minLng,minLat,maxLng,maxLat;
+ *          with `near`, items carry distanceKm and sort=distance is available;
+ *          with `universityId`, items carry campusDistanceKm (nearest campus of those
+ *          universities) and radiusKm without `near` is measured from campus
+ * facets=0 skips the facet counts.
+ */
 router.get("/", async (req, res) => {
   const take = Math.min(parseInt(req.query.take || "50", 10), 100);
   const skip = Math.max(parseInt(req.query.skip || "0", 10), 0);
 
-  const featuredOnly = ["1", "true", "yes"].includes(
-    String(req.query.featured || "").toLowerCase()
-  );
+  const parsed = ListingFiltersSchema.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const filters = parsed.data;
 
-  // Build ordering to prefer featured when not forced
-  const orderParts = [];
-  if (!featuredOnly) orderParts.push(`"featured" DESC`);
-  orderParts.push(`"createdAt" DESC`);
-  const orderBy = orderParts.join(", ");
-
-  const whereClause = featuredOnly
-    ? `WHERE published = TRUE AND "featured" = TRUE`
-    : `WHERE published = TRUE`;
-
-  // base listings
-  const itemsRes = await query(
-    `SELECT *
-     FROM "Listing"
-     ${whereClause}
-     ORDER BY ${orderBy}
-     LIMIT $1 OFFSET $2`,
-    [take, skip]
-  );
+  const sort = LISTING_SORTS.includes(String(req.query.sort || ""))
+    ? String(req.query.sort)
+    : "recommended";
+  const withFacets = !["0", "false", "no"].includes(String(req.query.facets || "").toLowerCase());
 
-  const ids = itemsRes.rows.map(r => r.id);
-  let imagesByListing = {};
-  let unitPeekByListing = {};
+  const { where, params, distanceSql } = buildListingWhere(filters, { withDistance: true });
+  const count = buildListingWhere(filters);
 
-  if (ids.length) {
-    const imgs = await query(
-      `SELECT id, "listingId", url, "order"
-       FROM "ListingImage"
-       WHERE "listingId" = ANY($1)
-       ORDER BY "order" ASC`,
-      [ids]
-    );
-    imgs.rows.forEach(i => {
-      (imagesByListing[i.listingId] ||= []).push(i);
-    });
+  // base listings + total (+ facets)
+  const [itemsRes, countRes, facets] = await Promise.all([
+    query(
+      `SELECT l.*${distanceSql ? `, ROUND(${distanceSql}::numeric, 2)::float8 AS "distanceKm"` : ""}
+       FROM "Listing" l
+       WHERE ${where.join(" AND ")}
+       ORDER BY ${listingOrderBy(sort, { distanceSql })}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, take, skip]
+    ),
+    query(
+      `SELECT COUNT(*)::int AS c FROM "Listing" l WHERE ${count.where.join(" AND ")}`,
+      count.params
+    ),
+    withFacets ? listingFacets(filters) : null,
+  ]);
 
-    // one cheapest unit per listing
-    const units = await query(
-      `SELECT DISTINCT ON ("listingId") id, "listingId", size, price, "availableCount"
-       FROM "ListingUnit"
-       WHERE "listingId" = ANY($1)
-       ORDER BY "listingId", price ASC NULLS LAST, id ASC`,
-      [ids]
+  const ids = itemsRes.rows.map(r => r.id);
+  const campusKmByListing = {};
+  if (ids.length && filters.universityId) {
+    const dist = await query(
+      `SELECT "listingId", ROUND(MIN("distanceKm")::numeric, 2)::float8 AS km
+       FROM "ListingCampusDistance"
+       WHERE "listingId" = ANY($1) AND "universityId" = ANY($2::text[])
+       GROUP BY "listingId"`,
+      [ids, filters.universityId]
     );
-    units.rows.forEach(u => {
-      unitPeekByListing[u.listingId] = u;
+    dist.rows.forEach(d => {
+      campusKmByListing[d.listingId] = d.km;
     });
   }
 
-  const items = itemsRes.rows.map(r => ({
+  const items = (await hydrateListingCards(itemsRes.rows)).map(r => ({
     ...r,
-    images: (imagesByListing[r.id] || []).map(({ id, url, order }) => ({ id, url, order })),
-    units: unitPeekByListing[r.id] ? [unitPeekByListing[r.id]] : [],
+    ...(filters.universityId ? { campusDistanceKm: campusKmByListing[r.id] ?? null } : {}),
   }));
 
-  res.json({ items, take, skip });
+  res.json({ items, total: countRes.rows[0].c, take, skip, facets });
 });
 
-// GET /api/public/listings/:id
+/**
+ * GET /api/public/listings/compare?ids=a,b,c[&universityId=...]
+ * Up to 4 published listings side by side: price range across units, lease lengths,
+ * earliest availability, furnished, campus distance, agent verification, and amenity/policy
+ * matrices (union, intersection, per-listing presence). Unknown/unpublished ids come back
+ * in `missing`.
+ */
+router.get("/compare", async (req, res) => {
+  const ids = [
+    ...new Set(
+      String(req.query.ids || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!ids.length) return res.status(400).json({ error: "ids is required" });
+  if (ids.length > MAX_COMPARE_LISTINGS) {
+    return res.status(400).json({ error: `Compare at most ${MAX_COMPARE_LISTINGS} listings` });
+  }
+  const universityId = req.query.universityId ? String(req.query.universityId) : null;
+
+  res.json(await compareListings(ids, { universityId }));
+});
+
+/**
+ * GET /api/public/listings/:id
+ * roomTag=bathroom[,kitchen] narrows `images` to those rooms; `roomTags` always counts the
+ * whole gallery per tag so the client can offer "jump to" chips.
+ * `reviews` carries the latest few published reviews; page through the rest with /:id/reviews.
+ * `blackouts` are upcoming days the agent has blocked ({ unitId|null, startsOn, endsOn exclusive }).
+ * `cancellationPolicy` is what applies if a student cancels (the listing's own or the global one).
+ */
 router.get("/:id", async (req, res) => {
   const id = req.params.id;
+  const roomTags = parseRoomTags(req.query.roomTag);
 
   // listing
-  const lRes = await query(`SELECT * FROM "Listing" WHERE id = $1`, [id]);
+  const lRes = await query(`SELECT * FROM "Listing" WHERE id = $1 AND published = TRUE`, [id]);
   const item = lRes.rows[0];
   if (!item) return res.status(404).json({ error: "Not found" });
+  recordListingView(req, item);
 
-  // images + units
-  const [imgRes, unitRes] = await Promise.all([
+  // images + units + nearby campuses + latest reviews + blocked days (+ settings for the policy)
+  const [imgRes, unitRes, campuses, reviews, blackouts, settings] = await Promise.all([
     query(
-      `SELECT id, url, "order"
+      `SELECT id, url, "order", width, height, variants, placeholder,
+              caption, "altText", "roomTag"
        FROM "ListingImage"
        WHERE "listingId" = $1
        ORDER BY "order" ASC`,
       [id]
     ),
-    query(`SELECT * FROM "ListingUnit" WHERE "listingId" = $1`, [id]),
+    query(`SELECT u.*, ${unitRemainingSql("u")} AS "remainingCount" FROM "ListingUnit" u WHERE u."listingId" = $1`, [id]),
+    nearbyCampusesFor(id),
+    listingReviews(id, { take: 5 }),
+    listingBlackouts(id),
+    getAppSettings(),
   ]);
 
   // agent (user + agentProfile)
   const agentRes = await query(
     `SELECT u.id AS "userId", u.name AS "userName", u.email AS "userEmail",
-            ap.phone, ap.city, ap."orgName", ap.website, ap."supportEmail"
+            ap.phone, ap.city, ap."orgName", ap.website, ap."supportEmail",
+            ap.rating, ap."reviewsCount"
      FROM "User" u
      LEFT JOIN "AgentProfile" ap ON ap."userId" = u.id
      WHERE u.id = $1`,
@@ -112,17 +179,115 @@ router.get("/:id", async (req, res) => {
         orgName: a.orgName || null,
         website: a.website || null,
         supportEmail: a.supportEmail || null,
+        rating: a.rating ?? null,
+        reviewsCount: a.reviewsCount || 0,
       }
     : null;
 
+  const tagCounts = Object.fromEntries(ROOM_TAGS.map((t) => [t, 0]));
+  imgRes.rows.forEach((i) => {
+    if (i.roomTag in tagCounts) tagCounts[i.roomTag]++;
+  });
+  const images = roomTags.length ? imgRes.rows.filter((i) => roomTags.includes(i.roomTag)) : imgRes.rows;
+
   res.json({
     item: {
       ...item,
-      images: imgRes.rows,
+      images: images.map(presentImage),
+      roomTags: tagCounts,
       units: unitRes.rows,
+      nearbyCampuses: campuses[id] || [],
+      blackouts,
+      cancellationPolicy: effectivePolicy(item.cancellationPolicy, settings),
       agent,
+      reviews: {
+        rating: item.rating,
+        count: item.reviewsCount,
+        scores: item.ratingScores,
+        recent: reviews.items,
+      },
     }
   });
 });
 
+/**
+ * GET /api/public/listings/:id/reviews?take&skip
+ * Published reviews, newest first, with the listing's aggregate scores.
+ */
+router.get("/:id/reviews", async (req, res) => {
+  const take = Math.min(parseInt(req.query.take || "10", 10), 50);
+  const skip = Math.max(parseInt(req.query.skip || "0", 10), 0);
+
+  const { rows } = await query(
+    `SELECT rating, "reviewsCount", "ratingScores" FROM "Listing" WHERE id = $1 AND published = TRUE`,
+    [req.params.id]
+  );
+  if (!rows[0]) return res.status(404).json({ error: "Not found" });
+
+  const { items, total } = await listingReviews(req.params.id, { take, skip });
+  res.json({
+    items,
+    total,
+    take,
+    skip,
+    rating: rows[0].rating,
+    reviewsCount: rows[0].reviewsCount,
+    scores: rows[0].ratingScores,
+  });
+});
+
+/**
+ * GET /api/public/listings/:id/viewing-slots
+ * Open viewing / video-tour slots (UTC) and the agent's time zone for display.
+ * Book one with POST /api/student/viewings.
+ */
+router.get("/:id/viewing-slots", async (req, res) => {
+  const { rows } = await query(`SELECT id, "agentId" FROM "Listing" WHERE id = $1 AND published = TRUE`, [
+    req.params.id,
+  ]);
+  if (!rows[0]) return res.status(404).json({ error: "Not found" });
+
+  const [items, timeZone] = await Promise.all([openSlots(rows[0].id), agentTimeZone(rows[0].agentId)]);
+  res.json({ items, timeZone });
+});
+
+/**
+ * POST /api/public/listings/:id/reports  (signed in)
+ * { category: "SCAM" | "WRONG_PRICE" | "UNAVAILABLE" | "OFFENSIVE_PHOTOS", details? }
+ * One open report per user per listing; a repeat gets 409.
+ */
+router.post("/:id/reports", authRequired, async (req, res) => {
+  const parsed = ReportBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { category, details } = parsed.data;
+
+  const { rows } = await query(
+    `SELECT id, "agentId" FROM "Listing" WHERE id = $1 AND published = TRUE`,
+    [req.params.id]
+  );
+  const listing = rows[0];
+  if (!listing) return res.status(404).json({ error: "Not found" });
+  if (listing.agentId === req.user.id) {
+    return res.status(400).json({ error: "You cannot report your own listing" });
+  }
+
+  const out = await tx(async (c) => {
+    const ins = await c.query(
+      `INSERT INTO "ListingReport"
+         (id, "listingId", "reporterId", category, details, reason, status, "createdAt", "updatedAt")
+       VALUES (gen_random_uuid()::text, $1, $2, $3, $4, $5, 'OPEN', NOW(), NOW())
+       ON CONFLICT ("listingId", "reporterId") WHERE status = 'OPEN' AND "reporterId" IS NOT NULL
+       DO NOTHING
+       RETURNING id, category, details, status, "createdAt"::timestamptz::text AS "createdAt"`,
+      [listing.id, req.user.id, category, details || null, details || REPORT_LABELS[category]]
+    );
+    if (!ins.rows[0]) return null;
+    await syncReportsCount(listing.id, c);
+    return ins.rows[0];
+  });
+  if (!out) return res.status(409).json({ error: "You have already reported this listing" });
+
+  res.status(201).json({ report: out });
+});
+
 export default router;
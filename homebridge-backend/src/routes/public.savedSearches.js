@@ -0,0 +1,65 @@
+// src/routes/public.savedSearches.js
+import { Router } from "express";
+import { query } from "../db.js";
+
+const router = Router();
+
+const APP_NAME = process.env.APP_NAME || "GlobalCribs";
+const esc = (s) =>
+  String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const page = (title, body) =>
+  `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width">` +
+  `<title>${esc(title)} – ${esc(APP_NAME)}</title></head>` +
+  `<body style="font-family:sans-serif;max-width:32rem;margin:3rem auto;padding:0 1rem">${body}</body></html>`;
+
+/**
+ * GET /api/public/saved-searches/unsubscribe/:token
+ * The link in every alert. Only shows a confirmation button: mail scanners and link
+ * prefetchers open every link, so a GET must not change anything.
+ */
+router.get("/unsubscribe/:token", async (req, res) => {
+  const { rows } = await query(`SELECT name, active FROM "SavedSearch" WHERE "unsubscribeToken" = $1`, [
+    req.params.token,
+  ]);
+  const s = rows[0];
+  if (!s) return res.status(404).type("html").send(page("Unknown link", "<p>This unsubscribe link isn't valid.</p>"));
+  if (!s.active) {
+    return res.type("html").send(page("Unsubscribed", `<p>Alerts for <b>${esc(s.name)}</b> are already off.</p>`));
+  }
+  res.type("html").send(
+    page(
+      "Unsubscribe",
+      `<p>Stop emailing me new listings for <b>${esc(s.name)}</b>?</p>
+       <form method="post"><button type="submit">Unsubscribe</button></form>`
+    )
+  );
+});
+
+/**
+ * POST /api/public/saved-searches/unsubscribe/:token
+ * One-click unsubscribe (RFC 8058 List-Unsubscribe-Post, or the button above). No sign-in; the
+ * token is the credential. Browsers get a page back, everything else JSON.
+ */
+router.post("/unsubscribe/:token", async (req, res) => {
+  const html = req.accepts(["json", "html"]) === "html";
+  const { rows } = await query(
+    `UPDATE "SavedSearch" SET active = FALSE, "updatedAt" = NOW()
+     WHERE "unsubscribeToken" = $1
+     RETURNING id, name`,
+    [req.params.token]
+  );
+  const s = rows[0];
+  if (!s) {
+    return html
+      ? res.status(404).type("html").send(page("Unknown link", "<p>This unsubscribe link isn't valid.</p>"))
+      : res.status(404).json({ error: "Unknown unsubscribe link" });
+  }
+  await query(
+    `UPDATE "SavedSearchAlert" SET status = 'SKIPPED' WHERE "savedSearchId" = $1 AND status = 'PENDING'`,
+    [s.id]
+  );
+  if (html) return res.type("html").send(page("Unsubscribed", `<p>Alerts for <b>${esc(s.name)}</b> are now off.</p>`));
+  res.json({ ok: true, unsubscribed: true, name: s.name });
+});
+
+export default router;
@@ -0,0 +1,35 @@
+// src/routes/public.shortlists.js
+import { Router } from "express";
+import { query } from "../db.js";
+import { shortlistListings } from "../lib/shortlists.js";
+
+const router = Router();
+
+/**
+ * GET /api/public/shortlists/:token
+ * Read-only view of a shared shortlist (for a parent/guardian without an account): the
+ * name, the owner's first name, and the listings that are still published.
+ */
+router.get("/:token", async (req, res) => {
+  const { rows } = await query(
+    `SELECT s.id, s.name, s."updatedAt"::timestamptz::text AS "updatedAt", u.name AS "ownerName"
+     FROM "Shortlist" s
+     JOIN "User" u ON u.id = s."userId"
+     WHERE s."shareToken" = $1`,
+    [req.params.token]
+  );
+  const s = rows[0];
+  if (!s) return res.status(404).json({ error: "Shortlist not found" });
+
+  const items = await shortlistListings(s.id, { publishedOnly: true });
+  res.json({
+    item: {
+      name: s.name,
+      sharedBy: String(s.ownerName || "").trim().split(/\s+/)[0] || null,
+      updatedAt: s.updatedAt,
+      items,
+    },
+  });
+});
+
+export default router;
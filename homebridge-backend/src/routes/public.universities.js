@@ -0,0 +1,85 @@
+import { Router } from "express";
+import { query } from "../db.js";
+
+const router = Router();
+
+/**
+ * GET /api/public/universities
+ * q (matches name, aliases, city), city, take, skip
+ * Each item carries its campuses and the number of published listings linked to or near it.
+ */
+router.get("/", async (req, res) => {
+  const take = Math.min(parseInt(req.query.take || "50", 10), 200);
+  const skip = Math.max(parseInt(req.query.skip || "0", 10), 0);
+  const q = String(req.query.q || "").trim();
+  const city = String(req.query.city || "").trim();
+
+  const where = [];
+  const params = [];
+  if (q) {
+    params.push(`%${q.replace(/[\\%_]/g, (m) => `\\${m}`)}%`);
+    where.push(`(u.name ILIKE $${params.length} OR u.city ILIKE $${params.length}
+      OR EXISTS (SELECT 1 FROM unnest(u.aliases) a WHERE a ILIKE $${params.length}))`);
+  }
+  if (city) {
+    params.push(city);
+    where.push(`lower(u.city) = lower($${params.length})`);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const [itemsRes, countRes] = await Promise.all([
+    query(
+      `SELECT u.id, u.slug, u.name, u.aliases, u.city, u.country, u.website,
+              (SELECT COUNT(*)::int FROM "Listing" l
+                WHERE l.published = TRUE
+                  AND (l."universityId" = u.id OR EXISTS (
+                    SELECT 1 FROM "ListingCampusDistance" cd
+                    WHERE cd."listingId" = l.id AND cd."universityId" = u.id
+                  ))) AS "listingCount"
+       FROM "University" u
+       ${whereSql}
+       ORDER BY u.name ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, take, skip]
+    ),
+    query(`SELECT COUNT(*)::int AS c FROM "University" u ${whereSql}`, params),
+  ]);
+
+  const ids = itemsRes.rows.map(r => r.id);
+  let campusesByUni = {};
+  if (ids.length) {
+    const campuses = await query(
+      `SELECT id, "universityId", name, "geoLat" AS lat, "geoLng" AS lng
+       FROM "UniversityCampus"
+       WHERE "universityId" = ANY($1)
+       ORDER BY name ASC`,
+      [ids]
+    );
+    campuses.rows.forEach(({ universityId, ...c }) => {
+      (campusesByUni[universityId] ||= []).push(c);
+    });
+  }
+
+  const items = itemsRes.rows.map(r => ({ ...r, campuses: campusesByUni[r.id] || [] }));
+  res.json({ items, total: countRes.rows[0].c, take, skip });
+});
+
+// GET /api/public/universities/:id  (id or slug)
+router.get("/:id", async (req, res) => {
+  const { rows } = await query(
+    `SELECT id, slug, name, aliases, city, country, website
+     FROM "University" WHERE id = $1 OR slug = $1`,
+    [req.params.id]
+  );
+  const item = rows[0];
+  if (!item) return res.status(404).json({ error: "Not found" });
+
+  const campuses = await query(
+    `SELECT id, name, "geoLat" AS lat, "geoLng" AS lng
+     FROM "UniversityCampus" WHERE "universityId" = $1 ORDER BY name ASC`,
+    [item.id]
+  );
+  res.json({ item: { ...item, campuses: campuses.rows } });
+});
+
+export default router;
@@ -1,6 +1,8 @@
 // src/routes/stripe.webhook.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, tx } from "../db.js";
+import { confirmHold, releaseHoldsAfterRefund } from "../lib/inventory.js";
+import { prepStatusFor, transitionBooking } from "../lib/bookingLifecycle.js";
 
 const router = Router();
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || "";
@@ -60,27 +62,31 @@ async function recordStudentPayment({
 
 async function finalizeAppFee({ userId, bookingId, pi, checkoutSessionId = null }) {
   const meta = extractCardFromPI(pi);
-  // Flip booking flags (don’t downgrade an already-submitted booking)
-  const { rows } = await query(
-    `SELECT "docIds", status FROM "Booking" WHERE id=$1`,
-    [bookingId]
-  );
-  const docs = Array.isArray(rows[0]?.docIds) ? rows[0].docIds.length : 0;
-  const currentStatus = String(rows[0]?.status || "");
-  const nextStatus =
-    ["UNDER_REVIEW","SUBMITTED","SENT_TO_PARTNER","APPROVED","REJECTED"].includes(currentStatus)
-      ? currentStatus
-      : (docs > 0 ? "READY_TO_SUBMIT" : "PAYMENT_COMPLETE");
-
-  await query(
-    `UPDATE "Booking"
-       SET "feePaidAt" = COALESCE("feePaidAt", NOW()),
-           "paymentMethod" = COALESCE("paymentMethod", 'CARD'),
-           status = $2,
-           "updatedAt" = NOW()
-     WHERE id = $1`,
-    [bookingId, nextStatus]
-  );
+  // Flip booking flags (the lifecycle never downgrades an already-submitted booking)
+  await tx(async (c) => {
+    const { rows } = await c.query(
+      `SELECT "docIds", status FROM "Booking" WHERE id=$1`,
+      [bookingId]
+    );
+    if (!rows[0]) return;
+    const docsCount = Array.isArray(rows[0].docIds) ? rows[0].docIds.length : 0;
+    const moved = await transitionBooking(c, {
+      bookingId,
+      to: prepStatusFor({ status: rows[0].status, feePaidAt: new Date(), docsCount }),
+      actor: { id: userId || null, role: "STUDENT" },
+      reason: "Application fee paid (Stripe)",
+    });
+    if (!moved.ok) console.error(`[webhook] app fee for booking ${bookingId}: ${moved.error}`);
+
+    await c.query(
+      `UPDATE "Booking"
+         SET "feePaidAt" = COALESCE("feePaidAt", NOW()),
+             "paymentMethod" = COALESCE("paymentMethod", 'CARD'),
+             "updatedAt" = NOW()
+       WHERE id = $1`,
+      [bookingId]
+    );
+  });
 
   await recordStudentPayment({
     userId,
@@ -101,16 +107,23 @@ async function finalizeAppFee({ userId, bookingId, pi, checkoutSessionId = null
 async function finalizeOfferNow({ userId, bookingId, offerId, pi, checkoutSessionId = null }) {
   const meta = extractCardFromPI(pi);
 
-  await query(
-    `UPDATE "Offer"
-       SET "paidNowAt" = COALESCE("paidNowAt", NOW()),
-           "payMethod" = COALESCE("payMethod", 'CARD'),
-           status = CASE WHEN status <> 'ACCEPTED' THEN 'ACCEPTED' ELSE status END,
-           "acceptedAt" = CASE WHEN status <> 'ACCEPTED' THEN NOW() ELSE "acceptedAt" END,
-           "updatedAt" = NOW()
-     WHERE id = $1`,
-    [offerId]
-  );
+  // money is already taken: accept regardless, but flag it if the unit got oversold meanwhile
+  const held = await tx(async (c) => {
+    await c.query(
+      `UPDATE "Offer"
+         SET "paidNowAt" = COALESCE("paidNowAt", NOW()),
+             "payMethod" = COALESCE("payMethod", 'CARD'),
+             status = CASE WHEN status <> 'ACCEPTED' THEN 'ACCEPTED' ELSE status END,
+             "acceptedAt" = CASE WHEN status <> 'ACCEPTED' THEN NOW() ELSE "acceptedAt" END,
+             "updatedAt" = NOW()
+       WHERE id = $1`,
+      [offerId]
+    );
+    return confirmHold(c, { bookingId, offerId });
+  });
+  if (!held.ok) {
+    console.error(`[webhook] offer ${offerId} paid but unit unavailable for booking ${bookingId}: ${held.error}`);
+  }
 
   await recordStudentPayment({
     userId,
@@ -228,7 +241,7 @@ router.post("/", async (req, res) => {
 async function markRefundAsProcessed({ chargeId, paymentIntentId, amountCents, currency, refundStripeId = null }) {
   // 1) Find our StudentPayment row by chargeId or paymentIntentId
   const { rows: payRows } = await query(
-    `SELECT id FROM "StudentPayment"
+    `SELECT id, "bookingId" FROM "StudentPayment"
      WHERE ("stripeChargeId" = $1 AND $1 IS NOT NULL)
         OR ("stripePaymentIntentId" = $2 AND $2 IS NOT NULL)
      ORDER BY "createdAt" DESC
@@ -266,15 +279,18 @@ async function markRefundAsProcessed({ chargeId, paymentIntentId, amountCents, c
     // No request on file — create an already-processed record so history stays consistent
     await query(
       `INSERT INTO "RefundRequest"
-        (id,"userId","bookingId","paymentId","amountCents","currency",reason,status,"createdAt","updatedAt")
+        (id,"userId","bookingId","paymentId","amountCents","currency",reason,status,"createdAt","updatedAt",
+         "requestedByRole")
        SELECT gen_random_uuid()::text, sp."userId", sp."bookingId", sp.id, $2, $3,
-              'Refunded in Stripe dashboard', 'REFUNDED', NOW(), NOW()
+              'Refunded in Stripe dashboard', 'REFUNDED', NOW(), NOW(), 'ADMIN'
        FROM "StudentPayment" sp
        WHERE sp.id = $1
        LIMIT 1`,
       [pm.id, amountCents ?? 0, currency || 'USD']
     );
   }
+
+  if (pm.bookingId) await releaseHoldsAfterRefund(pm.bookingId);
 }
 
 if (event.type === "charge.refunded") {
@@ -1,9 +1,29 @@
 // src/routes/student.bookings.js
 import { Router } from "express";
-import { query } from "../db.js";
+import { query, tx } from "../db.js";
 import { authRequired } from "../middleware/auth.js";
 import { z } from "zod";
 import { sendMail } from "../lib/mailer.js";
+import {
+  resolveBookingUnit,
+  unitRemaining,
+  unitRemainingSql,
+  confirmHold,
+  releaseHolds,
+} from "../lib/inventory.js";
+import { findBlackoutConflict } from "../lib/calendars.js";
+import {
+  actorFrom,
+  checkTransition,
+  logBookingStatus,
+  PREP_STATUSES,
+  prepStatusFor,
+  transitionBooking,
+} from "../lib/bookingLifecycle.js";
+import { bookingTimeline, logDocChanges } from "../lib/bookingTimeline.js";
+import { quoteCancellation } from "../lib/cancellation.js";
+import { orgTimeZone, parseBookingDate, validateBookingDates } from "../lib/bookingDates.js";
+import { lockOpenOffer, offerClosedError } from "../lib/offerExpiry.js";
 
 const APP_NAME = process.env.APP_NAME || "GlobalCribs";
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
@@ -35,7 +55,7 @@ async function getAppFeeCents(bookingId) {
 // util: compute "due now" for latest offer (0 if none)
 async function getOfferDueNow(bookingId) {
   const { rows } = await query(
-    `SELECT id, currency, lines
+    `SELECT id, status, "expiresAt", currency, lines
        FROM "Offer"
       WHERE "bookingId" = $1
       ORDER BY "createdAt" DESC
@@ -52,7 +72,7 @@ async function getOfferDueNow(bookingId) {
     if (due === "NOW") dueNow += amt;
   }
   const currency = (o.currency || DEFAULT_CURRENCY).toLowerCase();
-  return { offerId: o.id, dueNow, currency };
+  return { offerId: o.id, dueNow, currency, closedError: offerClosedError(o) };
 }
 
 const router = Router();
@@ -241,7 +261,8 @@ function presentBooking(b, withListing = false, opts = { offer: "none" }) {
 
 const CreateBookingBody = z.object({
   listingId: z.string().min(1),
-  checkIn: z.string().min(1),
+  unitId: z.string().min(1).optional(), // required when the listing has several units
+  checkIn: z.string().min(1), // YYYY-MM-DD; rules in lib/bookingDates.js
   checkOut: z.string().min(1),
   note: z.string().optional().nullable(),
   docIds: z.array(z.string()).optional().default([]),
@@ -266,6 +287,9 @@ function ensureStudent(req, res) {
   return true;
 }
 
+const blackoutError = (b) =>
+  `Those dates aren't available: the place is blocked from ${b.startsOn} until ${b.endsOn}. Please pick other dates.`;
+
 async function mustOwnBooking(id, userId) {
   const { rows } = await query(
     `SELECT id,"studentId" FROM "Booking" WHERE id=$1`,
@@ -287,7 +311,9 @@ async function loadBookingWithRelations(id) {
     WITH base AS (
       SELECT
         b.*,
-        row_to_json(l) AS listing
+        row_to_json(l) AS listing,
+        (SELECT to_jsonb(u) || jsonb_build_object('remainingCount', ${unitRemainingSql("u")})
+           FROM "ListingUnit" u WHERE u.id = b."unitId") AS unit
       FROM "Booking" b
       JOIN "Listing" l ON l.id = b."listingId"
       WHERE b.id = $1
@@ -322,6 +348,7 @@ async function listBookingsForStudent(studentId, take, skip) {
     SELECT
       b.*,
       row_to_json(l) AS listing,
+      (SELECT to_jsonb(u) FROM "ListingUnit" u WHERE u.id = b."unitId") AS unit,
       COALESCE(
         jsonb_agg(lo.offer) FILTER (WHERE lo.offer IS NOT NULL),
         '[]'::jsonb
@@ -393,6 +420,22 @@ router.get("/:id", authRequired, async (req, res) => {
   }
 });
 
+// TIMELINE: GET /api/student/bookings/:id/timeline — everything that happened, oldest first
+router.get("/:id/timeline", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+
+  const chk = await mustOwnBooking(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  try {
+    const timeline = await bookingTimeline(chk.booking.id, "STUDENT");
+    res.json(timeline);
+  } catch (e) {
+    console.error("GET /api/student/bookings/:id/timeline error:", e.message, e.detail);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // CREATE booking  — also sync profile if provided + email student to pay fee
 router.post("/", authRequired, async (req, res) => {
   if (!ensureStudent(req, res)) return;
@@ -402,37 +445,74 @@ router.post("/", authRequired, async (req, res) => {
 
   try {
     // listing exists?
-    const { rows: lst } = await query(`SELECT id FROM "Listing" WHERE id=$1`, [
-      parsed.data.listingId,
-    ]);
+    const { rows: lst } = await query(
+      `SELECT id FROM "Listing" WHERE id=$1 AND published = TRUE`,
+      [parsed.data.listingId]
+    );
     if (!lst[0]) return res.status(404).json({ error: "Listing not found" });
 
-    if (parsed.data.profilePatch) {
-      await upsertProfilePatch(req.user.id, parsed.data.profilePatch);
+    const unit = await resolveBookingUnit(lst[0].id, parsed.data.unitId);
+    if (!unit.ok) return res.status(unit.status).json({ error: unit.error });
+    if (unit.unitId && (await unitRemaining(unit.unitId)) < 1) {
+      return res.status(409).json({ error: "This unit is fully booked" });
     }
 
     // create booking
     const docIds = parsed.data.docIds || [];
-    const { rows } = await query(
-      `INSERT INTO "Booking"
-        (id, "studentId", "listingId", "checkIn", "checkOut", note, "docIds", "docsUpdatedAt",
-         status, "createdAt", "updatedAt")
-       VALUES
-        (gen_random_uuid()::text, $1, $2, $3, $4, $5, $6::text[], $7,
-         'PENDING_PAYMENT', NOW(), NOW())
-       RETURNING id`,
-      [
-        req.user.id,
-        lst[0].id,
-        parsed.data.checkIn,
-        parsed.data.checkOut,
-        parsed.data.note || null,
-        docIds,
-        docIds.length ? new Date() : null,
-      ]
-    );
+    const out = await tx(async (c) => {
+      // one booking write per student at a time, so the overlap check can't race
+      await c.query(`SELECT id FROM "User" WHERE id = $1 FOR UPDATE`, [req.user.id]);
+      const dates = await validateBookingDates(
+        {
+          studentId: req.user.id,
+          listingId: lst[0].id,
+          unitId: unit.unitId,
+          checkIn: parsed.data.checkIn,
+          checkOut: parsed.data.checkOut,
+        },
+        c
+      );
+      if (!dates.ok) return dates;
+      // and stay clear of the agent's blocked days
+      const blocked = await findBlackoutConflict(
+        { listingId: lst[0].id, unitId: unit.unitId, checkIn: dates.checkIn, checkOut: dates.checkOut },
+        c
+      );
+      if (blocked) return { ok: false, status: 409, error: blackoutError(blocked), blackout: blocked };
+
+      const ins = await c.query(
+        `INSERT INTO "Booking"
+          (id, "studentId", "listingId", "unitId", "checkIn", "checkOut", note, "docIds", "docsUpdatedAt",
+           status, "createdAt", "updatedAt")
+         VALUES
+          (gen_random_uuid()::text, $1, $2, $3, $4, $5, $6, $7::text[], $8,
+           'PENDING_PAYMENT', NOW(), NOW())
+         RETURNING id`,
+        [
+          req.user.id,
+          lst[0].id,
+          unit.unitId,
+          dates.checkIn,
+          dates.checkOut,
+          parsed.data.note || null,
+          docIds,
+          docIds.length ? new Date() : null,
+        ]
+      );
+      await logBookingStatus(c, { bookingId: ins.rows[0].id, to: "PENDING_PAYMENT", actor: actorFrom(req) });
+      await logDocChanges(c, { bookingId: ins.rows[0].id, after: docIds, actor: actorFrom(req) });
+      return { ok: true, id: ins.rows[0].id };
+    });
+    if (!out.ok) {
+      const { ok, status, ...body } = out;
+      return res.status(status).json(body);
+    }
+
+    if (parsed.data.profilePatch) {
+      await upsertProfilePatch(req.user.id, parsed.data.profilePatch);
+    }
 
-    const b = await loadBookingWithRelations(rows[0].id);
+    const b = await loadBookingWithRelations(out.id);
     const item = presentBooking(b, true, { offer: "full" });
 
      // NEW: if the student sent a note, mirror it into the messaging system
@@ -519,38 +599,87 @@ router.patch("/:id", authRequired, async (req, res) => {
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
   try {
-    if (parsed.data.profilePatch) {
-      await upsertProfilePatch(req.user.id, parsed.data.profilePatch);
-    }
+    const datesChanging = "checkIn" in parsed.data || "checkOut" in parsed.data;
+    const tz = datesChanging ? await orgTimeZone() : null;
+
+    const out = await tx(async (c) => {
+      if (datesChanging) await c.query(`SELECT id FROM "User" WHERE id = $1 FOR UPDATE`, [req.user.id]);
+      const { rows: prev } = await c.query(
+        `SELECT status, "listingId", "unitId", "docIds",
+                "checkIn"::date::text AS "checkIn", "checkOut"::date::text AS "checkOut"
+         FROM "Booking" WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+      const cur = prev[0];
+
+      let dates = null;
+      if (datesChanging) {
+        const checkIn = parsed.data.checkIn ?? cur.checkIn;
+        const checkOut = parsed.data.checkOut ?? cur.checkOut;
+        // once submitted, the dates are what the agent is reviewing
+        const same = parseBookingDate(checkIn, tz) === cur.checkIn && parseBookingDate(checkOut, tz) === cur.checkOut;
+        if (!same && !PREP_STATUSES.includes(cur.status)) {
+          return { ok: false, status: 409, error: "Dates can't be changed after the application is submitted" };
+        }
+        dates = await validateBookingDates(
+          {
+            studentId: req.user.id,
+            listingId: cur.listingId,
+            unitId: cur.unitId,
+            checkIn,
+            checkOut,
+            excludeBookingId: req.params.id,
+          },
+          c
+        );
+        if (!dates.ok) return dates;
+        // new dates must stay clear of the agent's blocked days
+        const blocked = await findBlackoutConflict(
+          { listingId: cur.listingId, unitId: cur.unitId, checkIn: dates.checkIn, checkOut: dates.checkOut },
+          c
+        );
+        if (blocked) return { ok: false, status: 409, error: blackoutError(blocked), blackout: blocked };
+      }
 
-    // dynamic update
-    const set = [];
-    const vals = [];
-    let i = 1;
+      // dynamic update
+      const set = [];
+      const vals = [];
+      let i = 1;
 
-    if ("checkIn" in parsed.data) {
-      set.push(`"checkIn" = $${i++}`);
-      vals.push(parsed.data.checkIn ?? null);
-    }
-    if ("checkOut" in parsed.data) {
-      set.push(`"checkOut" = $${i++}`);
-      vals.push(parsed.data.checkOut ?? null);
-    }
-    if ("note" in parsed.data) {
-      set.push(`note = $${i++}`);
-      vals.push(parsed.data.note ?? null);
-    }
-    if ("docIds" in parsed.data) {
-      set.push(`"docIds" = $${i++}::text[]`);
-      vals.push(parsed.data.docIds ?? null);
-      set.push(`"docsUpdatedAt" = NOW()`);
+      if (dates) {
+        set.push(`"checkIn" = $${i++}`, `"checkOut" = $${i++}`);
+        vals.push(dates.checkIn, dates.checkOut);
+      }
+      if ("note" in parsed.data) {
+        set.push(`note = $${i++}`);
+        vals.push(parsed.data.note ?? null);
+      }
+      if ("docIds" in parsed.data) {
+        set.push(`"docIds" = $${i++}::text[]`);
+        vals.push(parsed.data.docIds ?? null);
+        set.push(`"docsUpdatedAt" = NOW()`);
+      }
+      set.push(`"updatedAt" = NOW()`);
+
+      await c.query(`UPDATE "Booking" SET ${set.join(", ")} WHERE id = $${i}`, [...vals, req.params.id]);
+      if ("docIds" in parsed.data) {
+        await logDocChanges(c, {
+          bookingId: req.params.id,
+          before: cur.docIds,
+          after: parsed.data.docIds,
+          actor: actorFrom(req),
+        });
+      }
+      return { ok: true };
+    });
+    if (!out.ok) {
+      const { ok, status, ...body } = out;
+      return res.status(status).json(body);
     }
-    set.push(`"updatedAt" = NOW()`);
 
-    await query(`UPDATE "Booking" SET ${set.join(", ")} WHERE id = $${i}`, [
-      ...vals,
-      req.params.id,
-    ]);
+    if (parsed.data.profilePatch) {
+      await upsertProfilePatch(req.user.id, parsed.data.profilePatch);
+    }
 
     const b = await loadBookingWithRelations(req.params.id);
     res.json({ item: presentBooking(b, true, { offer: "full" }) });
@@ -595,7 +724,7 @@ router.post("/:id/pay", authRequired, async (req, res) => {
 
   try {
     const { rows } = await query(
-      `SELECT "feePaidAt","docIds" FROM "Booking" WHERE id=$1`,
+      `SELECT "feePaidAt","docIds",status FROM "Booking" WHERE id=$1`,
       [req.params.id]
     );
     const current = rows[0];
@@ -604,13 +733,24 @@ router.post("/:id/pay", authRequired, async (req, res) => {
       const docsCount = Array.isArray(current.docIds)
         ? current.docIds.length
         : 0;
-      const nextStatus = docsCount > 0 ? "READY_TO_SUBMIT" : "PAYMENT_COMPLETE";
-      await query(
-        `UPDATE "Booking"
-         SET "feePaidAt" = NOW(), "paymentMethod" = $2, status = $3, "updatedAt" = NOW()
-         WHERE id = $1`,
-        [req.params.id, parsed.data.method, nextStatus]
-      );
+      const nextStatus = prepStatusFor({ status: current.status, feePaidAt: new Date(), docsCount });
+      const moved = await tx(async (c) => {
+        const t = await transitionBooking(c, {
+          bookingId: req.params.id,
+          to: nextStatus,
+          actor: actorFrom(req),
+          reason: `Application fee paid (${parsed.data.method})`,
+        });
+        if (!t.ok) return t;
+        await c.query(
+          `UPDATE "Booking"
+           SET "feePaidAt" = NOW(), "paymentMethod" = $2, "updatedAt" = NOW()
+           WHERE id = $1`,
+          [req.params.id, parsed.data.method]
+        );
+        return t;
+      });
+      if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
       if (parsed.data.saveToProfile) {
         await persistPaymentMethod(
           req.user.id,
@@ -678,16 +818,25 @@ router.post("/:id/offer/pay", authRequired, async (req, res) => {
     const latest = off[0];
     if (!latest) return res.status(400).json({ error: "No offer to pay." });
 
-    await query(
-      `UPDATE "Offer"
-       SET "paidNowAt" = NOW(),
-           "payMethod" = $2,
-           status = CASE WHEN status <> 'ACCEPTED' THEN 'ACCEPTED' ELSE status END,
-           "acceptedAt" = CASE WHEN status <> 'ACCEPTED' THEN NOW() ELSE "acceptedAt" END,
-           "updatedAt" = NOW()
-       WHERE id = $1`,
-      [latest.id, parsed.data.method]
-    );
+    // paying accepts the offer, so the unit must still be there for this booking
+    const held = await tx(async (c) => {
+      const open = await lockOpenOffer(c, latest.id);
+      if (!open.ok) return open;
+      const h = await confirmHold(c, { bookingId: chk.booking.id, offerId: latest.id });
+      if (!h.ok) return h;
+      await c.query(
+        `UPDATE "Offer"
+         SET "paidNowAt" = NOW(),
+             "payMethod" = $2,
+             status = CASE WHEN status <> 'ACCEPTED' THEN 'ACCEPTED' ELSE status END,
+             "acceptedAt" = CASE WHEN status <> 'ACCEPTED' THEN NOW() ELSE "acceptedAt" END,
+             "updatedAt" = NOW()
+         WHERE id = $1`,
+        [latest.id, parsed.data.method]
+      );
+      return h;
+    });
+    if (!held.ok) return res.status(held.status).json({ error: held.error });
 
     if (parsed.data.saveToProfile) {
       await persistPaymentMethod(
@@ -730,15 +879,23 @@ router.post("/:id/submit", authRequired, async (req, res) => {
     if (docsCount === 0)
       return res.status(400).json({ error: "Attach at least one document" });
 
-    await query(
-      `UPDATE "Booking"
-       SET "submittedAt" = NOW(), status = 'UNDER_REVIEW', "updatedAt" = NOW()
-       WHERE id = $1`,
-      [chk.booking.id]
-    );
+    const moved = await tx(async (c) => {
+      const t = await transitionBooking(c, {
+        bookingId: chk.booking.id,
+        to: "UNDER_REVIEW",
+        actor: actorFrom(req),
+        reason: "Submitted for review",
+      });
+      if (t.ok && t.changed) {
+        await c.query(`UPDATE "Booking" SET "submittedAt" = NOW() WHERE id = $1`, [chk.booking.id]);
+      }
+      return t;
+    });
+    if (!moved.ok) return res.status(moved.status).json({ error: moved.error });
 
     const out = await loadBookingWithRelations(chk.booking.id);
     const item = presentBooking(out, true, { offer: "full" });
+    if (!moved.changed) return res.json({ item }); // already submitted: no second admin email
 
     // fire-and-forget admin email
     (async () => {
@@ -814,10 +971,18 @@ router.post("/:id/offer/accept", authRequired, async (req, res) => {
     if (!latest) return res.status(400).json({ error: "No offer to accept." });
 
     if (latest.status !== "ACCEPTED") {
-      await query(
-        `UPDATE "Offer" SET status='ACCEPTED', "acceptedAt"=NOW(), "updatedAt"=NOW() WHERE id=$1`,
-        [latest.id]
-      );
+      const held = await tx(async (c) => {
+        const open = await lockOpenOffer(c, latest.id);
+        if (!open.ok) return open;
+        const h = await confirmHold(c, { bookingId: chk.booking.id, offerId: latest.id });
+        if (!h.ok) return h;
+        await c.query(
+          `UPDATE "Offer" SET status='ACCEPTED', "acceptedAt"=NOW(), "updatedAt"=NOW() WHERE id=$1`,
+          [latest.id]
+        );
+        return h;
+      });
+      if (!held.ok) return res.status(held.status).json({ error: held.error });
     }
 
     const b = await loadBookingWithRelations(chk.booking.id);
@@ -847,11 +1012,12 @@ router.post("/:id/offer/decline", authRequired, async (req, res) => {
     const latest = rows[0];
     if (!latest) return res.status(400).json({ error: "No offer to decline." });
 
-    if (latest.status !== "DECLINED" && latest.status !== "CANCELLED") {
+    if (!["DECLINED", "CANCELLED", "EXPIRED"].includes(latest.status)) {
       await query(
         `UPDATE "Offer" SET status='DECLINED', "declinedAt"=NOW(), "updatedAt"=NOW() WHERE id=$1`,
         [latest.id]
       );
+      await releaseHolds(chk.booking.id, "DECLINED");
     }
 
     const b = await loadBookingWithRelations(chk.booking.id);
@@ -961,9 +1127,10 @@ router.post("/:id/pay/offer/intent", authRequired, async (req, res) => {
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
   try {
-    const { offerId, dueNow, currency } = await getOfferDueNow(chk.booking.id);
+    const { offerId, dueNow, currency, closedError } = await getOfferDueNow(chk.booking.id);
     if (!offerId || dueNow <= 0)
       return res.status(400).json({ error: "No payable amount due now" });
+    if (closedError) return res.status(409).json({ error: closedError });
 
     const pi = await stripe.paymentIntents.create({
       amount: dueNow,
@@ -999,9 +1166,10 @@ router.post("/:id/pay/offer/checkout", authRequired, async (req, res) => {
   if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
 
   try {
-    const { offerId, dueNow, currency } = await getOfferDueNow(chk.booking.id);
+    const { offerId, dueNow, currency, closedError } = await getOfferDueNow(chk.booking.id);
     if (!offerId || dueNow <= 0)
       return res.status(400).json({ error: "No payable amount due now" });
+    if (closedError) return res.status(409).json({ error: closedError });
 
     const successUrl = `${BASE_URL}/dashboard/student/bookings/${chk.booking.id}?offerPaid=1`;
     const cancelUrl = `${BASE_URL}/dashboard/student/bookings/${chk.booking.id}/pay/offer`;
@@ -1088,5 +1256,151 @@ router.post("/:id/refund/request", authRequired, async (req, res) => {
 });
 
 
+// CANCELLATION QUOTE: GET /api/student/bookings/:id/cancellation — what cancelling now would refund
+router.get("/:id/cancellation", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+
+  const chk = await mustOwnBooking(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  try {
+    const { rows } = await query(`SELECT status FROM "Booking" WHERE id = $1`, [chk.booking.id]);
+    const allowed = checkTransition(rows[0].status, "CANCELLED");
+    const quote = await quoteCancellation(chk.booking.id);
+    res.json({
+      cancellable: allowed.ok && rows[0].status !== "CANCELLED",
+      status: rows[0].status,
+      ...quote,
+    });
+  } catch (e) {
+    console.error("GET /api/student/bookings/:id/cancellation error:", e.message, e.detail);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// CANCEL: POST /api/student/bookings/:id/cancel { reason? }
+// Cancels under the listing's (or the global) policy: gives back the bed, withdraws an open
+// offer, files a PENDING refund request per payment with money due, and tells the agent + admin.
+router.post("/:id/cancel", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const CancelBody = z.object({ reason: z.string().trim().max(1000).optional().nullable() });
+  const parsed = CancelBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const reason = parsed.data.reason || null;
+
+  const chk = await mustOwnBooking(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  try {
+    const out = await tx(async (c) => {
+      const moved = await transitionBooking(c, {
+        bookingId: chk.booking.id,
+        to: "CANCELLED",
+        actor: actorFrom(req),
+        reason: reason || "Cancelled by the student",
+      });
+      if (!moved.ok) return moved;
+      if (!moved.changed) return { ok: false, status: 409, error: "This booking is already cancelled" };
+
+      await c.query(
+        `UPDATE "Booking" SET "cancelledAt" = NOW(), "cancellationReason" = $2 WHERE id = $1`,
+        [chk.booking.id, reason]
+      );
+      await releaseHolds(chk.booking.id, "CANCELLED", c);
+      await c.query(
+        `UPDATE "Offer" SET status = 'CANCELLED', "updatedAt" = NOW() WHERE "bookingId" = $1 AND status = 'SENT'`,
+        [chk.booking.id]
+      );
+
+      const quote = await quoteCancellation(chk.booking.id, c);
+      const due = quote.items.filter((i) => i.refundableCents > 0);
+      const { rows: refunds } = due.length
+        ? await c.query(
+            `INSERT INTO "RefundRequest"
+               (id, "userId", "bookingId", "paymentId", "amountCents", currency, reason, status,
+                "createdAt", "updatedAt")
+             SELECT gen_random_uuid()::text, $1, $2, x."paymentId", x.cents, x.currency, $6, 'PENDING', NOW(), NOW()
+             FROM unnest($3::text[], $4::int[], $5::text[]) AS x("paymentId", cents, currency)
+             RETURNING *`,
+            [
+              req.user.id,
+              chk.booking.id,
+              due.map((i) => i.paymentId),
+              due.map((i) => i.refundableCents),
+              due.map((i) => i.currency.toLowerCase()),
+              `Booking cancelled (${quote.tier.toLowerCase()} refund)${reason ? `: ${reason}` : ""}`.slice(0, 1000),
+            ]
+          )
+        : { rows: [] };
+      return { ok: true, quote, refunds };
+    });
+    if (!out.ok) return res.status(out.status).json({ error: out.error });
+
+    const b = await loadBookingWithRelations(chk.booking.id);
+    const item = presentBooking(b, true, { offer: "full" });
+
+    // fire-and-forget agent + admin emails
+    (async () => {
+      try {
+        const { rows } = await query(
+          `SELECT s.name AS "studentName", s.email AS "studentEmail", l.title AS "listingTitle",
+                  au.name AS "agentName", COALESCE(ap.email, au.email) AS "agentEmail"
+           FROM "Booking" b
+           JOIN "User" s ON s.id = b."studentId"
+           JOIN "Listing" l ON l.id = b."listingId"
+           LEFT JOIN "User" au ON au.id = l."agentId"
+           LEFT JOIN "AgentProfile" ap ON ap."userId" = l."agentId"
+           WHERE b.id = $1`,
+          [item.id]
+        );
+        const r = rows[0] || {};
+        const ref = `BK-${shortFromUUID(item.id)}`;
+        const esc = (v) => String(v ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        const refundDue = out.quote.totals.map((t) => `${(t.refundableCents / 100).toFixed(2)} ${t.currency}`);
+        const lines = [
+          `Ref: ${ref}`,
+          `Student: ${r.studentName || ""} <${r.studentEmail || ""}>`,
+          `Listing: ${r.listingTitle || item.listingRef || "Listing"}`,
+          `Dates: ${item.checkIn} → ${item.checkOut || "open-ended"}`,
+          `Reason: ${reason || "—"}`,
+          `Refund due: ${refundDue.join(" + ") || "nothing"} (${out.quote.tier.toLowerCase()} refund)`,
+        ];
+        const html = (intro, url, cta) => `
+          <p>${intro}</p>
+          <ul>${lines.map((l) => `<li>${esc(l)}</li>`).join("")}</ul>
+          <p><a href="${url}">${cta}</a></p>
+        `;
+        const subject = `${APP_NAME}: booking ${ref} cancelled by the student`;
+
+        if (r.agentEmail) {
+          const agentUrl = `${FRONTEND_URL}/dashboard/agent/applications`;
+          const intro = `Hi ${r.agentName || "there"}, a student cancelled their booking. The bed has been released.`;
+          await sendMail({
+            to: r.agentEmail,
+            subject,
+            text: [intro, ``, ...lines, ``, agentUrl].join("\n"),
+            html: html(esc(intro), agentUrl, "Open Agent Dashboard"),
+          });
+        }
+
+        const adminUrl = `${FRONTEND_URL}/admin/bookings/${item.id}`;
+        const pending = `Refund requests to process: ${out.refunds.length}`;
+        await sendMail({
+          to: ADMIN_EMAIL,
+          subject,
+          text: [`A booking was cancelled by the student.`, ``, ...lines, pending, ``, adminUrl].join("\n"),
+          html: html(`<b>Booking cancelled</b> — ${esc(pending.toLowerCase())}`, adminUrl, "Open in Admin"),
+        });
+      } catch (e) {
+        console.error("email(cancellation notice) failed:", e?.message || e);
+      }
+    })();
+
+    res.json({ item, cancellation: out.quote, refunds: out.refunds });
+  } catch (e) {
+    console.error("POST /api/student/bookings/:id/cancel error:", e.message, e.detail);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
 export default router;
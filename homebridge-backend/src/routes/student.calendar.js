@@ -0,0 +1,48 @@
+// src/routes/student.calendar.js
+// /api/student/calendar — my private ICS feed (move-in days, offer deadlines) to subscribe to.
+import { Router } from "express";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { newFeedToken, feedUrlFor } from "../lib/calendars.js";
+
+const router = Router();
+
+function ensureStudent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "STUDENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Student access only" });
+    return false;
+  }
+  return true;
+}
+
+/** GET /api/student/calendar — { url } (created on first use) */
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const { rows } = await query(
+    `SELECT token, "lastFetchedAt"::timestamptz::text AS "lastFetchedAt"
+     FROM "CalendarFeed" WHERE "userId" = $1 AND kind = 'STUDENT'`,
+    [req.user.id]
+  );
+  if (rows[0]) return res.json({ url: feedUrlFor(rows[0].token), lastFetchedAt: rows[0].lastFetchedAt });
+
+  const token = newFeedToken();
+  await query(`INSERT INTO "CalendarFeed" ("userId", kind, token) VALUES ($1, 'STUDENT', $2)`, [req.user.id, token]);
+  res.json({ url: feedUrlFor(token), lastFetchedAt: null });
+});
+
+// POST /api/student/calendar/rotate — new URL; calendars subscribed to the old one stop updating
+router.post("/rotate", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const token = newFeedToken();
+  const { rowCount } = await query(
+    `UPDATE "CalendarFeed" SET token = $2, "lastFetchedAt" = NULL WHERE "userId" = $1 AND kind = 'STUDENT'`,
+    [req.user.id, token]
+  );
+  if (!rowCount) {
+    await query(`INSERT INTO "CalendarFeed" ("userId", kind, token) VALUES ($1, 'STUDENT', $2)`, [req.user.id, token]);
+  }
+  res.json({ url: feedUrlFor(token), lastFetchedAt: null });
+});
+
+export default router;
@@ -6,6 +6,8 @@ import fs from "fs/promises";
 import crypto from "crypto";
 import { authRequired } from "../middleware/auth.js";
 import { query, tx } from "../db.js";
+import { actorFrom, prepStatusFor, transitionBooking } from "../lib/bookingLifecycle.js";
+import { logDocChanges } from "../lib/bookingTimeline.js";
 
 const router = Router();
 
@@ -69,10 +71,21 @@ async function getNonCancelledBookingsForUser(userId) {
   return rows;
 }
 
-function nextStatusAfterDocsChange(b, hasDocs) {
-  if (["UNDER_REVIEW", "APPROVED", "REJECTED"].includes(b.status)) return b.status;
-  if (!b.feePaidAt) return b.status || "PENDING_PAYMENT";
-  return hasDocs ? "READY_TO_SUBMIT" : "PAYMENT_COMPLETE";
+// Save a booking's new doc list (logging what changed) and move it between
+// PAYMENT_COMPLETE / READY_TO_SUBMIT to match
+async function applyDocsChange(c, b, nextDocIds, req) {
+  await c.query(
+    `UPDATE "Booking"
+     SET "docIds" = $1::text[], "docsUpdatedAt" = NOW(), "updatedAt" = NOW()
+     WHERE id = $2`,
+    [nextDocIds, b.id]
+  );
+  await logDocChanges(c, { bookingId: b.id, before: b.docIds, after: nextDocIds, actor: actorFrom(req) });
+  const to = prepStatusFor({ status: b.status, feePaidAt: b.feePaidAt, docsCount: nextDocIds.length });
+  if (to !== b.status) {
+    const reason = nextDocIds.length ? "Documents attached" : "All documents removed";
+    await transitionBooking(c, { bookingId: b.id, to, actor: actorFrom(req), reason });
+  }
 }
 const uniq = (arr) => Array.from(new Set(arr || []));
 
@@ -124,14 +137,7 @@ router.post("/", authRequired, upload.array("files", 10), async (req, res) => {
     await tx(async (c) => {
       for (const b of bookings) {
         const nextDocIds = uniq([...(b.docIds || []), ...newIds]);
-        const hasDocs = nextDocIds.length > 0;
-        const status = nextStatusAfterDocsChange(b, hasDocs);
-        await c.query(
-          `UPDATE "Booking"
-           SET "docIds" = $1::text[], "docsUpdatedAt" = NOW(), status = $2, "updatedAt" = NOW()
-           WHERE id = $3`,
-          [nextDocIds, status, b.id]
-        );
+        await applyDocsChange(c, b, nextDocIds, req);
       }
     });
   }
@@ -178,8 +184,6 @@ router.delete("/:id", authRequired, async (req, res) => {
   await fs.unlink(abs).catch(() => {});
 
   await tx(async (c) => {
-    await c.query(`DELETE FROM "StudentDoc" WHERE id = $1`, [doc.id]);
-
     const bookings = await c.query(
       `SELECT id, "docIds", "feePaidAt", status
        FROM "Booking"
@@ -188,15 +192,10 @@ router.delete("/:id", authRequired, async (req, res) => {
     );
     for (const b of bookings.rows) {
       const nextDocIds = (b.docIds || []).filter((x) => x !== doc.id);
-      const hasDocs = nextDocIds.length > 0;
-      const status = nextStatusAfterDocsChange(b, hasDocs);
-      await c.query(
-        `UPDATE "Booking"
-         SET "docIds" = $1::text[], "docsUpdatedAt" = NOW(), status = $2, "updatedAt" = NOW()
-         WHERE id = $3`,
-        [nextDocIds, status, b.id]
-      );
+      await applyDocsChange(c, b, nextDocIds, req);
     }
+    // after unlinking, so the timeline entries still get the filename
+    await c.query(`DELETE FROM "StudentDoc" WHERE id = $1`, [doc.id]);
   });
 
   res.status(204).end();
@@ -230,14 +229,7 @@ router.post("/sync", authRequired, async (req, res) => {
     await tx(async (c) => {
       for (const b of bookingsRes.rows) {
         const nextDocIds = uniq([...(b.docIds || []), ...allDocIds]);
-        const hasDocs = nextDocIds.length > 0;
-        const status = nextStatusAfterDocsChange(b, hasDocs);
-        await c.query(
-          `UPDATE "Booking"
-           SET "docIds" = $1::text[], "docsUpdatedAt" = NOW(), status = $2, "updatedAt" = NOW()
-           WHERE id = $3`,
-          [nextDocIds, status, b.id]
-        );
+        await applyDocsChange(c, b, nextDocIds, req);
         updated++;
       }
     });
@@ -0,0 +1,77 @@
+// src/routes/student.favorites.js
+import { Router } from "express";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { hydrateListingCards } from "../lib/listingCards.js";
+import { recordListingEvent } from "../lib/listingAnalytics.js";
+
+const router = Router();
+
+function ensureStudent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "STUDENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Student access only" });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/student/favorites?take&skip
+ * Saved listings, newest first, as search-result cards plus favoritedAt and `available`
+ * (false once the listing is no longer published).
+ */
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const take = Math.min(Number(req.query.take || 50), 100);
+  const skip = Math.max(Number(req.query.skip || 0), 0);
+
+  const [itemsRes, countRes] = await Promise.all([
+    query(
+      `SELECT l.*, f."createdAt"::timestamptz::text AS "favoritedAt", l.published AS available
+       FROM "Favorite" f
+       JOIN "Listing" l ON l.id = f."listingId"
+       WHERE f."userId" = $1
+       ORDER BY f."createdAt" DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, take, skip]
+    ),
+    query(`SELECT COUNT(*)::int AS c FROM "Favorite" WHERE "userId" = $1`, [req.user.id]),
+  ]);
+
+  res.json({ items: await hydrateListingCards(itemsRes.rows), total: countRes.rows[0].c, take, skip });
+});
+
+// GET just the ids (for filling in hearts on search results)
+router.get("/ids", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const { rows } = await query(`SELECT "listingId" FROM "Favorite" WHERE "userId" = $1`, [req.user.id]);
+  res.json({ ids: rows.map((r) => r.listingId) });
+});
+
+// PUT save a published listing (idempotent: 201 when added, 200 when already saved)
+router.put("/:listingId", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const { rows } = await query(`SELECT id FROM "Listing" WHERE id = $1 AND published = TRUE`, [req.params.listingId]);
+  if (!rows[0]) return res.status(404).json({ error: "Listing not found" });
+
+  const ins = await query(
+    `INSERT INTO "Favorite" ("userId", "listingId") VALUES ($1, $2)
+     ON CONFLICT ("userId", "listingId") DO NOTHING
+     RETURNING id`,
+    [req.user.id, req.params.listingId]
+  );
+  if (ins.rowCount) {
+    recordListingEvent(req.params.listingId, "FAVORITE", { visitorKey: `u:${req.user.id}`, userId: req.user.id });
+  }
+  res.status(ins.rowCount ? 201 : 200).json({ listingId: req.params.listingId, favorited: true });
+});
+
+// DELETE unsave (idempotent)
+router.delete("/:listingId", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  await query(`DELETE FROM "Favorite" WHERE "userId" = $1 AND "listingId" = $2`, [req.user.id, req.params.listingId]);
+  res.status(204).end();
+});
+
+export default router;
@@ -4,6 +4,7 @@ import { query } from "../db.js";
 import { authRequired } from "../middleware/auth.js";
 import { z } from "zod";
 import { notifyAdminsConversationEmail } from "../lib/mailer.js";
+import { recordListingEvent } from "../lib/listingAnalytics.js";
 
 const router = Router();
 
@@ -170,11 +171,14 @@ router.post("/start", authRequired, async (req, res) => {
 
   // validate booking ownership
   const owns = await query(
-    `SELECT id FROM "Booking" WHERE id = $1 AND "studentId" = $2`,
+    `SELECT id, "listingId" FROM "Booking" WHERE id = $1 AND "studentId" = $2`,
     [parsed.data.bookingId, req.user.id]
   );
   if (!owns.rows[0])
     return res.status(404).json({ error: "Booking not found" });
+  if (owns.rows[0].listingId) {
+    recordListingEvent(owns.rows[0].listingId, "INQUIRY", { visitorKey: `u:${req.user.id}`, userId: req.user.id });
+  }
 
   const threadId = await getOrCreateThread({
     studentId: req.user.id,
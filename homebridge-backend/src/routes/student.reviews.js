@@ -0,0 +1,151 @@
+// src/routes/student.reviews.js
+// /api/student/reviews — reviews I've written and the bookings I can still review.
+import { Router } from "express";
+import { z } from "zod";
+import { query, tx } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import {
+  REVIEWABLE_BOOKING_SQL,
+  REVIEW_SELECT,
+  ratingOf,
+  syncReviewAggregates,
+} from "../lib/listingReviews.js";
+
+const router = Router();
+
+const score = z.number().int().min(1).max(5);
+const ReviewBody = z.object({
+  bookingId: z.string().min(1),
+  accuracy: score,
+  cleanliness: score,
+  communication: score,
+  value: score,
+  body: z.string().trim().max(5000).optional().nullable(),
+});
+const UpdateReviewBody = ReviewBody.omit({ bookingId: true }).partial();
+
+function ensureStudent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "STUDENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Student access only" });
+    return false;
+  }
+  return true;
+}
+
+const findMyReview = async (id, userId) =>
+  (
+    await query(
+      `${REVIEW_SELECT}
+       WHERE r.id = $1 AND r."authorId" = $2`,
+      [id, userId]
+    )
+  ).rows[0] || null;
+
+/**
+ * GET /api/student/reviews
+ * items: my reviews (HIDDEN ones included, so I can see moderation);
+ * reviewable: bookings I can review now and haven't yet.
+ */
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const [mine, open] = await Promise.all([
+    query(
+      `${REVIEW_SELECT}
+       WHERE r."authorId" = $1
+       ORDER BY r."createdAt" DESC`,
+      [req.user.id]
+    ),
+    query(
+      `SELECT b.id AS "bookingId", b."listingId", l.title AS "listingTitle",
+              b."checkIn"::timestamptz::text AS "checkIn"
+       FROM "Booking" b
+       JOIN "Listing" l ON l.id = b."listingId"
+       WHERE b."studentId" = $1 AND ${REVIEWABLE_BOOKING_SQL}
+         AND NOT EXISTS (SELECT 1 FROM "ListingReview" r WHERE r."bookingId" = b.id)
+       ORDER BY b."checkIn" DESC NULLS LAST`,
+      [req.user.id]
+    ),
+  ]);
+  res.json({ items: mine.rows, reviewable: open.rows });
+});
+
+// CREATE { bookingId, accuracy, cleanliness, communication, value, body? } (scores 1-5)
+router.post("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = ReviewBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const d = parsed.data;
+
+  const { rows } = await query(
+    `SELECT b.id, b."listingId", l."agentId", (${REVIEWABLE_BOOKING_SQL}) AS reviewable
+     FROM "Booking" b
+     JOIN "Listing" l ON l.id = b."listingId"
+     WHERE b.id = $1 AND b."studentId" = $2`,
+    [d.bookingId, req.user.id]
+  );
+  const b = rows[0];
+  if (!b) return res.status(404).json({ error: "Booking not found" });
+  if (!b.reviewable) {
+    return res.status(403).json({ error: "You can review a place once your booking is paid and your stay has started" });
+  }
+
+  const id = await tx(async (c) => {
+    const ins = await c.query(
+      `INSERT INTO "ListingReview"
+         ("listingId", "agentId", "bookingId", "authorId", accuracy, cleanliness, communication, value, rating, body)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT ("bookingId") DO NOTHING
+       RETURNING id`,
+      [b.listingId, b.agentId, b.id, req.user.id, d.accuracy, d.cleanliness, d.communication, d.value,
+        ratingOf(d), d.body || null]
+    );
+    if (!ins.rows[0]) return null;
+    await syncReviewAggregates(b.listingId, c);
+    return ins.rows[0].id;
+  });
+  if (!id) return res.status(409).json({ error: "You have already reviewed this booking" });
+
+  res.status(201).json({ item: await findMyReview(id, req.user.id) });
+});
+
+// UPDATE my review (partial: scores and/or body)
+router.put("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = UpdateReviewBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const current = await findMyReview(req.params.id, req.user.id);
+  if (!current) return res.status(404).json({ error: "Review not found" });
+  const next = { ...current, ...parsed.data };
+  if ("body" in parsed.data) next.body = parsed.data.body || null;
+
+  await tx(async (c) => {
+    await c.query(
+      `UPDATE "ListingReview"
+          SET accuracy = $2, cleanliness = $3, communication = $4, value = $5, rating = $6, body = $7,
+              "updatedAt" = NOW()
+        WHERE id = $1`,
+      [current.id, next.accuracy, next.cleanliness, next.communication, next.value, ratingOf(next), next.body]
+    );
+    await syncReviewAggregates(current.listingId, c);
+  });
+  res.json({ item: await findMyReview(current.id, req.user.id) });
+});
+
+router.delete("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const removed = await tx(async (c) => {
+    const del = await c.query(
+      `DELETE FROM "ListingReview" WHERE id = $1 AND "authorId" = $2 RETURNING "listingId"`,
+      [req.params.id, req.user.id]
+    );
+    if (!del.rows[0]) return false;
+    await syncReviewAggregates(del.rows[0].listingId, c);
+    return true;
+  });
+  if (!removed) return res.status(404).json({ error: "Review not found" });
+  res.status(204).end();
+});
+
+export default router;
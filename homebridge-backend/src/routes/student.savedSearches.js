@@ -0,0 +1,177 @@
+// src/routes/student.savedSearches.js
+import { Router } from "express";
+import { z } from "zod";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { ListingFiltersSchema, buildListingWhere, listingOrderBy } from "../lib/listingSearch.js";
+import { hydrateListingCards } from "../lib/listingCards.js";
+import {
+  ALERT_FREQUENCIES,
+  MAX_SAVED_SEARCHES,
+  normalizeFilters,
+  describeFilters,
+  newUnsubscribeToken,
+} from "../lib/savedSearches.js";
+
+const router = Router();
+
+// filters use the GET /api/public/listings query parameters (strings, comma lists or arrays)
+const SavedSearchBody = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  filters: z.record(z.string(), z.any()).optional().default({}),
+  frequency: z.enum(ALERT_FREQUENCIES).optional().default("DAILY"),
+});
+const UpdateSavedSearchBody = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  filters: z.record(z.string(), z.any()).optional(),
+  frequency: z.enum(ALERT_FREQUENCIES).optional(),
+  active: z.boolean().optional(),
+});
+
+function ensureStudent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "STUDENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Student access only" });
+    return false;
+  }
+  return true;
+}
+
+const SAVED_SEARCH_SELECT = `
+  SELECT s.id, s."userId", s.name, s.filters, s.frequency, s.active,
+         s."lastAlertedAt"::timestamptz::text AS "lastAlertedAt",
+         s."createdAt"::timestamptz::text AS "createdAt",
+         s."updatedAt"::timestamptz::text AS "updatedAt",
+         (SELECT COUNT(*)::int FROM "SavedSearchAlert" a
+           WHERE a."savedSearchId" = s.id AND a.status = 'PENDING') AS "pendingAlerts"
+  FROM "SavedSearch" s`;
+
+const presentSavedSearch = ({ userId, ...s }) => s;
+
+async function mustOwnSavedSearch(id, userId) {
+  const { rows } = await query(`${SAVED_SEARCH_SELECT} WHERE s.id = $1`, [id]);
+  const s = rows[0];
+  if (!s || s.userId !== userId) return { ok: false, status: 404, error: "Saved search not found" };
+  return { ok: true, search: s };
+}
+
+// alerts are emailed only while StudentProfile.commsEmail is on
+async function emailAlertsEnabled(userId) {
+  const { rows } = await query(`SELECT "commsEmail" FROM "StudentProfile" WHERE "userId" = $1`, [userId]);
+  return rows[0]?.commsEmail !== false;
+}
+
+// GET my saved searches (+ whether alert emails can reach me at all)
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const [{ rows }, emailAlerts] = await Promise.all([
+    query(`${SAVED_SEARCH_SELECT} WHERE s."userId" = $1 ORDER BY s."createdAt" DESC`, [req.user.id]),
+    emailAlertsEnabled(req.user.id),
+  ]);
+  res.json({ items: rows.map(presentSavedSearch), emailAlerts });
+});
+
+// CREATE { name?, filters, frequency? }
+router.post("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = SavedSearchBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const norm = normalizeFilters(parsed.data.filters);
+  if (!norm.ok) return res.status(400).json({ error: norm.error });
+
+  const count = await query(`SELECT COUNT(*)::int AS c FROM "SavedSearch" WHERE "userId" = $1`, [req.user.id]);
+  if (count.rows[0].c >= MAX_SAVED_SEARCHES) {
+    return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+  }
+
+  const { rows } = await query(
+    `INSERT INTO "SavedSearch" ("userId", name, filters, frequency, "unsubscribeToken")
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [req.user.id, parsed.data.name || describeFilters(norm.filters), norm.filters, parsed.data.frequency, newUnsubscribeToken()]
+  );
+  const [item, emailAlerts] = await Promise.all([
+    query(`${SAVED_SEARCH_SELECT} WHERE s.id = $1`, [rows[0].id]),
+    emailAlertsEnabled(req.user.id),
+  ]);
+  res.status(201).json({ item: presentSavedSearch(item.rows[0]), emailAlerts });
+});
+
+router.get("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnSavedSearch(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  res.json({ item: presentSavedSearch(chk.search) });
+});
+
+// GET the search's current results (newest first), as search-result cards
+router.get("/:id/listings", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnSavedSearch(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const take = Math.min(Number(req.query.take || 20), 100);
+  const skip = Math.max(Number(req.query.skip || 0), 0);
+  const parsed = ListingFiltersSchema.safeParse(chk.search.filters || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { where, params } = buildListingWhere(parsed.data);
+  const [itemsRes, countRes] = await Promise.all([
+    query(
+      `SELECT l.* FROM "Listing" l
+       WHERE ${where.join(" AND ")}
+       ORDER BY ${listingOrderBy("newest")}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, take, skip]
+    ),
+    query(`SELECT COUNT(*)::int AS c FROM "Listing" l WHERE ${where.join(" AND ")}`, params),
+  ]);
+  res.json({ items: await hydrateListingCards(itemsRes.rows), total: countRes.rows[0].c, take, skip });
+});
+
+// UPDATE { name?, filters?, frequency?, active? } (re-activating is how an unsubscribe is undone)
+router.patch("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = UpdateSavedSearchBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const chk = await mustOwnSavedSearch(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const d = parsed.data;
+  const fields = [];
+  const vals = [req.params.id];
+  const set = (col, val) => {
+    vals.push(val);
+    fields.push(`${col} = $${vals.length}`);
+  };
+  if (d.name !== undefined) set("name", d.name);
+  if (d.filters !== undefined) {
+    const norm = normalizeFilters(d.filters);
+    if (!norm.ok) return res.status(400).json({ error: norm.error });
+    set("filters", norm.filters);
+  }
+  if (d.frequency !== undefined) set("frequency", d.frequency);
+  if (d.active !== undefined) set("active", d.active);
+  if (!fields.length) return res.status(400).json({ error: "Nothing to update" });
+
+  await query(`UPDATE "SavedSearch" SET ${fields.join(", ")}, "updatedAt" = NOW() WHERE id = $1`, vals);
+  // new filters: drop queued matches for the old ones
+  if (d.filters !== undefined || d.active === false) {
+    await query(
+      `UPDATE "SavedSearchAlert" SET status = 'SKIPPED' WHERE "savedSearchId" = $1 AND status = 'PENDING'`,
+      [req.params.id]
+    );
+  }
+  const item = await query(`${SAVED_SEARCH_SELECT} WHERE s.id = $1`, [req.params.id]);
+  res.json({ item: presentSavedSearch(item.rows[0]) });
+});
+
+router.delete("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnSavedSearch(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  await query(`DELETE FROM "SavedSearch" WHERE id = $1`, [req.params.id]);
+  res.status(204).end();
+});
+
+export default router;
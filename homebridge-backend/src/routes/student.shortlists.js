@@ -0,0 +1,178 @@
+// src/routes/student.shortlists.js
+import { Router } from "express";
+import { z } from "zod";
+import { query } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import { newShareToken, shareUrlFor, shortlistListings } from "../lib/shortlists.js";
+
+const router = Router();
+
+const MAX_SHORTLIST_ITEMS = 50;
+
+const ShortlistBody = z.object({
+  name: z.string().trim().min(1).max(100),
+});
+const ItemBody = z.object({
+  note: z.string().trim().max(1000).optional().nullable(),
+});
+
+function ensureStudent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "STUDENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Student access only" });
+    return false;
+  }
+  return true;
+}
+
+const SHORTLIST_SELECT = `
+  SELECT s.id, s."userId", s.name, s."shareToken",
+         s."sharedAt"::timestamptz::text AS "sharedAt",
+         s."createdAt"::timestamptz::text AS "createdAt",
+         s."updatedAt"::timestamptz::text AS "updatedAt",
+         (SELECT COUNT(*)::int FROM "ShortlistItem" si WHERE si."shortlistId" = s.id) AS "itemCount"
+  FROM "Shortlist" s`;
+
+const presentShortlist = ({ userId, shareToken, ...s }) => ({
+  ...s,
+  shared: !!shareToken,
+  shareUrl: shareUrlFor(shareToken),
+});
+
+async function mustOwnShortlist(id, userId) {
+  const { rows } = await query(`${SHORTLIST_SELECT} WHERE s.id = $1`, [id]);
+  const s = rows[0];
+  // someone else's shortlist is indistinguishable from a missing one
+  if (!s || s.userId !== userId) return { ok: false, status: 404, error: "Shortlist not found" };
+  return { ok: true, shortlist: s };
+}
+
+const isDuplicateName = (e) => e?.code === "23505";
+
+// GET my shortlists (newest first)
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const { rows } = await query(`${SHORTLIST_SELECT} WHERE s."userId" = $1 ORDER BY s."createdAt" DESC`, [req.user.id]);
+  res.json({ items: rows.map(presentShortlist) });
+});
+
+// CREATE { name }
+router.post("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = ShortlistBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { rows } = await query(`INSERT INTO "Shortlist" ("userId", name) VALUES ($1, $2) RETURNING id`, [
+      req.user.id,
+      parsed.data.name,
+    ]);
+    const item = (await query(`${SHORTLIST_SELECT} WHERE s.id = $1`, [rows[0].id])).rows[0];
+    res.status(201).json({ item: { ...presentShortlist(item), items: [] } });
+  } catch (e) {
+    if (isDuplicateName(e)) return res.status(409).json({ error: "You already have a shortlist with this name" });
+    throw e;
+  }
+});
+
+// GET one, with its listings as cards
+router.get("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  res.json({ item: { ...presentShortlist(chk.shortlist), items: await shortlistListings(req.params.id) } });
+});
+
+// RENAME { name }
+router.patch("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = ShortlistBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  try {
+    await query(`UPDATE "Shortlist" SET name = $2, "updatedAt" = NOW() WHERE id = $1`, [req.params.id, parsed.data.name]);
+  } catch (e) {
+    if (isDuplicateName(e)) return res.status(409).json({ error: "You already have a shortlist with this name" });
+    throw e;
+  }
+  const item = (await query(`${SHORTLIST_SELECT} WHERE s.id = $1`, [req.params.id])).rows[0];
+  res.json({ item: presentShortlist(item) });
+});
+
+router.delete("/:id", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  await query(`DELETE FROM "Shortlist" WHERE id = $1`, [req.params.id]);
+  res.status(204).end();
+});
+
+// PUT add a published listing (or update its note): { note? }
+router.put("/:id/items/:listingId", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = ItemBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const { rows } = await query(`SELECT id FROM "Listing" WHERE id = $1 AND published = TRUE`, [req.params.listingId]);
+  if (!rows[0]) return res.status(404).json({ error: "Listing not found" });
+
+  const existing = await query(
+    `SELECT 1 FROM "ShortlistItem" WHERE "shortlistId" = $1 AND "listingId" = $2`,
+    [req.params.id, req.params.listingId]
+  );
+  if (!existing.rowCount && chk.shortlist.itemCount >= MAX_SHORTLIST_ITEMS) {
+    return res.status(400).json({ error: `A shortlist can hold up to ${MAX_SHORTLIST_ITEMS} listings` });
+  }
+
+  await query(
+    `INSERT INTO "ShortlistItem" ("shortlistId", "listingId", note) VALUES ($1, $2, $3)
+     ON CONFLICT ("shortlistId", "listingId")
+     DO UPDATE SET note = CASE WHEN $4 THEN EXCLUDED.note ELSE "ShortlistItem".note END`,
+    [req.params.id, req.params.listingId, parsed.data.note || null, "note" in (req.body || {})]
+  );
+  await query(`UPDATE "Shortlist" SET "updatedAt" = NOW() WHERE id = $1`, [req.params.id]);
+  res.status(existing.rowCount ? 200 : 201).json({ shortlistId: req.params.id, listingId: req.params.listingId });
+});
+
+router.delete("/:id/items/:listingId", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  await query(`DELETE FROM "ShortlistItem" WHERE "shortlistId" = $1 AND "listingId" = $2`, [
+    req.params.id,
+    req.params.listingId,
+  ]);
+  await query(`UPDATE "Shortlist" SET "updatedAt" = NOW() WHERE id = $1`, [req.params.id]);
+  res.status(204).end();
+});
+
+// POST share: create (or rotate, which revokes the old link) the read-only share link
+router.post("/:id/share", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+
+  const token = newShareToken();
+  await query(`UPDATE "Shortlist" SET "shareToken" = $2, "sharedAt" = NOW(), "updatedAt" = NOW() WHERE id = $1`, [
+    req.params.id,
+    token,
+  ]);
+  res.json({ shared: true, shareToken: token, shareUrl: shareUrlFor(token) });
+});
+
+// DELETE share: stop sharing (the old link 404s)
+router.delete("/:id/share", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const chk = await mustOwnShortlist(req.params.id, req.user.id);
+  if (!chk.ok) return res.status(chk.status).json({ error: chk.error });
+  await query(`UPDATE "Shortlist" SET "shareToken" = NULL, "sharedAt" = NULL, "updatedAt" = NOW() WHERE id = $1`, [
+    req.params.id,
+  ]);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,178 @@
+// src/routes/student.viewings.js
+// /api/student/viewings — book, reschedule and cancel viewings / video tours of listings.
+import { Router } from "express";
+import { z } from "zod";
+import { query, tx } from "../db.js";
+import { authRequired } from "../middleware/auth.js";
+import {
+  APPOINTMENT_SELECT,
+  isValidTimeZone,
+  presentAppointment,
+  claimSlot,
+  isSlotTaken,
+  cancelAppointment,
+  notifyViewing,
+} from "../lib/viewings.js";
+
+const router = Router();
+
+const BookBody = z.object({
+  slotId: z.string().min(1),
+  bookingId: z.string().min(1).optional().nullable(),
+  note: z.string().trim().max(1000).optional().nullable(),
+  timeZone: z.string().max(64).refine(isValidTimeZone, "Unknown time zone").optional().nullable(),
+});
+const RescheduleBody = z.object({ slotId: z.string().min(1) });
+const CancelBody = z.object({ reason: z.string().trim().max(500).optional().nullable() });
+
+function ensureStudent(req, res) {
+  const role = String(req.user.role || "").toUpperCase();
+  if (role !== "STUDENT" && role !== "SUPERADMIN") {
+    res.status(403).json({ error: "Student access only" });
+    return false;
+  }
+  return true;
+}
+
+const findMine = async (id, userId) =>
+  (await query(`${APPOINTMENT_SELECT} WHERE a.id = $1 AND a."studentId" = $2`, [id, userId])).rows[0] || null;
+
+/**
+ * GET /api/student/viewings?includePast=1
+ * My appointments, upcoming first (cancelled ones included so I can see why).
+ */
+router.get("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const includePast = ["1", "true", "yes"].includes(String(req.query.includePast || "").toLowerCase());
+  const { rows } = await query(
+    `${APPOINTMENT_SELECT}
+     WHERE a."studentId" = $1 ${includePast ? "" : `AND s."endsAt" > NOW()`}
+     ORDER BY s."startsAt" ${includePast ? "DESC" : "ASC"}`,
+    [req.user.id]
+  );
+  res.json({ items: rows.map((a) => presentAppointment(a)) });
+});
+
+/**
+ * POST /api/student/viewings { slotId, bookingId?, note?, timeZone? }
+ * One active appointment per listing; linked to my latest open application on it unless
+ * bookingId says otherwise. timeZone is used for the times in my emails.
+ */
+router.post("/", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = BookBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const d = parsed.data;
+
+  let out;
+  try {
+    out = await tx(async (c) => {
+      const claim = await claimSlot(c, { slotId: d.slotId });
+      if (!claim.ok) return claim;
+      const { listingId } = claim.slot;
+
+      const dup = await c.query(
+        `SELECT 1 FROM "ViewingAppointment"
+         WHERE "studentId" = $1 AND "listingId" = $2 AND status = 'BOOKED'`,
+        [req.user.id, listingId]
+      );
+      if (dup.rows[0]) {
+        return { ok: false, status: 409, error: "You already have a viewing booked for this listing. Reschedule it instead." };
+      }
+
+      let bookingId = null;
+      if (d.bookingId) {
+        const { rows } = await c.query(
+          `SELECT id FROM "Booking" WHERE id = $1 AND "studentId" = $2 AND "listingId" = $3`,
+          [d.bookingId, req.user.id, listingId]
+        );
+        if (!rows[0]) return { ok: false, status: 400, error: "That application is not for this listing" };
+        bookingId = rows[0].id;
+      } else {
+        const { rows } = await c.query(
+          `SELECT id FROM "Booking"
+           WHERE "studentId" = $1 AND "listingId" = $2 AND status NOT IN ('REJECTED', 'CANCELLED')
+           ORDER BY "createdAt" DESC LIMIT 1`,
+          [req.user.id, listingId]
+        );
+        bookingId = rows[0]?.id || null;
+      }
+
+      const { rows } = await c.query(
+        `INSERT INTO "ViewingAppointment" ("slotId", "listingId", "studentId", "bookingId", note, "studentTimezone")
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [d.slotId, listingId, req.user.id, bookingId, d.note || null, d.timeZone || null]
+      );
+      return { ok: true, id: rows[0].id };
+    });
+  } catch (e) {
+    if (!isSlotTaken(e)) throw e;
+    out = { ok: false, status: 409, error: "That slot has just been booked. Pick another one." };
+  }
+  if (!out.ok) return res.status(out.status).json({ error: out.error });
+
+  notifyViewing(out.id, "BOOKED");
+  res.status(201).json({ item: presentAppointment(await findMine(out.id, req.user.id)) });
+});
+
+/**
+ * POST /api/student/viewings/:id/reschedule { slotId }
+ * Moves the appointment to another open slot on the same listing; calendars get an update.
+ */
+router.post("/:id/reschedule", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = RescheduleBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const current = await findMine(req.params.id, req.user.id);
+  if (!current) return res.status(404).json({ error: "Appointment not found" });
+  if (current.status !== "BOOKED") return res.status(400).json({ error: "This appointment is not active" });
+  if (current.slotId === parsed.data.slotId) return res.json({ item: presentAppointment(current) });
+
+  let out;
+  try {
+    out = await tx(async (c) => {
+      const claim = await claimSlot(c, {
+        slotId: parsed.data.slotId,
+        listingId: current.listingId,
+        excludeAppointmentId: current.id,
+      });
+      if (!claim.ok) return claim;
+      const { rowCount } = await c.query(
+        `UPDATE "ViewingAppointment"
+            SET "slotId" = $2, sequence = sequence + 1, "reminderSentAt" = NULL, "updatedAt" = NOW()
+          WHERE id = $1 AND status = 'BOOKED'`,
+        [current.id, parsed.data.slotId]
+      );
+      if (!rowCount) return { ok: false, status: 400, error: "This appointment is not active" };
+      return { ok: true };
+    });
+  } catch (e) {
+    if (!isSlotTaken(e)) throw e;
+    out = { ok: false, status: 409, error: "That slot has just been booked. Pick another one." };
+  }
+  if (!out.ok) return res.status(out.status).json({ error: out.error });
+
+  notifyViewing(current.id, "RESCHEDULED");
+  res.json({ item: presentAppointment(await findMine(current.id, req.user.id)) });
+});
+
+// POST /api/student/viewings/:id/cancel { reason? }
+router.post("/:id/cancel", authRequired, async (req, res) => {
+  if (!ensureStudent(req, res)) return;
+  const parsed = CancelBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const current = await findMine(req.params.id, req.user.id);
+  if (!current) return res.status(404).json({ error: "Appointment not found" });
+  if (current.status !== "BOOKED") return res.status(400).json({ error: "This appointment is not active" });
+
+  const id = await tx((c) =>
+    cancelAppointment(c, { appointmentId: current.id, actorId: req.user.id, reason: parsed.data.reason || null })
+  );
+  if (id) notifyViewing(id, "CANCELLED", { reason: parsed.data.reason || null });
+  res.json({ item: presentAppointment(await findMine(current.id, req.user.id)) });
+});
+
+export default router;
@@ -3,6 +3,7 @@ import { Router } from "express";
 import { z } from "zod";
 import { query } from "../db.js";
 import { sendSupportReceiptEmail } from "../lib/mailer.js";
+import { listingIdFromUrl, recordListingEvent, visitorKeyFor } from "../lib/listingAnalytics.js";
 
 const router = Router();
 
@@ -51,6 +52,19 @@ router.post("/tickets", async (req, res) => {
   );
   const ticket = rows[0];
 
+  // a ticket about a specific listing counts as an inquiry for its agent's analytics (best effort:
+  // the ticket is already saved, so nothing here may fail the request)
+  const listingId = listingIdFromUrl(ticket.listingUrl);
+  if (listingId) {
+    query(`SELECT id FROM "Listing" WHERE id = $1`, [listingId])
+      .then(({ rows: found }) => {
+        if (found[0]) {
+          recordListingEvent(listingId, "INQUIRY", { visitorKey: visitorKeyFor(req), userId: req.user?.id || null });
+        }
+      })
+      .catch((e) => console.error(`[analytics] INQUIRY for ${listingId} failed:`, e.message));
+  }
+
   // Fire and forget – but don't crash the request if email bounces.
   sendSupportReceiptEmail({
     to: ticket.email,
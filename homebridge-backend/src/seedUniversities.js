@@ -0,0 +1,102 @@
+// src/seedUniversities.js
+// Loads the university directory from data/universities.json (or the path given as argv[2]),
+// upserting universities by slug and campuses by name, then recomputes listing campus distances.
+import "dotenv/config";
+import path from "path";
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import { tx } from "./db.js";
+import { slugify, refreshCampusDistances } from "./lib/universities.js";
+import { parseLat, parseLng } from "./lib/geo.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, "..", "data", "universities.json");
+
+function validate(entry, i) {
+  const where = `entry ${i + 1}${entry?.name ? ` (${entry.name})` : ""}`;
+  if (!entry?.name || typeof entry.name !== "string") throw new Error(`${where}: name is required`);
+  if (!Array.isArray(entry.campuses) || !entry.campuses.length) {
+    throw new Error(`${where}: at least one campus is required`);
+  }
+  const campuses = entry.campuses.map((c, j) => {
+    const lat = parseLat(c?.lat);
+    const lng = parseLng(c?.lng);
+    if (!c?.name || lat == null || lng == null) {
+      throw new Error(`${where}: campus ${j + 1} needs name, lat and lng`);
+    }
+    return { name: String(c.name).trim(), lat, lng };
+  });
+  return {
+    slug: entry.slug ? slugify(entry.slug) : slugify(entry.name),
+    name: entry.name.trim(),
+    aliases: Array.isArray(entry.aliases) ? entry.aliases.map((a) => String(a).trim()).filter(Boolean) : [],
+    city: entry.city || null,
+    country: entry.country || null,
+    website: entry.website || null,
+    campuses,
+  };
+}
+
+async function main() {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_FILE;
+  const raw = JSON.parse(await fs.readFile(file, "utf8"));
+  if (!Array.isArray(raw)) throw new Error("expected a JSON array of universities");
+  const entries = raw.map(validate);
+
+  const stats = await tx(async (c) => {
+    let universities = 0;
+    let campuses = 0;
+    for (const u of entries) {
+      const { rows } = await c.query(
+        `INSERT INTO "University" (slug, name, aliases, city, country, website)
+         VALUES ($1,$2,$3,$4,$5,$6)
+         ON CONFLICT (slug) DO UPDATE
+           SET name = EXCLUDED.name, aliases = EXCLUDED.aliases, city = EXCLUDED.city,
+               country = EXCLUDED.country, website = EXCLUDED.website, "updatedAt" = NOW()
+         RETURNING id`,
+        [u.slug, u.name, u.aliases, u.city, u.country, u.website]
+      );
+      const universityId = rows[0].id;
+      universities++;
+
+      for (const cp of u.campuses) {
+        await c.query(
+          `INSERT INTO "UniversityCampus" ("universityId", name, "geoLat", "geoLng")
+           VALUES ($1,$2,$3,$4)
+           ON CONFLICT ("universityId", name) DO UPDATE
+             SET "geoLat" = EXCLUDED."geoLat", "geoLng" = EXCLUDED."geoLng"`,
+          [universityId, cp.name, cp.lat, cp.lng]
+        );
+        campuses++;
+      }
+      // campuses dropped from the file go away (their distances cascade)
+      await c.query(
+        `DELETE FROM "UniversityCampus" WHERE "universityId" = $1 AND NOT (name = ANY($2::text[]))`,
+        [universityId, u.campuses.map((cp) => cp.name)]
+      );
+    }
+
+    // listings that typed a known name but were never linked
+    await c.query(
+      `UPDATE "Listing" l SET "universityId" = u.id
+       FROM "University" u
+       WHERE l."universityId" IS NULL AND l.university IS NOT NULL
+         AND (lower(u.name) = lower(l.university)
+              OR EXISTS (SELECT 1 FROM unnest(u.aliases) a WHERE lower(a) = lower(l.university)))`
+    );
+
+    const distances = await refreshCampusDistances(null, c);
+    return { universities, campuses, distances };
+  });
+
+  console.log(
+    `seeded ${stats.universities} universities, ${stats.campuses} campuses; ${stats.distances} listing distances`
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((e) => {
+    console.error("seed failed:", e.message);
+    process.exit(1);
+  });
@@ -10,8 +10,23 @@ import userRoutes from "./routes/users.js";
 import profileRoutes from "./routes/profile.js";
 import adminRoutes from "./routes/admin.js";
 import listingsRoutes from "./routes/agent.listings.js";
+import listingsImportRoutes from "./routes/agent.listings.import.js";
+import listingTemplatesRoutes from "./routes/agent.listings.templates.js";
 import publicListingsRoutes from "./routes/public.listings.js";
+import publicUniversitiesRoutes from "./routes/public.universities.js";
 import studentBookingsRoutes from "./routes/student.bookings.js";
+import studentFavoritesRoutes from "./routes/student.favorites.js";
+import studentShortlistsRoutes from "./routes/student.shortlists.js";
+import publicShortlistsRoutes from "./routes/public.shortlists.js";
+import studentSavedSearchesRoutes from "./routes/student.savedSearches.js";
+import publicSavedSearchesRoutes from "./routes/public.savedSearches.js";
+import studentReviewsRoutes from "./routes/student.reviews.js";
+import agentReviewsRoutes from "./routes/agent.reviews.js";
+import studentViewingsRoutes from "./routes/student.viewings.js";
+import agentViewingsRoutes from "./routes/agent.viewings.js";
+import agentCalendarsRoutes from "./routes/agent.calendars.js";
+import studentCalendarRoutes from "./routes/student.calendar.js";
+import publicCalendarsRoutes from "./routes/public.calendars.js";
 import studentDocsRoutes from "./routes/student.docs.js";
 import adminBookingsRouter from "./routes/admin.bookings.js";
 import agentApplicationsRoutes from "./routes/agent.applications.js";
@@ -23,10 +38,13 @@ import healthSql from "./routes/health.sql.js";
 import supportTicketsRoutes from "./routes/support.tickets.js";
 import adminInquiriesRoutes from "./routes/admin.inquiries.js";
 import agentOverviewRoutes from "./routes/agent.overview.js";
+import agentAnalyticsRoutes from "./routes/agent.analytics.js";
 import studentMessagesRoutes from "./routes/student.messages.js";
 import agentBilling from "./routes/agent.billing.js";
 import agentPayouts from "./routes/agent.payouts.js";
 import adminRefundsRouter from "./routes/admin.refunds.js";
+import adminReportsRouter from "./routes/admin.reports.js";
+import adminReviewsRouter from "./routes/admin.reviews.js";
 
 
 /* NEW */
@@ -37,6 +55,11 @@ import agentStripeConnect from "./routes/agent.stripe.connect.js";
 import agentDocsRoutes from "./routes/agent.docs.js";
 
 import { authOptional } from "./middleware/auth.js";
+import { startHoldExpiryJob } from "./jobs/holdExpiry.js";
+import { startSavedSearchAlertsJob } from "./jobs/savedSearchAlerts.js";
+import { startViewingRemindersJob } from "./jobs/viewingReminders.js";
+import { startCalendarImportsJob } from "./jobs/calendarImports.js";
+import { startOfferExpiryJob } from "./jobs/offerExpiry.js";
 
 const app = express();
 
@@ -121,9 +144,24 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api", profileRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/agent/listings/templates", listingTemplatesRoutes);
+app.use("/api/agent/listings", listingsImportRoutes);
 app.use("/api/agent/listings", listingsRoutes);
 app.use("/api/public/listings", publicListingsRoutes);
+app.use("/api/public/universities", publicUniversitiesRoutes);
 app.use("/api/student/bookings", studentBookingsRoutes);
+app.use("/api/student/favorites", studentFavoritesRoutes);
+app.use("/api/student/shortlists", studentShortlistsRoutes);
+app.use("/api/public/shortlists", publicShortlistsRoutes);
+app.use("/api/student/saved-searches", studentSavedSearchesRoutes);
+app.use("/api/public/saved-searches", publicSavedSearchesRoutes);
+app.use("/api/student/reviews", studentReviewsRoutes);
+app.use("/api/agent/reviews", agentReviewsRoutes);
+app.use("/api/student/viewings", studentViewingsRoutes);
+app.use("/api/agent/viewings", agentViewingsRoutes);
+app.use("/api/agent/calendars", agentCalendarsRoutes);
+app.use("/api/student/calendar", studentCalendarRoutes);
+app.use("/api/public/calendars", publicCalendarsRoutes);
 app.use("/api/student/docs", studentDocsRoutes);
 app.use("/api/agents/me/docs", agentDocsRoutes);
 app.use("/api/admin/bookings", adminBookingsRouter);
@@ -133,10 +171,13 @@ app.use("/api/admin/agents", adminAgentsRouter);
 app.use("/api/admin/listings", adminListingsRouter);
 app.use("/api/admin/settings", adminSettingsRouter);
 app.use("/api/agent/overview", agentOverviewRoutes);
+app.use("/api/agent/analytics", agentAnalyticsRoutes);
 app.use("/api/student/messages", studentMessagesRoutes);
 app.use("/api/agent/billing", agentBilling);
 app.use("/api/agent/payouts", agentPayouts);
 app.use("/api/admin/refunds", adminRefundsRouter);
+app.use("/api/admin/reports", adminReportsRouter);
+app.use("/api/admin/reviews", adminReviewsRouter);
 
 
 
@@ -148,6 +189,13 @@ app.use("/api/admin/inquiries", adminInquiriesRoutes);
 
 app.use("/health-sql", healthSql);
 
+/* ---------- Background jobs ---------- */
+startHoldExpiryJob();
+startSavedSearchAlertsJob();
+startViewingRemindersJob();
+startCalendarImportsJob();
+startOfferExpiryJob();
+
 /* ---------- Start ---------- */
 const port = Number(process.env.PORT || 4000);
 app.listen(port, () => {